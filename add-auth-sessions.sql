@@ -0,0 +1,25 @@
+-- Migration: refresh-token sessions for auth-login / auth-refresh (see netlify/functions/_sessions.js)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+
+CREATE TABLE IF NOT EXISTS public.auth_sessions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- sha256 of the current refresh token secret; the token itself is never stored
+    refresh_token_hash text NOT NULL,
+    -- hash of the token it replaced, to tell a racing tab from a replayed (stolen) token
+    previous_token_hash text,
+    rotated_at timestamp with time zone,
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    last_used_at timestamp with time zone NOT NULL DEFAULT now(),
+    expires_at timestamp with time zone NOT NULL,
+    revoked_at timestamp with time zone,
+    revoked_reason text,
+    user_agent text,
+    ip_address text
+);
+
+CREATE INDEX IF NOT EXISTS auth_sessions_user_active_idx ON public.auth_sessions (user_id) WHERE revoked_at IS NULL;
+
+-- Session access tokens issued before this instant are rejected (logout everywhere)
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS sessions_revoked_at timestamp with time zone;
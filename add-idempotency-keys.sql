@@ -0,0 +1,21 @@
+-- Migration: Idempotency-Key replay for create-product / printful-create-product (see netlify/functions/_idempotency.js)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    endpoint text NOT NULL,
+    key text NOT NULL,
+    -- sha256 of the request body; the same key with a different body is rejected
+    request_hash text NOT NULL,
+    -- pending while the first request runs, completed once it succeeded
+    status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
+    status_code integer,
+    response text,
+    -- id of the product the request created
+    resource_id text,
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, endpoint, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx ON public.idempotency_keys (created_at);
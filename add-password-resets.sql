@@ -0,0 +1,19 @@
+-- Migration: email verification expiry and password reset tokens (see netlify/functions/_account_tokens.js)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+
+-- users.verification_token holds the sha256 of the emailed token, never the token itself
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS verification_expires_at timestamp with time zone;
+
+CREATE TABLE IF NOT EXISTS public.password_reset_tokens (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    token_hash text NOT NULL UNIQUE,
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    expires_at timestamp with time zone NOT NULL,
+    used_at timestamp with time zone,
+    requested_ip text
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx ON public.password_reset_tokens (user_id) WHERE used_at IS NULL;
+CREATE INDEX IF NOT EXISTS users_verification_token_idx ON public.users (verification_token) WHERE verification_token IS NOT NULL;
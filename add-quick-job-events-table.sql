@@ -0,0 +1,16 @@
+-- Migration: append-only timeline of quick job steps (written by job-runner-background)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+
+CREATE TABLE IF NOT EXISTS public.quick_job_events (
+    id bigserial PRIMARY KEY,
+    job_id uuid NOT NULL,
+    item_index int,
+    step text NOT NULL,
+    status text NOT NULL DEFAULT 'ok',
+    message text,
+    duration_ms int,
+    error text,
+    created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS quick_job_events_job_id_idx ON public.quick_job_events (job_id, id);
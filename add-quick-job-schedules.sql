@@ -0,0 +1,27 @@
+-- Migration: scheduled and recurring quick jobs (see quick-job-dispatcher)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+
+ALTER TABLE public.quick_jobs
+  ADD COLUMN IF NOT EXISTS scheduled_at timestamptz,
+  ADD COLUMN IF NOT EXISTS schedule_id uuid,
+  -- Why a job failed before any item ran (e.g. the dispatcher could not start the runner)
+  ADD COLUMN IF NOT EXISTS error text;
+
+CREATE TABLE IF NOT EXISTS public.quick_job_schedules (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    created_by text NOT NULL,
+    name text NOT NULL,
+    shop_id text NOT NULL,
+    params jsonb NOT NULL,
+    quantity int NOT NULL DEFAULT 1,
+    cron text NOT NULL,
+    active boolean NOT NULL DEFAULT true,
+    next_run_at timestamp with time zone,
+    last_run_at timestamp with time zone,
+    last_job_id uuid
+);
+
+CREATE INDEX IF NOT EXISTS quick_job_schedules_due_idx ON public.quick_job_schedules (next_run_at) WHERE active;
+CREATE INDEX IF NOT EXISTS quick_jobs_scheduled_idx ON public.quick_jobs (scheduled_at) WHERE status = 'scheduled';
@@ -0,0 +1,15 @@
+-- Migration: saved Quick AI templates (see quick-job-templates)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+
+CREATE TABLE IF NOT EXISTS public.quick_job_templates (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    created_by text NOT NULL,
+    name text NOT NULL,
+    state jsonb NOT NULL DEFAULT '{}'::jsonb,
+    UNIQUE (created_by, name)
+);
+
+ALTER TABLE public.quick_job_schedules
+  ADD COLUMN IF NOT EXISTS template_id uuid;
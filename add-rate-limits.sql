@@ -0,0 +1,10 @@
+-- Migration: server-side rate limiting for the Printify/Printful proxies (see netlify/functions/_rate_limit.js)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+
+-- One token bucket per key (user:<id>:<upstream>, <upstream>:<workspace id>, printful-mockup:<workspace id>).
+-- tokens may go below zero while requests queue for a slot.
+CREATE TABLE IF NOT EXISTS public.rate_limit_buckets (
+    key text PRIMARY KEY,
+    tokens double precision NOT NULL,
+    updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
@@ -0,0 +1,31 @@
+-- Migration: Stripe checkout and webhook-driven subscriptions (see netlify/functions/_billing.js)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+--
+-- Link each plan to its Stripe price afterwards, e.g.
+--   UPDATE public.subscription_plans SET stripe_price_id = 'price_...' WHERE name = 'Starter';
+
+ALTER TABLE public.subscription_plans
+  ADD COLUMN IF NOT EXISTS stripe_price_id text;
+CREATE UNIQUE INDEX IF NOT EXISTS subscription_plans_stripe_price_idx ON public.subscription_plans (stripe_price_id) WHERE stripe_price_id IS NOT NULL;
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS stripe_customer_id text;
+CREATE UNIQUE INDEX IF NOT EXISTS users_stripe_customer_idx ON public.users (stripe_customer_id) WHERE stripe_customer_id IS NOT NULL;
+
+-- One row per Stripe subscription; status is Stripe's (active, trialing, past_due, canceled, ...)
+ALTER TABLE public.user_subscriptions
+  ADD COLUMN IF NOT EXISTS stripe_subscription_id text,
+  ADD COLUMN IF NOT EXISTS stripe_customer_id text,
+  ADD COLUMN IF NOT EXISTS cancel_at_period_end boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS canceled_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone NOT NULL DEFAULT now();
+CREATE UNIQUE INDEX IF NOT EXISTS user_subscriptions_stripe_subscription_idx ON public.user_subscriptions (stripe_subscription_id);
+CREATE INDEX IF NOT EXISTS user_subscriptions_user_idx ON public.user_subscriptions (user_id, status);
+
+-- Webhook deliveries already handled; Stripe retries and may deliver an event more than once
+CREATE TABLE IF NOT EXISTS public.stripe_events (
+    id text PRIMARY KEY,
+    type text NOT NULL,
+    received_at timestamp with time zone NOT NULL DEFAULT now(),
+    processed_at timestamp with time zone
+);
@@ -0,0 +1,5 @@
+-- Migration: server-side plan quotas (see netlify/functions/_quota.js)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+
+-- Every reservation sums the user's usage of one type since the period start
+CREATE INDEX IF NOT EXISTS usage_tracking_user_type_created_idx ON public.usage_tracking (user_id, type, created_at);
@@ -0,0 +1,124 @@
+-- Migration: team workspaces (see netlify/functions/_workspaces.js)
+-- Safe to run multiple times (IF NOT EXISTS guards)
+--
+-- Every user gets a personal workspace holding the store credentials they had on public.users.
+-- Quick jobs, schedules, templates, bulk contexts and generated images move to the owner's personal
+-- workspace. The users.*_encrypted columns stay in place but are no longer read.
+
+CREATE TABLE IF NOT EXISTS public.workspaces (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    name text NOT NULL,
+    personal boolean NOT NULL DEFAULT false,
+    created_by bigint REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    -- Store credentials, written with _secrets.encryptSecret
+    printify_api_key_encrypted text,
+    printful_api_key_encrypted text,
+    printful_access_token_encrypted text,
+    printful_refresh_token_encrypted text,
+    printful_token_expires_at timestamp with time zone,
+    etsy_api_key text,
+    etsy_access_token_encrypted text,
+    etsy_refresh_token_encrypted text,
+    etsy_token_expires_at timestamp with time zone
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS workspaces_personal_owner_idx ON public.workspaces (created_by) WHERE personal;
+
+CREATE TABLE IF NOT EXISTS public.workspace_members (
+    workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    role text NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS workspace_members_user_idx ON public.workspace_members (user_id);
+
+CREATE TABLE IF NOT EXISTS public.workspace_invitations (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+    email text NOT NULL,
+    role text NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    -- sha256 of the emailed token
+    token_hash text NOT NULL UNIQUE,
+    invited_by bigint REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    expires_at timestamp with time zone NOT NULL,
+    accepted_at timestamp with time zone,
+    accepted_by bigint REFERENCES public.users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS workspace_invitations_pending_idx ON public.workspace_invitations (workspace_id) WHERE accepted_at IS NULL;
+
+-- Active workspace of a login session; access tokens carry it as `wid`
+ALTER TABLE public.auth_sessions
+  ADD COLUMN IF NOT EXISTS workspace_id uuid REFERENCES public.workspaces(id) ON DELETE SET NULL;
+
+-- Personal workspaces with the existing credentials
+INSERT INTO public.workspaces (name, personal, created_by,
+    printify_api_key_encrypted, printful_api_key_encrypted, printful_access_token_encrypted,
+    printful_refresh_token_encrypted, printful_token_expires_at,
+    etsy_api_key, etsy_access_token_encrypted, etsy_refresh_token_encrypted, etsy_token_expires_at)
+SELECT coalesce(nullif(trim(coalesce(u.first_name, '') || ' ' || coalesce(u.last_name, '')), ''), u.email) || '''s workspace',
+       true, u.id,
+       u.printify_api_key_encrypted, u.printful_api_key_encrypted, u.printful_access_token_encrypted,
+       u.printful_refresh_token_encrypted, u.printful_token_expires_at,
+       u.etsy_api_key, u.etsy_access_token_encrypted, u.etsy_refresh_token_encrypted, u.etsy_token_expires_at
+FROM public.users u
+WHERE NOT EXISTS (SELECT 1 FROM public.workspaces w WHERE w.personal AND w.created_by = u.id);
+
+-- Personal workspaces created by an earlier run of this migration did not copy the Etsy connection
+UPDATE public.workspaces w
+SET etsy_api_key = u.etsy_api_key,
+    etsy_access_token_encrypted = u.etsy_access_token_encrypted,
+    etsy_refresh_token_encrypted = u.etsy_refresh_token_encrypted,
+    etsy_token_expires_at = u.etsy_token_expires_at
+FROM public.users u
+WHERE w.personal AND w.created_by = u.id
+  AND w.etsy_access_token_encrypted IS NULL AND w.etsy_api_key IS NULL
+  AND (u.etsy_access_token_encrypted IS NOT NULL OR u.etsy_api_key IS NOT NULL);
+
+INSERT INTO public.workspace_members (workspace_id, user_id, role)
+SELECT w.id, w.created_by, 'owner' FROM public.workspaces w WHERE w.personal AND w.created_by IS NOT NULL
+ON CONFLICT (workspace_id, user_id) DO NOTHING;
+
+-- Bulk contexts have no owner column; existing rows stay readable by id (see get-context) but unlisted
+ALTER TABLE public.product_contexts ADD COLUMN IF NOT EXISTS workspace_id uuid;
+CREATE INDEX IF NOT EXISTS product_contexts_workspace_idx ON public.product_contexts (workspace_id, updated_at DESC);
+
+ALTER TABLE public.generated_images ADD COLUMN IF NOT EXISTS workspace_id uuid;
+CREATE INDEX IF NOT EXISTS generated_images_workspace_idx ON public.generated_images (workspace_id);
+UPDATE public.generated_images g SET workspace_id = w.id
+FROM public.workspaces w
+WHERE g.workspace_id IS NULL AND w.personal AND w.created_by = g.user_id;
+
+-- Quick job tables are created on first use by _quick_jobs.ensure*; only migrate the ones that exist
+DO $$
+BEGIN
+  IF to_regclass('public.quick_jobs') IS NOT NULL THEN
+    ALTER TABLE public.quick_jobs ADD COLUMN IF NOT EXISTS workspace_id uuid;
+    CREATE INDEX IF NOT EXISTS quick_jobs_workspace_idx ON public.quick_jobs (workspace_id, created_at DESC);
+    UPDATE public.quick_jobs q SET workspace_id = w.id
+    FROM public.workspaces w
+    WHERE q.workspace_id IS NULL AND w.personal AND w.created_by::text = q.created_by;
+  END IF;
+
+  IF to_regclass('public.quick_job_schedules') IS NOT NULL THEN
+    ALTER TABLE public.quick_job_schedules ADD COLUMN IF NOT EXISTS workspace_id uuid;
+    UPDATE public.quick_job_schedules s SET workspace_id = w.id
+    FROM public.workspaces w
+    WHERE s.workspace_id IS NULL AND w.personal AND w.created_by::text = s.created_by;
+  END IF;
+
+  IF to_regclass('public.quick_job_templates') IS NOT NULL THEN
+    ALTER TABLE public.quick_job_templates ADD COLUMN IF NOT EXISTS workspace_id uuid;
+    UPDATE public.quick_job_templates t SET workspace_id = w.id
+    FROM public.workspaces w
+    WHERE t.workspace_id IS NULL AND w.personal AND w.created_by::text = t.created_by;
+    -- Template names are unique per workspace now, not per user
+    ALTER TABLE public.quick_job_templates DROP CONSTRAINT IF EXISTS quick_job_templates_created_by_name_key;
+    CREATE UNIQUE INDEX IF NOT EXISTS quick_job_templates_workspace_name_idx ON public.quick_job_templates (workspace_id, name);
+  END IF;
+END $$;
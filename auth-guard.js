@@ -1,7 +1,7 @@
 // Authentication Guard - Include this script first on all protected pages
 (function() {
     'use strict';
-    
+
     // Normalize current page path: remove trailing slashes (except root)
     const normalizePath = (p) => {
         if (!p) return '/';
@@ -9,7 +9,7 @@
         return p;
     };
     const currentPath = normalizePath(window.location.pathname);
-    
+
     // Pages that don't require authentication (support friendly URLs)
     const publicPages = new Set([
       '/', '/landing.html', '/landing',
@@ -17,11 +17,137 @@
       '/pricing.html', '/pricing',
       '/inspiration.html', '/inspiration'
     ]);
-    
+
+    // Session tokens: auth-login returns a short-lived access token (authToken) and a single-use
+    // refresh token (refreshToken). An expiring access token is renewed through /api/auth-refresh;
+    // the page is only sent back to /auth.html when the session itself is gone.
+    const ACCESS_KEY = 'authToken';
+    const REFRESH_KEY = 'refreshToken';
+    const REFRESH_MARGIN_MS = 60 * 1000;
+    const nativeFetch = window.fetch.bind(window);
+    let refreshing = null;
+    let refreshTimer = null;
+
+    function tokenExpiry(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp ? payload.exp * 1000 : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function isExpiring(token) {
+        const exp = token ? tokenExpiry(token) : 0;
+        return exp !== null && exp - Date.now() < REFRESH_MARGIN_MS;
+    }
+
+    function clearSession() {
+        localStorage.removeItem(ACCESS_KEY);
+        localStorage.removeItem(REFRESH_KEY);
+        localStorage.removeItem('user');
+        clearTimeout(refreshTimer);
+    }
+
+    function scheduleRefresh() {
+        clearTimeout(refreshTimer);
+        const token = localStorage.getItem(ACCESS_KEY);
+        const exp = token && tokenExpiry(token);
+        if (!exp || !localStorage.getItem(REFRESH_KEY)) return;
+        refreshTimer = setTimeout(() => { refreshSession(); }, Math.max(exp - Date.now() - REFRESH_MARGIN_MS, 0));
+    }
+
+    // Another tab may rotate the refresh token at the same moment (409); it stores the new pair shortly
+    async function waitForOtherTab(sent) {
+        for (let i = 0; i < 10; i++) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            if (localStorage.getItem(REFRESH_KEY) !== sent) return localStorage.getItem(ACCESS_KEY);
+        }
+        return null;
+    }
+
+    // Resolves to a fresh access token, or null when the session could not be renewed
+    function refreshSession() {
+        if (refreshing) return refreshing;
+        refreshing = (async () => {
+            const sent = localStorage.getItem(REFRESH_KEY);
+            if (!sent) return null;
+            let response;
+            try {
+                response = await nativeFetch('/api/auth-refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken: sent })
+                });
+            } catch (_) {
+                return null; // offline: keep the tokens and try again on the next request
+            }
+            const data = await response.json().catch(() => ({}));
+            if (response.ok && data.success) {
+                localStorage.setItem(ACCESS_KEY, data.token);
+                localStorage.setItem(REFRESH_KEY, data.refreshToken);
+                scheduleRefresh();
+                return data.token;
+            }
+            if (localStorage.getItem(REFRESH_KEY) !== sent) return localStorage.getItem(ACCESS_KEY);
+            if (response.status === 409) return waitForOtherTab(sent);
+            if (response.status === 400 || response.status === 401) clearSession();
+            return null;
+        })().finally(() => { refreshing = null; });
+        return refreshing;
+    }
+
+    function isAppFunction(url) {
+        try {
+            const u = new URL(url, window.location.href);
+            return u.origin === window.location.origin &&
+                /^\/(\.netlify\/functions|api)\//.test(u.pathname) &&
+                !/\/auth-(login|register|refresh|logout)$/.test(u.pathname);
+        } catch (_) {
+            return false;
+        }
+    }
+
+    // Calls to our functions that carry a Bearer token get the current access token (refreshed first
+    // when it is about to expire) and are retried once if the server still reports it expired, or that
+    // the user left the token's workspace (the refreshed token falls back to their personal workspace).
+    window.fetch = async function(input, init) {
+        let request;
+        try {
+            request = new Request(input, init);
+        } catch (_) {
+            return nativeFetch(input, init);
+        }
+        const authorization = request.headers.get('Authorization') || '';
+        if (!/^Bearer\b/i.test(authorization) || !isAppFunction(request.url) || !localStorage.getItem(REFRESH_KEY)) {
+            return nativeFetch(input, init);
+        }
+
+        let token = localStorage.getItem(ACCESS_KEY);
+        if (isExpiring(token)) token = (await refreshSession()) || token;
+        const retry = request.clone();
+        if (token) request.headers.set('Authorization', `Bearer ${token}`);
+
+        const response = await nativeFetch(request);
+        if (response.status !== 401 && response.status !== 403) return response;
+        const info = await response.clone().json().catch(() => ({}));
+        if (info.reason !== 'token_expired' && info.reason !== 'not_a_member') {
+            if (info.reason === 'session_revoked') signOut();
+            return response;
+        }
+        const fresh = await refreshSession();
+        if (!fresh) {
+            if (!localStorage.getItem(REFRESH_KEY)) signOut();
+            return response;
+        }
+        retry.headers.set('Authorization', `Bearer ${fresh}`);
+        return nativeFetch(retry);
+    };
+
     // If already authenticated and on root, index, or auth pages, redirect to dashboard
     (function smartRedirectForAuthenticated() {
         try {
-            const token = localStorage.getItem('authToken');
+            const token = localStorage.getItem(ACCESS_KEY) || localStorage.getItem(REFRESH_KEY);
             if (!token) return;
             const redirectable = new Set(['/', '/index.html', '/index', '/auth.html', '/auth']);
             if (redirectable.has(currentPath)) {
@@ -34,18 +160,28 @@
 
     // Check if current page is public
     const isPublicPage = publicPages.has(currentPath);
-    
+
+    function signOut() {
+        clearSession();
+        if (!isPublicPage) window.location.href = '/auth.html';
+    }
+
     // Check authentication immediately
     function checkAuth() {
-        const token = localStorage.getItem('authToken');
-        if (!token && !isPublicPage) {
+        const token = localStorage.getItem(ACCESS_KEY);
+        const refreshToken = localStorage.getItem(REFRESH_KEY);
+        if (!isPublicPage && !refreshToken && (!token || isExpiring(token))) {
             // Only redirect to auth if this is a protected page
+            clearSession();
             window.location.href = '/auth.html';
             return false;
         }
+        if (refreshToken && isExpiring(token)) {
+            refreshSession().then(fresh => { if (!fresh && !localStorage.getItem(REFRESH_KEY)) signOut(); });
+        }
         return true;
     }
-    
+
     // Only run authentication check for protected pages
     if (!isPublicPage) {
         if (!checkAuth()) {
@@ -53,15 +189,39 @@
             throw new Error('Authentication required - redirecting to login');
         }
     }
-    
+    scheduleRefresh();
+
+    // Sign out this browser, or every session of the account ({ everywhere: true })
+    async function logout(options = {}) {
+        try {
+            if (options.everywhere) {
+                await window.fetch('/api/auth-logout-all', {
+                    method: 'POST',
+                    headers: { 'Authorization': 'Bearer ' + (localStorage.getItem(ACCESS_KEY) || '') }
+                });
+            } else if (localStorage.getItem(REFRESH_KEY)) {
+                // Revoke the server-side session; keepalive lets the request outlive the navigation
+                await nativeFetch('/api/auth-logout', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken: localStorage.getItem(REFRESH_KEY) }),
+                    keepalive: true
+                });
+            }
+        } catch (_) {}
+        clearSession();
+        window.location.href = '/auth.html';
+    }
+
     // Make auth check available globally
     window.checkAuth = checkAuth;
-    
+    window.authSession = { refresh: refreshSession, logout };
+
     // Check auth on page visibility change (prevents back button bypass)
     document.addEventListener('visibilitychange', function() {
         if (!document.hidden && !isPublicPage) {
             checkAuth();
         }
     });
-    
+
 })();
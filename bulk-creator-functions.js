@@ -118,6 +118,17 @@ const RATE_LIMIT_CONFIG = {
   backoffMultiplier: 2
 };
 
+// Server-side draft of the wizard (save-bulk-context), restorable on another browser
+const DRAFT_CONFIG = {
+  page: '/bulkly.html',
+  storageKey: 'bulklyDraft', // { sessionId, revision } of the draft this browser works on
+  saveDelayMs: 3000,
+  // Rebuilt on load; never stored in the draft
+  transientKeys: ['allProducts', 'filteredProducts', 'generationProgress', 'publishingProgress', 'loading', 'error', 'modals', 'rateLimits']
+};
+
+let draft = { sessionId: null, revision: 0, timer: null, disabled: false };
+
 document.addEventListener('DOMContentLoaded', init);
 
 /**
@@ -189,24 +200,29 @@ async function init() {
   }
 
   // Restore state from sessionStorage if available
+  let restoredLocally = false;
   try {
     const savedState = sessionStorage.getItem('bulklyState');
     if (savedState) {
-      const parsedState = JSON.parse(savedState);
-      // Convert Set-like array back to Set
-      if (parsedState.selectedProducts) {
+      const parsedState = JSON.parse(savedState, stateReviver);
+      // Older saves stored the Sets as plain arrays
+      if (Array.isArray(parsedState.selectedProducts)) {
         parsedState.selectedProducts = new Set(parsedState.selectedProducts);
       }
-      if (parsedState.completedSteps) {
+      if (Array.isArray(parsedState.completedSteps)) {
         parsedState.completedSteps = new Set(parsedState.completedSteps);
       }
       state = { ...state, ...parsedState };
+      restoredLocally = true;
     }
   } catch (e) {
     console.warn('Could not restore state from sessionStorage', e);
     sessionStorage.removeItem('bulklyState'); // Clear corrupted state
   }
 
+  // Continue the server-side draft: the one linked, or a newer save from another browser
+  await restoreDraft(restoredLocally);
+
   // Set the initial step based on restored state
   navigateToStep(state.currentStep);
   await initializeStep(state.currentStep);
@@ -298,27 +314,49 @@ async function initializeStoreDropdown() {
 }
 
 /**
- * Persists the current state to sessionStorage.
+ * Persists the current state to sessionStorage and schedules a save of the server-side draft.
  */
 function saveState() {
+  saveLocalState();
+  scheduleDraftSave();
+}
+
+/**
+ * Persists the current state to sessionStorage.
+ */
+function saveLocalState() {
   try {
-    const stateToSave = {
-      ...state,
-      selectedProducts: Array.from(state.selectedProducts),
-      completedSteps: Array.from(state.completedSteps),
-    };
-    sessionStorage.setItem('bulklyState', JSON.stringify(stateToSave));
+    sessionStorage.setItem('bulklyState', JSON.stringify(state, stateReplacer));
   } catch (e) {
     console.warn('Could not save state to sessionStorage', e);
   }
 }
 
+/**
+ * JSON.stringify replacer that keeps Sets and Maps (as tagged objects).
+ */
+function stateReplacer(key, value) {
+  if (value instanceof Set) return { __type: 'Set', values: Array.from(value) };
+  if (value instanceof Map) return { __type: 'Map', entries: Array.from(value.entries()) };
+  return value;
+}
+
+/**
+ * JSON.parse reviver that turns the tagged objects of stateReplacer back into Sets and Maps.
+ */
+function stateReviver(key, value) {
+  if (value && value.__type === 'Set' && Array.isArray(value.values)) return new Set(value.values);
+  if (value && value.__type === 'Map' && Array.isArray(value.entries)) return new Map(value.entries);
+  return value;
+}
+
 /**
  * Resets the current state.
  */
 function resetState() {
   try {
     sessionStorage.removeItem('bulklyState');
+    forgetDraft(); // the finished run's draft stays on the server; new work starts a new one
     localStorage.removeItem('pf_selling_region');
     // Clear the state object
     state = {
@@ -355,7 +393,8 @@ function resetState() {
       },
       productDesigns: {},
       productContent: {},
-      generatedImages: {}
+      generatedImages: {},
+      publishKeys: {}
     };
     console.log('State reset successfully');
   } catch (e) {
@@ -363,17 +402,141 @@ function resetState() {
   }
 }
 
+/**
+ * Calls a bulk-context function with the user's token; resolves { status, body }.
+ */
+async function draftRequest(method, path, payload) {
+  const token = localStorage.getItem('authToken');
+  const response = await fetch(`/.netlify/functions/${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    ...(payload ? { body: JSON.stringify(payload) } : {})
+  });
+  const body = await response.json().catch(() => ({}));
+  return { status: response.status, body };
+}
+
+function rememberDraft() {
+  try {
+    localStorage.setItem(DRAFT_CONFIG.storageKey, JSON.stringify({ sessionId: draft.sessionId, revision: draft.revision }));
+  } catch {}
+}
+
+function forgetDraft() {
+  clearTimeout(draft.timer);
+  draft = { sessionId: null, revision: 0, timer: null, disabled: false };
+  try { localStorage.removeItem(DRAFT_CONFIG.storageKey); } catch {}
+}
+
+/**
+ * Replaces the state with a draft's wizardState ({ version, savedAt, state }).
+ */
+function applyDraftState(wizardState) {
+  if (!wizardState || wizardState.version !== 1 || !wizardState.state) return false;
+  const restored = JSON.parse(JSON.stringify(wizardState.state), stateReviver);
+  state = { ...state, ...restored };
+  saveLocalState();
+  return true;
+}
+
+/**
+ * Loads the server-side draft to continue, if any. ?sessionId= always wins; otherwise this browser's
+ * draft is taken when another browser saved a newer revision, and without any local work the user is
+ * offered the workspace's newest draft.
+ */
+async function restoreDraft(hasLocalState) {
+  try {
+    const linked = new URLSearchParams(window.location.search).get('sessionId');
+    const known = JSON.parse(localStorage.getItem(DRAFT_CONFIG.storageKey) || 'null');
+    let sessionId = linked || (known && known.sessionId);
+
+    if (!sessionId) {
+      if (hasLocalState) return;
+      const { body } = await draftRequest('GET', 'list-bulk-contexts?limit=10');
+      const latest = (body.data || []).find(s => s.hasDraft && s.page === DRAFT_CONFIG.page);
+      if (!latest) return;
+      if (!confirm(`Continue the bulk run you saved on ${new Date(latest.updatedAt).toLocaleString()}?`)) return;
+      sessionId = latest.sessionId;
+    }
+
+    const { status, body } = await draftRequest('GET', `get-bulk-context?sessionId=${encodeURIComponent(sessionId)}`);
+    if (status !== 200 || !body.success) return;
+    const serverDraft = body.data || {};
+    const localRevision = known && known.sessionId === sessionId ? known.revision : -1;
+
+    draft.sessionId = sessionId;
+    draft.revision = serverDraft.revision || 0;
+    rememberDraft();
+
+    if (serverDraft.wizardState && (!hasLocalState || linked || draft.revision > localRevision)) {
+      applyDraftState(serverDraft.wizardState);
+      console.log(`[DRAFT] Restored ${sessionId} (revision ${draft.revision})`);
+    }
+  } catch (e) {
+    console.warn('Could not restore server-side draft', e);
+  }
+}
+
+function scheduleDraftSave() {
+  if (draft.disabled) return;
+  clearTimeout(draft.timer);
+  draft.timer = setTimeout(() => saveDraft().catch(e => console.warn('Could not save draft', e)), DRAFT_CONFIG.saveDelayMs);
+}
+
+/**
+ * Saves the state as the server-side draft. force overwrites a newer revision from another browser.
+ */
+async function saveDraft(force = false) {
+  if (!draft.sessionId) draft.sessionId = `bulkly_${Date.now()}`;
+
+  const persisted = { ...state };
+  DRAFT_CONFIG.transientKeys.forEach(key => delete persisted[key]);
+  const { status, body } = await draftRequest('POST', 'save-bulk-context', {
+    sessionId: draft.sessionId,
+    page: DRAFT_CONFIG.page,
+    step: `step${state.currentStep}`,
+    selectedProducts: Array.from(state.selectedProducts || []),
+    wizardState: { version: 1, savedAt: new Date().toISOString(), state: JSON.parse(JSON.stringify(persisted, stateReplacer)) },
+    baseRevision: draft.revision,
+    force
+  });
+
+  if (status === 200 && body.success) {
+    draft.revision = body.revision;
+    rememberDraft();
+  } else if (status === 409) {
+    if (confirm('This bulk run was changed in another browser. Load that version? (Cancel keeps this one)')) {
+      const { body: latest } = await draftRequest('GET', `get-bulk-context?sessionId=${encodeURIComponent(draft.sessionId)}`);
+      draft.revision = (latest.data && latest.data.revision) || 0;
+      rememberDraft();
+      if (applyDraftState(latest.data && latest.data.wizardState)) {
+        navigateToStep(state.currentStep);
+        await initializeStep(state.currentStep);
+      }
+    } else {
+      draft.revision = body.revision || 0;
+      await saveDraft(true);
+    }
+  } else if (status === 413) {
+    // Retrying cannot help; this tab keeps its sessionStorage copy
+    draft.disabled = true;
+    console.warn('[DRAFT] State too large for a server-side draft; autosave disabled', body.error);
+  } else {
+    console.warn(`[DRAFT] Save failed (${status}):`, body.error);
+  }
+}
+
 // ============================================================================
 // 2. AUTH & NAVIGATION
 // ============================================================================
 
 /**
- * Logs the user out by clearing credentials and redirecting.
+ * Logs the user out by revoking the session, clearing credentials and redirecting.
  */
 function logout() {
-  localStorage.removeItem('authToken');
+  forgetDraft();
   sessionStorage.clear();
-  window.location.href = '/auth.html';
+  window.authSession.logout();
 }
 
 /**
@@ -1283,6 +1446,12 @@ async function fetchWithRetry(url, options = {}, maxRetries = RATE_LIMIT_CONFIG.
         
         // Calculate wait time: use retry-after header if available, otherwise exponential backoff
         let waitMs;
+        if (retryAfterSeconds && retryAfterSeconds * 1000 > RATE_LIMIT_CONFIG.maxDelayMs) {
+          // e.g. the monthly plan quota is used up; waiting will not help this batch
+          const info = await response.json().catch(() => ({}));
+          clearRateLimitIndicator();
+          throw Object.assign(new Error(info.error || `Rate limited for ${retryAfterSeconds}s`), { noRetry: true });
+        }
         if (retryAfterSeconds) {
           waitMs = retryAfterSeconds * 1000;
           console.warn(`[RATE-LIMIT] Server requested retry after ${retryAfterSeconds}s`);
@@ -1316,7 +1485,7 @@ async function fetchWithRetry(url, options = {}, maxRetries = RATE_LIMIT_CONFIG.
       lastError = err;
       
       // If this is the last attempt, throw the error
-      if (attempt === maxRetries) {
+      if (attempt === maxRetries || err.noRetry) {
         console.error(`[RETRY] All ${maxRetries} attempts failed:`, err);
         throw err;
       }
@@ -1830,6 +1999,25 @@ function applyTargetMargin() {
  * Publishes the selected products to the store.
  * Iterates through all product cards and creates products in Printful.
  */
+/**
+ * Idempotency-Key for publishing one card. The key is kept in the state (and so survives a reload) for as
+ * long as the payload stays the same, so a retry or a second click gets the product the first request
+ * created instead of a duplicate; a changed payload (e.g. a new markup) is a new product and gets a new key.
+ */
+function publishKeyFor(cardId, payload) {
+  if (!state.publishKeys) state.publishKeys = {};
+  const fingerprint = JSON.stringify(payload);
+  const existing = state.publishKeys[cardId];
+  if (existing && existing.fingerprint === fingerprint) return existing.key;
+
+  const key = window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  state.publishKeys[cardId] = { key, fingerprint };
+  saveState();
+  return key;
+}
+
 async function publishSelectedProducts() {
   const token = localStorage.getItem('authToken');
   const storeId = localStorage.getItem('pf_store_id');
@@ -1949,17 +2137,15 @@ async function publishSelectedProducts() {
 
         // Call create-product function
         console.log(`[PUBLISH] Calling printful-create-product for ${title}...`);
+        const payload = { ...product, store_id: storeId, retail_price: retailPrice };
         const response = await fetch('/.netlify/functions/printful-create-product', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
+            'Authorization': `Bearer ${token}`,
+            'Idempotency-Key': publishKeyFor(`${dbProductId || catalogProductId}:${title}`, payload)
           },
-          body: JSON.stringify({
-            ...product,
-            store_id: storeId,
-            retail_price: retailPrice
-          })
+          body: JSON.stringify(payload)
         });
 
         console.log(`[PUBLISH] Response status for ${title}:`, response.status, response.statusText);
@@ -1974,6 +2160,9 @@ async function publishSelectedProducts() {
         console.log(`[PUBLISH] Parsed result for ${title}:`, result);
         
         if (result.success) {
+          if (response.headers.get('Idempotent-Replayed') === 'true') {
+            console.log(`[PUBLISH] ${title} was already created; reusing product ${result.product?.id}`);
+          }
           console.log(`✅ Product ${title} published successfully`);
           results.push({ success: true, productId: catalogProductId, title, message: 'Published' });
           publishBtnInCard.disabled = true;
@@ -0,0 +1,155 @@
+// Emailed single-use tokens: email verification and password reset.
+//
+// Only sha256 of a token is stored: users.verification_token (+ verification_expires_at) for verification,
+// password_reset_tokens for resets. Links are built on _mail.appUrl().
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { getSupabase } = require('./_supabase_node');
+const { sendMail, appUrl } = require('./_mail');
+const { revokeAllSessions } = require('./_sessions');
+
+const VERIFY_TTL_MS = 48 * 60 * 60 * 1000;
+const RESET_TTL_MS = 60 * 60 * 1000;
+// A reset requested again within this window reuses the pending one instead of sending another mail
+const RESET_RESEND_MS = 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+class TokenError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.reason = reason;
+  }
+}
+
+function newToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function greeting(user) {
+  return user.first_name ? `Hi ${user.first_name},` : 'Hi,';
+}
+
+async function issueVerification(user) {
+  const { token, hash } = newToken();
+  const { error } = await getSupabase(true)
+    .from('users')
+    .update({ verification_token: hash, verification_expires_at: new Date(Date.now() + VERIFY_TTL_MS).toISOString() })
+    .eq('id', user.id);
+  if (error) throw new Error(`Failed to store verification token: ${error.message}`);
+
+  const link = `${appUrl()}/api/auth-verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `${greeting(user)}\n\nConfirm your email address by opening this link within 48 hours:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`
+  });
+}
+
+// Marks the owner of the token verified; throws TokenError for unknown, used or expired tokens
+async function verifyEmail(token) {
+  if (!token) throw new TokenError('invalid_token', 'Verification link is invalid');
+  const supabase = getSupabase(true);
+  const hash = hashToken(token);
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, verification_expires_at')
+    .eq('verification_token', hash)
+    .maybeSingle();
+  if (error) throw new Error(`Verification lookup failed: ${error.message}`);
+  if (!user) throw new TokenError('invalid_token', 'Verification link is invalid or was already used');
+  if (user.verification_expires_at && Date.parse(user.verification_expires_at) <= Date.now()) {
+    throw new TokenError('token_expired', 'Verification link has expired');
+  }
+
+  const { error: updateError } = await supabase
+    .from('users')
+    .update({ email_verified: true, verification_token: null, verification_expires_at: null })
+    .eq('id', user.id)
+    .eq('verification_token', hash);
+  if (updateError) throw new Error(`Failed to verify email: ${updateError.message}`);
+  return { userId: user.id, email: user.email };
+}
+
+// Sends a reset link to the account's address. Returns false when a recent link is still pending.
+async function issuePasswordReset(user, requestedIp) {
+  const supabase = getSupabase(true);
+  const { data: pending, error: pendingError } = await supabase
+    .from('password_reset_tokens')
+    .select('id, created_at')
+    .eq('user_id', user.id)
+    .is('used_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (pendingError) throw new Error(`Reset lookup failed: ${pendingError.message}`);
+  if (pending && pending[0] && Date.now() - Date.parse(pending[0].created_at) < RESET_RESEND_MS) return false;
+
+  // Only the newest link works
+  await supabase.from('password_reset_tokens').delete().eq('user_id', user.id).is('used_at', null);
+
+  const { token, hash } = newToken();
+  const { error } = await supabase
+    .from('password_reset_tokens')
+    .insert({
+      user_id: user.id,
+      token_hash: hash,
+      expires_at: new Date(Date.now() + RESET_TTL_MS).toISOString(),
+      requested_ip: requestedIp || null
+    });
+  if (error) throw new Error(`Failed to store reset token: ${error.message}`);
+
+  const link = `${appUrl()}/auth.html?reset=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `${greeting(user)}\n\nSomeone asked to reset the password for this account. Choose a new password within 1 hour:\n\n${link}\n\nIf this was not you, ignore this email; your password stays the same.`
+  });
+  return true;
+}
+
+// Sets a new password for the token's owner and signs out every session; throws TokenError
+async function resetPassword(token, password) {
+  if (!token) throw new TokenError('invalid_token', 'Reset link is invalid');
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new TokenError('weak_password', `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  const supabase = getSupabase(true);
+  const hash = hashToken(token);
+  const { data: reset, error } = await supabase
+    .from('password_reset_tokens')
+    .select('id, user_id, expires_at, used_at')
+    .eq('token_hash', hash)
+    .maybeSingle();
+  if (error) throw new Error(`Reset lookup failed: ${error.message}`);
+  if (!reset || reset.used_at) throw new TokenError('invalid_token', 'Reset link is invalid or was already used');
+  if (Date.parse(reset.expires_at) <= Date.now()) throw new TokenError('token_expired', 'Reset link has expired');
+
+  // Claim the token first so two submissions cannot both succeed
+  const { data: claimed, error: claimError } = await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', reset.id)
+    .is('used_at', null)
+    .select('id');
+  if (claimError) throw new Error(`Failed to use reset token: ${claimError.message}`);
+  if (!claimed || !claimed.length) throw new TokenError('invalid_token', 'Reset link is invalid or was already used');
+
+  const passwordHash = await bcrypt.hash(String(password), 12);
+  // The link reached the inbox, which proves the address as well
+  const { error: updateError } = await supabase
+    .from('users')
+    .update({ password_hash: passwordHash, email_verified: true, updated_at: new Date().toISOString() })
+    .eq('id', reset.user_id);
+  if (updateError) throw new Error(`Failed to update password: ${updateError.message}`);
+
+  await revokeAllSessions(reset.user_id, 'password_reset');
+  return { userId: reset.user_id };
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, TokenError, issueVerification, verifyEmail, issuePasswordReset, resetPassword };
@@ -0,0 +1,189 @@
+// Shared auth for Netlify Functions.
+//
+//   exports.handler = withAuth(async (event, context, auth) => { ... }, { scopes: ['jobs'], cors });
+//
+// withAuth answers CORS preflight, verifies the Bearer JWT from the Authorization header, loads the user
+// row, resolves the active workspace and checks the route's scopes and role before calling the handler. auth is
+//   { userId, token, claims, scopes, user, workspace: { id, name, personal, role } }
+// Failures return 401 (missing/invalid/expired/revoked token, unknown user) or 403 (missing scope, not a
+// member of the workspace, role too low) as
+//   { success: false, error: 'Unauthorized' | 'Forbidden', reason, required?, required_role? }
+//
+// Scopes: session tokens from auth-login/auth-refresh carry no scope claim and get USER_SCOPES; tokens minted for
+// background work (runnerAuthHeader) carry a narrower `scope` claim. 'admin' is granted to the emails
+// listed in ADMIN_EMAILS and guards the debug/diagnostic functions.
+//
+// Workspaces: the token's `wid` claim names the active workspace (auth-login puts the personal one there,
+// workspace-switch re-issues the token); tokens without it use the caller's personal workspace. Roles rank
+// viewer < editor < owner; `role` in the options is the minimum a route needs.
+
+const jwt = require('jsonwebtoken');
+const { getSupabase } = require('./_supabase_node');
+
+const USER_SCOPES = ['account', 'credentials', 'products', 'jobs', 'ai'];
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const DEFAULT_CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+// Warm instances serve many requests for the same user; avoid a users lookup on every call
+const USER_CACHE_MS = 60 * 1000;
+const userCache = new Map();
+const memberCache = new Map();
+
+const USER_COLUMNS = 'id, email, first_name, last_name, company_name, email_verified, created_at, sessions_revoked_at';
+
+class AuthError extends Error {
+  constructor(statusCode, reason, message, extra = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+    this.extra = extra;
+  }
+}
+
+function bearerToken(event) {
+  const header = event.headers && (event.headers.authorization || event.headers.Authorization);
+  const m = typeof header === 'string' ? header.match(/^Bearer\s+(.+)$/i) : null;
+  return m ? m[1].trim() : null;
+}
+
+function verifyToken(token) {
+  if (!token) throw new AuthError(401, 'missing_token', 'Missing bearer token');
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not configured');
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (e) {
+    if (e && e.name === 'TokenExpiredError') throw new AuthError(401, 'token_expired', 'Session expired, please sign in again');
+    throw new AuthError(401, 'invalid_token', 'Invalid token');
+  }
+}
+
+function claimScopes(claims) {
+  const raw = claims.scope !== undefined ? claims.scope : claims.scopes;
+  if (raw === undefined || raw === null) return USER_SCOPES.slice();
+  return (Array.isArray(raw) ? raw : String(raw).split(/[\s,]+/)).map(String).filter(Boolean);
+}
+
+function isAdminEmail(email) {
+  const admins = String(process.env.ADMIN_EMAILS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  return !!email && admins.includes(String(email).toLowerCase());
+}
+
+async function loadUser(userId) {
+  const hit = userCache.get(userId);
+  if (hit && Date.now() - hit.at < USER_CACHE_MS) return hit.user;
+  const { data, error } = await getSupabase()
+    .from('users')
+    .select(USER_COLUMNS)
+    .eq('id', userId)
+    .maybeSingle();
+  if (error) throw new Error(`User lookup failed: ${error.message}`);
+  if (data) userCache.set(userId, { user: data, at: Date.now() });
+  return data || null;
+}
+
+// The caller's role in workspaceId, or in their personal workspace when workspaceId is empty
+async function loadMembership(userId, workspaceId) {
+  const key = `${userId}:${workspaceId || ''}`;
+  const hit = memberCache.get(key);
+  if (hit && Date.now() - hit.at < USER_CACHE_MS) return hit.workspace;
+  let query = getSupabase()
+    .from('workspace_members')
+    .select('role, workspaces!inner(id, name, personal, created_by)')
+    .eq('user_id', userId);
+  query = workspaceId
+    ? query.eq('workspace_id', workspaceId)
+    : query.eq('workspaces.personal', true).eq('workspaces.created_by', userId);
+  const { data, error } = await query.limit(1);
+  if (error) throw new Error(`Workspace lookup failed: ${error.message}`);
+  const row = data && data[0];
+  const workspace = row ? { id: row.workspaces.id, name: row.workspaces.name, personal: !!row.workspaces.personal, role: row.role } : null;
+  if (workspace) memberCache.set(key, { workspace, at: Date.now() });
+  return workspace;
+}
+
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min);
+}
+
+// Verify the request and resolve { userId, token, claims, scopes, user, workspace }; throws AuthError
+async function authenticate(event, { scopes = [], role = null, loadUser: withUser = true, queryToken = false } = {}) {
+  // queryToken: EventSource and browser redirects cannot set headers, so those endpoints may take the
+  // token from ?token= (true) or from a named query parameter (e.g. 'state' for OAuth round trips)
+  const param = queryToken === true ? 'token' : queryToken;
+  const token = bearerToken(event) || (param && event.queryStringParameters && event.queryStringParameters[param]) || null;
+  const claims = verifyToken(token);
+  const userId = claims.sub || claims.id || claims.userId;
+  if (!userId) throw new AuthError(401, 'invalid_token', 'Token has no subject');
+
+  const user = withUser ? await loadUser(String(userId)) : null;
+  if (withUser && !user) throw new AuthError(401, 'user_not_found', 'Account no longer exists');
+  // Logout everywhere: every token issued before the cut-off is dead, including scoped runner tokens, so
+  // running jobs stop too. iat has whole seconds, so a token from the same second as the cut-off survives.
+  // The user row is cached, so other warm instances notice within USER_CACHE_MS.
+  if (user && user.sessions_revoked_at && claims.iat < Math.floor(Date.parse(user.sessions_revoked_at) / 1000)) {
+    throw new AuthError(401, 'session_revoked', 'Session has been signed out');
+  }
+
+  const granted = claimScopes(claims);
+  if (isAdminEmail((user && user.email) || claims.email) && claims.scope === undefined) granted.push('admin');
+  const missing = scopes.filter(s => !granted.includes(s));
+  if (missing.length) throw new AuthError(403, 'missing_scope', `Requires scope: ${missing.join(', ')}`, { required: missing });
+
+  const workspace = await loadMembership(String(userId), claims.wid || null);
+  if (!workspace) {
+    if (claims.wid) throw new AuthError(403, 'not_a_member', 'You are not a member of this workspace');
+    throw new AuthError(403, 'no_workspace', 'No workspace found for this account');
+  }
+  if (role && !roleAtLeast(workspace.role, role)) {
+    throw new AuthError(403, 'insufficient_role', `Requires the ${role} role in this workspace`, { required_role: role });
+  }
+
+  return { userId: String(userId), token, claims, scopes: granted, user, workspace };
+}
+
+// For routes where only some methods need a higher role: returns the 403 response, or null when allowed
+function requireRole(auth, role, cors = DEFAULT_CORS) {
+  if (auth.workspace && roleAtLeast(auth.workspace.role, role)) return null;
+  return authErrorResponse(new AuthError(403, 'insufficient_role', `Requires the ${role} role in this workspace`, { required_role: role }), cors);
+}
+
+function authErrorResponse(err, cors = DEFAULT_CORS) {
+  const body = {
+    success: false,
+    error: err.statusCode === 403 ? 'Forbidden' : err.statusCode === 409 ? 'Conflict' : 'Unauthorized',
+    reason: err.reason,
+    message: err.message,
+    ...err.extra
+  };
+  const headers = { ...cors, 'Content-Type': 'application/json' };
+  if (err.statusCode === 401) headers['WWW-Authenticate'] = `Bearer error="${err.reason === 'missing_token' ? 'invalid_request' : 'invalid_token'}"`;
+  if (err.statusCode === 403 && err.reason === 'missing_scope') headers['WWW-Authenticate'] = `Bearer error="insufficient_scope", scope="${(err.extra.required || []).join(' ')}"`;
+  return { statusCode: err.statusCode, headers, body: JSON.stringify(body) };
+}
+
+// options: { scopes: string[], role: minimum workspace role, loadUser: boolean (default true), queryToken: boolean | param name,
+//            cors: headers for preflight and auth errors }
+function withAuth(handler, options = {}) {
+  const cors = options.cors || DEFAULT_CORS;
+  return async (event, context) => {
+    if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
+    let auth;
+    try {
+      auth = await authenticate(event, options);
+    } catch (e) {
+      if (e instanceof AuthError) return authErrorResponse(e, cors);
+      console.error('[auth] Authentication error:', e && (e.message || e));
+      return { statusCode: 500, headers: { ...cors, 'Content-Type': 'application/json' }, body: JSON.stringify({ success: false, error: 'Authentication unavailable' }) };
+    }
+    return handler(event, context, auth);
+  };
+}
+
+module.exports = { USER_SCOPES, ROLES, AuthError, withAuth, authenticate, authErrorResponse, bearerToken, roleAtLeast, requireRole };
@@ -0,0 +1,169 @@
+// Stripe billing: customers, checkout for subscription_plans and syncing subscriptions into user_subscriptions.
+//
+// Plans are linked to Stripe through subscription_plans.stripe_price_id. A subscription is always re-read from
+// Stripe before it is stored, so webhook events arriving out of order or twice still leave the latest state.
+// Billing belongs to the user (not the workspace).
+//
+// STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET configure Stripe; STRIPE_TRIAL_DAYS (default 14, 0 to disable)
+// is the trial given on a user's first subscription.
+
+const { getSupabase } = require('./_supabase_node');
+const { appUrl } = require('./_mail');
+
+// Stripe statuses that grant the plan's limits
+const ACTIVE_STATUSES = ['active', 'trialing'];
+// Statuses after which a subscription is over for good; anything else (past_due included) blocks a second one
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+class BillingError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'BillingError';
+    this.statusCode = statusCode;
+  }
+}
+
+let stripeClient = null;
+function getStripe() {
+  if (!process.env.STRIPE_SECRET_KEY) throw new BillingError(503, 'Billing is not configured');
+  if (!stripeClient) stripeClient = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  return stripeClient;
+}
+
+function toIso(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function trialDays() {
+  const days = parseInt(process.env.STRIPE_TRIAL_DAYS, 10);
+  return Number.isFinite(days) ? Math.max(0, days) : 14;
+}
+
+async function findPlan(supabase, { planId, plan }) {
+  let query = supabase.from('subscription_plans').select('id, name, stripe_price_id');
+  query = planId ? query.eq('id', planId) : query.ilike('name', String(plan || ''));
+  const { data, error } = await query.maybeSingle();
+  if (error) throw new Error(`Plan lookup failed: ${error.message}`);
+  if (!data) throw new BillingError(404, 'Plan not found');
+  if (!data.stripe_price_id) throw new BillingError(400, `Plan ${data.name} cannot be purchased online`);
+  return data;
+}
+
+// users.stripe_customer_id is not part of the row withAuth loads
+async function customerId(supabase, userId) {
+  const { data, error } = await supabase.from('users').select('stripe_customer_id').eq('id', userId).single();
+  if (error) throw new Error(`User lookup failed: ${error.message}`);
+  return data.stripe_customer_id || null;
+}
+
+// Stripe customer of the user, created on first checkout
+async function ensureCustomer(supabase, user) {
+  const existing = await customerId(supabase, user.id);
+  if (existing) return existing;
+  const customer = await getStripe().customers.create({
+    email: user.email,
+    name: [user.first_name, user.last_name].filter(Boolean).join(' ') || undefined,
+    metadata: { user_id: String(user.id) }
+  });
+  // Another checkout may have stored one meanwhile; keep the first
+  const { data, error } = await supabase
+    .from('users')
+    .update({ stripe_customer_id: customer.id })
+    .eq('id', user.id)
+    .is('stripe_customer_id', null)
+    .select('stripe_customer_id');
+  if (error) throw new Error(`Failed to save Stripe customer: ${error.message}`);
+  if (data && data.length) return customer.id;
+  return customerId(supabase, user.id);
+}
+
+async function createCheckoutSession(user, selection) {
+  const supabase = getSupabase(true);
+  const plan = await findPlan(supabase, selection);
+
+  const { data: subs, error } = await supabase
+    .from('user_subscriptions')
+    .select('status, stripe_subscription_id')
+    .eq('user_id', user.id)
+    .not('stripe_subscription_id', 'is', null);
+  if (error) throw new Error(`Subscription lookup failed: ${error.message}`);
+  if ((subs || []).some(s => !ENDED_STATUSES.includes(s.status))) {
+    throw new BillingError(409, 'You already have a subscription; change plans from the billing portal');
+  }
+
+  const customer = await ensureCustomer(supabase, user);
+  const trial = (subs || []).length ? 0 : trialDays();
+  const session = await getStripe().checkout.sessions.create({
+    mode: 'subscription',
+    customer,
+    client_reference_id: String(user.id),
+    line_items: [{ price: plan.stripe_price_id, quantity: 1 }],
+    subscription_data: {
+      metadata: { user_id: String(user.id), plan_id: String(plan.id) },
+      ...(trial ? { trial_period_days: trial } : {})
+    },
+    allow_promotion_codes: true,
+    success_url: `${appUrl()}/dashboard.html?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${appUrl()}/dashboard.html?checkout=cancelled`
+  });
+  return { url: session.url, id: session.id, plan: plan.name };
+}
+
+async function createPortalSession(user) {
+  const customer = await customerId(getSupabase(true), user.id);
+  if (!customer) throw new BillingError(404, 'No billing account yet; subscribe to a plan first');
+  const session = await getStripe().billingPortal.sessions.create({
+    customer,
+    return_url: `${appUrl()}/dashboard.html#settings`
+  });
+  return { url: session.url };
+}
+
+// The app user a subscription belongs to: checkout metadata first, then the customer id
+async function resolveUserId(supabase, subscription) {
+  if (subscription.metadata && subscription.metadata.user_id) return parseInt(subscription.metadata.user_id, 10);
+  const { data, error } = await supabase.from('users').select('id').eq('stripe_customer_id', subscription.customer).maybeSingle();
+  if (error) throw new Error(`User lookup failed: ${error.message}`);
+  return data ? data.id : null;
+}
+
+// Store the current state of a Stripe subscription (id) in user_subscriptions
+async function syncSubscription(subscriptionId) {
+  const supabase = getSupabase(true);
+  const subscription = await getStripe().subscriptions.retrieve(subscriptionId);
+  const userId = await resolveUserId(supabase, subscription);
+  if (!userId) {
+    console.warn(`[billing] Subscription ${subscription.id} has no matching user (customer ${subscription.customer})`);
+    return null;
+  }
+
+  const priceId = subscription.items && subscription.items.data[0] && subscription.items.data[0].price.id;
+  const { data: plan, error: planError } = await supabase
+    .from('subscription_plans')
+    .select('id')
+    .eq('stripe_price_id', priceId)
+    .maybeSingle();
+  if (planError) throw new Error(`Plan lookup failed: ${planError.message}`);
+  if (!plan) console.warn(`[billing] No subscription_plans row for Stripe price ${priceId}`);
+
+  const row = {
+    user_id: userId,
+    plan_id: plan ? plan.id : null,
+    status: subscription.status,
+    current_period_start: toIso(subscription.current_period_start),
+    current_period_end: toIso(subscription.current_period_end),
+    cancel_at_period_end: !!subscription.cancel_at_period_end,
+    canceled_at: toIso(subscription.canceled_at),
+    stripe_subscription_id: subscription.id,
+    stripe_customer_id: subscription.customer,
+    updated_at: new Date().toISOString()
+  };
+  const { error } = await supabase.from('user_subscriptions').upsert(row, { onConflict: 'stripe_subscription_id' });
+  if (error) throw new Error(`Failed to store subscription: ${error.message}`);
+
+  // Customers created outside checkout (e.g. in the Stripe dashboard) get linked on their first event
+  await supabase.from('users').update({ stripe_customer_id: subscription.customer }).eq('id', userId).is('stripe_customer_id', null);
+  return row;
+}
+
+module.exports = { ACTIVE_STATUSES, BillingError, getStripe, createCheckoutSession, createPortalSession, syncSubscription };
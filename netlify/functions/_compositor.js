@@ -0,0 +1,156 @@
+// Server-side design compositing: renders the print-ready PNG for one placement from a design image, the
+// placement's fine-tune transform and the printfile spec, so the result no longer depends on a browser canvas
+// and the background runner can produce the same file.
+//
+// transform (Step 5 fine-tune override):
+//   x, y      offset of the design's centre from the print area's centre, in print-file pixels
+//   scale     1 = the design fitted into the print area (see fill_mode); 0.5 = half that size
+//   rotation  degrees clockwise around the design's centre
+// printfile: { width, height } in pixels (or get-print-area-specs' width_pixels / height_pixels),
+//   dpi (default 300), fill_mode 'fit' (whole design visible, the default) or 'cover' (area filled)
+//
+// The output is a transparent PNG of exactly width x height tagged with the printfile's DPI. Whatever falls
+// outside the print area is cropped; a design entirely outside it is an error.
+
+const sharp = require('sharp');
+const fetch = require('node-fetch');
+
+const DEFAULT_DPI = 300;
+const MAX_DESIGN_BYTES = 25 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 20000;
+// Keeps raw RGBA buffers within the function's memory (~240 MB each)
+const MAX_PRINTFILE_PIXELS = 60 * 1000 * 1000;
+const MAX_LAYER_PIXELS = 60 * 1000 * 1000;
+const SCALE_RANGE = [0.05, 10];
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+class CompositorError extends Error {
+  constructor(statusCode, reason, message) {
+    super(message);
+    this.name = 'CompositorError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+  }
+}
+
+function finiteOr(value, fallback) {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeTransform(transform = {}) {
+  if (!transform || typeof transform !== 'object') throw new CompositorError(400, 'invalid_transform', 'transform must be an object');
+  const scale = finiteOr(transform.scale, 1);
+  if (scale < SCALE_RANGE[0] || scale > SCALE_RANGE[1]) {
+    throw new CompositorError(400, 'invalid_transform', `transform.scale must be between ${SCALE_RANGE[0]} and ${SCALE_RANGE[1]}`);
+  }
+  const rotation = finiteOr(transform.rotation, 0);
+  return {
+    x: finiteOr(transform.x, 0),
+    y: finiteOr(transform.y, 0),
+    scale,
+    rotation: ((rotation % 360) + 360) % 360
+  };
+}
+
+function normalizePrintfile(printfile = {}) {
+  if (!printfile || typeof printfile !== 'object') throw new CompositorError(400, 'invalid_printfile', 'printfile must be an object');
+  const width = Math.round(finiteOr(printfile.width, finiteOr(printfile.width_pixels, 0)));
+  const height = Math.round(finiteOr(printfile.height, finiteOr(printfile.height_pixels, 0)));
+  if (width < 1 || height < 1) throw new CompositorError(400, 'invalid_printfile', 'printfile.width and printfile.height (pixels) are required');
+  if (width * height > MAX_PRINTFILE_PIXELS) throw new CompositorError(400, 'invalid_printfile', `printfile is larger than ${MAX_PRINTFILE_PIXELS} pixels`);
+  const dpi = finiteOr(printfile.dpi, DEFAULT_DPI);
+  const fillMode = printfile.fill_mode === 'cover' ? 'cover' : 'fit';
+  return { width, height, dpi: dpi > 0 ? dpi : DEFAULT_DPI, fill_mode: fillMode };
+}
+
+// Design bytes from an http(s) URL or a base64 data URL
+async function loadDesign(imageUrl) {
+  if (typeof imageUrl !== 'string' || !imageUrl) throw new CompositorError(400, 'invalid_image', 'image_url is required');
+
+  const dataMatch = imageUrl.match(/^data:[^;,]+;base64,(.*)$/);
+  if (dataMatch) {
+    const buffer = Buffer.from(dataMatch[1], 'base64');
+    if (buffer.length > MAX_DESIGN_BYTES) throw new CompositorError(413, 'image_too_large', 'Design image is larger than 25 MB');
+    return buffer;
+  }
+  if (!/^https?:\/\//i.test(imageUrl)) throw new CompositorError(400, 'invalid_image', 'image_url must be an http(s) or data URL');
+
+  let res;
+  try {
+    res = await fetch(imageUrl, { timeout: DOWNLOAD_TIMEOUT_MS, size: MAX_DESIGN_BYTES });
+  } catch (e) {
+    throw new CompositorError(502, 'image_download_failed', `Failed to download design: ${e.message}`);
+  }
+  if (!res.ok) throw new CompositorError(502, 'image_download_failed', `Failed to download design: ${res.status} ${res.statusText}`);
+  try {
+    return await res.buffer();
+  } catch (e) {
+    const tooLarge = e.type === 'max-size';
+    throw new CompositorError(tooLarge ? 413 : 502, tooLarge ? 'image_too_large' : 'image_download_failed', tooLarge ? 'Design image is larger than 25 MB' : `Failed to download design: ${e.message}`);
+  }
+}
+
+// Renders the print file; resolves { buffer, width, height, dpi, effectiveDpi, placed }
+async function composeDesign(designBuffer, transform, printfile) {
+  const t = normalizeTransform(transform);
+  const spec = normalizePrintfile(printfile);
+
+  // Decode once, applying EXIF orientation like a browser <img> does
+  let design;
+  try {
+    design = await sharp(designBuffer).rotate().ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  } catch (e) {
+    throw new CompositorError(422, 'invalid_image', `Design is not a readable image: ${e.message}`);
+  }
+
+  const fit = spec.fill_mode === 'cover' ? Math.max : Math.min;
+  const factor = fit(spec.width / design.info.width, spec.height / design.info.height) * t.scale;
+  const width = Math.max(1, Math.round(design.info.width * factor));
+  const height = Math.max(1, Math.round(design.info.height * factor));
+  if (width * height > MAX_LAYER_PIXELS) throw new CompositorError(422, 'transform_too_large', 'The scaled design is too large to render; lower transform.scale');
+
+  // sharp rotates before it resizes within one pipeline, so resize and rotate are separate passes
+  let layer = await sharp(design.data, { raw: design.info })
+    .resize(width, height, { fit: 'fill', kernel: 'lanczos3' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  if (t.rotation) {
+    layer = await sharp(layer.data, { raw: layer.info })
+      .rotate(t.rotation, { background: TRANSPARENT })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  // Place the (rotated) layer's centre and crop it to the print area
+  const left = Math.round(spec.width / 2 + t.x - layer.info.width / 2);
+  const top = Math.round(spec.height / 2 + t.y - layer.info.height / 2);
+  const x0 = Math.max(0, left);
+  const y0 = Math.max(0, top);
+  const x1 = Math.min(spec.width, left + layer.info.width);
+  const y1 = Math.min(spec.height, top + layer.info.height);
+  if (x1 <= x0 || y1 <= y0) throw new CompositorError(422, 'design_outside_print_area', 'The transform moves the design entirely outside the print area');
+
+  const visible = await sharp(layer.data, { raw: layer.info })
+    .extract({ left: x0 - left, top: y0 - top, width: x1 - x0, height: y1 - y0 })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const buffer = await sharp({ create: { width: spec.width, height: spec.height, channels: 4, background: TRANSPARENT } })
+    .composite([{ input: visible.data, raw: visible.info, left: x0, top: y0 }])
+    .withMetadata({ density: spec.dpi })
+    .png()
+    .toBuffer();
+
+  return {
+    buffer,
+    width: spec.width,
+    height: spec.height,
+    dpi: spec.dpi,
+    // DPI the design's own pixels print at; below the printfile's DPI means it was upscaled
+    effectiveDpi: Math.round(spec.dpi / factor),
+    placed: { left, top, width, height, rotation: t.rotation }
+  };
+}
+
+module.exports = { CompositorError, normalizeTransform, normalizePrintfile, loadDesign, composeDesign };
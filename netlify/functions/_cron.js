@@ -0,0 +1,83 @@
+// Minimal 5-field cron support (minute hour day-of-month month day-of-week), evaluated in UTC.
+// Supports *, numbers, lists (1,3), ranges (1-5) and steps (*/15, 1-10/2). Day of week: 0-6, Sunday = 0 (7 also accepted).
+// Used by quick job schedules, e.g. "0 9 * * 1" = every Monday at 09:00 UTC.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of String(text).split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in cron ${name}: ${part}`);
+    let lo;
+    let hi;
+    if (rangeText === '*') {
+      lo = min; hi = max;
+    } else if (rangeText.includes('-')) {
+      [lo, hi] = rangeText.split('-').map(n => parseInt(n, 10));
+    } else {
+      lo = parseInt(rangeText, 10);
+      hi = stepText === undefined ? lo : max;
+    }
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  // Standard cron: when both day fields are restricted, a day matches if either does. Like Vixie cron, a field
+  // starting with * (e.g. */2) counts as unrestricted, so "0 0 */2 * 1" means Mondays on odd days.
+  return { minute, hour, dom, month, dow, domAny: parts[2].startsWith('*'), dowAny: parts[4].startsWith('*') };
+}
+
+function dayMatches(c, d) {
+  const domOk = c.dom.has(d.getUTCDate());
+  const dowOk = c.dow.has(d.getUTCDay());
+  if (c.domAny || c.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+// Next run strictly after `from`, or null if none within ~4 years (e.g. "0 0 31 2 *")
+function nextRun(expr, from = new Date()) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(from.getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+  const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1); d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(c, d)) {
+      d.setUTCDate(d.getUTCDate() + 1); d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!c.hour.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!c.minute.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
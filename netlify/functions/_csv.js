@@ -0,0 +1,61 @@
+// Minimal RFC 4180 CSV support: quoted fields, "" escapes, commas/newlines inside quotes, CRLF or LF.
+// Used by quick job import/export; spreadsheets (Excel, Google Sheets) export this format.
+
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field in CSV');
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  // Drop blank lines (e.g. trailing newline or spacer rows)
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+// Header row -> array of objects keyed by header name; `line` is the 1-based line in the sheet
+function csvToObjects(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { headers: [], records: [] };
+  const headers = rows[0].map(h => String(h).trim());
+  const records = rows.slice(1).map((r, i) => {
+    const rec = { line: i + 2 };
+    headers.forEach((h, j) => { rec[h] = r[j] !== undefined ? String(r[j]).trim() : ''; });
+    return rec;
+  });
+  return { headers, records };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = Array.isArray(value) ? value.join(', ') : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  // Spreadsheets evaluate cells starting with = + - @ as formulas; keep text (e.g. a title) as text
+  if (typeof value === 'string' && /^[=+\-@\t]/.test(s) && !Number.isFinite(Number(s))) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(headers, rows) {
+  return [headers, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, csvToObjects, toCsv };
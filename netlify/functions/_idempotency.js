@@ -0,0 +1,179 @@
+// Idempotency-Key support for the product create endpoints: a retried request (fetchWithRetry, the job
+// runner's 504 retry, a double click) gets the first request's result back instead of a second product.
+//
+// The first POST with a key claims it (a pending idempotency_keys row with the sha256 of the body). When the
+// handler answers 2xx the response is stored with the created product id; any other answer, or a throw,
+// releases the key so the request can be retried. Later requests with the key:
+// - completed, same body          -> the stored response again, with Idempotent-Replayed: true
+// - completed or pending, new body -> 422 idempotency_key_reused
+// - pending                        -> 409 idempotency_key_in_progress (Retry-After), taken over once stale
+// Keys are scoped to the user and endpoint and kept for KEY_TTL_HOURS.
+//
+// Errors talking to the database are logged and the request runs without idempotency.
+
+const crypto = require('crypto');
+const { createClient } = require('./_db');
+
+// A pending claim older than this belongs to an invocation that died (functions time out well before)
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const KEY_TTL_HOURS = 24;
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+class IdempotencyError extends Error {
+  constructor(statusCode, reason, message, extra = {}) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+    this.extra = extra;
+  }
+}
+
+function requestHash(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+// Claims the key; resolves { replay } with the stored row when it already completed, else { claimed: true }
+async function claimKey(userId, endpoint, key, hash) {
+  const client = createClient();
+  await client.connect();
+  try {
+    await client.query(
+      `delete from idempotency_keys where user_id = $1 and endpoint = $2 and key = $3
+       and created_at < now() - make_interval(hours => $4)`,
+      [userId, endpoint, key, KEY_TTL_HOURS]
+    );
+    const inserted = await client.query(
+      `insert into idempotency_keys (user_id, endpoint, key, request_hash) values ($1, $2, $3, $4)
+       on conflict (user_id, endpoint, key) do nothing`,
+      [userId, endpoint, key, hash]
+    );
+    if (inserted.rowCount === 1) return { claimed: true };
+
+    const r = await client.query(
+      `select request_hash, status, status_code, response, resource_id, extract(epoch from (now() - updated_at)) * 1000 as age_ms
+       from idempotency_keys where user_id = $1 and endpoint = $2 and key = $3`,
+      [userId, endpoint, key]
+    );
+    const row = r.rows[0];
+    if (!row) return claimKey(userId, endpoint, key, hash); // released between the insert and the select
+    if (row.request_hash !== hash) {
+      throw new IdempotencyError(422, 'idempotency_key_reused', 'This Idempotency-Key was already used with a different request');
+    }
+    if (row.status === 'completed') return { replay: row };
+    if (Number(row.age_ms) < STALE_CLAIM_MS) {
+      throw new IdempotencyError(409, 'idempotency_key_in_progress', 'A request with this Idempotency-Key is still being processed', { retryAfter: 5 });
+    }
+    const taken = await client.query(
+      `update idempotency_keys set updated_at = now()
+       where user_id = $1 and endpoint = $2 and key = $3 and status = 'pending' and updated_at < now() - make_interval(secs => $4)`,
+      [userId, endpoint, key, STALE_CLAIM_MS / 1000]
+    );
+    if (taken.rowCount !== 1) {
+      throw new IdempotencyError(409, 'idempotency_key_in_progress', 'A request with this Idempotency-Key is still being processed', { retryAfter: 5 });
+    }
+    return { claimed: true };
+  } finally {
+    await client.end();
+  }
+}
+
+async function completeKey(userId, endpoint, key, response, resourceId) {
+  const client = createClient();
+  try {
+    await client.connect();
+    await client.query(
+      `update idempotency_keys set status = 'completed', status_code = $4, response = $5, resource_id = $6, updated_at = now()
+       where user_id = $1 and endpoint = $2 and key = $3`,
+      [userId, endpoint, key, response.statusCode, response.body, resourceId == null ? null : String(resourceId)]
+    );
+  } catch (e) {
+    console.error(`[idempotency] Failed to store result for ${endpoint} key ${key}:`, e.message);
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+// Lets the key be used again after a failed attempt; logged rather than thrown so it never hides the failure
+async function releaseKey(userId, endpoint, key) {
+  const client = createClient();
+  try {
+    await client.connect();
+    await client.query(
+      "delete from idempotency_keys where user_id = $1 and endpoint = $2 and key = $3 and status = 'pending'",
+      [userId, endpoint, key]
+    );
+  } catch (e) {
+    console.error(`[idempotency] Failed to release ${endpoint} key ${key}:`, e.message);
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+function idempotencyErrorResponse(err, cors) {
+  const headers = { ...cors, 'Content-Type': 'application/json' };
+  if (err.extra.retryAfter) headers['Retry-After'] = String(err.extra.retryAfter);
+  return {
+    statusCode: err.statusCode,
+    headers,
+    body: JSON.stringify({ success: false, error: err.message, reason: err.reason, ...err.extra })
+  };
+}
+
+function parseBody(body) {
+  try {
+    return JSON.parse(body);
+  } catch (_) {
+    return null;
+  }
+}
+
+// Wraps an authenticated handler (inside withAuth). POSTs without an Idempotency-Key header run as before.
+// resourceId(body) picks the created resource's id out of a successful response body.
+function withIdempotency(endpoint, handler, { cors = {}, resourceId = () => null } = {}) {
+  return async (event, context, auth) => {
+    const key = (event.headers || {})['idempotency-key'];
+    if (event.httpMethod !== 'POST' || key === undefined) return handler(event, context, auth);
+    if (!KEY_RE.test(key)) {
+      return idempotencyErrorResponse(
+        new IdempotencyError(400, 'invalid_idempotency_key', 'Idempotency-Key must be 1-255 printable ASCII characters'),
+        cors
+      );
+    }
+
+    let claim;
+    try {
+      claim = await claimKey(auth.userId, endpoint, key, requestHash(event.body));
+    } catch (e) {
+      if (e instanceof IdempotencyError) return idempotencyErrorResponse(e, cors);
+      console.error(`[idempotency] ${endpoint} key check failed, running without it:`, e.message);
+      return handler(event, context, auth);
+    }
+
+    if (claim.replay) {
+      console.log(`[idempotency] Replaying ${endpoint} result for key ${key} (resource ${claim.replay.resource_id})`);
+      return {
+        statusCode: claim.replay.status_code,
+        headers: { ...cors, 'Content-Type': 'application/json', 'Idempotent-Replayed': 'true' },
+        body: claim.replay.response
+      };
+    }
+
+    let response;
+    try {
+      response = await handler(event, context, auth);
+    } catch (e) {
+      await releaseKey(auth.userId, endpoint, key);
+      throw e;
+    }
+    if (response && response.statusCode >= 200 && response.statusCode < 300) {
+      const body = parseBody(response.body);
+      await completeKey(auth.userId, endpoint, key, response, body ? resourceId(body) : null);
+    } else {
+      await releaseKey(auth.userId, endpoint, key);
+    }
+    return response;
+  };
+}
+
+module.exports = { IdempotencyError, withIdempotency, claimKey, completeKey, releaseKey, idempotencyErrorResponse };
@@ -0,0 +1,70 @@
+// Outgoing mail with a pluggable transport.
+//
+//   await sendMail({ to, subject, text, html });
+//
+// MAIL_TRANSPORT picks the transport:
+//   smtp     nodemailer over SMTP_HOST / SMTP_PORT (587) / SMTP_USER / SMTP_PASS, SMTP_SECURE=true for port 465
+//   file     writes each message as JSON to MAIL_DIR (default <tmpdir>/mail) for local development
+//   console  logs the message (the default when SMTP_HOST is not set)
+// MAIL_FROM sets the sender. Other transports can be added with registerTransport(name, async message => info).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const transports = {
+  async smtp(message) {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not configured');
+    // Loaded lazily so the file/console transports work without nodemailer installed
+    const nodemailer = require('nodemailer');
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    const info = await transporter.sendMail(message);
+    return { id: info.messageId };
+  },
+
+  async file(message) {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(dir, `${id}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    console.log(`[mail] Wrote "${message.subject}" for ${message.to} to ${file}`);
+    return { id, file };
+  },
+
+  async console(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+};
+
+// Base for links in emails: APP_URL or the Netlify site URL, never the request's Host header,
+// so a forged Host cannot point a reset or invitation link elsewhere
+function appUrl() {
+  return (process.env.APP_URL || process.env.URL || 'http://localhost:8888').replace(/\/+$/, '');
+}
+
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+function transportName() {
+  return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const name = transportName();
+  const send = transports[name];
+  if (!send) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  const from = process.env.MAIL_FROM || 'AI Product Generator <no-reply@localhost>';
+  return send({ from, to, subject, text, ...(html ? { html } : {}) });
+}
+
+module.exports = { sendMail, registerTransport, appUrl };
@@ -0,0 +1,94 @@
+// Uploads a file held in memory (composed print files) to the workspace's Printful File Library over OAuth.
+// Used by upload-composed-file (browser-composed PNGs) and compose-design (server-composed PNGs).
+
+const { createClient } = require('@supabase/supabase-js');
+const { encryptSecret, decryptSecret } = require('./_secrets');
+
+class PrintfulFileError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = 'PrintfulFileError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Access token of the workspace's Printful connection, refreshed when it expires within a minute
+async function printfulAccessToken(workspaceId) {
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+  const { data: workspace, error: workspaceError } = await supabase
+    .from('workspaces')
+    .select('printful_access_token_encrypted, printful_refresh_token_encrypted, printful_token_expires_at')
+    .eq('id', workspaceId)
+    .single();
+
+  if (workspaceError || !workspace || !workspace.printful_access_token_encrypted) {
+    throw new PrintfulFileError(401, 'Printful OAuth not connected for this workspace.');
+  }
+
+  const accessToken = decryptSecret(workspace.printful_access_token_encrypted);
+  const refreshToken = workspace.printful_refresh_token_encrypted ? decryptSecret(workspace.printful_refresh_token_encrypted) : null;
+  const expiresMs = workspace.printful_token_expires_at ? Date.parse(workspace.printful_token_expires_at) : null;
+  if (!refreshToken || !expiresMs || (expiresMs - Date.now()) > 60_000) return accessToken;
+
+  try {
+    const form = new URLSearchParams();
+    form.set('grant_type', 'refresh_token');
+    form.set('refresh_token', refreshToken);
+    form.set('client_id', process.env.PRINTFUL_CLIENT_ID);
+    form.set('client_secret', process.env.PRINTFUL_CLIENT_SECRET);
+    const tokenRes = await fetch('https://www.printful.com/oauth/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString()
+    });
+    const tokenJson = await tokenRes.json().catch(() => ({}));
+    if (!tokenRes.ok || !tokenJson?.access_token) return accessToken;
+
+    const newRefresh = tokenJson.refresh_token || refreshToken;
+    const expiresAtUnix = tokenJson.expires_at ? parseInt(tokenJson.expires_at, 10) : null;
+    const newExpiresIso = expiresAtUnix ? new Date(expiresAtUnix * 1000).toISOString() : null;
+    await supabase
+      .from('workspaces')
+      .update({
+        printful_access_token_encrypted: encryptSecret(tokenJson.access_token),
+        printful_refresh_token_encrypted: newRefresh ? encryptSecret(newRefresh) : workspace.printful_refresh_token_encrypted,
+        printful_token_expires_at: newExpiresIso || workspace.printful_token_expires_at
+      })
+      .eq('id', workspaceId);
+    return tokenJson.access_token;
+  } catch {
+    return accessToken;
+  }
+}
+
+// Resolves { id, url, details } of the new library file; throws PrintfulFileError
+async function uploadToPrintfulLibrary(workspaceId, buffer, { filename = 'composed.png', mime = 'image/png' } = {}) {
+  const accessToken = await printfulAccessToken(workspaceId);
+
+  // Build multipart form using native FormData/Blob (Node 18+ / undici)
+  const fd = new FormData();
+  fd.append('file', new Blob([buffer], { type: mime }), filename);
+
+  const pfRes = await fetch('https://api.printful.com/files', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`
+      // Note: do NOT set Content-Type; fetch sets proper multipart boundary
+    },
+    body: fd
+  });
+
+  const raw = await pfRes.text();
+  let json; try { json = raw ? JSON.parse(raw) : {}; } catch { json = {}; }
+  if (!pfRes.ok) throw new PrintfulFileError(pfRes.status, 'Printful upload failed', json || raw);
+
+  // Printful response: { result: { id, type, hash, url, ... }, ... }
+  const fileObj = json?.result || json?.data || json;
+  const url = fileObj?.url || fileObj?.thumbnail_url || null;
+  if (!url) throw new PrintfulFileError(500, 'Upload succeeded but URL missing', json);
+
+  return { id: fileObj?.id || null, url, details: fileObj };
+}
+
+module.exports = { PrintfulFileError, printfulAccessToken, uploadToPrintfulLibrary };
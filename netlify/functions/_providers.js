@@ -0,0 +1,263 @@
+// Provider adapters: one interface over Printify and Printful for server-side flows
+// (job runner, pricing orchestrator). Adapters call the existing sibling functions
+// (printify-proxy, create-product, printful-proxy, printful-create-product, ...) so credentials,
+// token refresh and upstream quirks stay where they already live.
+//
+// Every adapter exposes:
+//   listCatalog()                                   -> [{ id, title, brand, model }]
+//   listFulfillers(catalogId)                       -> [{ id, title }]   (Printify print providers; Printful fulfills itself)
+//   getPrintAreas({ catalogId, fulfillerId })       -> [{ position, width, height }]  (pixels)
+//                                                      printArea arguments below may also carry dpi
+//   uploadFile({ url, fileName })                   -> { fileId }
+//   createProduct({ shopId, catalogId, catalogTitle, fulfillerId, printArea, fileId, imageUrl, content, markup, retailPrice, sellingRegion, technique?, styleId?, idempotencyKey })
+//                                                   -> { productId, product }   (a repeated idempotencyKey returns the first product;
+//                                                      technique and styleId are Printful-only)
+//   publish({ shopId, productId, content })         -> { published, skipped? }
+//   getPricing({ shopId, catalogId, fulfillerId, productId }) -> { currency, variants: [{ variantId, costCents }], minCostCents, raw }
+//   getMockups({ shopId, productId, catalogId, printArea, imageUrl, technique?, styleId?, count?, taskId?, retryPayload? })
+//                                                   -> { pending, taskId, retryPayload, pollAfterMs, urls: [{ url, placement }] }
+// Failures throw ProviderError (provider, status, details, retryAfter).
+
+const fetch = require('node-fetch');
+
+const PROVIDERS = ['printify', 'printful'];
+
+class ProviderError extends Error {
+  constructor(provider, message, { status = null, details = null, retryAfter = null } = {}) {
+    super(`${provider}: ${message}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Default caller: POST to a sibling function with the user's bearer token (plus any extra headers)
+function createFunctionCaller(origin, authHeader) {
+  return async (fnName, body, headers = {}) => {
+    const res = await fetch(`${origin}/.netlify/functions/${fnName}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: authHeader, ...headers },
+      body: JSON.stringify(body || {})
+    });
+    const text = await res.text();
+    let data;
+    try { data = text ? JSON.parse(text) : {}; } catch { data = { success: false, error: 'Non-JSON from function', raw: text.slice(0, 500) }; }
+    if (!res.ok) {
+      const err = new Error(`Function ${fnName} failed: ${res.status} | ${(data && data.error) || text.slice(0, 300)}`);
+      err.status = res.status;
+      err.retryAfter = res.headers && res.headers.get ? res.headers.get('retry-after') : null;
+      err.details = data;
+      throw err;
+    }
+    return data;
+  };
+}
+
+// Run a sibling-function call and normalize both transport errors and { success:false } bodies
+async function invoke(provider, call, fnName, body, headers) {
+  let data;
+  try {
+    data = await call(fnName, body, headers);
+  } catch (e) {
+    if (e instanceof ProviderError) throw e;
+    throw new ProviderError(provider, e.message, { status: e.status ?? e.statusCode ?? null, details: e.details || null, retryAfter: e.retryAfter || null });
+  }
+  if (data && data.success === false) {
+    const msg = data.error || data.message || `${fnName} failed`;
+    throw new ProviderError(provider, typeof msg === 'string' ? msg : JSON.stringify(msg), { details: data.details || null, retryAfter: data.retryAfter || null });
+  }
+  return data || {};
+}
+
+function idempotencyHeaders(key) {
+  return key ? { 'Idempotency-Key': String(key) } : {};
+}
+
+function minCost(variants) {
+  const costs = variants.map(v => v.costCents).filter(Number.isFinite);
+  return costs.length ? Math.min(...costs) : null;
+}
+
+function printifyAdapter(call) {
+  const P = 'printify';
+  const proxy = async (endpoint, method = 'GET', body = null) => (await invoke(P, call, 'printify-proxy', { endpoint, method, body })).data;
+
+  return {
+    name: P,
+
+    async listCatalog() {
+      const data = await proxy('/v1/catalog/blueprints.json');
+      return (Array.isArray(data) ? data : []).map(b => ({ id: b.id, title: b.title || '', brand: b.brand || '', model: b.model || '' }));
+    },
+
+    async listFulfillers(catalogId) {
+      const data = await proxy(`/v1/catalog/blueprints/${catalogId}/print_providers.json`);
+      return (Array.isArray(data) ? data : []).map(p => ({ id: p.id, title: p.title || '' }));
+    },
+
+    async getPrintAreas({ catalogId, fulfillerId }) {
+      const res = await invoke(P, call, 'print-area-sizes', { blueprintId: catalogId, providerId: fulfillerId });
+      return ((res.data && res.data.printAreas) || []).map(a => ({ position: a.position, width: a.width, height: a.height }));
+    },
+
+    async uploadFile({ url, fileName }) {
+      const res = await invoke(P, call, 'upload-image', { url, file_name: fileName || 'design.png' });
+      if (!res.image_id) throw new ProviderError(P, 'Upload returned no image id', { details: res });
+      return { fileId: res.image_id };
+    },
+
+    async createProduct({ shopId, catalogId, catalogTitle, fulfillerId, printArea, fileId, content, markup, idempotencyKey }) {
+      const sizeKey = `${printArea.width}x${printArea.height}`;
+      const res = await invoke(P, call, 'create-product', {
+        shopId: String(shopId),
+        product: { id: String(catalogId), title: catalogTitle || 'Product', blueprint_id: Number(catalogId) },
+        providerId: Number(fulfillerId),
+        printAreas: [{ position: printArea.position || 'front', width: printArea.width, height: printArea.height }],
+        selectedImages: { [sizeKey]: fileId },
+        content,
+        placementOverrides: {},
+        markup: Number.isFinite(markup) ? markup : undefined
+      }, idempotencyHeaders(idempotencyKey));
+      const productId = (res.product && res.product.id) || res.id;
+      if (!productId) throw new ProviderError(P, 'Product creation returned no id', { details: res });
+      return { productId, product: res.product || null };
+    },
+
+    async publish({ shopId, productId }) {
+      await invoke(P, call, 'publish-product', { shopId: String(shopId), productId: String(productId) });
+      return { published: true };
+    },
+
+    // Printify reports costs on the shop product (cents)
+    async getPricing({ shopId, productId }) {
+      const product = await proxy(`/v1/shops/${shopId}/products/${productId}.json`);
+      const variants = ((product && product.variants) || [])
+        .filter(v => v && v.is_enabled !== false)
+        .map(v => ({ variantId: v.id, costCents: Number(v.cost) }));
+      return { currency: 'USD', variants, minCostCents: minCost(variants), raw: product && product.variants };
+    },
+
+    // Printify renders mockups when the product is created; they are the product images
+    async getMockups({ shopId, productId }) {
+      const product = await proxy(`/v1/shops/${shopId}/products/${productId}.json`);
+      const urls = ((product && product.images) || []).map(i => ({ url: i.src, placement: (i.position || null) }));
+      return { pending: false, taskId: null, retryPayload: null, pollAfterMs: null, urls };
+    }
+  };
+}
+
+function printfulAdapter(call) {
+  const P = 'printful';
+  const proxy = async (endpoint, method = 'GET', body = null) => (await invoke(P, call, 'printful-proxy', { endpoint, method, body })).data;
+
+  const adapter = {
+    name: P,
+
+    async listCatalog() {
+      const data = await proxy('/v2/catalog-products?limit=100');
+      const items = (data && Array.isArray(data.data)) ? data.data : (Array.isArray(data) ? data : []);
+      return items.map(p => ({ id: p.id, title: p.name || p.title || '', brand: p.brand || '', model: p.model || '' }));
+    },
+
+    // Printful prints and ships everything itself
+    async listFulfillers() {
+      return [{ id: 'printful', title: 'Printful' }];
+    },
+
+    async getPrintAreas({ catalogId }) {
+      const res = await invoke(P, call, 'get-print-area-specs', { catalog_product_id: catalogId });
+      return (res.printAreas || []).map(a => ({ position: a.position, width: a.width, height: a.height }));
+    },
+
+    async uploadFile({ url, fileName }) {
+      const data = await proxy('/files', 'POST', { url, ...(fileName ? { filename: fileName } : {}) });
+      const id = data && data.result && data.result.id;
+      if (!id) throw new ProviderError(P, 'File upload returned no id', { details: data });
+      return { fileId: id };
+    },
+
+    async createProduct({ shopId, catalogId, printArea, fileId, imageUrl, content, markup, retailPrice, sellingRegion, technique, styleId, idempotencyKey }) {
+      let price = retailPrice;
+      // Printful takes a retail price rather than a markup; derive it from the catalog cost
+      if (price == null && Number.isFinite(markup)) {
+        try {
+          const pricing = await adapter.getPricing({ catalogId });
+          if (Number.isFinite(pricing.minCostCents)) price = (Math.round(pricing.minCostCents * (1 + markup / 100)) / 100).toFixed(2);
+        } catch (e) {
+          console.warn(`[providers] Printful pricing lookup failed, creating without retail price: ${e.message}`);
+        }
+      }
+      const res = await invoke(P, call, 'printful-create-product', {
+        title: (content && content.title) || 'Product',
+        description: (content && content.description) || '',
+        catalog_product_id: Number(catalogId),
+        placement_files: [{
+          placement: printArea.position || 'front',
+          image_url: imageUrl,
+          file_id: fileId || undefined,
+          width: printArea.width,
+          height: printArea.height,
+          dpi: printArea.dpi || undefined,
+          technique: technique || undefined
+        }],
+        ...(technique ? { technique } : {}),
+        ...(styleId ? { style_id: styleId } : {}),
+        ...(price != null ? { retail_price: price } : {}),
+        ...(shopId ? { store_id: shopId } : {}),
+        ...(sellingRegion ? { selling_region: sellingRegion } : {})
+      }, idempotencyHeaders(idempotencyKey));
+      const productId = res.product && (res.product.id || (res.product.sync_product && res.product.sync_product.id));
+      if (!productId) throw new ProviderError(P, 'Product creation returned no id', { details: res });
+      return { productId, product: res.product };
+    },
+
+    // Store products created through the API are live in the connected store; there is no publish step
+    async publish() {
+      return { published: true, skipped: true };
+    },
+
+    async getPricing({ catalogId }) {
+      const data = await proxy(`/v2/catalog-products/${catalogId}/pricing`);
+      const info = (data && data.data) || data || {};
+      const variants = (Array.isArray(info.variants) ? info.variants : []).map(v => {
+        const technique = Array.isArray(v.techniques) && v.techniques[0];
+        const cost = v.cost != null ? v.cost : (technique ? (technique.discounted_price || technique.price) : null);
+        return { variantId: v.id, costCents: cost != null ? Math.round(parseFloat(cost) * 100) : null };
+      });
+      return { currency: info.currency || 'USD', variants, minCostCents: minCost(variants), raw: info };
+    },
+
+    // Mockups are an async Printful task: the first call starts it, later calls with taskId/retryPayload poll
+    async getMockups({ catalogId, printArea, imageUrl, technique, styleId, taskId, retryPayload, count }) {
+      const res = (taskId || retryPayload)
+        ? await invoke(P, call, 'poll-mockup-task', taskId ? { task_id: taskId } : { rate_limited: true, retry_payload: retryPayload })
+        : await invoke(P, call, 'generate-mockup-gallery', {
+          catalog_product_id: Number(catalogId),
+          placement_files: [{ placement: (printArea && printArea.position) || 'front', image_url: imageUrl, ...(technique ? { technique } : {}) }],
+          count: count || 6,
+          ...(technique ? { technique } : {}),
+          ...(styleId ? { style_id: styleId } : {})
+        });
+      return {
+        pending: !!res.pending,
+        taskId: res.task_id || taskId || null,
+        retryPayload: res.retry_payload || (res.rate_limited ? retryPayload : null) || null,
+        pollAfterMs: res.poll_after_ms || null,
+        urls: (res.urls || []).map(m => ({ url: m.url, placement: m.placement || null }))
+      };
+    }
+  };
+  return adapter;
+}
+
+// call(fnName, body, headers) -> parsed JSON; defaults to HTTP calls to sibling functions
+function getProvider(name, { call, origin, authHeader } = {}) {
+  const caller = call || createFunctionCaller(origin, authHeader);
+  if (name === 'printful') return printfulAdapter(caller);
+  if (!name || name === 'printify') return printifyAdapter(caller);
+  throw new ProviderError(String(name), 'Unknown provider');
+}
+
+module.exports = { PROVIDERS, ProviderError, getProvider, createFunctionCaller };
@@ -0,0 +1,315 @@
+// Shared helpers for quick_jobs (create, runner, resume)
+// Centralizes table setup, row updates and background runner dispatch.
+
+const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+const { PROVIDERS } = require('./_providers');
+
+// Columns stored as jsonb; pg would otherwise serialize JS arrays as Postgres arrays
+const JSON_COLUMNS = ['results', 'params'];
+
+// Per-item checkpoint fields written by the runner as each step completes.
+// A resumed item skips every step whose checkpoint is already present.
+const CHECKPOINT_FIELDS = [
+  'blueprint_id', 'blueprint_title', 'provider_id', 'print_area',
+  'image_url', 'printify_image_id', 'printful_file_id', 'print_file_url', 'content', 'product_id'
+];
+
+// Carry over completed steps from a previous attempt at the same item
+function pickCheckpoint(prior) {
+  const out = {};
+  if (!prior || typeof prior !== 'object') return out;
+  for (const k of CHECKPOINT_FIELDS) {
+    if (prior[k] !== undefined && prior[k] !== null && prior[k] !== '') out[k] = prior[k];
+  }
+  return out;
+}
+
+// Item statuses after which the runner is done with an item ('preview' waits for quick-job-commit)
+const TERMINAL_STATUSES = ['created', 'published', 'failed', 'preview'];
+
+function isTerminalResult(r) {
+  return !!(r && TERMINAL_STATUSES.includes(r.status));
+}
+
+// Drop a checkpoint and every step after it (later steps depend on earlier ones)
+function invalidateFrom(checkpoint, field) {
+  const out = { ...checkpoint };
+  const from = CHECKPOINT_FIELDS.indexOf(field);
+  if (from < 0) return out;
+  CHECKPOINT_FIELDS.slice(from).forEach(k => { delete out[k]; });
+  return out;
+}
+
+// Derive completed/failed counters from per-item results so reprocessed items are not double counted
+function tallyResults(results) {
+  const list = Array.isArray(results) ? results : [];
+  return {
+    completed: list.filter(r => r && (r.status === 'created' || r.status === 'published')).length,
+    failed: list.filter(r => r && r.status === 'failed').length
+  };
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    create table if not exists quick_jobs (
+      id uuid primary key default gen_random_uuid(),
+      created_at timestamptz not null default now(),
+      updated_at timestamptz not null default now(),
+      created_by text,
+      shop_id text not null,
+      params jsonb not null,
+      status text not null default 'queued',
+      total int not null default 0,
+      completed int not null default 0,
+      failed int not null default 0,
+      next_index int not null default 0,
+      results jsonb not null default '[]'::jsonb
+    );
+    alter table quick_jobs add column if not exists scheduled_at timestamptz;
+    alter table quick_jobs add column if not exists schedule_id uuid;
+    alter table quick_jobs add column if not exists workspace_id uuid;
+    alter table quick_jobs add column if not exists error text;
+    create index if not exists quick_jobs_workspace_idx on quick_jobs (workspace_id, created_at desc);
+  `);
+}
+
+// Recurring job definitions; quick-job-dispatcher creates a job from each one when next_run_at is due
+async function ensureScheduleTable(client) {
+  await client.query(`
+    create table if not exists quick_job_schedules (
+      id uuid primary key default gen_random_uuid(),
+      created_at timestamptz not null default now(),
+      updated_at timestamptz not null default now(),
+      created_by text not null,
+      name text not null,
+      shop_id text not null,
+      params jsonb not null,
+      quantity int not null default 1,
+      cron text not null,
+      active boolean not null default true,
+      next_run_at timestamptz,
+      last_run_at timestamptz,
+      last_job_id uuid
+    );
+    alter table quick_job_schedules add column if not exists template_id uuid;
+    alter table quick_job_schedules add column if not exists workspace_id uuid;
+    create index if not exists quick_job_schedules_due_idx on quick_job_schedules (next_run_at) where active;
+  `);
+}
+
+// Multi-pick selections with both ids; each becomes one item of the job
+function validPicks(body) {
+  return Array.isArray(body.selectedPicks) ? body.selectedPicks.filter(p => p && p.blueprintId && p.providerId) : [];
+}
+
+// Multi-pick support: if selectedPicks provided, total equals number of picks; otherwise use quantity
+function countItems(body) {
+  const selectedPicks = validPicks(body);
+  return selectedPicks.length > 0 ? selectedPicks.length : Math.min(50, Math.max(1, parseInt(body.quantity||1,10)));
+}
+
+// Normalize a create request (Quick AI payload) into the params stored on quick_jobs
+function buildJobParams(body) {
+  const selectedPicks = validPicks(body);
+  return {
+    prompt: body.prompt,
+    // Fulfillment provider the job's shopId belongs to (Printify shop or Printful store)
+    provider: PROVIDERS.includes(body.provider) ? body.provider : 'printify',
+    productScope: body.productScope || 'any',
+    imageMode: body.imageMode || 'generate',
+    removeBg: !!body.removeBg,
+    style: body.style || '',
+    colors: body.colors || '',
+    background: body.background || null,
+    consistency: body.consistency || null,
+    audience: body.audience || '',
+    tone: body.tone || '',
+    tags: body.tags || '',
+    language: body.language || 'en-US',
+    providerPref: body.providerPref || '',
+    brandPref: body.brandPref || '',
+    printAreas: Array.isArray(body.printAreas) && body.printAreas.length ? body.printAreas : ['front'],
+    variants: body.variants || 'all',
+    // preview: stop before create-product and wait for quick-job-commit
+    publishMode: ['draft', 'publish', 'preview'].includes(body.publishMode) ? body.publishMode : 'draft',
+    markup: Number.isFinite(body.markup) ? body.markup : 40,
+    collections: body.collections || '',
+    dpimin: Number.isFinite(body.dpimin) ? body.dpimin : 300,
+    retryOnLowQuality: Number.isFinite(body.retryOnLowQuality) ? body.retryOnLowQuality : 1,
+    pauseAfter: Number.isFinite(body.pauseAfter) ? body.pauseAfter : 0,
+    // Items processed in parallel by the background runner (1-5)
+    concurrency: Number.isFinite(body.concurrency) ? Math.min(5, Math.max(1, Math.floor(body.concurrency))) : 3,
+    uploadUrls: Array.isArray(body.uploadUrls) ? body.uploadUrls : [],
+    // Placement fine-tune { x, y, scale, rotation } rendered into Printful print files (compose-design);
+    // an item's own itemOverrides[n].transform wins
+    transform: (body.transform && typeof body.transform === 'object' && !Array.isArray(body.transform)) ? body.transform : null,
+    // Per-item settings keyed by 1-based index (CSV import rows, retry edits); they win over selectedPicks
+    itemOverrides: (body.itemOverrides && typeof body.itemOverrides === 'object' && !Array.isArray(body.itemOverrides)) ? body.itemOverrides : {},
+    // Saved template the job was launched from (quick-job-templates), for reference only
+    templateId: body.templateId || null,
+    // Multi-pick selections (each: { category, blueprintId, providerId, title, printAreas: [] })
+    selectedPicks: selectedPicks.map(p => ({
+      category: p.category || null,
+      blueprintId: String(p.blueprintId),
+      providerId: String(p.providerId),
+      title: p.title || '',
+      printAreas: Array.isArray(p.printAreas) ? p.printAreas : []
+    }))
+  };
+}
+
+// chatState keys worth saving in a template; per-run fields (jobId, preview options, chat stage) are dropped
+const TEMPLATE_KEYS = [
+  'provider', 'designPrompt', 'prompt', 'quantity', 'productScope', 'imageMode', 'removeBg', 'style', 'shopId',
+  'background', 'consistency', 'colors', 'audience', 'tone', 'tags', 'language', 'providerPref', 'brandPref',
+  'printAreas', 'variants', 'publishMode', 'markup', 'collections', 'dpimin', 'retryOnLowQuality',
+  'pauseAfter', 'concurrency', 'uploadUrls', 'selectedBlueprintId', 'selectedProviderId', 'selectedPicks'
+];
+
+function sanitizeTemplateState(state) {
+  const out = {};
+  if (!state || typeof state !== 'object') return out;
+  TEMPLATE_KEYS.forEach(k => { if (state[k] !== undefined) out[k] = state[k]; });
+  return out;
+}
+
+// Map a saved chatState onto the quick-job-create payload (same mapping as createJob() in quick-ai.html)
+function payloadFromChatState(state) {
+  const { designPrompt, selectedBlueprintId, selectedProviderId, ...rest } = sanitizeTemplateState(state);
+  return {
+    ...rest,
+    prompt: designPrompt || rest.prompt || '',
+    blueprintId: selectedBlueprintId || null,
+    providerId: selectedProviderId || null
+  };
+}
+
+// Saved Quick AI setups (chatState snapshots) that a job can be launched from
+async function ensureTemplateTable(client) {
+  await client.query(`
+    create table if not exists quick_job_templates (
+      id uuid primary key default gen_random_uuid(),
+      created_at timestamptz not null default now(),
+      updated_at timestamptz not null default now(),
+      created_by text not null,
+      name text not null,
+      state jsonb not null default '{}'::jsonb
+    );
+    alter table quick_job_templates add column if not exists workspace_id uuid;
+    -- Names are unique per workspace (tables created before workspaces had unique (created_by, name))
+    alter table quick_job_templates drop constraint if exists quick_job_templates_created_by_name_key;
+    create unique index if not exists quick_job_templates_workspace_name_idx on quick_job_templates (workspace_id, name);
+  `);
+}
+
+async function getTemplate(client, workspaceId, id) {
+  const r = await client.query('select * from quick_job_templates where id = $1 and workspace_id = $2', [id, workspaceId]);
+  return r.rows[0] || null;
+}
+
+// Append-only per-step timeline written by the runner and streamed by quick-job-events
+async function ensureEventsTable(client) {
+  await client.query(`
+    create table if not exists quick_job_events (
+      id bigserial primary key,
+      job_id uuid not null,
+      item_index int,
+      step text not null,
+      status text not null default 'ok',
+      message text,
+      duration_ms int,
+      error text,
+      created_at timestamptz not null default now()
+    );
+    create index if not exists quick_job_events_job_id_idx on quick_job_events (job_id, id);
+  `);
+}
+
+// Best-effort: a failed event write must never fail the job itself
+async function recordEvent(client, jobId, ev){
+  try {
+    await client.query(
+      `insert into quick_job_events (job_id, item_index, step, status, message, duration_ms, error)
+       values ($1, $2, $3, $4, $5, $6, $7)`,
+      [jobId, ev.index || null, ev.step, ev.status || 'ok', ev.message || null,
+        Number.isFinite(ev.durationMs) ? Math.round(ev.durationMs) : null, ev.error ? String(ev.error).slice(0, 1000) : null]
+    );
+  } catch (e) {
+    console.warn(`[quick-jobs] Failed to record event ${ev.step} for job ${jobId}:`, e && (e.message || e));
+  }
+}
+
+// With workspaceId, only a job of that workspace is returned (request handlers pass auth.workspace.id)
+async function getJob(client, id, workspaceId){
+  const r = workspaceId
+    ? await client.query('select * from quick_jobs where id = $1 and workspace_id = $2', [id, workspaceId])
+    : await client.query('select * from quick_jobs where id = $1', [id]);
+  return r.rows[0] || null;
+}
+
+async function getJobStatus(client, id, workspaceId){
+  const r = workspaceId
+    ? await client.query('select status from quick_jobs where id = $1 and workspace_id = $2', [id, workspaceId])
+    : await client.query('select status from quick_jobs where id = $1', [id]);
+  return r.rows[0] ? r.rows[0].status : null;
+}
+
+// With unlessStatus, the write is skipped (and undefined returned) while the job is in one of those statuses,
+// so a cancel or pause the user made meanwhile is not overwritten
+async function updateJob(client, id, patch, { unlessStatus = null } = {}){
+  const fields = Object.keys(patch);
+  const values = fields.map((k)=>{
+    if (JSON_COLUMNS.includes(k)) {
+      try { return JSON.stringify(patch[k] || (k === 'results' ? [] : {})); } catch { return k === 'results' ? '[]' : '{}'; }
+    }
+    return patch[k];
+  });
+  const sets = fields.map((k,i)=> {
+    if (JSON_COLUMNS.includes(k)) return `${k} = $${i+1}::jsonb`;
+    return `${k} = $${i+1}`;
+  });
+  const params = [...values, id];
+  let where = `id = $${params.length}`;
+  if (unlessStatus && unlessStatus.length) {
+    params.push(unlessStatus);
+    where += ` and status <> all($${params.length}::text[])`;
+  }
+  const sql = `update quick_jobs set ${sets.join(', ')}, updated_at = now() where ${where} returning *`;
+  const res = await client.query(sql, params);
+  return res.rows[0];
+}
+
+function getOrigin(event){
+  try {
+    const proto = event.headers['x-forwarded-proto'] || event.headers['X-Forwarded-Proto'] || 'https';
+    const host = event.headers.host || event.headers.Host;
+    if (host) return `${proto}://${host}`;
+  } catch {}
+  return process.env.URL || 'https://localhost:8888';
+}
+
+// Jobs started without a browser (scheduled/recurring) run with a short-lived token for their owner
+// limited to what the runner calls (see _auth.js scopes); no access to credentials or account endpoints.
+// wid keeps the runner in the job's workspace (its credentials, and the owner must still be a member).
+const RUNNER_SCOPES = ['jobs', 'products', 'ai'];
+function runnerAuthHeader(userId, workspaceId){
+  const token = jwt.sign({ sub: String(userId), wid: workspaceId, scheduled: true, scope: RUNNER_SCOPES.join(' ') }, process.env.JWT_SECRET, { expiresIn: '6h' });
+  return `Bearer ${token}`;
+}
+
+// Kick off job-runner-background for a job. Throws if the runner did not accept the job (202).
+async function startRunner(origin, authHeader, jobId){
+  console.log(`[quick-jobs] Invoking background runner for job ${jobId} at ${origin}/.netlify/functions/job-runner-background`);
+  const runnerRes = await fetch(`${origin}/.netlify/functions/job-runner-background`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: authHeader },
+    body: JSON.stringify({ job_id: jobId })
+  });
+  if (runnerRes.status !== 202) {
+    const errorText = await runnerRes.text();
+    throw new Error(`Background runner failed to start with status ${runnerRes.status}: ${errorText.slice(0, 300)}`);
+  }
+}
+
+module.exports = { CHECKPOINT_FIELDS, buildJobParams, countItems, sanitizeTemplateState, payloadFromChatState, ensureTemplateTable, getTemplate, TERMINAL_STATUSES, isTerminalResult, pickCheckpoint, invalidateFrom, tallyResults, ensureTable, ensureScheduleTable, ensureEventsTable, recordEvent, getJob, getJobStatus, updateJob, getOrigin, runnerAuthHeader, startRunner };
@@ -0,0 +1,188 @@
+// Plan quotas: usage of products, ai_generations and api_calls against subscription_plans.limits.
+//
+// Expensive endpoints reserve usage before the call (a usage_tracking row) and refund it (delete the row)
+// when the call fails, so a failed generation never counts and two concurrent requests cannot both take
+// the last unit: reservations for one user and type are serialized with an advisory lock.
+//
+// The period is the subscription's current period, or the calendar month without a subscription.
+// Limits come from the plan while its status is in ACTIVE_STATUSES, FREE_LIMITS otherwise; a limit of -1
+// is unlimited. Running out answers 402 (upgrade or fix payment) on the free allowance and 429 (wait for
+// the next period) on a paid plan.
+
+const { createClient } = require('./_db');
+const { ACTIVE_STATUSES } = require('./_billing');
+
+const FREE_LIMITS = { products_per_month: 50, ai_generations: 200, api_calls: 1000 };
+
+// Usage type -> key in subscription_plans.limits
+const LIMIT_KEYS = { products: 'products_per_month', ai_generations: 'ai_generations', api_calls: 'api_calls' };
+
+class QuotaError extends Error {
+  constructor(statusCode, reason, message, extra = {}) {
+    super(message);
+    this.name = 'QuotaError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+    this.extra = extra;
+  }
+}
+
+function checkType(type) {
+  if (!LIMIT_KEYS[type]) throw new QuotaError(400, 'invalid_type', `Usage type must be one of ${Object.keys(LIMIT_KEYS).join(', ')}`);
+  return type;
+}
+
+// Current plan, limits and period of a user
+async function loadPlan(client, userId) {
+  const r = await client.query(
+    `select s.status, s.current_period_start, s.current_period_end, p.name, p.limits
+     from user_subscriptions s left join subscription_plans p on p.id = s.plan_id
+     where s.user_id = $1
+     order by (s.status = any($2::text[])) desc, s.current_period_end desc nulls last
+     limit 1`,
+    [userId, ACTIVE_STATUSES]
+  );
+  const sub = r.rows[0] || null;
+  const active = !!(sub && ACTIVE_STATUSES.includes(sub.status));
+  const now = new Date();
+  let periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  let periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  if (active && sub.current_period_start && sub.current_period_end) {
+    periodStart = new Date(sub.current_period_start);
+    periodEnd = new Date(sub.current_period_end);
+  }
+  const planLimits = (active && sub.limits) || {};
+  const limits = {};
+  for (const key of Object.values(LIMIT_KEYS)) {
+    limits[key] = typeof planLimits[key] === 'number' ? planLimits[key] : FREE_LIMITS[key];
+  }
+  return {
+    plan: active ? sub.name || 'Pro' : 'Free',
+    status: sub ? sub.status : null,
+    active,
+    limits,
+    periodStart,
+    periodEnd
+  };
+}
+
+async function usedSince(client, userId, type, since) {
+  const r = await client.query(
+    'select coalesce(sum(count), 0)::int as used from usage_tracking where user_id = $1 and type = $2 and created_at >= $3',
+    [userId, type, since.toISOString()]
+  );
+  return r.rows[0].used;
+}
+
+function quotaState(plan, type, used) {
+  const limit = plan.limits[LIMIT_KEYS[type]];
+  return {
+    type,
+    plan: plan.plan,
+    limit,
+    used,
+    remaining: limit < 0 ? null : Math.max(0, limit - used),
+    resets_at: plan.periodEnd.toISOString()
+  };
+}
+
+function exceededError(plan, quota, count) {
+  const message = `${quota.type} limit reached: ${quota.used} of ${quota.limit} used this period, ${count} more requested`;
+  if (!plan.active) {
+    const reason = plan.status === 'past_due' || plan.status === 'unpaid' ? 'payment_required' : 'upgrade_required';
+    return new QuotaError(402, reason, message, { quota, upgrade_required: true });
+  }
+  return new QuotaError(429, 'quota_exceeded', message, { quota, upgrade_required: true });
+}
+
+// Throws QuotaError unless `count` more units of `type` fit; records nothing
+async function checkQuota(userId, type, count = 1) {
+  checkType(type);
+  const client = createClient();
+  await client.connect();
+  try {
+    const plan = await loadPlan(client, userId);
+    const quota = quotaState(plan, type, await usedSince(client, userId, type, plan.periodStart));
+    if (quota.remaining !== null && count > quota.remaining) throw exceededError(plan, quota, count);
+    return quota;
+  } finally {
+    await client.end();
+  }
+}
+
+// Records `count` units up front; returns the reservation to pass to refundUsage if the work fails
+async function reserveUsage(userId, type, count = 1, metadata = {}) {
+  checkType(type);
+  const units = Math.max(1, parseInt(count, 10) || 1);
+  const client = createClient();
+  await client.connect();
+  try {
+    await client.query('begin');
+    try {
+      await client.query('select pg_advisory_xact_lock(hashtext($1))', [`usage:${userId}:${type}`]);
+      const plan = await loadPlan(client, userId);
+      const quota = quotaState(plan, type, await usedSince(client, userId, type, plan.periodStart));
+      if (quota.remaining !== null && units > quota.remaining) throw exceededError(plan, quota, units);
+      const r = await client.query(
+        'insert into usage_tracking (user_id, type, count, metadata) values ($1, $2, $3, $4) returning id',
+        [userId, type, units, metadata]
+      );
+      await client.query('commit');
+      const used = quota.used + units;
+      return { id: r.rows[0].id, ...quota, used, remaining: quota.remaining === null ? null : quota.remaining - units };
+    } catch (e) {
+      await client.query('rollback');
+      throw e;
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+// Gives a reservation back; logged rather than thrown so it never hides the original failure
+async function refundUsage(reservation) {
+  if (!reservation) return;
+  const client = createClient();
+  try {
+    await client.connect();
+    await client.query('delete from usage_tracking where id = $1', [reservation.id]);
+  } catch (e) {
+    console.error(`[quota] Failed to refund usage ${reservation.id}:`, e.message);
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+// Usage, limits and remaining allowance of every type for the current period
+async function usageSummary(userId) {
+  const client = createClient();
+  await client.connect();
+  try {
+    const plan = await loadPlan(client, userId);
+    const r = await client.query(
+      'select type, coalesce(sum(count), 0)::int as used from usage_tracking where user_id = $1 and created_at >= $2 group by type',
+      [userId, plan.periodStart.toISOString()]
+    );
+    const usage = { products: 0, ai_generations: 0, api_calls: 0 };
+    for (const row of r.rows) usage[row.type] = row.used;
+    const remaining = {};
+    for (const type of Object.keys(LIMIT_KEYS)) remaining[type] = quotaState(plan, type, usage[type]).remaining;
+    return { plan, usage, remaining };
+  } finally {
+    await client.end();
+  }
+}
+
+function quotaErrorResponse(err, cors) {
+  const headers = { ...cors, 'Content-Type': 'application/json' };
+  if (err.statusCode === 429 && err.extra.quota) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil((Date.parse(err.extra.quota.resets_at) - Date.now()) / 1000)));
+  }
+  return {
+    statusCode: err.statusCode,
+    headers,
+    body: JSON.stringify({ success: false, error: err.message, reason: err.reason, ...err.extra })
+  };
+}
+
+module.exports = { FREE_LIMITS, LIMIT_KEYS, QuotaError, checkQuota, reserveUsage, refundUsage, usageSummary, quotaErrorResponse };
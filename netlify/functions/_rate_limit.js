@@ -0,0 +1,140 @@
+// Server-side rate limiting for the Printify and Printful proxies: token buckets kept in Postgres
+// (rate_limit_buckets) so every function instance shares them.
+//
+// A request takes one token from each of its buckets in one transaction:
+// - user:<userId>:<upstream>        fair share of one user
+// - <upstream>:<workspaceId>        the workspace's credential, which is what the upstream counts
+// - printful-mockup:<workspaceId>   Printful mockup task creation, 2 per minute
+// When a bucket is short the request may wait for its turn (up to maxWaitMs; the bucket goes into debt
+// so later requests queue behind it), otherwise it gets a 429 with Retry-After. An upstream 429 empties
+// the workspace bucket for the Retry-After the upstream sent.
+//
+// Errors talking to the database are logged and the request is let through.
+
+const { createClient } = require('./_db');
+
+// capacity = burst size, perSecond = refill rate
+const LIMITS = {
+  user: { capacity: 60, perSecond: 2 },
+  printify: { capacity: 600, perSecond: 10 },
+  printful: { capacity: 120, perSecond: 2 },
+  'printful-mockup': { capacity: 2, perSecond: 2 / 60 }
+};
+
+// How long a request may be held back before it is answered with 429
+const MAX_WAIT_MS = 2000;
+// Mockup requests queue for their slot; printful-proxy runs up to 60s
+const MOCKUP_MAX_WAIT_MS = 40000;
+
+const MOCKUP_TASK_RE = /\/mockup-generator\/create-task|\/v2\/mockup-tasks(?:\?|$)/;
+
+function isMockupTask(upstream, method, endpoint) {
+  return upstream === 'printful' && String(method).toUpperCase() === 'POST' && MOCKUP_TASK_RE.test(String(endpoint || ''));
+}
+
+function bucketsFor(auth, upstream, { method, endpoint }) {
+  const buckets = [
+    { key: `user:${auth.userId}:${upstream}`, ...LIMITS.user },
+    { key: `${upstream}:${auth.workspace.id}`, ...LIMITS[upstream] }
+  ];
+  if (isMockupTask(upstream, method, endpoint)) buckets.push({ key: `printful-mockup:${auth.workspace.id}`, ...LIMITS['printful-mockup'] });
+  return buckets;
+}
+
+// Takes one token from every bucket, or none of them. Resolves { allowed, waitMs, retryAfter }.
+async function acquire(buckets, { maxWaitMs = 0 } = {}) {
+  const client = createClient();
+  await client.connect();
+  try {
+    await client.query('begin');
+    try {
+      const sorted = buckets.slice().sort((a, b) => a.key.localeCompare(b.key)); // fixed lock order
+      const state = [];
+      for (const bucket of sorted) {
+        await client.query(
+          'insert into rate_limit_buckets (key, tokens, updated_at) values ($1, $2, now()) on conflict (key) do nothing',
+          [bucket.key, bucket.capacity]
+        );
+        const r = await client.query(
+          'select tokens, extract(epoch from (now() - updated_at)) as elapsed from rate_limit_buckets where key = $1 for update',
+          [bucket.key]
+        );
+        const available = Math.min(bucket.capacity, Number(r.rows[0].tokens) + Math.max(0, Number(r.rows[0].elapsed)) * bucket.perSecond);
+        const waitMs = available >= 1 ? 0 : Math.ceil(((1 - available) / bucket.perSecond) * 1000);
+        state.push({ bucket, available, waitMs });
+      }
+      const waitMs = Math.max(0, ...state.map(s => s.waitMs));
+      if (waitMs > maxWaitMs) {
+        await client.query('rollback');
+        return { allowed: false, waitMs, retryAfter: Math.ceil(waitMs / 1000) };
+      }
+      for (const s of state) {
+        await client.query('update rate_limit_buckets set tokens = $2, updated_at = now() where key = $1', [s.bucket.key, s.available - 1]);
+      }
+      await client.query('commit');
+      return { allowed: true, waitMs, retryAfter: 0 };
+    } catch (e) {
+      await client.query('rollback');
+      throw e;
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Waits for the caller's turn at `upstream`; returns a 429 response when the wait would be too long, else null
+async function limitUpstream(auth, upstream, request, cors) {
+  const mockup = isMockupTask(upstream, request.method, request.endpoint);
+  let result;
+  try {
+    result = await acquire(bucketsFor(auth, upstream, request), { maxWaitMs: mockup ? MOCKUP_MAX_WAIT_MS : MAX_WAIT_MS });
+  } catch (e) {
+    console.error(`[rate-limit] ${upstream} bucket check failed, allowing request:`, e.message);
+    return null;
+  }
+  if (!result.allowed) {
+    return {
+      statusCode: 429,
+      headers: { ...cors, 'Content-Type': 'application/json', 'Retry-After': String(result.retryAfter) },
+      body: JSON.stringify({
+        success: false,
+        error: mockup ? 'Mockup rate limit reached (2 per minute)' : 'Rate limit exceeded',
+        reason: 'rate_limited',
+        retryAfter: result.retryAfter
+      })
+    };
+  }
+  if (result.waitMs > 0) {
+    console.log(`[rate-limit] ${upstream} request for user ${auth.userId} queued for ${result.waitMs}ms`);
+    await sleep(result.waitMs);
+  }
+  return null;
+}
+
+// The upstream answered 429: hold the workspace's bucket empty for the time it asked for
+async function noteUpstreamLimit(auth, upstream, retryAfterSeconds, request = {}) {
+  const seconds = Math.max(1, parseInt(retryAfterSeconds, 10) || 60);
+  const keys = [[`${upstream}:${auth.workspace.id}`, LIMITS[upstream]]];
+  if (isMockupTask(upstream, request.method, request.endpoint)) keys.push([`printful-mockup:${auth.workspace.id}`, LIMITS['printful-mockup']]);
+  const client = createClient();
+  try {
+    await client.connect();
+    for (const [key, limit] of keys) {
+      await client.query(
+        `insert into rate_limit_buckets (key, tokens, updated_at) values ($1, $2, now())
+         on conflict (key) do update set tokens = excluded.tokens, updated_at = now()`,
+        [key, 1 - seconds * limit.perSecond]
+      );
+    }
+  } catch (e) {
+    console.error(`[rate-limit] Failed to record ${upstream} 429:`, e.message);
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+module.exports = { LIMITS, acquire, limitUpstream, noteUpstreamLimit };
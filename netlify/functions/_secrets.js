@@ -0,0 +1,128 @@
+// Secrets at rest: API keys and OAuth tokens in the workspaces.*_encrypted columns (users.* before workspaces).
+//
+// Stored format: enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (base64url parts), AES-256-GCM with the
+// version and key id bound as additional data, so a value cannot be moved to another key id.
+//
+// Keys come from SECRETS_KEYS, a comma-separated keyring of <keyId>:<base64 32-byte key>, e.g.
+//   SECRETS_KEYS="k2:...,k1:..."   SECRETS_PRIMARY_KEY_ID=k2 (default: the first entry)
+// New values are written with the primary key; any listed key can still decrypt. Rotating without downtime:
+//   1. add the new key as primary and keep the old one listed, deploy
+//   2. run scripts/reencrypt-secrets.js until it reports nothing left to rewrite
+//   3. remove the old key from SECRETS_KEYS
+// Without SECRETS_KEYS a key derived from JWT_SECRET (key id "jwt") is used, so deployments keep working
+// before a keyring is configured. Values without the enc: prefix are the legacy XOR scheme (keyed with
+// JWT_SECRET); they still decrypt and are rewritten by the re-encrypt script.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const IV_BYTES = 12;
+const DERIVED_KEY_ID = 'jwt';
+
+// Every workspaces (and legacy users) column holding a value written by encryptSecret
+const SECRET_COLUMNS = [
+  'printify_api_key_encrypted',
+  'printful_api_key_encrypted',
+  'printful_access_token_encrypted',
+  'printful_refresh_token_encrypted',
+  'etsy_access_token_encrypted',
+  'etsy_refresh_token_encrypted'
+];
+
+let cached = null;
+
+function parseKeyring(spec) {
+  const keys = new Map();
+  String(spec).split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const sep = entry.indexOf(':');
+    const id = sep > 0 ? entry.slice(0, sep).trim() : '';
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) throw new Error('SECRETS_KEYS entries must look like <keyId>:<base64 key>');
+    const key = Buffer.from(entry.slice(sep + 1).trim(), 'base64');
+    if (key.length !== 32) throw new Error(`SECRETS_KEYS key "${id}" must be 32 bytes (base64)`);
+    keys.set(id, key);
+  });
+  return keys;
+}
+
+// Resolved once per distinct configuration (env vars do not change within an invocation)
+function getKeyring() {
+  const spec = process.env.SECRETS_KEYS || '';
+  const primaryId = process.env.SECRETS_PRIMARY_KEY_ID || '';
+  const jwtSecret = process.env.JWT_SECRET || '';
+  const signature = `${spec}|${primaryId}|${jwtSecret}`;
+  if (cached && cached.signature === signature) return cached;
+
+  const keys = spec ? parseKeyring(spec) : new Map();
+  // The derived key stays readable after a keyring is introduced, so its values can be migrated
+  if (jwtSecret && !keys.has(DERIVED_KEY_ID)) {
+    keys.set(DERIVED_KEY_ID, Buffer.from(crypto.hkdfSync('sha256', jwtSecret, '', 'users secrets v1', 32)));
+  }
+  if (!keys.size) throw new Error('No encryption key configured: set SECRETS_KEYS or JWT_SECRET');
+  const primary = primaryId || (spec ? keys.keys().next().value : DERIVED_KEY_ID);
+  if (!keys.has(primary)) throw new Error(`SECRETS_PRIMARY_KEY_ID "${primary}" is not in SECRETS_KEYS`);
+  cached = { signature, keys, primary };
+  return cached;
+}
+
+function isEncrypted(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${PREFIX}:`);
+}
+
+function keyIdOf(stored) {
+  return isEncrypted(stored) ? stored.split(':')[2] || null : null;
+}
+
+function encryptSecret(plainText) {
+  if (plainText === null || plainText === undefined || plainText === '') return null;
+  const { keys, primary } = getKeyring();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(primary), iv);
+  cipher.setAAD(Buffer.from(`${VERSION}:${primary}`));
+  const data = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  return [PREFIX, VERSION, primary, iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), data.toString('base64url')].join(':');
+}
+
+// Pre-keyring scheme: base64 of the UTF-8 bytes XORed with JWT_SECRET
+function legacyXorDecrypt(encryptedBase64) {
+  const key = process.env.JWT_SECRET || '';
+  if (!key) throw new Error('JWT_SECRET is required to read legacy secrets');
+  const bytes = Buffer.from(encryptedBase64, 'base64');
+  return Buffer.from(bytes.map((b, i) => b ^ key.charCodeAt(i % key.length))).toString('utf8');
+}
+
+// Throws when the value cannot be decrypted (unknown key id, tampered data)
+function openSecret(stored) {
+  if (!stored || typeof stored !== 'string') return '';
+  if (!isEncrypted(stored)) return legacyXorDecrypt(stored);
+  const [, version, keyId, iv, tag, data] = stored.split(':');
+  if (version !== VERSION || data === undefined) throw new Error(`Unsupported secret format ${version}`);
+  const key = getKeyring().keys.get(keyId);
+  if (!key) throw new Error(`Secret was encrypted with key "${keyId}", which is not in SECRETS_KEYS`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(`${version}:${keyId}`));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// Lenient read for request handlers: '' when missing or unreadable, like the old simpleDecrypt
+function decryptSecret(stored) {
+  try {
+    return openSecret(stored);
+  } catch (e) {
+    console.warn('[secrets] Could not decrypt stored secret:', e.message);
+    return '';
+  }
+}
+
+// Legacy values and values under a non-primary key should be rewritten
+function needsReencrypt(stored) {
+  if (!stored || typeof stored !== 'string') return false;
+  return keyIdOf(stored) !== getKeyring().primary;
+}
+
+function reencryptSecret(stored) {
+  return encryptSecret(openSecret(stored));
+}
+
+module.exports = { SECRET_COLUMNS, encryptSecret, decryptSecret, openSecret, needsReencrypt, reencryptSecret, keyIdOf };
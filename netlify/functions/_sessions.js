@@ -0,0 +1,230 @@
+// Login sessions: short-lived access JWTs plus rotating refresh tokens kept server-side (auth_sessions).
+//
+// Refresh tokens look like <sessionId>.<secret>; only sha256(secret) is stored. Every refresh replaces the
+// secret and slides the session expiry. A replaced token presented again within ROTATION_GRACE_MS is a
+// second tab racing the first (409, the client picks up the other tab's tokens); later it can only be a
+// copied token, so the session is revoked.
+//
+// Access tokens carry the session id as `sid`. Revoking one session stops its refreshes, and the current
+// access token runs out within ACCESS_TOKEN_TTL. revokeAllSessions also stamps users.sessions_revoked_at,
+// which withAuth checks so that every access token issued earlier is rejected straight away.
+//
+// The session also remembers the active workspace (auth_sessions.workspace_id, `wid` in the access token).
+// Sign-in starts in the personal workspace; switchWorkspace changes it for this session only.
+//
+// ACCESS_TOKEN_TTL (jsonwebtoken expiresIn, default 15m) and REFRESH_TOKEN_TTL_DAYS (default 30) tune lifetimes.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getSupabase } = require('./_supabase_node');
+const { AuthError } = require('./_auth');
+const { ensurePersonalWorkspace } = require('./_workspaces');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!UUID_RE.test(sessionId || '') || !secret) throw new AuthError(401, 'invalid_refresh_token', 'Invalid refresh token');
+  return { sessionId, hash: hashSecret(secret) };
+}
+
+function clientInfo(event) {
+  const h = (event && event.headers) || {};
+  return {
+    user_agent: (h['user-agent'] || h['User-Agent'] || '').slice(0, 300) || null,
+    ip_address: h['x-forwarded-for'] || h['client-ip'] || null
+  };
+}
+
+function signAccessToken(user, sessionId, workspaceId) {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not configured');
+  return jwt.sign(
+    {
+      sub: String(user.id), // Convert to string to avoid Supabase JWT parsing error
+      email: user.email,
+      name: user.name,
+      sid: sessionId,
+      wid: workspaceId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// What auth-login / auth-register / auth-refresh hand to the browser
+function tokenResponse(user, sessionId, workspaceId, secret) {
+  const token = signAccessToken(user, sessionId, workspaceId);
+  return {
+    token,
+    ...(secret ? { refreshToken: `${sessionId}.${secret}` } : {}),
+    expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    workspaceId
+  };
+}
+
+async function createSession(user, event) {
+  const secret = newSecret();
+  const workspaceId = await ensurePersonalWorkspace(user);
+  const { data, error } = await getSupabase(true)
+    .from('auth_sessions')
+    .insert({
+      user_id: user.id,
+      workspace_id: workspaceId,
+      refresh_token_hash: hashSecret(secret),
+      expires_at: new Date(Date.now() + REFRESH_TTL_MS).toISOString(),
+      ...clientInfo(event)
+    })
+    .select('id')
+    .single();
+  if (error) throw new Error(`Failed to create session: ${error.message}`);
+  return tokenResponse(user, data.id, workspaceId, secret);
+}
+
+async function revokeSessionById(supabase, sessionId, reason) {
+  await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+}
+
+// Exchange a refresh token for a new access token and refresh token; throws AuthError
+async function rotateSession(refreshToken, event) {
+  const { sessionId, hash } = parseRefreshToken(refreshToken);
+  const supabase = getSupabase(true);
+
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .select('id, user_id, workspace_id, refresh_token_hash, previous_token_hash, rotated_at, expires_at, revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+  if (error) throw new Error(`Session lookup failed: ${error.message}`);
+  if (!session) throw new AuthError(401, 'invalid_refresh_token', 'Invalid refresh token');
+  if (session.revoked_at) throw new AuthError(401, 'session_revoked', 'Session has been signed out');
+
+  if (session.refresh_token_hash !== hash) {
+    if (session.previous_token_hash === hash) {
+      const sinceRotation = Date.now() - Date.parse(session.rotated_at);
+      if (sinceRotation < ROTATION_GRACE_MS) throw new AuthError(409, 'refresh_conflict', 'Session was refreshed by another tab');
+      await revokeSessionById(supabase, sessionId, 'refresh_token_reuse');
+      console.warn(`[sessions] Refresh token reuse on session ${sessionId} (user ${session.user_id}); session revoked`);
+      throw new AuthError(401, 'session_revoked', 'Session has been signed out');
+    }
+    throw new AuthError(401, 'invalid_refresh_token', 'Invalid refresh token');
+  }
+  if (Date.parse(session.expires_at) <= Date.now()) throw new AuthError(401, 'session_expired', 'Session expired, please sign in again');
+
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', session.user_id)
+    .maybeSingle();
+  if (userError) throw new Error(`User lookup failed: ${userError.message}`);
+  if (!user) throw new AuthError(401, 'user_not_found', 'Account no longer exists');
+
+  // Removed from the session's workspace meanwhile: continue in the personal one
+  let workspaceId = session.workspace_id;
+  if (workspaceId) {
+    const { data: member, error: memberError } = await supabase
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (memberError) throw new Error(`Workspace lookup failed: ${memberError.message}`);
+    if (!member) workspaceId = null;
+  }
+  if (!workspaceId) workspaceId = await ensurePersonalWorkspace(user);
+
+  const secret = newSecret();
+  const now = new Date();
+  // Compare-and-set on the old hash: of two concurrent refreshes only one rotates
+  const { data: rotated, error: updateError } = await supabase
+    .from('auth_sessions')
+    .update({
+      refresh_token_hash: hashSecret(secret),
+      previous_token_hash: hash,
+      rotated_at: now.toISOString(),
+      last_used_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + REFRESH_TTL_MS).toISOString(),
+      workspace_id: workspaceId,
+      ...clientInfo(event)
+    })
+    .eq('id', sessionId)
+    .eq('refresh_token_hash', hash)
+    .is('revoked_at', null)
+    .select('id');
+  if (updateError) throw new Error(`Session rotation failed: ${updateError.message}`);
+  if (!rotated || !rotated.length) throw new AuthError(409, 'refresh_conflict', 'Session was refreshed by another tab');
+
+  return tokenResponse(user, sessionId, workspaceId, secret);
+}
+
+// Point the caller's session at another workspace (membership already checked) and issue an access
+// token for it; the refresh token stays the same
+async function switchWorkspace(auth, workspaceId) {
+  const sessionId = auth.claims.sid;
+  if (!sessionId) throw new AuthError(401, 'session_required', 'Sign in again to switch workspaces');
+  const { data, error } = await getSupabase(true)
+    .from('auth_sessions')
+    .update({ workspace_id: workspaceId, last_used_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', auth.userId)
+    .is('revoked_at', null)
+    .select('id');
+  if (error) throw new Error(`Failed to switch workspace: ${error.message}`);
+  if (!data || !data.length) throw new AuthError(401, 'session_revoked', 'Session has been signed out');
+  return tokenResponse({ id: auth.userId, email: auth.claims.email, name: auth.claims.name }, sessionId, workspaceId);
+}
+
+// Sign out the session a refresh token belongs to; unknown or already revoked tokens are ignored
+async function revokeSession(refreshToken, reason = 'logout') {
+  let parsed;
+  try {
+    parsed = parseRefreshToken(refreshToken);
+  } catch (_) {
+    return false;
+  }
+  const { data, error } = await getSupabase(true)
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', parsed.sessionId)
+    .or(`refresh_token_hash.eq.${parsed.hash},previous_token_hash.eq.${parsed.hash}`)
+    .is('revoked_at', null)
+    .select('id');
+  if (error) throw new Error(`Failed to revoke session: ${error.message}`);
+  return !!(data && data.length);
+}
+
+// Logout everywhere: revoke every session and invalidate access tokens already handed out
+async function revokeAllSessions(userId, reason = 'logout_all') {
+  const supabase = getSupabase(true);
+  const now = new Date().toISOString();
+  const { error: userError } = await supabase
+    .from('users')
+    .update({ sessions_revoked_at: now })
+    .eq('id', userId);
+  if (userError) throw new Error(`Failed to revoke sessions: ${userError.message}`);
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: now, revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+  if (error) throw new Error(`Failed to revoke sessions: ${error.message}`);
+  return (data || []).length;
+}
+
+module.exports = { createSession, rotateSession, switchWorkspace, revokeSession, revokeAllSessions };
@@ -0,0 +1,265 @@
+// Team workspaces: store credentials, quick jobs, bulk contexts and generated images belong to a
+// workspace; users join with a role (see ROLES in _auth.js).
+//
+// Every user has a personal workspace (created at sign-in if missing). Owners invite people by email;
+// the invitation link works once, for INVITE_TTL_MS, and only for an account with that email.
+// A workspace always keeps at least one owner.
+//
+// Management helpers take a pg client (see _db.js); ensurePersonalWorkspace uses Supabase like the
+// other sign-in code.
+
+const crypto = require('crypto');
+const { getSupabase } = require('./_supabase_node');
+const { ROLES } = require('./_auth');
+const { sendMail, appUrl } = require('./_mail');
+const { decryptSecret } = require('./_secrets');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class WorkspaceError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.statusCode = statusCode;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function cleanName(name) {
+  const value = String(name || '').trim().slice(0, 100);
+  if (!value) throw new WorkspaceError(400, 'Workspace name is required');
+  return value;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new WorkspaceError(400, `Role must be one of ${ROLES.join(', ')}`);
+  return role;
+}
+
+function displayName(user) {
+  return [user.first_name, user.last_name].filter(Boolean).join(' ').trim() || user.email;
+}
+
+// Id of the user's personal workspace, creating it (with owner membership) on first use
+async function ensurePersonalWorkspace(user) {
+  const supabase = getSupabase(true);
+  const find = () => supabase.from('workspaces').select('id').eq('created_by', user.id).eq('personal', true).maybeSingle();
+
+  let { data: existing, error } = await find();
+  if (error) throw new Error(`Workspace lookup failed: ${error.message}`);
+  if (!existing) {
+    const { data: created, error: insertError } = await supabase
+      .from('workspaces')
+      .insert({ name: `${displayName(user)}'s workspace`, personal: true, created_by: user.id })
+      .select('id')
+      .single();
+    // A concurrent sign-in created it first (unique personal workspace per user)
+    if (insertError && insertError.code !== '23505') throw new Error(`Failed to create workspace: ${insertError.message}`);
+    existing = created || (await find()).data;
+  }
+  const { error: memberError } = await supabase
+    .from('workspace_members')
+    .upsert({ workspace_id: existing.id, user_id: user.id, role: 'owner' }, { onConflict: 'workspace_id,user_id', ignoreDuplicates: true });
+  if (memberError) throw new Error(`Failed to add workspace owner: ${memberError.message}`);
+  return existing.id;
+}
+
+// product_contexts rows are keyed by product/session id alone: a save may only take over a row that is new,
+// from before workspaces (no workspace_id) or already the caller's
+async function contextWritable(supabase, productId, workspaceId) {
+  const { data, error } = await supabase.from('product_contexts').select('workspace_id').eq('product_id', productId).maybeSingle();
+  if (error) throw new Error(`Context lookup failed: ${error.message}`);
+  return !data || !data.workspace_id || data.workspace_id === workspaceId;
+}
+
+async function listWorkspaces(client, userId) {
+  const r = await client.query(
+    `select w.id, w.name, w.personal, m.role,
+            (select count(*)::int from workspace_members c where c.workspace_id = w.id) as member_count,
+            (w.printify_api_key_encrypted is not null) as has_printify,
+            (w.printful_access_token_encrypted is not null or w.printful_api_key_encrypted is not null) as has_printful
+     from workspace_members m join workspaces w on w.id = m.workspace_id
+     where m.user_id = $1
+     order by w.personal desc, w.name`,
+    [userId]
+  );
+  return r.rows;
+}
+
+async function getMembership(client, workspaceId, userId) {
+  const r = await client.query(
+    `select w.id, w.name, w.personal, m.role
+     from workspace_members m join workspaces w on w.id = m.workspace_id
+     where m.workspace_id = $1 and m.user_id = $2`,
+    [workspaceId, userId]
+  );
+  return r.rows[0] || null;
+}
+
+async function createWorkspace(client, userId, name) {
+  await client.query('begin');
+  try {
+    const w = await client.query('insert into workspaces (name, created_by) values ($1, $2) returning id, name, personal', [cleanName(name), userId]);
+    await client.query(`insert into workspace_members (workspace_id, user_id, role) values ($1, $2, 'owner')`, [w.rows[0].id, userId]);
+    await client.query('commit');
+    return { ...w.rows[0], role: 'owner' };
+  } catch (e) {
+    await client.query('rollback');
+    throw e;
+  }
+}
+
+async function renameWorkspace(client, workspaceId, name) {
+  const r = await client.query('update workspaces set name = $2, updated_at = now() where id = $1 returning id, name, personal', [workspaceId, cleanName(name)]);
+  return r.rows[0] || null;
+}
+
+async function listMembers(client, workspaceId) {
+  const r = await client.query(
+    `select m.user_id, m.role, m.created_at, u.email, u.first_name, u.last_name
+     from workspace_members m join users u on u.id = m.user_id
+     where m.workspace_id = $1
+     order by m.created_at`,
+    [workspaceId]
+  );
+  return r.rows;
+}
+
+// Demoting or removing the last owner would leave nobody able to manage credentials and members
+async function assertOwnerRemains(client, workspaceId, userId) {
+  const r = await client.query(
+    `select count(*)::int as owners from workspace_members where workspace_id = $1 and role = 'owner' and user_id <> $2`,
+    [workspaceId, userId]
+  );
+  if (!r.rows[0].owners) throw new WorkspaceError(409, 'A workspace needs at least one owner');
+}
+
+async function setMemberRole(client, workspaceId, userId, role) {
+  checkRole(role);
+  if (role !== 'owner') await assertOwnerRemains(client, workspaceId, userId);
+  const r = await client.query(
+    'update workspace_members set role = $3 where workspace_id = $1 and user_id = $2 returning user_id, role',
+    [workspaceId, userId, role]
+  );
+  if (!r.rowCount) throw new WorkspaceError(404, 'Member not found');
+  return r.rows[0];
+}
+
+async function removeMember(client, workspaceId, userId) {
+  await assertOwnerRemains(client, workspaceId, userId);
+  const r = await client.query('delete from workspace_members where workspace_id = $1 and user_id = $2', [workspaceId, userId]);
+  if (!r.rowCount) throw new WorkspaceError(404, 'Member not found');
+  // Sessions sitting in this workspace fall back to the personal one on their next refresh
+  await client.query('update auth_sessions set workspace_id = null where workspace_id = $1 and user_id = $2', [workspaceId, userId]);
+}
+
+async function listInvitations(client, workspaceId) {
+  const r = await client.query(
+    `select id, email, role, created_at, expires_at from workspace_invitations
+     where workspace_id = $1 and accepted_at is null and expires_at > now()
+     order by created_at desc`,
+    [workspaceId]
+  );
+  return r.rows;
+}
+
+async function createInvitation(client, workspace, inviter, { email, role }) {
+  const address = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new WorkspaceError(400, 'A valid email is required');
+  checkRole(role);
+
+  const member = await client.query(
+    'select 1 from workspace_members m join users u on u.id = m.user_id where m.workspace_id = $1 and lower(u.email) = $2',
+    [workspace.id, address]
+  );
+  if (member.rowCount) throw new WorkspaceError(409, 'That person is already a member');
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  // A new invitation for the same address replaces the pending one
+  await client.query('delete from workspace_invitations where workspace_id = $1 and lower(email) = $2 and accepted_at is null', [workspace.id, address]);
+  const r = await client.query(
+    `insert into workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at)
+     values ($1, $2, $3, $4, $5, $6) returning id, email, role, created_at, expires_at`,
+    [workspace.id, address, role, hashToken(token), inviter.id, new Date(Date.now() + INVITE_TTL_MS).toISOString()]
+  );
+
+  const link = `${appUrl()}/auth.html?invite=${token}`;
+  await sendMail({
+    to: address,
+    subject: `You're invited to ${workspace.name}`,
+    text: `${displayName(inviter)} invited you to join "${workspace.name}" as ${role}.\n\nSign in or create an account with this email address, then open this link within 7 days:\n\n${link}`
+  });
+  return r.rows[0];
+}
+
+async function revokeInvitation(client, workspaceId, invitationId) {
+  const r = await client.query('delete from workspace_invitations where id = $1 and workspace_id = $2 and accepted_at is null', [invitationId, workspaceId]);
+  if (!r.rowCount) throw new WorkspaceError(404, 'Invitation not found');
+}
+
+// Join the invitation's workspace; the signed-in account must own the invited address
+async function acceptInvitation(client, token, user) {
+  if (!token) throw new WorkspaceError(400, 'Invitation token is required');
+  await client.query('begin');
+  try {
+    const r = await client.query(
+      `select i.*, w.name as workspace_name from workspace_invitations i join workspaces w on w.id = i.workspace_id
+       where i.token_hash = $1 for update of i`,
+      [hashToken(token)]
+    );
+    const invite = r.rows[0];
+    if (!invite || invite.accepted_at) throw new WorkspaceError(404, 'Invitation is invalid or was already used');
+    if (new Date(invite.expires_at).getTime() <= Date.now()) throw new WorkspaceError(410, 'Invitation has expired');
+    if (String(user.email).toLowerCase() !== invite.email.toLowerCase()) {
+      throw new WorkspaceError(403, `This invitation was sent to ${invite.email}; sign in with that account to accept it`);
+    }
+
+    // Joining never lowers the role of someone who is already a member
+    await client.query(
+      `insert into workspace_members (workspace_id, user_id, role) values ($1, $2, $3)
+       on conflict (workspace_id, user_id) do update set role = case
+         when array_position($4::text[], excluded.role) > array_position($4::text[], workspace_members.role) then excluded.role
+         else workspace_members.role end`,
+      [invite.workspace_id, user.id, invite.role, ROLES]
+    );
+    await client.query('update workspace_invitations set accepted_at = now(), accepted_by = $2 where id = $1', [invite.id, user.id]);
+    await client.query('commit');
+    return getMembership(client, invite.workspace_id, user.id);
+  } catch (e) {
+    await client.query('rollback');
+    throw e;
+  }
+}
+
+// Decrypted Printify key of a workspace, or null. For server-side calls only: get-api-key hands the key
+// itself to owners alone.
+async function workspacePrintifyKey(workspaceId) {
+  const { data, error } = await getSupabase(true)
+    .from('workspaces')
+    .select('printify_api_key_encrypted')
+    .eq('id', workspaceId)
+    .maybeSingle();
+  if (error) throw new Error(`Workspace key lookup failed: ${error.message}`);
+  return data && data.printify_api_key_encrypted ? decryptSecret(data.printify_api_key_encrypted) : null;
+}
+
+module.exports = {
+  WorkspaceError,
+  workspacePrintifyKey,
+  ensurePersonalWorkspace,
+  contextWritable,
+  listWorkspaces,
+  getMembership,
+  createWorkspace,
+  renameWorkspace,
+  listMembers,
+  setMemberRole,
+  removeMember,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
@@ -1,5 +1,6 @@
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const { getSupabase } = require('./_supabase_node.js');
+const { withAuth } = require('./_auth');
 
 const headers = {
   'Access-Control-Allow-Origin': '*',
@@ -8,28 +9,16 @@ const headers = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('Add-model function called:', event.httpMethod, event.path);
   console.log('Headers:', event.headers);
   console.log('Body:', event.body);
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
-
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
   }
 
   try {
-    // Get authorization header (case-insensitive)
-    const authHeader = event.headers.authorization || 
-                      event.headers.Authorization || 
-                      Object.keys(event.headers).find(h => h.toLowerCase() === 'authorization');
-    
-    // Make authorization optional for now to fix the immediate issue
-    // We'll still try to track usage if the header is present
-
     const { prompt, imageUrl } = JSON.parse(event.body);
     
     if (!prompt || !imageUrl) {
@@ -109,49 +98,21 @@ exports.handler = async (event, context) => {
       throw new Error('Failed to retrieve generated lifestyle image');
     }
 
-    // Track usage if authorization is present
+    // Track usage
     try {
-      if (authHeader) {
-        const supabase = getSupabase(true);
-        // Extract token if it exists in the format 'Bearer token'
-        const token = authHeader.includes(' ') ? authHeader.split(' ')[1] : authHeader;
-        
-        // Suppress punycode deprecation warning
-        const originalEmit = process.emit;
-        process.emit = function (name, data, ...args) {
-          if (name === 'warning' && typeof data === 'object' && data.name === 'DeprecationWarning' && data.message.includes('punycode')) {
-            return false;
-          }
-          return originalEmit.apply(process, arguments);
-        };
-        
-        try {
-          const jwt = require('jsonwebtoken');
-          const payload = jwt.verify(token, process.env.JWT_SECRET);
-          const userId = parseInt(payload.sub);
-          
-          // Restore original emit
-          process.emit = originalEmit;
-
-          await supabase.from('usage_tracking').insert([
-            {
-              user_id: userId,
-              type: 'ai_generations',
-              count: 1,
-              metadata: {
-                service: 'fal-nano-banana-add-model',
-                prompt,
-                image_count: image_urls.length,
-              },
-            },
-          ]);
-        } catch (jwtError) {
-          console.error('JWT verification error:', jwtError);
-          // Continue execution even if JWT verification fails
-        }
-      } else {
-        console.log('No authorization header present, skipping usage tracking');
-      }
+      const supabase = getSupabase(true);
+      await supabase.from('usage_tracking').insert([
+        {
+          user_id: parseInt(auth.userId),
+          type: 'ai_generations',
+          count: 1,
+          metadata: {
+            service: 'fal-nano-banana-add-model',
+            prompt,
+            image_count: image_urls.length,
+          },
+        },
+      ]);
     } catch (usageError) {
       console.error('Usage tracking error:', usageError);
       // Continue execution even if usage tracking fails
@@ -184,4 +145,4 @@ exports.handler = async (event, context) => {
       }),
     };
   }
-};
+}, { scopes: ['ai'], role: 'editor', cors: headers });
@@ -1,17 +1,16 @@
 const fetch = require('node-fetch');
 const FormData = require('form-data');
+const { withAuth } = require('./_auth');
+const { workspacePrintifyKey } = require('./_workspaces');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json',
+};
 
-exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
@@ -22,25 +21,8 @@ exports.handler = async (event) => {
       return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'shopId, productId, and imageUrl are required' }) };
     }
 
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader) {
-      return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: 'Authorization header required' }) };
-    }
-
-    const proto = event.headers['x-forwarded-proto'] || 'https';
-    const host = event.headers.host;
-    const origin = `${proto}://${host}`;
-
-    // 1) Fetch user Printify API key
-    const apiKeyRes = await fetch(`${origin}/.netlify/functions/get-api-key`, {
-      method: 'GET',
-      headers: { Authorization: authHeader },
-    });
-    if (!apiKeyRes.ok) {
-      const text = await apiKeyRes.text();
-      return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: `Failed to get API key: ${text}` }) };
-    }
-    const { apiKey } = await apiKeyRes.json();
+    // 1) Stored Printify API key of the workspace
+    const apiKey = await workspacePrintifyKey(auth.workspace.id);
     if (!apiKey) {
       return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: 'No API key found' }) };
     }
@@ -151,4 +133,4 @@ exports.handler = async (event) => {
     console.error('apply-edited-image error:', e);
     return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: e.message || 'Internal error' }) };
   }
-};
+}, { scopes: ['products'], role: 'editor', cors: headers });
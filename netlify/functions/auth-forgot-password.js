@@ -0,0 +1,55 @@
+const { getSupabase } = require('./_supabase_node');
+const { issuePasswordReset } = require('./_account_tokens');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// Same answer whether or not the address has an account, so this cannot be used to probe for users
+const SENT = { success: true, message: 'If an account exists for that email, a reset link is on its way.' };
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { email } = JSON.parse(event.body || '{}');
+    if (!email) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Email is required' }) };
+    }
+
+    const supabase = getSupabase(true);
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, first_name')
+      .eq('email', String(email).trim().toLowerCase())
+      .maybeSingle();
+    if (error) throw new Error(`User lookup failed: ${error.message}`);
+
+    if (user) {
+      const ip = event.headers['x-forwarded-for'] || 'unknown';
+      const sent = await issuePasswordReset(user, ip);
+      if (sent) {
+        await supabase
+          .from('audit_logs')
+          .insert({ user_id: user.id, action: 'password_reset_requested', details: { ip } });
+      }
+    }
+
+    return { statusCode: 200, headers, body: JSON.stringify(SENT) };
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Internal server error' })
+    };
+  }
+};
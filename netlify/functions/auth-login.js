@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { getSupabase } = require('./_supabase_node');
+const { createSession } = require('./_sessions');
 
 const headers = {
   'Access-Control-Allow-Origin': '*',
@@ -55,16 +55,8 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        sub: String(user.id), // Convert to string to avoid Supabase JWT parsing error
-        email: user.email,
-        name: user.name
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Short-lived access token plus a refresh token for auth-refresh
+    const session = await createSession(user, event);
 
     // Track login
     await supabase
@@ -80,7 +72,7 @@ exports.handler = async (event, context) => {
       headers,
       body: JSON.stringify({
         success: true,
-        token,
+        ...session,
         user: {
           id: user.id,
           email: user.email,
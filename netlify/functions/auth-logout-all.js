@@ -0,0 +1,38 @@
+const { withAuth } = require('./_auth');
+const { getSupabase } = require('./_supabase_node');
+const { revokeAllSessions } = require('./_sessions');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// POST: sign out every session of the caller, including this one. Access tokens already handed
+// out stop working too (see users.sessions_revoked_at in _auth.js).
+exports.handler = withAuth(async (event, context, auth) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
+  }
+
+  try {
+    const revoked = await revokeAllSessions(auth.userId);
+
+    await getSupabase(true)
+      .from('audit_logs')
+      .insert({
+        user_id: parseInt(auth.userId),
+        action: 'logout_all',
+        details: { ip: event.headers['x-forwarded-for'] || 'unknown', sessions: revoked }
+      });
+
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, revoked }) };
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Internal server error' })
+    };
+  }
+}, { scopes: ['account'], cors: headers });
@@ -0,0 +1,32 @@
+const { revokeSession } = require('./_sessions');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// POST { refreshToken }: sign out this browser's session. Always succeeds so a stale token
+// never blocks the client from clearing its storage.
+exports.handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { refreshToken } = JSON.parse(event.body || '{}');
+    const revoked = refreshToken ? await revokeSession(refreshToken) : false;
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, revoked }) };
+  } catch (error) {
+    console.error('Logout error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Internal server error' })
+    };
+  }
+};
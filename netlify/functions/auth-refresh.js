@@ -0,0 +1,42 @@
+const { rotateSession } = require('./_sessions');
+const { AuthError, authErrorResponse } = require('./_auth');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// POST { refreshToken } -> { token, refreshToken, expiresAt }. The refresh token is single use:
+// store the new one, the old one stops working.
+exports.handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { refreshToken } = JSON.parse(event.body || '{}');
+    if (!refreshToken) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'refreshToken is required' }) };
+    }
+
+    const session = await rotateSession(refreshToken, event);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, ...session })
+    };
+  } catch (error) {
+    if (error instanceof AuthError) return authErrorResponse(error, headers);
+    console.error('Refresh error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Internal server error' })
+    };
+  }
+};
@@ -1,6 +1,7 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { getSupabase } = require('./_supabase_node');
+const { createSession } = require('./_sessions');
+const { issueVerification, MIN_PASSWORD_LENGTH } = require('./_account_tokens');
 
 const headers = {
   'Access-Control-Allow-Origin': '*',
@@ -18,9 +19,12 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { email, password, name } = JSON.parse(event.body);
+    const { email, password, name, firstName, lastName, companyName } = JSON.parse(event.body);
+    // auth.html sends first/last name; older callers send a single name
+    const [first, ...rest] = String(firstName || name || '').trim().split(/\s+/);
+    const last = lastName ? String(lastName).trim() : rest.join(' ');
 
-    if (!email || !password || !name) {
+    if (!email || !password || !first) {
       return { 
         statusCode: 400, 
         headers, 
@@ -39,11 +43,11 @@ exports.handler = async (event, context) => {
     }
 
     // Validate password strength
-    if (password.length < 8) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
       return { 
         statusCode: 400, 
         headers, 
-        body: JSON.stringify({ success: false, error: 'Password must be at least 8 characters long' }) 
+        body: JSON.stringify({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` }) 
       };
     }
 
@@ -73,7 +77,9 @@ exports.handler = async (event, context) => {
       .from('users')
       .insert({
         email: email.toLowerCase(),
-        name: name.trim(),
+        first_name: first,
+        last_name: last || null,
+        company_name: companyName ? String(companyName).trim() : null,
         password_hash: passwordHash,
         created_at: new Date().toISOString()
       })
@@ -89,16 +95,17 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        sub: String(newUser.id), // Convert to string to avoid Supabase JWT parsing error
-        email: newUser.email,
-        name: newUser.name
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    newUser.name = [newUser.first_name, newUser.last_name].filter(Boolean).join(' ');
+
+    // The account works right away; the emailed link only confirms the address
+    try {
+      await issueVerification(newUser);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Short-lived access token plus a refresh token for auth-refresh
+    const session = await createSession(newUser, event);
 
     // Track registration
     await supabase
@@ -114,11 +121,12 @@ exports.handler = async (event, context) => {
       headers,
       body: JSON.stringify({
         success: true,
-        token,
+        ...session,
         user: {
           id: newUser.id,
           email: newUser.email,
           name: newUser.name,
+          email_verified: !!newUser.email_verified,
           created_at: newUser.created_at
         }
       })
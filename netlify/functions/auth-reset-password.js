@@ -0,0 +1,44 @@
+const { getSupabase } = require('./_supabase_node');
+const { resetPassword, TokenError } = require('./_account_tokens');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// POST { token, password }: token from the reset email. Every existing session is signed out.
+exports.handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { token, password } = JSON.parse(event.body || '{}');
+    const { userId } = await resetPassword(token, password);
+
+    await getSupabase(true)
+      .from('audit_logs')
+      .insert({
+        user_id: userId,
+        action: 'password_reset',
+        details: { ip: event.headers['x-forwarded-for'] || 'unknown' }
+      });
+
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: error.message, reason: error.reason }) };
+    }
+    console.error('Reset password error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Internal server error' })
+    };
+  }
+};
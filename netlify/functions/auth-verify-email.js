@@ -0,0 +1,43 @@
+const { verifyEmail, TokenError } = require('./_account_tokens');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+// GET ?token= is the link from the verification email: redirects to auth.html with the outcome.
+// POST { token } answers JSON for callers that handle the token themselves.
+exports.handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const fromLink = event.httpMethod === 'GET';
+  if (!fromLink && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
+  }
+
+  const redirect = (query) => ({ statusCode: 302, headers: { Location: `/auth.html?${query}`, 'Cache-Control': 'no-store' }, body: '' });
+
+  try {
+    const token = fromLink
+      ? (event.queryStringParameters || {}).token
+      : JSON.parse(event.body || '{}').token;
+    await verifyEmail(token);
+    if (fromLink) return redirect('verified=1');
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+  } catch (error) {
+    if (error instanceof TokenError) {
+      if (fromLink) return redirect(`verify_error=${encodeURIComponent(error.reason)}`);
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: error.message, reason: error.reason }) };
+    }
+    console.error('Email verification error:', error);
+    if (fromLink) return redirect('verify_error=server_error');
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Internal server error' })
+    };
+  }
+};
@@ -2,18 +2,16 @@
 // A diagnostic tool to check the connection status of a specific Printify shop.
 
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
+const { workspacePrintifyKey } = require('./_workspaces');
 
-exports.handler = async (event) => {
-    const cors = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-    };
-
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 200, headers: cors, body: '' };
-    }
+const cors = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
     if (event.httpMethod !== 'POST') {
         return { statusCode: 405, headers: cors, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
     }
@@ -26,24 +24,8 @@ exports.handler = async (event) => {
             return { statusCode: 400, headers: cors, body: JSON.stringify({ success: false, error: 'Missing required field: shopId' }) };
         }
 
-        let authToken = event.headers.authorization?.replace(/^Bearer\s+/i, '');
-
-        if (!authToken) {
-            return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Unauthorized - No auth token' }) };
-        }
-
         console.log(`Fetching API key for shop: ${shopId}`);
-        const apiKeyResponse = await fetch(`${event.rawUrl.split('/.netlify')[0]}/.netlify/functions/get-api-key`, {
-            headers: { Authorization: `Bearer ${authToken}` }
-        });
-
-        if (!apiKeyResponse.ok) {
-            const errorText = await apiKeyResponse.text();
-            console.error('Failed to get user API key:', errorText);
-            return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Failed to get Printify API key.' }) };
-        }
-
-        const { apiKey: printifyApiToken } = await apiKeyResponse.json();
+        const printifyApiToken = await workspacePrintifyKey(auth.workspace.id);
         if (!printifyApiToken) {
             return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'No Printify API key found.' }) };
         }
@@ -92,4 +74,4 @@ exports.handler = async (event) => {
             body: JSON.stringify({ success: false, error: error.message })
         };
     }
-};
+}, { scopes: ['products'], cors });
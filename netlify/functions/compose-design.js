@@ -0,0 +1,72 @@
+// netlify/functions/compose-design.js
+// Renders the print-ready file of one placement server-side (see _compositor.js).
+// Expects JSON body:
+// {
+//   image_url: string,                              // http(s) or data URL of the design
+//   transform?: { x, y, scale, rotation },          // Step 5 fine-tune override of the placement
+//   printfile: { width, height, dpi?, fill_mode? }, // pixels, e.g. from get-print-area-specs
+//   placement?: string,
+//   upload?: 'printful',                            // store the file in the Printful File Library
+//   filename?: string
+// }
+// Returns { success: true, width, height, dpi, effective_dpi, file: { id, url } } with upload, else the PNG as data_url.
+// Printify positions designs itself (create-product placementOverrides), so there is no Printify upload.
+
+const { withAuth } = require('./_auth');
+const { CompositorError, loadDesign, composeDesign } = require('./_compositor');
+const { PrintfulFileError, uploadToPrintfulLibrary } = require('./_printful_files');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+// Function responses are capped at 6 MB; a base64 PNG above this needs upload instead
+const MAX_INLINE_BYTES = 4 * 1024 * 1024;
+
+function errorResponse(statusCode, error, extra = {}) {
+  return { statusCode, headers, body: JSON.stringify({ success: false, error, ...extra }) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  if (event.httpMethod !== 'POST') return errorResponse(405, 'Method Not Allowed');
+
+  let body;
+  try { body = JSON.parse(event.body || '{}'); } catch { return errorResponse(400, 'Invalid JSON body'); }
+  const { image_url, transform = {}, printfile, placement = 'front', upload = null } = body || {};
+  if (upload !== null && upload !== 'printful') return errorResponse(400, "upload must be 'printful' when given");
+
+  try {
+    const design = await loadDesign(image_url);
+    const composed = await composeDesign(design, transform, printfile);
+    console.log(`[compose-design] ${placement}: ${composed.width}x${composed.height} @${composed.dpi}dpi, design ${composed.placed.width}x${composed.placed.height} at ${composed.placed.left},${composed.placed.top} rot ${composed.placed.rotation}, ${composed.buffer.length} bytes`);
+
+    const result = {
+      success: true,
+      placement,
+      width: composed.width,
+      height: composed.height,
+      dpi: composed.dpi,
+      effective_dpi: composed.effectiveDpi,
+      file_size_bytes: composed.buffer.length
+    };
+
+    if (upload === 'printful') {
+      const filename = body.filename || `${placement}-${composed.width}x${composed.height}.png`;
+      const file = await uploadToPrintfulLibrary(auth.workspace.id, composed.buffer, { filename, mime: 'image/png' });
+      return { statusCode: 200, headers, body: JSON.stringify({ ...result, file: { id: file.id, url: file.url } }) };
+    }
+
+    if (composed.buffer.length > MAX_INLINE_BYTES) {
+      return errorResponse(413, "The composed file is too large to return inline; request it with upload: 'printful'", { reason: 'output_too_large', file_size_bytes: composed.buffer.length });
+    }
+    return { statusCode: 200, headers, body: JSON.stringify({ ...result, data_url: `data:image/png;base64,${composed.buffer.toString('base64')}` }) };
+  } catch (err) {
+    if (err instanceof CompositorError) return errorResponse(err.statusCode, err.message, { reason: err.reason });
+    if (err instanceof PrintfulFileError) return errorResponse(err.statusCode, err.message, err.details ? { details: err.details } : {});
+    console.error('[compose-design] Error:', err);
+    return errorResponse(500, 'Failed to compose design', { details: err.message });
+  }
+}, { scopes: ['products'], role: 'editor', cors: headers });
@@ -0,0 +1,30 @@
+// POST { planId } or { plan: 'Starter' } -> { url } of a Stripe Checkout page for that subscription plan.
+// The subscription itself is stored by stripe-webhook once Stripe confirms it.
+
+const { withAuth } = require('./_auth');
+const { BillingError, createCheckoutSession } = require('./_billing');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  if (event.httpMethod !== 'POST') return respond(405, { success:false, error:'Method Not Allowed' });
+  try {
+    const body = JSON.parse(event.body || '{}');
+    if (!body.planId && !body.plan) return respond(400, { success:false, error:'Missing planId or plan' });
+    const session = await createCheckoutSession(auth.user, { planId: body.planId, plan: body.plan });
+    return respond(200, { success:true, ...session });
+  } catch (e) {
+    if (e instanceof BillingError) return respond(e.statusCode, { success:false, error: e.message });
+    console.error('create-checkout-session error', e && (e.stack || e.message || e));
+    return respond(500, { success:false, error: 'Failed to start checkout' });
+  }
+}, { scopes: ['account'], cors });
@@ -1,5 +1,8 @@
 // Create actual Printify products with AI-generated designs
 // This function creates real products in the user's Printify shop
+const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
+const { workspacePrintifyKey } = require('./_workspaces');
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -8,51 +11,36 @@ const corsHeaders = {
   'Content-Type': 'application/json',
 };
 
-export default async (req, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('=== CREATE PRINTIFY PRODUCT FUNCTION START ===');
-  
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
-  }
 
-  if (req.method !== 'POST') {
-    return new Response(
-      JSON.stringify({ success: false, error: 'Method not allowed' }),
-      { status: 405, headers: corsHeaders }
-    );
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
   }
 
   try {
-    const { shopId, blueprintId, title, description, images, printAreas, style, audience, providerId } = await req.json();
+    const { shopId, blueprintId, title, description, images, printAreas, style, audience, providerId } = JSON.parse(event.body || '{}');
     
     if (!shopId || !blueprintId || !images || images.length === 0) {
-      return new Response(
-        JSON.stringify({ success: false, error: 'Missing required parameters' }),
-        { status: 400, headers: corsHeaders }
-      );
-    }
-
-    const authHeader = req.headers.get('authorization');
-    if (!authHeader) {
-      return new Response(
-        JSON.stringify({ success: false, error: 'Authorization header required' }),
-        { status: 401, headers: corsHeaders }
-      );
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ success: false, error: 'Missing required parameters' })
+      };
     }
 
-    // Get API key from user's stored credentials
-    const apiKeyResponse = await fetch(`${new URL(req.url).origin}/.netlify/functions/get-api-key`, {
-      headers: { Authorization: authHeader }
-    });
-    
-    if (!apiKeyResponse.ok) {
-      throw new Error('Failed to get API key');
-    }
-    
-    const { apiKey } = await apiKeyResponse.json();
+    // Stored Printify API key of the workspace
+    const apiKey = await workspacePrintifyKey(auth.workspace.id);
     if (!apiKey) {
-      throw new Error('No API key found');
+      return {
+        statusCode: 401,
+        headers: corsHeaders,
+        body: JSON.stringify({ success: false, error: 'No API key found' })
+      };
     }
 
     // First, upload the design images to Printify
@@ -189,23 +177,25 @@ export default async (req, context) => {
     const createdProduct = await createResponse.json();
     console.log('Created product:', createdProduct.id);
 
-    return new Response(
-      JSON.stringify({
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: JSON.stringify({
         success: true,
         product: createdProduct,
         uploaded_images: uploadedImages
-      }),
-      { headers: corsHeaders }
-    );
+      })
+    };
 
   } catch (error) {
     console.error('Error creating Printify product:', error);
-    return new Response(
-      JSON.stringify({ 
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({ 
         success: false, 
         error: error.message || 'Failed to create product' 
-      }),
-      { status: 500, headers: corsHeaders }
-    );
+      })
+    };
   }
-};
+}, { scopes: ['products'], role: 'editor', cors: corsHeaders });
@@ -3,48 +3,28 @@
 
 // Use CommonJS require for compatibility
 const fetch = require('node-fetch');
-
-// Export the handler function
-exports.handler = async (event) => {
-    const cors = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
-    };
-
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 200, headers: cors, body: '' };
-    }
-
+const { decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
+const { QuotaError, reserveUsage, refundUsage, quotaErrorResponse } = require('./_quota');
+const { withIdempotency } = require('./_idempotency');
+
+const cors = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+// Export the handler function (a retry with the same Idempotency-Key gets the first product back)
+exports.handler = withAuth(withIdempotency('create-product', async (event, context, auth) => {
     if (event.httpMethod !== 'POST') {
         return { statusCode: 405, headers: cors, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
     }
 
+    let reservation = null;
     try {
         console.log('Request received to create-product.js');
         const { shopId, product, providerId, printAreas, selectedImages, content, placementOverrides, markup } = JSON.parse(event.body);
         
-        // Extract JWT token for user authentication
-        let authToken = null;
-        
-        if (event.headers.authorization) {
-            authToken = event.headers.authorization.replace(/^Bearer\s+/i, '');
-        } else if (event.headers.Authorization) {
-            authToken = event.headers.Authorization.replace(/^Bearer\s+/i, '');
-        }
-        
-        // Also check if token was passed in the request body
-        if (!authToken && event.body) {
-            try {
-                const bodyData = JSON.parse(event.body);
-                if (bodyData.token || bodyData.authToken || bodyData.apiToken) {
-                    authToken = bodyData.token || bodyData.authToken || bodyData.apiToken;
-                }
-            } catch (e) {
-                // Ignore parsing errors
-            }
-        }
-
         console.log('Request parameters:', { 
             shopId, 
             productId: product?.id,
@@ -53,14 +33,9 @@ exports.handler = async (event) => {
             providerId,
             printAreasCount: printAreas?.length,
             selectedImagesKeys: Object.keys(selectedImages || {}),
-            authTokenPresent: !!authToken,
             placementOverridesKeys: Object.keys(placementOverrides || {})
         });
 
-        if (!authToken) {
-            return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Unauthorized - No valid authentication token provided' }) };
-        }
-
         if (!shopId || !product || !providerId || !printAreas || !selectedImages) {
             return { statusCode: 400, headers: cors, body: JSON.stringify({ 
                 success: false, 
@@ -71,35 +46,23 @@ exports.handler = async (event) => {
         console.log(`Creating product: ${product.title} (ID: ${product.id}, Blueprint: ${product.blueprint_id}, Provider: ${providerId})`);
 
         // Use the same robust API key retrieval and decryption as printify-proxy.js
-        const jwt = require('jsonwebtoken');
         const { createClient } = require('@supabase/supabase-js');
 
-        function simpleDecrypt(encryptedBase64, key) {
-            const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-            const keyLength = key.length;
-            const result = [];
-            for (let i = 0; i < encryptedBytes.length; i++) {
-                result.push(encryptedBytes[i] ^ key.charCodeAt(i % keyLength));
-            }
-            return Buffer.from(result).toString('utf8');
-        }
-
         const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-        const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
-        const userId = decoded.sub || decoded.id;
+        const workspaceId = auth.workspace.id;
 
-        const { data: user, error: userError } = await supabase
-            .from('users')
+        const { data: workspace, error: workspaceError } = await supabase
+            .from('workspaces')
             .select('printify_api_key_encrypted')
-            .eq('id', userId)
+            .eq('id', workspaceId)
             .single();
 
-        if (userError || !user || !user.printify_api_key_encrypted) {
-            console.error('Error fetching user API key:', userError);
-            return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Printify API key not found for user.' }) };
+        if (workspaceError || !workspace || !workspace.printify_api_key_encrypted) {
+            console.error('Error fetching workspace API key:', workspaceError);
+            return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Printify API key not found for this workspace.' }) };
         }
 
-        const printifyApiToken = simpleDecrypt(user.printify_api_key_encrypted, process.env.JWT_SECRET);
+        const printifyApiToken = decryptSecret(workspace.printify_api_key_encrypted);
         if (!printifyApiToken) {
             return {
                 statusCode: 401,
@@ -355,7 +318,8 @@ exports.handler = async (event) => {
         console.log('- Print Areas:', productPayload.print_areas.length);
         console.log('- Sales Channel Properties:', JSON.stringify(productPayload.sales_channel_properties));
 
-        // Step 5: Create the product
+        // Step 5: Create the product (counts against the plan's products_per_month)
+        reservation = await reserveUsage(auth.userId, 'products', 1, { source: 'create-product', shop_id: String(shopId), workspace_id: workspaceId });
         const createResponse = await fetch(`https://api.printify.com/v1/shops/${shopId}/products.json`, {
             method: 'POST',
             headers: {
@@ -368,6 +332,7 @@ exports.handler = async (event) => {
         if (!createResponse.ok) {
             const errorText = await createResponse.text();
             console.error('Product creation failed:', errorText);
+            await refundUsage(reservation);
             return {
                 statusCode: createResponse.status,
                 headers: cors,
@@ -379,6 +344,8 @@ exports.handler = async (event) => {
             };
         }
 
+        // The product exists upstream now, so the usage stands even if reading the response fails
+        reservation = null;
         const createdProduct = await createResponse.json();
         console.log(`Successfully created product: ${createdProduct.title} (ID: ${createdProduct.id})`);
 
@@ -392,6 +359,8 @@ exports.handler = async (event) => {
         };
 
     } catch (error) {
+        if (error instanceof QuotaError) return quotaErrorResponse(error, cors);
+        await refundUsage(reservation);
         console.error('Create product error:', error);
         return {
             statusCode: 500,
@@ -402,4 +371,4 @@ exports.handler = async (event) => {
             })
         };
     }
-};
\ No newline at end of file
+}, { cors, resourceId: body => body.product && body.product.id }), { scopes: ['products'], role: 'editor', cors });
@@ -0,0 +1,28 @@
+// POST -> { url } of the Stripe customer portal, where the user changes plan, payment method or cancels.
+// Changes made there reach user_subscriptions through stripe-webhook.
+
+const { withAuth } = require('./_auth');
+const { BillingError, createPortalSession } = require('./_billing');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  if (event.httpMethod !== 'POST') return respond(405, { success:false, error:'Method Not Allowed' });
+  try {
+    const session = await createPortalSession(auth.user);
+    return respond(200, { success:true, ...session });
+  } catch (e) {
+    if (e instanceof BillingError) return respond(e.statusCode, { success:false, error: e.message });
+    console.error('customer-portal error', e && (e.stack || e.message || e));
+    return respond(500, { success:false, error: 'Failed to open billing portal' });
+  }
+}, { scopes: ['account'], cors });
@@ -2,16 +2,16 @@
 // Exposes database helper details safely. Optionally attempts a connection with ?connect=true
 
 const { createClient, getDatabaseUrl } = require('./_db');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event) => {
-  const cors = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Content-Type': 'application/json',
-  };
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Content-Type': 'application/json',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   const wantConnect = String((event.queryStringParameters || {}).connect || '').toLowerCase() === 'true';
 
   try {
@@ -60,7 +60,7 @@ exports.handler = async (event) => {
   } catch (err) {
     return { statusCode: 200, headers: cors, body: JSON.stringify({ success: false, error: err.message }) };
   }
-};
+}, { scopes: ['admin'], cors });
 
 function parseDbInfo(url) {
   try {
@@ -2,13 +2,15 @@
 // Simple test for Gemini API connectivity
 
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
-exports.handler = async () => {
-  const cors = {
-    'Access-Control-Allow-Origin': '*',
-    'Content-Type': 'application/json'
-  };
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Content-Type': 'application/json'
+};
 
+exports.handler = withAuth(async () => {
   try {
     // Get the API key
     const apiKey = process.env.GEMINI_API_KEY;
@@ -72,4 +74,4 @@ exports.handler = async () => {
       })
     };
   }
-};
+}, { scopes: ['admin'], cors });
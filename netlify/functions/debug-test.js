@@ -1,4 +1,6 @@
 // Ultra-simple diagnostic that can't fail
+const { withAuth } = require('./_auth');
+
 const cors = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
@@ -6,9 +8,7 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
-  
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[DEBUG-TEST] Starting ultra simple test');
   
   let result = {
@@ -34,7 +34,7 @@ exports.handler = async (event) => {
     console.log('[DEBUG-TEST] About to test parse-user-intent');
     const parseResponse = await fetch(`${origin}/.netlify/functions/parse-user-intent`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
       body: JSON.stringify({
         text: 'create 3 dog shirts',
         currentState: { prompt: '', quantity: null }
@@ -77,4 +77,4 @@ exports.handler = async (event) => {
     headers: cors,
     body: JSON.stringify(result, null, 2)
   };
-};
+}, { scopes: ['admin'], cors });
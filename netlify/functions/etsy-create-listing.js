@@ -20,8 +20,9 @@
 // }
 
 const fetch = require('node-fetch');
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { encryptSecret, decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -30,7 +31,7 @@ const cors = {
   'Content-Type': 'application/json'
 };
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   try {
     const ts = new Date().toISOString();
     console.log(`[etsy-create-listing] INVOKED ${ts}`, {
@@ -38,10 +39,6 @@ exports.handler = async (event) => {
       path: event.path
     });
 
-    if (event.httpMethod === 'OPTIONS') {
-      return { statusCode: 200, headers: cors, body: '' };
-    }
-
     if (event.httpMethod === 'GET') {
       return { 
         statusCode: 200, 
@@ -58,33 +55,9 @@ exports.handler = async (event) => {
       };
     }
 
-    // Verify app auth token if present (optional when X-Etsy-Token header is supplied)
-    const authHeader = event.headers.authorization || event.headers.Authorization;
+    // An explicit X-Etsy-Token header takes precedence over the user's stored Etsy OAuth token
     const headerEtsyToken = event.headers['x-etsy-token'] || event.headers['X-Etsy-Token'];
-    let userId = null;
-    let token = null;
-    if (authHeader && /^Bearer\s+/i.test(authHeader)) {
-      token = authHeader.replace(/^Bearer\s+/i, '');
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        userId = decoded.sub || decoded.id;
-      } catch (e) {
-        // ignore invalid app token if we have an explicit Etsy token header
-        if (!headerEtsyToken) {
-          return {
-            statusCode: 401,
-            headers: cors,
-            body: JSON.stringify({ success: false, error: 'Unauthorized - Invalid token' })
-          };
-        }
-      }
-    } else if (!headerEtsyToken) {
-      return {
-        statusCode: 401,
-        headers: cors,
-        body: JSON.stringify({ success: false, error: 'Unauthorized - Missing Authorization or X-Etsy-Token' })
-      };
-    }
+    const workspaceId = auth.workspace.id;
 
     const body = JSON.parse(event.body || '{}');
     const {
@@ -133,40 +106,20 @@ exports.handler = async (event) => {
       };
     }
 
-    // Helper functions for encryption/decryption
-    function simpleDecrypt(encryptedBase64, key) {
-      const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-      const keyLength = key.length;
-      const result = [];
-      for (let i = 0; i < encryptedBytes.length; i++) {
-        result.push(encryptedBytes[i] ^ key.charCodeAt(i % keyLength));
-      }
-      return Buffer.from(result).toString('utf8');
-    }
-
-    function simpleEncrypt(text, key) {
-      const keyLength = key.length;
-      const result = [];
-      for (let i = 0; i < text.length; i++) {
-        result.push(text.charCodeAt(i) ^ key.charCodeAt(i % keyLength));
-      }
-      return Buffer.from(result).toString('base64');
-    }
-
     // Get Etsy access token FIRST (before shipping profile resolution)
     let etsyAccessToken = headerEtsyToken || null;
     let etsyApiKey = null;
 
-    if (!etsyAccessToken && userId) {
+    if (!etsyAccessToken) {
       // Get Etsy OAuth token from Supabase for the logged in user
       const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-      const { data: user, error: userError } = await supabase
-        .from('users')
+      const { data: workspace, error: workspaceError } = await supabase
+        .from('workspaces')
         .select('etsy_access_token_encrypted, etsy_refresh_token_encrypted, etsy_token_expires_at, etsy_api_key')
-        .eq('id', userId)
+        .eq('id', workspaceId)
         .single();
 
-      if (userError || !user) {
+      if (workspaceError || !workspace) {
         return {
           statusCode: 401,
           headers: cors,
@@ -174,16 +127,16 @@ exports.handler = async (event) => {
         };
       }
 
-      etsyAccessToken = user.etsy_access_token_encrypted ? simpleDecrypt(user.etsy_access_token_encrypted, process.env.JWT_SECRET) : null;
-      etsyApiKey = user.etsy_api_key || process.env.ETSY_API_KEY;
+      etsyAccessToken = workspace.etsy_access_token_encrypted ? decryptSecret(workspace.etsy_access_token_encrypted) : null;
+      etsyApiKey = workspace.etsy_api_key || process.env.ETSY_API_KEY;
 
       // Check if token is expired and refresh if needed
-      const expiresAt = user.etsy_token_expires_at ? new Date(user.etsy_token_expires_at) : null;
+      const expiresAt = workspace.etsy_token_expires_at ? new Date(workspace.etsy_token_expires_at) : null;
       const isExpired = expiresAt ? expiresAt <= new Date() : false;
 
-      if (isExpired && user.etsy_refresh_token_encrypted) {
+      if (isExpired && workspace.etsy_refresh_token_encrypted) {
         console.log('[etsy-create-listing] Access token expired, refreshing...');
-        const refreshToken = simpleDecrypt(user.etsy_refresh_token_encrypted, process.env.JWT_SECRET);
+        const refreshToken = decryptSecret(workspace.etsy_refresh_token_encrypted);
 
         try {
           const refreshRes = await fetch('https://api.etsy.com/v3/public/oauth/token', {
@@ -205,17 +158,17 @@ exports.handler = async (event) => {
             const expiresIn = refreshData.expires_in || 3600;
 
             // Update tokens in database
-            const encryptedToken = simpleEncrypt(etsyAccessToken, process.env.JWT_SECRET);
-            const encryptedRefresh = simpleEncrypt(newRefreshToken, process.env.JWT_SECRET);
+            const encryptedToken = encryptSecret(etsyAccessToken);
+            const encryptedRefresh = encryptSecret(newRefreshToken);
 
             await supabase
-              .from('users')
+              .from('workspaces')
               .update({
                 etsy_access_token_encrypted: encryptedToken,
                 etsy_refresh_token_encrypted: encryptedRefresh,
                 etsy_token_expires_at: new Date(Date.now() + expiresIn * 1000).toISOString()
               })
-              .eq('id', userId);
+              .eq('id', workspaceId);
           } else {
             console.error('[etsy-create-listing] Token refresh failed:', JSON.stringify(refreshData).slice(0, 500));
             return {
@@ -629,4 +582,4 @@ exports.handler = async (event) => {
       body: JSON.stringify({ success: false, error: 'Internal Server Error', details: err.message }) 
     };
   }
-};
+}, { scopes: ['products'], role: 'editor', cors });
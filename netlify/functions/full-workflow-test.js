@@ -1,4 +1,6 @@
 // Complete Quick AI Workflow Test - Every Single Step
+const { withAuth } = require('./_auth');
+
 const cors = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
@@ -6,15 +8,11 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[WORKFLOW-TEST] === FUNCTION START ===');
   console.log('[WORKFLOW-TEST] Method:', event.httpMethod);
   
   try {
-    if (event.httpMethod === 'OPTIONS') {
-      return { statusCode: 200, headers: cors, body: '' };
-    }
-    
     console.log('[WORKFLOW-TEST] Starting actual workflow test');
     
     let result = {
@@ -30,7 +28,7 @@ exports.handler = async (event) => {
 
     const fetch = require('node-fetch');
     const origin = `https://${event.headers.host}`;
-    const authHeader = event.headers.authorization || event.headers.Authorization;
+    const authHeader = `Bearer ${auth.token}`;
     
     console.log('[WORKFLOW-TEST] Environment - Origin:', origin, 'Auth:', !!authHeader);
     
@@ -40,7 +38,7 @@ exports.handler = async (event) => {
     
     const parseResponse = await fetch(`${origin}/.netlify/functions/parse-user-intent`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: authHeader },
       body: JSON.stringify({
         text: 'create 3 cartoon dog t-shirts with bright colors',
         currentState: { 
@@ -82,7 +80,7 @@ exports.handler = async (event) => {
     
     const contentResponse = await fetch(`${origin}/.netlify/functions/generate-content`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: authHeader },
       body: JSON.stringify({
         prompt: 'cartoon dog t-shirt design with bright colors for dog lovers',
         contentType: 'product-content',
@@ -136,7 +134,7 @@ exports.handler = async (event) => {
     
     const imageResponse = await fetch(`${origin}/.netlify/functions/generate-image`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: authHeader },
       body: JSON.stringify({
         prompt: 'cartoon style cute dog wearing t-shirt, bright colors, friendly expression',
         numImages: 1,
@@ -252,4 +250,4 @@ exports.handler = async (event) => {
   } finally {
     console.log('[WORKFLOW-TEST] === FUNCTION END ===');
   }
-};
+}, { scopes: ['admin'], cors });
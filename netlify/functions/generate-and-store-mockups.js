@@ -1,6 +1,7 @@
 const { makeProxyCall, unwrapProxyResponse, createResponse } = require('./_supabase_node');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[GENERATE-STORE-MOCKUPS] Function invoked');
   
   if (event.httpMethod !== 'POST') {
@@ -194,4 +195,4 @@ exports.handler = async (event, context) => {
       details: error.message 
     });
   }
-};
+}, { scopes: ['products'], role: 'editor' });
@@ -3,6 +3,8 @@
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
+const { QuotaError, reserveUsage, refundUsage, quotaErrorResponse } = require('./_quota');
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -11,11 +13,7 @@ const corsHeaders = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event) => {
-  // CORS preflight
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers: corsHeaders, body: '' };
-  }
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return {
       statusCode: 405,
@@ -24,6 +22,7 @@ exports.handler = async (event) => {
     };
   }
 
+  let reservation = null;
   try {
     const reqId = Math.random().toString(36).slice(2,10) + '-' + Date.now();
     const t0 = Date.now();
@@ -86,6 +85,8 @@ exports.handler = async (event) => {
     console.log(`[generate-content][${reqId}] System prompt set for contentType: ${contentType}`);
     console.log(`[generate-content][${reqId}] Max tokens: ${maxTokens}`);
 
+    reservation = await reserveUsage(auth.userId, 'ai_generations', 1, { source: 'generate-content', content_type: contentType, workspace_id: auth.workspace.id });
+
     const fullPrompt = buildFullPrompt(systemPrompt, enhancedPrompt);
     const geminiPayload = {
       contents: [{ parts: [{ text: fullPrompt }] }],
@@ -149,6 +150,7 @@ exports.handler = async (event) => {
       if (contentType === 'product-content') {
         const fallback = buildFallbackProductContent(enhancedPrompt, productInfo);
         console.warn(`[generate-content][${reqId}] All models failed; returning fallback payload`);
+        await refundUsage(reservation);
         return { statusCode: 200, headers: corsHeaders, body: JSON.stringify(fallback) };
       }
       throw new Error(`Gemini models failed: ${lastErr ? String(lastErr.message||lastErr) : 'unknown error'}`);
@@ -194,6 +196,7 @@ exports.handler = async (event) => {
       if (contentType === 'product-content') {
         const fallback = buildFallbackProductContent(enhancedPrompt, productInfo);
         console.warn('[generate-content] No content from Gemini; returning fallback payload');
+        await refundUsage(reservation);
         return {
           statusCode: 200,
           headers: corsHeaders,
@@ -249,6 +252,8 @@ exports.handler = async (event) => {
     };
 
   } catch (error) {
+    if (error instanceof QuotaError) return quotaErrorResponse(error, corsHeaders);
+    await refundUsage(reservation);
     console.error('=== AI CONTENT GENERATION ERROR ===');
     console.error('[generate-content] Error message:', error.message);
     console.error('[generate-content] Error stack:', error.stack);
@@ -259,7 +264,7 @@ exports.handler = async (event) => {
       body: JSON.stringify(errorResponse)
     };
   }
-};
+}, { scopes: ['ai'], role: 'editor', cors: corsHeaders });
 
 // Build a resilient fallback payload matching the product-content shape
 function buildFallbackProductContent(prompt, productInfo){
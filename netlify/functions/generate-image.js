@@ -18,24 +18,22 @@ const FAL_ENDPOINTS = {
   'rembg': 'fal-ai/bria/background/remove' // Background removal
 };
 
-const jwt = require('jsonwebtoken');
 const { getSupabase } = require('./_supabase_node');
+const { withAuth } = require('./_auth');
+const { QuotaError, reserveUsage, refundUsage, quotaErrorResponse } = require('./_quota');
 
-exports.handler = async (event) => {
-  const cors = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers: cors, body: '' };
-  }
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return badRequest('Method not allowed', cors);
   }
 
+  let reservation = null;
   try {
     const body = JSON.parse(event.body || '{}');
     const {
@@ -139,26 +137,17 @@ exports.handler = async (event) => {
     // For caching, treat removeBackground=false whenever it's prompt-only (no imageUrl)
     const isCacheEligible = (model === 'nano-banana') && !effectiveRemoveBg && !imageUrl;
 
-    // If eligible, try to reuse a previously generated image for this user+prompt+model+size_family
-    let userId = null;
-    try {
-      const authHeader = event.headers.authorization || event.headers.Authorization || '';
-      const token = (authHeader || '').replace('Bearer ', '');
-      if (token && process.env.JWT_SECRET) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        userId = String(decoded.sub);
-      }
-    } catch (e) {
-      console.log('JWT decode failed (cache still optional):', e.message);
-    }
+    // If eligible, try to reuse a previously generated image for this workspace+prompt+model+size_family
+    const userId = auth.userId;
+    const workspaceId = auth.workspace.id;
 
-    if (isCacheEligible && userId) {
+    if (isCacheEligible) {
       try {
         const supabase = getSupabase(true);
         const { data: existing, error: selErr } = await supabase
           .from('generated_images')
           .select('id, image_url, metadata')
-          .eq('user_id', userId)
+          .eq('workspace_id', workspaceId)
           .eq('model', model)
           .eq('status', 'active')
           .eq('prompt', enhancedPrompt)
@@ -190,6 +179,15 @@ exports.handler = async (event) => {
       return badRequest('FAL_KEY is not set in environment variables.', cors);
     }
 
+    // Charged up front (cache hits are free); a pending request keeps its reservation
+    reservation = await reserveUsage(userId, 'ai_generations', model === 'rembg' ? 1 : Number(numImages) || 1, {
+      source: 'generate-image',
+      model,
+      size,
+      remove_background: !!effectiveRemoveBg,
+      workspace_id: workspaceId
+    });
+
     const result = await tryFal(enhancedPrompt, numImages, model, genW, genH, imageUrl, style, colors, audience, removeBackground);
     
     // Handle pending response (return immediately for client polling)
@@ -219,36 +217,9 @@ exports.handler = async (event) => {
       } catch (e) {
         console.warn('Upscale step failed, using original images:', e && e.message);
       }
-      // Best-effort usage logging (non-blocking)
-      try {
-        const authHeader = event.headers.authorization || event.headers.Authorization || '';
-        const token = (authHeader || '').replace('Bearer ', '');
-        if (!userId && token && process.env.JWT_SECRET) {
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-          userId = String(decoded.sub);
-        }
-        if (userId) {
-          const supabase = getSupabase(true);
-          const count = Array.isArray(result.images) ? result.images.length : 1;
-          const metadata = {
-            source: 'generate-image',
-            model,
-            size,
-            remove_background: !!effectiveRemoveBg
-          };
-          await supabase
-            .from('usage_tracking')
-            .insert([{ user_id: userId, type: 'ai_generations', count, metadata }]);
-        } else {
-          console.log('Skipping image usage log: missing token or JWT secret');
-        }
-      } catch (e) {
-        console.log('Image AI usage logging failed:', e.message);
-      }
-
       // Cache the first image for future reuse if eligible
       try {
-        if (isCacheEligible && userId && Array.isArray(result.images) && result.images[0]?.url) {
+        if (isCacheEligible && Array.isArray(result.images) && result.images[0]?.url) {
           const supabase = getSupabase(true);
           const meta = {
             size_family: sizeFamily,
@@ -260,6 +231,7 @@ exports.handler = async (event) => {
           };
           await supabase.from('generated_images').insert([{
             user_id: userId,
+            workspace_id: workspaceId,
             prompt: enhancedPrompt,
             image_url: result.images[0].url,
             printify_url: null,
@@ -276,13 +248,16 @@ exports.handler = async (event) => {
     }
 
     console.error('fal.ai failed:', result.error);
+    await refundUsage(reservation);
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success: false, error: result.error }) };
 
   } catch (err) {
+    if (err instanceof QuotaError) return quotaErrorResponse(err, cors);
     console.error('generate-image fatal error:', err);
+    await refundUsage(reservation);
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success: false, error: 'Internal server error' }) };
   }
-};
+}, { scopes: ['ai'], role: 'editor', cors });
 
 // ───── tryFal: Supports seedream, nano-banana, nano-banana-edit, rembg ─────
 async function tryFal(prompt, numImages, modelKey, width, height, imageUrl, style, colors, audience, removeBackground) {
@@ -1,5 +1,6 @@
 // netlify/functions/generate-main-mockup.js
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
 // --- API Call Helper ---
 async function makePrintfulApiCall(endpoint, options = {}, event) {
@@ -117,7 +118,7 @@ async function createMockupGenerationTask(payload, event) {
 
 // --- Main Handler ---
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
     if (event.httpMethod !== 'POST') {
         return { statusCode: 405, body: 'Method Not Allowed' };
     }
@@ -293,4 +294,4 @@ exports.handler = async (event) => {
             body: JSON.stringify({ success: false, error: error.message })
         };
     }
-};
\ No newline at end of file
+}, { scopes: ['products'], role: 'editor' });
\ No newline at end of file
@@ -1,4 +1,5 @@
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
 // Normalize styles from various API response shapes into a flat array of style objects
 function normalizeStyles(input) {
@@ -137,22 +138,17 @@ async function makeProxyCall(event, endpoint, options = {}) {
   }
 }
 
-exports.handler = async (event, context) => {
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[MOCKUP-GALLERY] Function invoked');
   console.log('[MOCKUP-GALLERY] Event method:', event.httpMethod);
   console.log('[MOCKUP-GALLERY] Event body:', event.body);
-  
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    console.log('[MOCKUP-GALLERY] Handling OPTIONS request');
-    return { statusCode: 200, headers, body: JSON.stringify({ ok: true }) };
-  }
 
   try {
     console.log('[MOCKUP-GALLERY] Parsing request body...');
@@ -610,7 +606,7 @@ exports.handler = async (event, context) => {
       body: JSON.stringify(errorResponse)
     };
   }
-};
+}, { scopes: ['products'], role: 'editor', cors: headers });
 
 // Select diverse mockup styles (models, flat, lifestyle, etc.)
 function selectDiverseStyles(styleGroups, desiredCount = 12) {
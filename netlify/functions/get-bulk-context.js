@@ -1,18 +1,15 @@
 // Get bulk product context from database
 const { getSupabase } = require('./_supabase_node.js');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'GET') {
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
@@ -30,6 +27,8 @@ exports.handler = async (event, context) => {
       .from('product_contexts')
       .select('*')
       .eq('product_id', sessionId)
+      // Rows saved before workspaces have no workspace_id and stay readable by id
+      .or(`workspace_id.eq.${auth.workspace.id},workspace_id.is.null`)
       .single();
 
     if (error) {
@@ -46,7 +45,9 @@ exports.handler = async (event, context) => {
               selectedPrintAreas: {},
               selectedImages: {},
               designPrompt: '',
-              step: 'step1'
+              step: 'step1',
+              wizardState: null,
+              revision: 0
             }
           }) 
         };
@@ -64,6 +65,9 @@ exports.handler = async (event, context) => {
       productImageMap: placements.productImageMap || {},
       designPrompt: data.design_prompt || '',
       step: placements.step || 'step1',
+      page: placements.page || null,
+      wizardState: placements.wizardState || null,
+      revision: placements.revision || 0,
       lastUpdated: placements.lastUpdated
     };
 
@@ -87,4 +91,4 @@ exports.handler = async (event, context) => {
       }) 
     };
   }
-};
+}, { scopes: ['jobs'], cors: headers });
@@ -1,18 +1,15 @@
 // Get product context from product_contexts table
 const { getSupabase } = require('./_supabase_node.js');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'GET') {
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
@@ -30,6 +27,8 @@ exports.handler = async (event, context) => {
       .from('product_contexts')
       .select('*')
       .eq('product_id', productId)
+      // Rows saved before workspaces have no workspace_id and stay readable by id
+      .or(`workspace_id.eq.${auth.workspace.id},workspace_id.is.null`)
       .single();
 
     if (error) {
@@ -46,4 +45,4 @@ exports.handler = async (event, context) => {
     console.error('get-context error:', error);
     return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: error.message }) };
   }
-};
+}, { scopes: ['jobs'], cors: headers });
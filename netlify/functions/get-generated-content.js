@@ -1,21 +1,16 @@
 // netlify/functions/get-generated-content.js
 const { createClient } = require('@supabase/supabase-js');
-const jwt = require('jsonwebtoken');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers };
-  }
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   try {
     const { product_id } = event.queryStringParameters;
-    const authHeader = event.headers.authorization;
 
     if (!product_id) {
       return {
@@ -25,18 +20,6 @@ exports.handler = async (event, context) => {
       };
     }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return {
-            statusCode: 401,
-            headers,
-            body: JSON.stringify({ error: 'Authentication required' })
-        };
-    }
-
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // Ensure user is authenticated, though we don't need to check ownership for this specific content
-
     const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
     const { data, error } = await supabase
@@ -73,4 +56,4 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({ success: false, error: error.message })
     };
   }
-};
+}, { scopes: ['jobs'], cors: headers });
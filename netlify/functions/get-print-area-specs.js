@@ -1,44 +1,16 @@
 const fetch = require('node-fetch');
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { encryptSecret, decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json'
+};
 
-// Token crypto helpers (match printful-proxy simple XOR+base64 scheme)
-function simpleDecrypt(encryptedBase64, key) {
-  try {
-    if (!encryptedBase64 || typeof encryptedBase64 !== 'string') return '';
-    const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-    const keyLength = key.length;
-    const result = [];
-    for (let i = 0; i < encryptedBytes.length; i++) {
-      result.push(encryptedBytes[i] ^ key.charCodeAt(i % keyLength));
-    }
-    return Buffer.from(result).toString('utf8');
-  } catch {
-    return '';
-  }
-}
-function simpleEncrypt(plainText, key) {
-  const bytes = Buffer.from(plainText, 'utf8');
-  const keyLength = key.length;
-  const out = [];
-  for (let i = 0; i < bytes.length; i++) {
-    out.push(bytes[i] ^ key.charCodeAt(i % keyLength));
-  }
-  return Buffer.from(out).toString('base64');
-}
-
-exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
-
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
   }
@@ -57,37 +29,23 @@ exports.handler = async (event) => {
 
     console.log('[PRINT-AREA-SPECS] Getting print area specs for product:', catalog_product_id);
 
-    // Get user authentication
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader || !/^Bearer\s+/i.test(authHeader)) {
-      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized - No token' }) };
-    }
-    const token = authHeader.replace(/^Bearer\s+/i, '');
-
-    // Verify JWT
-    let userId;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.sub || decoded.id;
-    } catch (e) {
-      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized - Invalid token' }) };
-    }
+    const workspaceId = auth.workspace.id;
 
     // Get Printful OAuth token from Supabase (with refresh support)
     const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-    const { data: user, error: userError } = await supabase
-      .from('users')
+    const { data: workspace, error: workspaceError } = await supabase
+      .from('workspaces')
       .select('printful_access_token_encrypted, printful_refresh_token_encrypted, printful_token_expires_at')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    if (userError || !user?.printful_access_token_encrypted) {
+    if (workspaceError || !workspace?.printful_access_token_encrypted) {
       return { statusCode: 401, headers, body: JSON.stringify({ error: 'No Printful OAuth token found' }) };
     }
 
-    let authToken = simpleDecrypt(user.printful_access_token_encrypted, process.env.JWT_SECRET);
-    const refreshToken = user.printful_refresh_token_encrypted ? simpleDecrypt(user.printful_refresh_token_encrypted, process.env.JWT_SECRET) : null;
-    const expiresAtIso = user.printful_token_expires_at || null;
+    let authToken = decryptSecret(workspace.printful_access_token_encrypted);
+    const refreshToken = workspace.printful_refresh_token_encrypted ? decryptSecret(workspace.printful_refresh_token_encrypted) : null;
+    const expiresAtIso = workspace.printful_token_expires_at || null;
 
     async function refreshAccessTokenIfNeeded(reason = '') {
       try {
@@ -115,13 +73,13 @@ exports.handler = async (event) => {
         const expiresAtUnix = tokenJson.expires_at ? parseInt(tokenJson.expires_at, 10) : null;
         const newExpiresIso = expiresAtUnix ? new Date(expiresAtUnix * 1000).toISOString() : null;
         await supabase
-          .from('users')
+          .from('workspaces')
           .update({
-            printful_access_token_encrypted: simpleEncrypt(authToken, process.env.JWT_SECRET),
-            printful_refresh_token_encrypted: newRefresh ? simpleEncrypt(newRefresh, process.env.JWT_SECRET) : user.printful_refresh_token_encrypted,
-            printful_token_expires_at: newExpiresIso || user.printful_token_expires_at
+            printful_access_token_encrypted: encryptSecret(authToken),
+            printful_refresh_token_encrypted: newRefresh ? encryptSecret(newRefresh) : workspace.printful_refresh_token_encrypted,
+            printful_token_expires_at: newExpiresIso || workspace.printful_token_expires_at
           })
-          .eq('id', userId);
+          .eq('id', workspaceId);
         return true;
       } catch {
         return false;
@@ -271,4 +229,4 @@ exports.handler = async (event) => {
       }) 
     };
   }
-};
+}, { scopes: ['products'], cors: headers });
@@ -1,5 +1,6 @@
 const { getSupabase } = require('./_supabase_node.js');
-const jwt = require('jsonwebtoken');
+const { decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
 
 const headers = {
   'Access-Control-Allow-Origin': '*',
@@ -8,73 +9,28 @@ const headers = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event, context) => {
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
-
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
   }
 
   try {
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Missing or invalid authorization header' }) };
-    }
-
-    const token = authHeader.split(' ')[1];
     const body = JSON.parse(event.body || '{}');
     const { blueprintIds } = body;
 
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      throw new Error('JWT_SECRET not configured');
-    }
-
-    let payload;
-    try {
-      payload = jwt.verify(token, jwtSecret);
-    } catch (err) {
-      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
-    }
+    const workspaceId = auth.workspace.id;
 
-    const userId = payload?.sub ?? payload?.userId;
-    if (!userId) {
-      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid token payload' }) };
-    }
-
-    // Define the simpleDecrypt function (same as in printify-proxy.js)
-    function simpleDecrypt(encryptedBase64, key) {
-      try {
-        const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-        const keyLength = key.length;
-        let decrypted = '';
-        
-        for (let i = 0; i < encryptedBytes.length; i++) {
-          const keyChar = key.charCodeAt(i % keyLength);
-          const decryptedChar = String.fromCharCode(encryptedBytes[i] ^ keyChar);
-          decrypted += decryptedChar;
-        }
-        
-        return decrypted;
-      } catch (err) {
-        console.error('Error decrypting API key:', err);
-        return null;
-      }
-    }
-    
     const PRINTIFY_API_BASE = 'https://api.printify.com/v1';
 
     // Get user's encrypted API key
     const supabase = getSupabase(true);
-    const { data: user, error } = await supabase
-      .from('users')
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
       .select('printify_api_key_encrypted')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    if (error || !user || !user.printify_api_key_encrypted) {
+    if (error || !workspace || !workspace.printify_api_key_encrypted) {
       return {
         statusCode: 401,
         headers,
@@ -83,7 +39,7 @@ exports.handler = async (event, context) => {
     }
 
     // Decrypt the API key
-    const apiKey = simpleDecrypt(user.printify_api_key_encrypted, process.env.JWT_SECRET);
+    const apiKey = decryptSecret(workspace.printify_api_key_encrypted);
     
     if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 10) {
       return {
@@ -150,4 +106,4 @@ exports.handler = async (event, context) => {
     console.error('Error fetching print providers:', error);
     return { statusCode: 500, headers, body: JSON.stringify({ error: 'Internal server error', details: error.message }) };
   }
-};
+}, { scopes: ['products'], cors: headers });
@@ -3,8 +3,9 @@
 // Returns: { width, height, dpi, printfile_id } for proper resizing
 
 const fetch = require('node-fetch');
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -13,21 +14,7 @@ const cors = {
   'Content-Type': 'application/json'
 };
 
-function simpleDecrypt(encryptedBase64, key) {
-  const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-  const keyLength = key.length;
-  const result = [];
-  for (let i = 0; i < encryptedBytes.length; i++) {
-    result.push(encryptedBytes[i] ^ key.charCodeAt(i % keyLength));
-  }
-  return Buffer.from(result).toString('utf8');
-}
-
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers: cors, body: '' };
-  }
-
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'GET') {
     return { statusCode: 405, headers: cors, body: JSON.stringify({ success: false, error: 'Method Not Allowed' }) };
   }
@@ -39,32 +26,20 @@ exports.handler = async (event) => {
       return { statusCode: 400, headers: cors, body: JSON.stringify({ success: false, error: 'Missing required parameter: variant_id' }) };
     }
 
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader || !/^Bearer\s+/i.test(authHeader)) {
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Unauthorized - No token' }) };
-    }
-    const token = authHeader.replace(/^Bearer\s+/i, '');
-
-    let userId;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.sub || decoded.id;
-    } catch (e) {
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Unauthorized - Invalid token' }) };
-    }
+    const workspaceId = auth.workspace.id;
 
     const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-    const { data: user, error: userError } = await supabase
-      .from('users')
+    const { data: workspace, error: workspaceError } = await supabase
+      .from('workspaces')
       .select('printful_access_token_encrypted')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    if (userError || !user || !user.printful_access_token_encrypted) {
+    if (workspaceError || !workspace || !workspace.printful_access_token_encrypted) {
       return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Printful OAuth not connected' }) };
     }
 
-    const authToken = simpleDecrypt(user.printful_access_token_encrypted, process.env.JWT_SECRET);
+    const authToken = decryptSecret(workspace.printful_access_token_encrypted);
     const store_id = event.queryStringParameters?.store_id;
     
     const headers = {
@@ -124,4 +99,4 @@ exports.handler = async (event) => {
     console.error('[get-printful-printfile-specs] Error:', error);
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success: false, error: 'Internal server error', details: error.message }) };
   }
-};
+}, { scopes: ['products'], cors });
@@ -2,18 +2,16 @@
 // Securely fetch a Printify product by ID using the authenticated user's API key
 
 const fetch = require('node-fetch');
+const { decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event) => {
-  const cors = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers: cors, body: '' };
-  }
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'GET') {
     return { statusCode: 405, headers: cors, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
@@ -25,47 +23,23 @@ exports.handler = async (event) => {
       return { statusCode: 400, headers: cors, body: JSON.stringify({ success: false, error: 'Missing shop_id or product_id' }) };
     }
 
-    // Extract JWT token for user authentication
-    let authToken = null;
-    if (event.headers.authorization) {
-      authToken = event.headers.authorization.replace(/^Bearer\s+/i, '');
-    } else if (event.headers.Authorization) {
-      authToken = event.headers.Authorization.replace(/^Bearer\s+/i, '');
-    }
-
-    if (!authToken) {
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Unauthorized - No token' }) };
-    }
-
     // Resolve user's Printify API key from Supabase using the same logic as create-product.js
-    const jwt = require('jsonwebtoken');
     const { createClient } = require('@supabase/supabase-js');
 
-    function simpleDecrypt(encryptedBase64, key) {
-      const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-      const keyLength = key.length;
-      const result = [];
-      for (let i = 0; i < encryptedBytes.length; i++) {
-        result.push(encryptedBytes[i] ^ key.charCodeAt(i % keyLength));
-      }
-      return Buffer.from(result).toString('utf8');
-    }
-
     const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-    const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
-    const userId = decoded.sub || decoded.id;
+    const workspaceId = auth.workspace.id;
 
-    const { data: user, error: userError } = await supabase
-      .from('users')
+    const { data: workspace, error: workspaceError } = await supabase
+      .from('workspaces')
       .select('printify_api_key_encrypted')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    if (userError || !user || !user.printify_api_key_encrypted) {
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Printify API key not found for user.' }) };
+    if (workspaceError || !workspace || !workspace.printify_api_key_encrypted) {
+      return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Printify API key not found for this workspace.' }) };
     }
 
-    const printifyApiToken = simpleDecrypt(user.printify_api_key_encrypted, process.env.JWT_SECRET);
+    const printifyApiToken = decryptSecret(workspace.printify_api_key_encrypted);
     if (!printifyApiToken) {
       return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Invalid Printify API key.' }) };
     }
@@ -88,4 +62,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success: false, error: e.message || 'Server error' }) };
   }
-};
+}, { scopes: ['products'], cors });
@@ -1,103 +1,50 @@
 const fetch = require('node-fetch');
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
 
-// Simple decryption function for API keys
-function simpleDecrypt(encryptedBase64, key) {
-    const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-    const keyLength = key.length;
-    const result = [];
-    for (let i = 0; i < encryptedBytes.length; i++) {
-        result.push(encryptedBytes[i] ^ key.charCodeAt(i % keyLength));
-    }
-    return Buffer.from(result).toString('utf8');
-}
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Content-Type': 'application/json'
+};
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
     console.log('get-products function called');
     
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Content-Type': 'application/json'
-    };
-    
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 200, headers, body: '' };
-    }
-    
     if (event.httpMethod !== 'GET') {
         return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method Not Allowed' }) };
     }
 
     try {
-        // Extract JWT token for user authentication
-        let authToken = null;
-        
-        if (event.headers.authorization) {
-            authToken = event.headers.authorization.replace(/^Bearer\s+/i, '');
-        } else if (event.headers.Authorization) {
-            authToken = event.headers.Authorization.replace(/^Bearer\s+/i, '');
-        }
-        
-        console.log('Auth token exists:', !!authToken);
-        
-        if (!authToken) {
-            return { 
-                statusCode: 401, 
-                headers, 
-                body: JSON.stringify({ 
-                    error: 'Unauthorized - No valid authentication token provided' 
-                }) 
-            };
-        }
-
         // Initialize Supabase client
         const supabase = createClient(
             process.env.SUPABASE_URL, 
             process.env.SUPABASE_SERVICE_ROLE_KEY
         );
         
-        // Verify JWT token
-        let userId;
-        try {
-            const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
-            userId = decoded.sub || decoded.id;
-            console.log('User authenticated:', userId);
-        } catch (jwtError) {
-            console.error('JWT verification failed:', jwtError);
-            return { 
-                statusCode: 401, 
-                headers, 
-                body: JSON.stringify({ 
-                    error: 'Unauthorized - Invalid token' 
-                }) 
-            };
-        }
+        const workspaceId = auth.workspace.id;
         
         // Get user's Printify API key
-        const { data: user, error: userError } = await supabase
-            .from('users')
+        const { data: workspace, error: workspaceError } = await supabase
+            .from('workspaces')
             .select('printify_api_key_encrypted')
-            .eq('id', userId)
+            .eq('id', workspaceId)
             .single();
 
-        if (userError || !user || !user.printify_api_key_encrypted) {
-            console.error('Error fetching user API key:', userError);
+        if (workspaceError || !workspace || !workspace.printify_api_key_encrypted) {
+            console.error('Error fetching workspace API key:', workspaceError);
             return { 
                 statusCode: 401, 
                 headers, 
                 body: JSON.stringify({ 
-                    error: 'Printify API key not found for user.' 
+                    error: 'Printify API key not found for this workspace.' 
                 }) 
             };
         }
 
-        const printifyApiToken = simpleDecrypt(
-            user.printify_api_key_encrypted, 
-            process.env.JWT_SECRET
-        );
+        const printifyApiToken = decryptSecret(workspace.printify_api_key_encrypted);
         
         if (!printifyApiToken) {
             return {
@@ -238,4 +185,4 @@ exports.handler = async (event, context) => {
             })
         };
     }
-};
+}, { scopes: ['products'], cors: headers });
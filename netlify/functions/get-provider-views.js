@@ -1,28 +1,22 @@
 // netlify/functions/get-provider-views.js
 // Fetches blueprint views, placeholders, and variants for mockup generation
 
-exports.handler = async (event) => {
-    const cors = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-    };
+const { withAuth } = require('./_auth');
 
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 200, headers: cors, body: '' };
-    }
+const cors = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
     if (event.httpMethod !== 'POST') {
         return { statusCode: 405, headers: cors, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
     }
 
     try {
         const { blueprint_id, provider_id, fallbackIf404 } = JSON.parse(event.body || '{}');
-        const authToken = event.headers.authorization?.replace('Bearer ', '');
-
-        if (!authToken) {
-            return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'No authorization token' }) };
-        }
+        const authToken = auth.token;
 
         if (!blueprint_id || !provider_id) {
             return { statusCode: 400, headers: cors, body: JSON.stringify({ 
@@ -117,4 +111,4 @@ exports.handler = async (event) => {
             })
         };
     }
-};
+}, { scopes: ['products'], cors });
@@ -1,12 +1,13 @@
 const { createClient } = require('@supabase/supabase-js');
 const { createResponse } = require('./_supabase_node');
+const { withAuth } = require('./_auth');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_ANON_KEY
 );
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[GET-STORED-MOCKUPS] Function invoked');
   
   if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
@@ -123,4 +124,4 @@ exports.handler = async (event, context) => {
       details: error.message 
     });
   }
-};
+}, { scopes: ['products'] });
@@ -1,7 +1,8 @@
 const { getSupabase } = require('./_supabase_node');
-const jwt = require('jsonwebtoken');
+const { withAuth } = require('./_auth');
+const { ACTIVE_STATUSES } = require('./_billing');
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
     console.log('get-subscription function called');
     
     if (event.httpMethod !== 'GET') {
@@ -9,27 +10,7 @@ exports.handler = async (event, context) => {
     }
 
     try {
-        // Get auth token from Authorization header
-        const authHeader = event.headers.authorization || '';
-        console.log('Auth header:', authHeader);
-        const token = authHeader.replace('Bearer ', '');
-        
-        if (!token) {
-            console.log('No token provided');
-            return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized - No token provided' }) };
-        }
-        
-        // Verify our custom JWT locally
-        let decoded;
-        try {
-            decoded = jwt.verify(token, process.env.JWT_SECRET);
-        } catch (e) {
-            console.log('Auth error (JWT verify):', e.message);
-            return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized - Invalid token' }) };
-        }
-
-        // Ensure sub is a string id
-        const userId = String(decoded.sub);
+        const userId = auth.userId;
 
         // DB client (service role)
         const supabase = getSupabase(true);
@@ -51,13 +32,14 @@ exports.handler = async (event, context) => {
         // Pick the most recent active subscription if present
         const subs = Array.isArray(userData.user_subscriptions) ? userData.user_subscriptions : [];
         const activeSub = subs
-            .filter(s => s.status === 'active')
+            .filter(s => ACTIVE_STATUSES.includes(s.status))
             .sort((a, b) => new Date(b.current_period_end || 0) - new Date(a.current_period_end || 0))[0] || subs[0];
         const now = new Date();
 
         // Defaults
         let subscriptionData = {
             is_active: false,
+            status: activeSub ? activeSub.status : null,
             plan_name: 'Free',
             days_remaining: 0,
             products_per_month: 10,
@@ -66,7 +48,7 @@ exports.handler = async (event, context) => {
             ai_used: 0
         };
 
-        if (activeSub && activeSub.status === 'active') {
+        if (activeSub && ACTIVE_STATUSES.includes(activeSub.status)) {
             const endDate = new Date(activeSub.current_period_end);
             const daysRemaining = Math.ceil((endDate - now) / (1000 * 60 * 60 * 24));
 
@@ -76,8 +58,11 @@ exports.handler = async (event, context) => {
 
             subscriptionData = {
                 is_active: true,
+                status: activeSub.status,
                 plan_name: plan.name || 'Pro',
                 days_remaining: Number.isFinite(daysRemaining) ? daysRemaining : 0,
+                current_period_end: activeSub.current_period_end,
+                cancel_at_period_end: !!activeSub.cancel_at_period_end,
                 products_per_month: limits.products_per_month || 100,
                 ai_generations: limits.ai_generations || 500,
                 products_used: 0,
@@ -136,4 +121,4 @@ exports.handler = async (event, context) => {
             body: JSON.stringify({ error: 'Failed to get subscription data' })
         };
     }
-};
+}, { scopes: ['account'] });
@@ -1,5 +1,5 @@
 const { getSupabase } = require('./_supabase_node.js');
-const jwt = require('jsonwebtoken');
+const { withAuth } = require('./_auth');
 
 const headers = {
   'Access-Control-Allow-Origin': '*',
@@ -8,38 +8,13 @@ const headers = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event, context) => {
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
-
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'GET') {
     return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
   }
 
   try {
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Missing or invalid authorization header' }) };
-    }
-
-    const token = authHeader.split(' ')[1];
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      throw new Error('JWT_SECRET not configured');
-    }
-
-    let payload;
-    try {
-      payload = jwt.verify(token, jwtSecret);
-    } catch (err) {
-      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
-    }
-
-    const userId = payload?.sub ?? payload?.userId;
-    if (!userId) {
-      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid token payload' }) };
-    }
+    const userId = auth.userId;
 
     const supabase = getSupabase(true);
 
@@ -72,4 +47,4 @@ exports.handler = async (event, context) => {
       }) 
     };
   }
-};
+}, { scopes: ['products'], cors: headers });
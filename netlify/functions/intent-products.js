@@ -1,5 +1,6 @@
 // netlify/functions/intent-products.js
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -8,9 +9,8 @@ const cors = {
   'Content-Type': 'application/json'
 };
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   try {
-    if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
     if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
 
     const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
@@ -37,4 +37,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error: e.message || String(e) }) };
   }
-};
+}, { scopes: ['ai'], cors });
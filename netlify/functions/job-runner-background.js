@@ -3,7 +3,10 @@
 // and continue running in the background for minutes.
 
 const { createClient } = require('./_db');
+const { getJob, getJobStatus, updateJob, recordEvent, getOrigin, pickCheckpoint, tallyResults, isTerminalResult } = require('./_quick_jobs');
+const { getProvider } = require('./_providers');
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -12,75 +15,100 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-function requireAuth(event){
-  const auth = event.headers && (event.headers.authorization || event.headers.Authorization);
-  if (!auth) throw new Error('Unauthorized');
-  return auth;
-}
-
-async function getJob(client, id){
-  const r = await client.query('select * from quick_jobs where id = $1', [id]);
-  return r.rows[0] || null;
-}
+// Items in flight per job; each worker walks one item through all steps
+const MAX_CONCURRENCY = 5;
 
-async function updateJob(client, id, patch){
-  const fields = Object.keys(patch);
-  const values = fields.map((k)=>{
-    if (k === 'results') {
-      try { return JSON.stringify(patch[k] || []); } catch { return '[]'; }
-    }
-    return patch[k];
-  });
-  const sets = fields.map((k,i)=> {
-    if (k === 'results') return `${k} = $${i+1}::jsonb`;
-    return `${k} = $${i+1}`;
-  });
-  const sql = `update quick_jobs set ${sets.join(', ')}, updated_at = now() where id = $${fields.length+1} returning *`;
-  const res = await client.query(sql, [...values, id]);
-  return res.rows[0];
-}
+// Per-provider limits for upstream calls made by one runner: concurrent calls and minimum spacing between starts
+const PROVIDER_LIMITS = {
+  printify: { concurrency: 2, intervalMs: 300 },  // catalog via proxy, uploads, create/publish
+  printful: { concurrency: 2, intervalMs: 600 },  // 120 requests/min per token; catalog, files, create, mockups
+  fal: { concurrency: 2, intervalMs: 1000 },      // generate-image (fal queue)
+  gemini: { concurrency: 2, intervalMs: 1000 }    // generate-content
+};
 
-function getOrigin(event){
-  try {
-    const proto = event.headers['x-forwarded-proto'] || 'https';
-    const host = event.headers.host;
-    return `${proto}://${host}`;
-  } catch { return 'https://localhost:8888'; }
-}
+const FUNCTION_PROVIDER = {
+  'printify-proxy': 'printify',
+  'print-area-sizes': 'printify',
+  'upload-image': 'printify',
+  'create-product': 'printify',
+  'publish-product': 'printify',
+  'printful-proxy': 'printful',
+  'get-print-area-specs': 'printful',
+  'printful-create-product': 'printful',
+  'generate-mockup-gallery': 'printful',
+  'poll-mockup-task': 'printful',
+  'compose-design': 'printful',
+  'generate-image': 'fal',
+  'generate-content': 'gemini'
+};
 
-async function callProxy(event, authHeader, path, method, body) {
-  const origin = getOrigin(event);
-  const url = `${origin}/.netlify/functions/printify-proxy`;
-  const payload = { endpoint: path, method: method || 'GET', body: body || null };
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', Authorization: authHeader },
-    body: JSON.stringify(payload)
-  });
-  const text = await res.text();
-  let data;
-  try { data = text ? JSON.parse(text) : {}; } catch { data = { success:false, error:'Invalid JSON from proxy', raw:text }; }
-  if (!res.ok || data.success === false) {
-    const err = data && (data.error || data.details?.upstream?.message) || `HTTP ${res.status}`;
-    throw new Error(`Proxy call failed: ${res.status} - ${err}`);
-  }
-  return data; // { success:true, data }
+// Reasons _quota.js answers with when the plan is out of quota; such a failure pauses the job
+const QUOTA_REASONS = ['quota_exceeded', 'upgrade_required', 'payment_required'];
+// Waits for a throttled (429) call before it counts as a failure
+const THROTTLE_RETRIES = 2;
+const MAX_THROTTLE_WAIT_MS = 30000;
+
+// Printful mockups are an async task; poll a few times, then leave the task id on the item for the UI
+const MOCKUP_POLLS = 4;
+const MOCKUP_POLL_MS = 5000;
+
+// Uploaded design file id per provider (checkpoint field)
+const FILE_ID_FIELD = { printify: 'printify_image_id', printful: 'printful_file_id' };
+
+// Minimal promise limiter: at most `concurrency` tasks running, starts spaced by `intervalMs`
+function createLimiter({ concurrency, intervalMs }) {
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+  const pump = () => {
+    if (timer || active >= concurrency || !queue.length) return;
+    const wait = lastStart + intervalMs - Date.now();
+    if (wait > 0) { timer = setTimeout(() => { timer = null; pump(); }, wait); return; }
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    lastStart = Date.now();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => { active--; pump(); });
+    pump();
+  };
+  return (task) => new Promise((resolve, reject) => { queue.push({ task, resolve, reject }); pump(); });
 }
 
-async function callFn(event, authHeader, fnName, method, body) {
+async function callFn(event, authHeader, fnName, method, body, headers = {}) {
   const origin = getOrigin(event);
   const url = `${origin}/.netlify/functions/${fnName}`;
-  const res = await fetch(url, {
-    method,
-    headers: { 'Content-Type': 'application/json', Authorization: authHeader },
-    body: body ? JSON.stringify(body) : undefined
-  });
-  const txt = await res.text();
-  if (!res.ok) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: authHeader, ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const txt = await res.text();
+    if (res.ok) {
+      try { return txt ? JSON.parse(txt) : {}; } catch { return { success:false, error:'Non-JSON from function', raw: txt }; }
+    }
+    let details = null;
+    try { details = txt ? JSON.parse(txt) : null; } catch (_) { /* not JSON */ }
+    const retryAfter = res.headers && res.headers.get ? res.headers.get('retry-after') : null;
+    // A throttled call (rate limiter or upstream 429, not the plan quota) is waited out a few times
+    if (res.status === 429 && !isQuotaError({ details }) && attempt < THROTTLE_RETRIES) {
+      const waitMs = Math.min(MAX_THROTTLE_WAIT_MS, Number.isFinite(parseFloat(retryAfter)) ? parseFloat(retryAfter) * 1000 : 2000);
+      console.log(`[runner-bg] ${fnName} throttled (429); retrying in ${waitMs}ms`);
+      await new Promise(r => setTimeout(r, waitMs));
+      continue;
+    }
     const snippet = (txt || '').slice(0, 500);
-    throw new Error(`Function ${fnName} failed: ${res.status}${snippet ? ' | ' + snippet : ''}`);
+    const err = new Error(`Function ${fnName} failed: ${res.status}${snippet ? ' | ' + snippet : ''}`);
+    err.status = res.status;
+    err.details = details;
+    err.retryAfter = retryAfter;
+    throw err;
   }
-  try { return txt ? JSON.parse(txt) : {}; } catch { return { success:false, error:'Non-JSON from function', raw: txt }; }
+}
+
+// Only these mean the plan is out of quota; other 402/429s (e.g. reason rate_limited) are throttling
+function isQuotaError(err) {
+  return !!(err && err.details && QUOTA_REASONS.includes(err.details.reason));
 }
 
 // Extract a coarse product type from prompt text
@@ -178,12 +206,11 @@ function uniqueSizesFromAreas(areas) {
   return [...map.values()];
 }
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   try {
-    if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
     if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
 
-    const authHeader = requireAuth(event);
+    const authHeader = `Bearer ${auth.token}`;
     const body = JSON.parse(event.body || '{}');
     const jobId = body.job_id || body.jobId;
     if (!jobId) return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:'Missing job_id' }) };
@@ -204,7 +231,7 @@ exports.handler = async (event) => {
       return { statusCode: 202, headers: cors, body: JSON.stringify({ success:false, job_id: jobId, error: 'DB connect failed' }) };
     }
     try {
-        let job = await getJob(client, jobId);
+        let job = await getJob(client, jobId, auth.workspace.id);
         if (!job) {
           console.error(`[runner-bg] Job ${jobId} not found`);
           await client.end();
@@ -228,237 +255,416 @@ exports.handler = async (event) => {
         let results = Array.isArray(job.results) ? job.results : [];
         const params = job.params || {};
         const selectedPicks = Array.isArray(params.selectedPicks) ? params.selectedPicks : [];
-        console.log(`[runner-bg] [${jobId}] Loop init: total=${total} next=${next} params.keys=${Object.keys(params).join(',')}`);
-
-        // Process each item
-        for (let i = next; i < total; i++) {
+        const itemOverrides = (params.itemOverrides && typeof params.itemOverrides === 'object') ? params.itemOverrides : {};
+        // Work list: everything from next_index on, plus earlier items re-queued by quick-job-retry
+        // (items past next_index that already finished under concurrency are skipped).
+        const resultFor = (i) => results.find(r => r && r.index === i + 1) || null;
+        const work = [];
+        for (let i = 0; i < total; i++) {
+          const r = resultFor(i);
+          const queued = r && r.status === 'queued';
+          if ((i >= next && !isTerminalResult(r)) || queued) work.push(i);
+        }
+        const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(params.concurrency || 1, 10) || 1));
+        // pauseAfter: stop for review once the first N items are done. Only applies to the run that
+        // crosses the boundary, so resuming a paused job does not pause again at the same spot.
+        const pauseAfter = Number(params.pauseAfter) || 0;
+        const pauseAt = (pauseAfter > 0 && next < pauseAfter && pauseAfter < total) ? pauseAfter : null;
+        console.log(`[runner-bg] [${jobId}] Loop init: total=${total} next=${next} work=${work.length} concurrency=${concurrency} pauseAt=${pauseAt} params.keys=${Object.keys(params).join(',')}`);
+        let stoppedStatus = null;
+
+        // Upstream calls go through per-provider limiters shared by all workers of this run
+        const limiters = {};
+        Object.keys(PROVIDER_LIMITS).forEach(k => { limiters[k] = createLimiter(PROVIDER_LIMITS[k]); });
+        const fnCall = (fnName, method, body, headers) => {
+          const limit = limiters[FUNCTION_PROVIDER[fnName]];
+          return limit ? limit(() => callFn(event, authHeader, fnName, method, body, headers)) : callFn(event, authHeader, fnName, method, body, headers);
+        };
+        // Catalog, upload, create and publish go through the job's provider adapter (calls stay rate-limited)
+        const provider = getProvider(params.provider || 'printify', { call: (fnName, body, headers) => fnCall(fnName, 'POST', body, headers) });
+        const fileIdField = FILE_ID_FIELD[provider.name];
+
+        // Process one item. Steps already recorded in results (from a crashed or failed
+        // attempt) are reused, so a resumed item never regenerates or re-uploads its image.
+        const processItem = async (i) => {
           const index = i + 1;
-          let itemResult = { index, status: 'pending', step: 'init', message: 'Starting item' };
-          console.log(`[${jobId}] Processing index ${index}`);
-          // Persist initial progress for this item
-          try {
-            // Replace any existing partial result for this index
-            results = Array.isArray(results) ? results.filter(r => r && r.index !== index) : [];
-            results.push(itemResult);
-            await updateJob(client, jobId, { results });
-          } catch(e) { console.warn(`[${jobId}] Failed to persist init progress for index ${index}:`, e && (e.message||e)); }
-          
+          const prior = results.find(r => r && r.index === index) || null;
+          const checkpoint = pickCheckpoint(prior);
+          const resuming = Object.keys(checkpoint).length > 0;
+          // Approval from quick-job-commit travels with the item across retries/resumes
+          const approval = prior && prior.approved ? { approved: true, commit_mode: prior.commit_mode || 'draft' } : {};
+          let itemResult = { index, status: 'pending', step: 'init', message: resuming ? 'Resuming item' : 'Starting item', ...checkpoint, ...approval };
+          console.log(`[${jobId}] Processing index ${index}${resuming ? ` (resuming with ${Object.keys(checkpoint).join(',')})` : ''}`);
+          // Replace any existing partial result for this index and persist progress.
+          // Each persist also appends a timeline event with the time spent since the previous one.
+          const itemStartedAt = Date.now();
+          let stepStartedAt = itemStartedAt;
+          const persist = async (label) => {
+            const now = Date.now();
+            await recordEvent(client, jobId, { index, step: itemResult.step, message: itemResult.message, durationMs: now - stepStartedAt });
+            stepStartedAt = now;
+            try {
+              results = Array.isArray(results) ? results.filter(r => r && r.index !== index) : [];
+              results.push(itemResult);
+              await updateJob(client, jobId, { results });
+            } catch(e) { console.warn(`[${jobId}] Persist ${label} failed for index ${index}:`, e && (e.message||e)); }
+          };
+          await persist('init');
+
           try {
-            // Resolve per-item overrides from selectedPicks
+            // Resolve per-item overrides (retry edits win over selectedPicks, which win over job params)
             const pick = selectedPicks[i] || null;
-            const overrideBlueprintId = pick && pick.blueprintId ? String(pick.blueprintId) : (params.blueprintId ? String(params.blueprintId) : null);
-            const overrideProviderId = pick && pick.providerId ? String(pick.providerId) : (params.providerId ? String(params.providerId) : null);
-            const overridePrintAreas = Array.isArray(pick && pick.printAreas) && pick.printAreas.length ? pick.printAreas.map(s=>String(s).toLowerCase()) : null;
+            const itemOverride = itemOverrides[index] || {};
+            const itemPrompt = itemOverride.prompt || params.prompt;
+            const itemStyle = itemOverride.style || params.style || '';
+            const itemMarkup = Number.isFinite(itemOverride.markup) ? itemOverride.markup : params.markup;
+            const itemTags = Array.isArray(itemOverride.tags) ? itemOverride.tags : [];
+            const itemImageUrl = itemOverride.imageUrl || null;
+            const overrideBlueprintId = itemOverride.blueprintId ? String(itemOverride.blueprintId) : (pick && pick.blueprintId ? String(pick.blueprintId) : (params.blueprintId ? String(params.blueprintId) : null));
+            const overrideProviderId = itemOverride.providerId ? String(itemOverride.providerId) : (pick && pick.providerId ? String(pick.providerId) : (params.providerId ? String(params.providerId) : null));
+            const overrideAreaList = Array.isArray(itemOverride.printAreas) && itemOverride.printAreas.length ? itemOverride.printAreas : (pick && pick.printAreas);
+            const overridePrintAreas = Array.isArray(overrideAreaList) && overrideAreaList.length ? overrideAreaList.map(s=>String(s).toLowerCase()) : null;
 
             // Step 1: Fetch blueprints
-            console.log(`[${jobId}] Step 1: Fetching blueprints...`);
-            const blueprints = await callProxy(event, authHeader, '/v1/catalog/blueprints.json', 'GET');
-            console.log(`[${jobId}] Blueprints fetched: ${(blueprints && blueprints.data && blueprints.data.length) || 0}`);
             let blueprint = null;
-            const arrBps = (blueprints && blueprints.data) || [];
-            if (overrideBlueprintId) {
-              blueprint = arrBps.find(b => String(b.id) === String(overrideBlueprintId)) || null;
-            }
-            if (!blueprint) {
-              blueprint = chooseBlueprint(blueprints, params.prompt || params.productScope || 'any');
+            if (itemResult.blueprint_id) {
+              blueprint = { id: itemResult.blueprint_id, title: itemResult.blueprint_title || 'Product' };
+              console.log(`[${jobId}] Step 1 SKIP. Checkpointed blueprint: ${blueprint.id}`);
+            } else {
+              console.log(`[${jobId}] Step 1: Fetching blueprints...`);
+              const arrBps = await provider.listCatalog();
+              console.log(`[${jobId}] Blueprints fetched: ${arrBps.length}`);
+              if (overrideBlueprintId) {
+                blueprint = arrBps.find(b => String(b.id) === String(overrideBlueprintId)) || null;
+              }
+              if (!blueprint) {
+                blueprint = chooseBlueprint({ data: arrBps }, itemPrompt || params.productScope || 'any');
+              }
+              if (!blueprint || !blueprint.id) throw new Error('No suitable blueprint found');
+              console.log(`[${jobId}] Step 1 OK. Blueprint: ${blueprint.id} - ${blueprint.title}`);
+              itemResult.blueprint_id = blueprint.id; itemResult.blueprint_title = blueprint.title || 'Product';
             }
-            if (!blueprint || !blueprint.id) throw new Error('No suitable blueprint found');
-            console.log(`[${jobId}] Step 1 OK. Blueprint: ${blueprint.id} - ${blueprint.title}`);
             itemResult.step = 'blueprint'; itemResult.message = `Blueprint ${blueprint.id}`;
-            try { results = results.filter(r => r && r.index !== index); results.push(itemResult); await updateJob(client, jobId, { results }); } catch(e) { console.warn(`[${jobId}] Persist step1 failed`, e && (e.message||e)); }
+            await persist('step1');
 
             // Step 2: Get providers
-            const providerList = await callProxy(event, authHeader, `/v1/catalog/blueprints/${blueprint.id}/print_providers.json`, 'GET');
-            console.log(`[${jobId}] Providers fetched: ${(providerList && providerList.data && providerList.data.length) || 0}`);
-            let provider = null;
-            const arrProv = (providerList && providerList.data) || [];
-            if (overrideProviderId) {
-              provider = arrProv.find(p => String(p.id) === String(overrideProviderId)) || null;
-            }
-            if (!provider) {
-              provider = chooseProviderWithPref(providerList, params.providerPref);
+            let fulfiller = null;
+            if (itemResult.provider_id) {
+              fulfiller = { id: itemResult.provider_id };
+              console.log(`[${jobId}] Step 2 SKIP. Checkpointed provider: ${fulfiller.id}`);
+            } else {
+              const arrProv = await provider.listFulfillers(blueprint.id);
+              console.log(`[${jobId}] Providers fetched: ${arrProv.length}`);
+              if (overrideProviderId) {
+                fulfiller = arrProv.find(p => String(p.id) === String(overrideProviderId)) || null;
+              }
+              if (!fulfiller) {
+                fulfiller = chooseProviderWithPref({ data: arrProv }, params.providerPref);
+              }
+              if (!fulfiller || !fulfiller.id) throw new Error('No provider available for blueprint');
+              console.log(`[${jobId}] Step 2 OK. Provider: ${fulfiller.id}`);
+              itemResult.provider_id = fulfiller.id;
             }
-            if (!provider || !provider.id) throw new Error('No provider available for blueprint');
-            console.log(`[${jobId}] Step 2 OK. Provider: ${provider.id}`);
-            itemResult.step = 'provider'; itemResult.message = `Provider ${provider.id}`;
-            try { results = results.filter(r => r && r.index !== index); results.push(itemResult); await updateJob(client, jobId, { results }); } catch(e) { console.warn(`[${jobId}] Persist step2 failed`, e && (e.message||e)); }
+            itemResult.step = 'provider'; itemResult.message = `Provider ${fulfiller.id}`;
+            await persist('step2');
 
             // Step 3: Get print areas
-            const pas = await callFn(event, authHeader, 'print-area-sizes', 'POST', { blueprintId: blueprint.id, providerId: provider.id });
-            const printAreas = (pas?.data?.printAreas) || [];
-            if (!printAreas.length) throw new Error('No print areas available');
-            let chosen = null;
-            // If user prefers specific positions, try them first
-            try {
-              const prefs = overridePrintAreas ? overridePrintAreas : (Array.isArray(params.printAreas) ? params.printAreas.map(s => String(s).toLowerCase()) : []);
-              if (prefs.length) {
-                for (const pref of prefs) {
-                  const match = (printAreas || []).find(pa => String(pa.position || '').toLowerCase().includes(pref));
-                  if (match) { chosen = match; break; }
+            let chosen = itemResult.print_area || null;
+            if (chosen) {
+              console.log(`[${jobId}] Step 3 SKIP. Checkpointed print area: ${chosen.position} ${chosen.width}x${chosen.height}`);
+            } else {
+              const printAreas = await provider.getPrintAreas({ catalogId: blueprint.id, fulfillerId: fulfiller.id });
+              if (!printAreas.length) throw new Error('No print areas available');
+              // If user prefers specific positions, try them first
+              try {
+                const prefs = overridePrintAreas ? overridePrintAreas : (Array.isArray(params.printAreas) ? params.printAreas.map(s => String(s).toLowerCase()) : []);
+                if (prefs.length) {
+                  for (const pref of prefs) {
+                    const match = (printAreas || []).find(pa => String(pa.position || '').toLowerCase().includes(pref));
+                    if (match) { chosen = match; break; }
+                  }
                 }
+              } catch(_) {}
+              if (!chosen) {
+                chosen = choosePrintArea(printAreas, itemPrompt || '');
               }
-            } catch(_) {}
-            if (!chosen) {
-              chosen = choosePrintArea(printAreas, params.prompt || '');
+              console.log(`[${jobId}] Step 3 OK. Found ${printAreas.length} print areas.`);
+              itemResult.print_area = { position: chosen.position || 'front', width: chosen.width, height: chosen.height };
             }
             const sizeKey = `${chosen.width}x${chosen.height}`;
             const chosenPosition = (chosen.position || 'front');
-            console.log(`[${jobId}] Step 3 OK. Found ${printAreas.length} print areas. Chosen position: ${chosenPosition}, size: ${sizeKey}`);
+            console.log(`[${jobId}] Step 3 position: ${chosenPosition}, size: ${sizeKey}`);
             itemResult.step = 'print-areas'; itemResult.message = `Pos ${chosenPosition} Size ${sizeKey}`;
-            try { results = results.filter(r => r && r.index !== index); results.push(itemResult); await updateJob(client, jobId, { results }); } catch(e) { console.warn(`[${jobId}] Persist step3 failed`, e && (e.message||e)); }
+            await persist('step3');
 
             // Step 4: Generate/prepare image
-            let imgUrl = null;
-            const wantsTransparent = params.removeBg || (params.background === 'transparent');
-            console.log(`[${jobId}] Step 4: Preparing image... Mode: ${params.imageMode}`);
-            if ((params.imageMode === 'upload') && Array.isArray(params.uploadUrls) && params.uploadUrls.length) {
-              const pick = params.uploadUrls[(index - 1) % params.uploadUrls.length];
-              if (!pick) throw new Error('No upload URL available');
-              if (wantsTransparent) {
-                const rem = await callFn(event, authHeader, 'generate-image', 'POST', { model: 'rembg', imageUrl: pick, prompt: 'remove background', numImages: 1, size: sizeKey });
-                imgUrl = rem?.images?.[0]?.url || null;
+            let imgUrl = itemResult.image_url || null;
+            if (imgUrl) {
+              console.log(`[${jobId}] Step 4 SKIP. Reusing checkpointed image.`);
+            } else {
+              const wantsTransparent = params.removeBg || (params.background === 'transparent');
+              console.log(`[${jobId}] Step 4: Preparing image... Mode: ${params.imageMode}`);
+              if (itemImageUrl || ((params.imageMode === 'upload') && Array.isArray(params.uploadUrls) && params.uploadUrls.length)) {
+                const pick = itemImageUrl || params.uploadUrls[(index - 1) % params.uploadUrls.length];
+                if (!pick) throw new Error('No upload URL available');
+                if (wantsTransparent) {
+                  const rem = await fnCall('generate-image', 'POST', { model: 'rembg', imageUrl: pick, prompt: 'remove background', numImages: 1, size: sizeKey });
+                  imgUrl = rem?.images?.[0]?.url || null;
+                } else {
+                  imgUrl = pick;
+                }
               } else {
-                imgUrl = pick;
+                // When generating from prompt, do NOT use rembg. Instead bias the prompt.
+                const promptForGen = wantsTransparent
+                  ? `${itemPrompt || ''} with transparent background, no background`
+                  : (itemPrompt || '');
+                const giPayload = {
+                  prompt: promptForGen,
+                  numImages: 1,
+                  model: 'nano-banana',
+                  size: sizeKey,
+                  style: itemStyle,
+                  colors: params.colors || '',
+                  audience: params.audience || '',
+                  removeBackground: false
+                };
+                const gi = await fnCall('generate-image', 'POST', giPayload);
+                imgUrl = gi?.images?.[0]?.url;
               }
-            } else {
-              // When generating from prompt, do NOT use rembg. Instead bias the prompt.
-              const promptForGen = wantsTransparent
-                ? `${params.prompt || ''} with transparent background, no background`
-                : (params.prompt || '');
-              const giPayload = {
-                prompt: promptForGen,
-                numImages: 1,
-                model: 'nano-banana',
-                size: sizeKey,
-                style: params.style || '',
-                colors: params.colors || '',
-                audience: params.audience || '',
-                removeBackground: false
-              };
-              const gi = await callFn(event, authHeader, 'generate-image', 'POST', giPayload);
-              imgUrl = gi?.images?.[0]?.url;
+              if (!imgUrl) throw new Error('Image generation/upload failed');
+              console.log(`[${jobId}] Step 4 OK. Image URL ready.`);
             }
-            if (!imgUrl) throw new Error('Image generation/upload failed');
-            console.log(`[${jobId}] Step 4 OK. Image URL ready.`);
             itemResult.step = 'image-ready'; itemResult.message = 'Image prepared'; itemResult.image_url = imgUrl;
-            try { results = results.filter(r => r && r.index !== index); results.push(itemResult); await updateJob(client, jobId, { results }); } catch(e) { console.warn(`[${jobId}] Persist step4 failed`, e && (e.message||e)); }
+            await persist('step4');
 
-            // Step 5: Upload to Printify (expects { url, file_name })
-            const derivedName = (typeof imgUrl === 'string' && imgUrl.split('?')[0].split('/').pop()) || 'design.png';
-            const ui = await callFn(event, authHeader, 'upload-image', 'POST', { url: imgUrl, file_name: derivedName });
-            const printifyImageId = ui?.image_id;
-            if (!printifyImageId) throw new Error('Failed to upload image to Printify');
-            console.log(`[${jobId}] Step 5 OK. Printify Image ID: ${printifyImageId}`);
-            itemResult.step = 'image-uploaded'; itemResult.message = `Printify image ${printifyImageId}`;
-            try { results = results.filter(r => r && r.index !== index); results.push(itemResult); await updateJob(client, jobId, { results }); } catch(e) { console.warn(`[${jobId}] Persist step5 failed`, e && (e.message||e)); }
+            // Step 5: Upload the design to the provider's file library
+            let fileId = itemResult[fileIdField] || null;
+            if (fileId) {
+              console.log(`[${jobId}] Step 5 SKIP. Checkpointed ${provider.name} file ID: ${fileId}`);
+            } else {
+              const derivedName = (typeof imgUrl === 'string' && imgUrl.split('?')[0].split('/').pop()) || 'design.png';
+              const transform = itemOverride.transform || params.transform || null;
+              if (transform && provider.name === 'printful') {
+                // Printful prints the file as given: render the transformed design into the print file first
+                const composed = await fnCall('compose-design', 'POST', {
+                  image_url: imgUrl,
+                  transform,
+                  printfile: { width: chosen.width, height: chosen.height },
+                  placement: chosenPosition,
+                  upload: 'printful',
+                  filename: derivedName
+                });
+                if (!composed || !composed.file || !composed.file.id) throw new Error(`Design compositing failed: ${(composed && composed.error) || 'no file id'}`);
+                fileId = composed.file.id;
+                itemResult.print_file_url = composed.file.url;
+                console.log(`[${jobId}] Step 5: Composed ${chosenPosition} print file (effective ${composed.effective_dpi} DPI)`);
+              } else {
+                fileId = (await provider.uploadFile({ url: imgUrl, fileName: derivedName })).fileId;
+              }
+              console.log(`[${jobId}] Step 5 OK. ${provider.name} file ID: ${fileId}`);
+              itemResult[fileIdField] = fileId;
+            }
+            itemResult.step = 'image-uploaded'; itemResult.message = `${provider.name === 'printful' ? 'Printful file' : 'Printify image'} ${fileId}`;
+            await persist('step5');
 
             // Step 6: Generate content (with one retry for transient 504)
-            console.log(`[${jobId}] Step 6: Generating content...`);
-            let gc;
-            try {
-              gc = await callFn(event, authHeader, 'generate-content', 'POST', {
-                prompt: params.prompt,
+            let content = itemResult.content || null;
+            if (content) {
+              console.log(`[${jobId}] Step 6 SKIP. Reusing checkpointed content.`);
+            } else {
+              console.log(`[${jobId}] Step 6: Generating content...`);
+              const gcPayload = {
+                prompt: itemPrompt,
                 contentType: 'product-content',
-                style: params.style,
+                style: itemStyle,
                 colors: params.colors,
                 audience: params.audience,
                 productInfo: [{ title: blueprint.title || 'Product', brand: params.brandPref || '' }],
                 jobId: job.id
-              });
-            } catch (e) {
-              const msg = String(e && e.message || '');
-              if (/\b504\b/.test(msg)) {
-                console.warn(`[${jobId}] Step 6 WARN: 504 from generate-content, retrying once in 2s...`);
-                await new Promise(r=>setTimeout(r, 2000));
-                gc = await callFn(event, authHeader, 'generate-content', 'POST', {
-                  prompt: params.prompt,
-                  contentType: 'product-content',
-                  style: params.style,
-                  colors: params.colors,
-                  audience: params.audience,
-                  productInfo: [{ title: blueprint.title || 'Product', brand: params.brandPref || '' }],
-                  jobId: job.id
-                });
-              } else {
-                throw e;
+              };
+              let gc;
+              try {
+                gc = await fnCall('generate-content', 'POST', gcPayload);
+              } catch (e) {
+                const msg = String(e && e.message || '');
+                if (/\b504\b/.test(msg)) {
+                  console.warn(`[${jobId}] Step 6 WARN: 504 from generate-content, retrying once in 2s...`);
+                  await new Promise(r=>setTimeout(r, 2000));
+                  gc = await fnCall('generate-content', 'POST', gcPayload);
+                } else {
+                  throw e;
+                }
               }
+              if (!gc.success) throw new Error(`Content generation failed: ${gc.error}`);
+              console.log(`[${jobId}] Step 6 OK. Content generated.`);
+              content = { title: gc.title, description: gc.description, tags: gc.tags, key_features: gc.key_features, materials: gc.materials };
+              // Tags given for the item (e.g. a CSV column) come first, topped up with generated ones
+              if (itemTags.length) {
+                const generated = Array.isArray(gc.tags) ? gc.tags : [];
+                content.tags = [...new Set([...itemTags, ...generated].map(t => String(t).trim()).filter(Boolean))].slice(0, 13);
+              }
+              itemResult.content = content;
             }
-            if (!gc.success) throw new Error(`Content generation failed: ${gc.error}`);
-            console.log(`[${jobId}] Step 6 OK. Content generated.`);
             itemResult.step = 'content-ready'; itemResult.message = 'AI content generated';
-            try { results = results.filter(r => r && r.index !== index); results.push(itemResult); await updateJob(client, jobId, { results }); } catch(e) { console.warn(`[${jobId}] Persist step6 failed`, e && (e.message||e)); }
+            await persist('step6');
+
+            // Preview jobs stop here until the item is approved via quick-job-commit,
+            // which re-runs it with the generated image and content reused from checkpoints
+            const commitMode = itemResult.approved ? (itemResult.commit_mode || 'draft') : params.publishMode;
+            if (commitMode === 'preview') {
+              itemResult.status = 'preview'; itemResult.step = 'preview-ready'; itemResult.message = 'Ready for review';
+              console.log(`[${jobId}] Preview mode: holding index ${index} for review.`);
+            } else {
+              // Step 7: Create product
+              let productId = itemResult.product_id || null;
+              if (productId) {
+                console.log(`[${jobId}] Step 7 SKIP. Product already created: ${productId}`);
+              } else {
+                console.log(`[${jobId}] Step 7: Creating product...`);
+                // Sanity log of key fields (no large payloads)
+                try {
+                  const tagPreview = Array.isArray(content.tags) ? content.tags.slice(0,3) : [];
+                  console.log(`[${jobId}] Step 7 payload preview -> shopId=${String(job.shop_id)}, blueprint_id=${Number(blueprint.id)}, providerId=${fulfiller.id}, position=${chosenPosition}, sizeKey=${sizeKey}, tags[0..2]=${JSON.stringify(tagPreview)}`);
+                } catch(e) { /* best-effort log only */ }
+                const created = await provider.createProduct({
+                  shopId: job.shop_id,
+                  catalogId: blueprint.id,
+                  catalogTitle: blueprint.title,
+                  fulfillerId: fulfiller.id,
+                  printArea: { position: chosenPosition, width: chosen.width, height: chosen.height },
+                  fileId,
+                  imageUrl: imgUrl,
+                  content,
+                  markup: Number.isFinite(itemMarkup) ? itemMarkup : undefined,
+                  // A re-run of this item with the same design gets the product it already created
+                  idempotencyKey: `job:${jobId}:${i}:${fileId}`
+                });
+                productId = created.productId;
+                console.log(`[${jobId}] Step 7 OK. Product created with ID: ${productId}`);
+              }
+              itemResult.step = 'product-created'; itemResult.message = `Product ${productId}`; itemResult.product_id = productId;
+              await persist('step7');
+
+              // Printify renders mockups with the product; Printful needs a mockup task. Best-effort:
+              // a failure or a task still rendering is recorded on the item, not treated as an error.
+              if (provider.name === 'printful' && !(Array.isArray(itemResult.mockup_urls) && itemResult.mockup_urls.length)) {
+                try {
+                  let mockup = await provider.getMockups({ catalogId: blueprint.id, printArea: chosen, imageUrl: itemResult.print_file_url || imgUrl, taskId: itemResult.mockup_task_id || null, retryPayload: itemResult.mockup_retry_payload || null });
+                  for (let poll = 0; mockup.pending && poll < MOCKUP_POLLS; poll++) {
+                    await new Promise(r => setTimeout(r, mockup.pollAfterMs || MOCKUP_POLL_MS));
+                    mockup = await provider.getMockups({ taskId: mockup.taskId, retryPayload: mockup.taskId ? null : mockup.retryPayload });
+                  }
+                  itemResult.mockup_urls = mockup.urls.map(m => m.url);
+                  itemResult.mockup_task_id = mockup.pending ? mockup.taskId : null;
+                  itemResult.mockup_retry_payload = mockup.pending && !mockup.taskId ? mockup.retryPayload : null;
+                  delete itemResult.mockup_error;
+                  console.log(`[${jobId}] Mockups: ${mockup.pending ? 'still rendering' : `${itemResult.mockup_urls.length} ready`}`);
+                } catch (e) {
+                  itemResult.mockup_error = String(e.message || e);
+                  console.log(`[${jobId}] Mockups WARN: ${e.message}`);
+                }
+                itemResult.step = 'mockups'; itemResult.message = itemResult.mockup_task_id ? 'Mockups rendering' : `${(itemResult.mockup_urls || []).length} mockup(s)`;
+                await persist('mockups');
+              }
 
-            // Step 7: Create product (use create-product.js expected schema)
-            console.log(`[${jobId}] Step 7: Creating product...`);
-            // Sanity log of key fields (no large payloads)
-            try {
-              const tagPreview = Array.isArray(gc.tags) ? gc.tags.slice(0,3) : [];
-              console.log(`[${jobId}] Step 7 payload preview -> shopId=${String(job.shop_id)}, blueprint_id=${Number(blueprint.id)}, providerId=${Number(provider.id)}, position=${chosenPosition}, sizeKey=${sizeKey}, tags[0..2]=${JSON.stringify(tagPreview)}`);
-            } catch(e) { /* best-effort log only */ }
-            const selectedImages = {}; selectedImages[sizeKey] = printifyImageId;
-            const cpPayload = {
-              shopId: String(job.shop_id),
-              product: { id: String(blueprint.id), title: blueprint.title || 'Product', blueprint_id: Number(blueprint.id) },
-              providerId: Number(provider.id),
-              printAreas: [ { position: chosenPosition || 'front', width: chosen.width, height: chosen.height } ],
-              selectedImages,
-              content: { title: gc.title, description: gc.description, tags: gc.tags, key_features: gc.key_features, materials: gc.materials },
-              placementOverrides: {},
-              markup: Number.isFinite(params.markup) ? Number(params.markup) : undefined
-            };
-            const cp = await callFn(event, authHeader, 'create-product', 'POST', cpPayload);
-            const productId = cp?.product?.id || cp?.id;
-            if (!productId) throw new Error('Product creation failed');
-            console.log(`[${jobId}] Step 7 OK. Product created with ID: ${productId}`);
-            itemResult.step = 'product-created'; itemResult.message = `Product ${productId}`; itemResult.product_id = productId;
-            try { results = results.filter(r => r && r.index !== index); results.push(itemResult); await updateJob(client, jobId, { results }); } catch(e) { console.warn(`[${jobId}] Persist step7 failed`, e && (e.message||e)); }
-
-            // Step 8: Publish if requested
-            if (params.publishMode === 'publish') {
-              console.log(`[${jobId}] Step 8: Publishing product...`);
-              try {
-                await callFn(event, authHeader, 'publish-product', 'POST', { product_id: productId, title: gc.title, description: gc.description });
-                itemResult.status = 'published';
-                console.log(`[${jobId}] Step 8 OK. Product published.`);
-              } catch (e) {
+              // Step 8: Publish if requested
+              if (commitMode === 'publish') {
+                console.log(`[${jobId}] Step 8: Publishing product...`);
+                try {
+                  const published = await provider.publish({ shopId: job.shop_id, productId, content });
+                  // Printful store products are live once created; there is nothing to publish
+                  itemResult.status = published.skipped ? 'created' : 'published';
+                  console.log(`[${jobId}] Step 8 OK. ${published.skipped ? 'No publish step for this provider.' : 'Product published.'}`);
+                } catch (e) {
+                  itemResult.status = 'created';
+                  itemResult.publish_error = String(e.message || e);
+                  console.log(`[${jobId}] Step 8 WARN. Product created but publish failed: ${e.message}`);
+                }
+              } else {
                 itemResult.status = 'created';
-                itemResult.publish_error = String(e.message || e);
-                console.log(`[${jobId}] Step 8 WARN. Product created but publish failed: ${e.message}`);
+                console.log(`[${jobId}] Step 8 OK. Product created (draft mode).`);
               }
-            } else {
-              itemResult.status = 'created';
-              console.log(`[${jobId}] Step 8 OK. Product created (draft mode).`);
             }
-            itemResult.title = gc.title;
+            itemResult.title = content.title;
             itemResult.image_url = imgUrl;
-            completed++;
 
           } catch (err) {
             console.error(`[${jobId}] ERROR processing index ${index}:`, err && (err.stack || err.message || err));
             const raw = err && err.message ? String(err.message) : String(err || 'Unknown error');
             const safe = raw.replace(/[\u0000-\u001F]/g, ' ').slice(0, 500);
+            await recordEvent(client, jobId, { index, step: 'error', status: 'error', message: `Failed after ${itemResult.step}`, error: safe, durationMs: Date.now() - stepStartedAt });
             itemResult.status = 'failed';
             itemResult.error = safe;
             itemResult.step = 'error'; itemResult.message = safe;
-            failed++;
+            // Out of plan quota: every further item would fail too, so pause (retry or resume after upgrading)
+            if (isQuotaError(err) && !stoppedStatus) {
+              stoppedStatus = 'paused';
+              console.log(`[${jobId}] Plan quota exhausted at index ${index}; pausing.`);
+            }
           }
 
-          // Update final result without pushing again since we already updated itemResult in place
-          next = i + 1;
+          await recordEvent(client, jobId, { index, step: 'done', status: itemResult.status === 'failed' ? 'error' : 'ok', message: `Item ${itemResult.status}`, durationMs: Date.now() - itemStartedAt });
+
+          // Update final result; itemResult (with its checkpoints) was updated in place
+          results = results.filter(r => r && r.index !== index);
+          results.push(itemResult);
+          ({ completed, failed } = tallyResults(results));
+          // next_index is the low-water mark: every item before it has finished
+          while (next < total && isTerminalResult(resultFor(next))) next++;
 
-          // Update progress in DB
+          // Update progress in DB (results is rebuilt synchronously above, so each write is a full, consistent snapshot)
           await updateJob(client, jobId, { completed, failed, next_index: next, results });
+        };
+
+        await recordEvent(client, jobId, { step: 'job-start', message: `Processing ${work.length} item(s), concurrency ${concurrency}` });
+        const jobStartedAt = Date.now();
+
+        // Bounded worker pool: each worker takes the next item, honoring pause/cancel requests between items
+        // Items at or past pauseAt wait for quick-job-resume
+        const queue = pauseAt !== null ? work.filter(i => i < pauseAt) : work.slice();
+        const worker = async () => {
+          while (queue.length && !stoppedStatus) {
+            const i = queue.shift();
+            const current = await getJobStatus(client, jobId);
+            if (current === 'cancelled') { stoppedStatus = 'cancelled'; console.log(`[${jobId}] Cancelled before index ${i + 1}; stopping.`); break; }
+            if (current === 'pausing' || current === 'paused') { stoppedStatus = 'paused'; console.log(`[${jobId}] Pause requested before index ${i + 1}; stopping.`); break; }
+            if (stoppedStatus) break;
+            await processItem(i);
+          }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, () => worker()));
+        if (!stoppedStatus && pauseAt !== null && work.some(i => i >= pauseAt)) {
+          stoppedStatus = 'paused';
+          console.log(`[${jobId}] pauseAfter=${pauseAfter} reached; pausing for review.`);
         }
 
-        // Mark job as completed
-        const finalStatus = failed > 0 ? (completed > 0 ? 'completed' : 'failed') : 'completed';
-        await updateJob(client, jobId, { status: finalStatus });
-        console.log(`[${jobId}] Background processing complete. Status: ${finalStatus}, Completed: ${completed}, Failed: ${failed}`);
+        if (stoppedStatus) {
+          // Leave cancelled jobs alone; confirm pauses so quick-job-resume can pick them up
+          if (stoppedStatus === 'paused') await updateJob(client, jobId, { status: 'paused' }, { unlessStatus: ['cancelled'] });
+          await recordEvent(client, jobId, { step: `job-${stoppedStatus}`, message: `Stopped at next_index ${next}`, durationMs: Date.now() - jobStartedAt });
+          console.log(`[${jobId}] Background processing stopped. Status: ${stoppedStatus}, Completed: ${completed}, Failed: ${failed}, Next: ${next}`);
+        } else {
+          // Mark job as completed
+          // Jobs with previews waiting for approval go to 'review' instead of completing
+          const awaitingReview = results.some(r => r && r.status === 'preview');
+          const finalStatus = awaitingReview ? 'review' : (failed > 0 ? (completed > 0 ? 'completed' : 'failed') : 'completed');
+          // A cancel or pause that arrived while the last items ran wins over the final status
+          const updated = await updateJob(client, jobId, { status: finalStatus }, { unlessStatus: ['cancelled', 'paused'] });
+          if (updated) {
+            await recordEvent(client, jobId, { step: `job-${finalStatus}`, status: finalStatus === 'failed' ? 'error' : 'ok', message: `${completed} completed, ${failed} failed`, durationMs: Date.now() - jobStartedAt });
+            console.log(`[${jobId}] Background processing complete. Status: ${finalStatus}, Completed: ${completed}, Failed: ${failed}`);
+          } else {
+            const current = await getJobStatus(client, jobId);
+            await recordEvent(client, jobId, { step: `job-${current}`, message: `Stopped at next_index ${next}`, durationMs: Date.now() - jobStartedAt });
+            console.log(`[${jobId}] Background processing finished after the job was ${current}. Completed: ${completed}, Failed: ${failed}`);
+          }
+        }
 
       } catch (e) {
         console.error(`[runner-bg] Fatal error processing job ${jobId}:`, e && (e.stack || e.message || e));
+        await recordEvent(client, jobId, { step: 'job-failed', status: 'error', error: e && (e.message || String(e)) });
         try {
-          await updateJob(client, jobId, { status: 'failed' });
+          await updateJob(client, jobId, { status: 'failed' }, { unlessStatus: ['cancelled'] });
         } catch (updateErr) {
           console.error(`[runner-bg] Failed to update job status:`, updateErr);
         }
@@ -471,6 +677,6 @@ exports.handler = async (event) => {
   } catch (e) {
     console.error('quick-job-run-background error', e && (e.stack || e.message || e));
     const msg = e && e.message ? e.message : 'Internal Error';
-    return { statusCode: msg==='Unauthorized'?401:500, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
+    return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
   }
-};
+}, { scopes: ['jobs'], role: 'editor', cors });
@@ -1,19 +1,16 @@
-// List recent bulk product contexts for the current user (unauthenticated table, keyed by session/product_id)
+// List recent bulk product contexts of the caller's workspace (product_contexts is keyed by session/product_id)
 // Returns recent sessions with placements summary for the dashboard
 const { getSupabase } = require('./_supabase_node.js');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event) => {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'GET') {
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
@@ -26,6 +23,7 @@ exports.handler = async (event) => {
     const { data, error } = await supabase
       .from('product_contexts')
       .select('product_id, design_prompt, placements, updated_at')
+      .eq('workspace_id', auth.workspace.id)
       .order('updated_at', { ascending: false })
       .limit(limit);
 
@@ -59,6 +57,10 @@ exports.handler = async (event) => {
         totals: { totalProducts, imagesAssigned, productsWithAreas },
         thumbnails: productThumbs,
         step,
+        // Page that saved the session, to resume it there; null for bulk.html sessions
+        page: p.page || null,
+        hasDraft: !!p.wizardState,
+        revision: p.revision || 0,
         raw: { selectedProducts, selectedImages, selectedPrintAreas, productImageMap },
       };
     });
@@ -68,4 +70,4 @@ exports.handler = async (event) => {
     console.error('list-bulk-contexts error:', err);
     return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: err.message }) };
   }
-};
+}, { scopes: ['jobs'], cors: headers });
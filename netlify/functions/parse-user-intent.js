@@ -2,6 +2,7 @@
 // Uses Gemini to parse natural language user input into a structured chatState object.
 
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -17,7 +18,7 @@ const STATE_SCHEMA = {
   productScope: 'string (enum: any, tshirt, hoodies, mugs, posters)',
   imageMode: 'string (enum: generate, upload)',
   style: 'string (e.g., watercolor, vintage, retro, modern, minimal, cartoon, line art)',
-  publishMode: 'string (enum: draft, publish)',
+  publishMode: 'string (enum: draft, publish, preview)',
   markup: 'number (percentage, e.g., 40)',
   background: 'string (enum: transparent, white, contextual)',
   consistency: 'string (enum: consistent, diverse)',
@@ -28,8 +29,7 @@ const STATE_SCHEMA = {
   // ... other fields can be added here
 };
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
 
   try {
@@ -52,7 +52,7 @@ exports.handler = async (event) => {
           return { statusCode: 200, headers: cors, body: JSON.stringify({ success: true, updatedState: s }) };
         }
         // Simple fields by keyword
-        if (/draft|publish/i.test(lower)) { s.publishMode = /publish/i.test(lower) ? 'publish' : 'draft'; return { statusCode: 200, headers: cors, body: JSON.stringify({ success: true, updatedState: s }) }; }
+        if (/draft|publish|preview|dry[-\s]?run/i.test(lower)) { s.publishMode = /preview|dry[-\s]?run/i.test(lower) ? 'preview' : /publish/i.test(lower) ? 'publish' : 'draft'; return { statusCode: 200, headers: cors, body: JSON.stringify({ success: true, updatedState: s }) }; }
         if (/transparent|white|contextual/i.test(lower)) { s.background = /transparent/i.test(lower) ? 'transparent' : /white/i.test(lower) ? 'white' : 'contextual'; return { statusCode: 200, headers: cors, body: JSON.stringify({ success: true, updatedState: s }) }; }
         if (/generate|upload/i.test(lower)) { s.imageMode = /upload/i.test(lower) ? 'upload' : 'generate'; return { statusCode: 200, headers: cors, body: JSON.stringify({ success: true, updatedState: s }) }; }
         if (/t\s*-?shirt|hoodie|mug|poster|bottle|towel|phone\s*case|cards?|backpack/i.test(lower)) { s.productScope = lower; return { statusCode: 200, headers: cors, body: JSON.stringify({ success: true, updatedState: s }) }; }
@@ -129,4 +129,4 @@ Here is the schema for the state object: ${JSON.stringify(STATE_SCHEMA, null, 2)
     console.error('parse-user-intent error:', err);
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success: false, error: err.message }) };
   }
-};
+}, { scopes: ['ai'], cors });
@@ -1,23 +1,14 @@
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
-  }
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json'
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   try {
     const { endpoint, method = 'GET', body } = JSON.parse(event.body);
     
@@ -108,4 +99,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+}, { scopes: ['ai'], cors: headers });
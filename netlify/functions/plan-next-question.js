@@ -2,16 +2,16 @@
 // Generates the next conversational question based on current chat state using Gemini.
 
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event) => {
-  const cors = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Content-Type': 'application/json',
-  };
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
 
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
 
   try {
@@ -116,4 +116,4 @@ Missing optional: ${niceMissing.join(', ') || 'none'}`;
   } catch (err) {
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success: false, error: err.message }) };
   }
-};
+}, { scopes: ['ai'], cors });
@@ -3,6 +3,7 @@
 // Expects: POST { task_id:number }
 
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
 function unwrapProxyResponse(res) {
   try {
@@ -75,17 +76,14 @@ function extractMockupUrls(taskData) {
   return urls;
 }
 
-exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
   }
@@ -174,4 +172,4 @@ exports.handler = async (event) => {
   } catch (err) {
     return { statusCode: 500, headers, body: JSON.stringify({ success:false, error: err.message }) };
   }
-};
+}, { scopes: ['products'], cors: headers });
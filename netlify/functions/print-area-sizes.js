@@ -1,32 +1,20 @@
 // netlify/functions/print-area-sizes.js
 
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
 
 // Printify API configuration
 const PRINTIFY_API_BASE = 'https://api.printify.com/v1';
 
-// Helper function for XOR decryption (matches update-api-key.js encryption)
-function simpleDecrypt(encryptedBase64, key) {
-  try {
-    const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-    const keyLength = key.length;
-    const result = [];
-    
-    for (let i = 0; i < encryptedBytes.length; i++) {
-      const byte = encryptedBytes[i];
-      const keyCharCode = key.charCodeAt(i % keyLength);
-      result.push(byte ^ keyCharCode);
-    }
-    
-    return Buffer.from(result).toString('utf8');
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
-  }
-}
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[print-area-sizes] Function invoked');
   console.log('[print-area-sizes] HTTP Method:', event.httpMethod);
   
@@ -38,23 +26,6 @@ exports.handler = async (event, context) => {
   console.log('[print-area-sizes] Headers (normalized):', JSON.stringify(headersObj));
   console.log('[print-area-sizes] Body:', event.body);
   
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight OPTIONS request
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
-  }
-
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
     return {
@@ -83,29 +54,6 @@ exports.handler = async (event, context) => {
       };
     }
     
-    // Get the user's API key from the database using the JWT token
-    const authHeader = headersObj.authorization || headersObj.Authorization;
-                      
-    console.log('[print-area-sizes] Auth header present:', !!authHeader);
-    if (authHeader) {
-      console.log('[print-area-sizes] Auth header starts with Bearer:', authHeader.startsWith('Bearer '));
-      console.log('[print-area-sizes] Auth header value:', authHeader);
-    }
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log('[print-area-sizes] Authentication missing or invalid');
-      return { 
-        statusCode: 401, 
-        headers, 
-        body: JSON.stringify({ 
-          success: false, 
-          error: 'Authentication required' 
-        }) 
-      };
-    }
-    
-    const token = authHeader.split(' ')[1];
-    
     // Create Supabase client
     const supabase = createClient(
       process.env.SUPABASE_URL,
@@ -116,19 +64,17 @@ exports.handler = async (event, context) => {
     let apiKey;
     
     try {
-      // Verify the JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const userId = decoded.sub || decoded.id;
+      const workspaceId = auth.workspace.id;
       
       // Fetch the user's encrypted API key
-      const { data: user, error } = await supabase
-        .from('users')
+      const { data: workspace, error } = await supabase
+        .from('workspaces')
         .select('printify_api_key_encrypted')
-        .eq('id', userId)
+        .eq('id', workspaceId)
         .single();
       
-      if (error || !user || !user.printify_api_key_encrypted) {
-        console.error('Error fetching user API key:', error);
+      if (error || !workspace || !workspace.printify_api_key_encrypted) {
+        console.error('Error fetching workspace API key:', error);
         return {
           statusCode: 401,
           headers,
@@ -140,7 +86,7 @@ exports.handler = async (event, context) => {
       }
       
       // Decrypt the API key
-      apiKey = simpleDecrypt(user.printify_api_key_encrypted, process.env.JWT_SECRET);
+      apiKey = decryptSecret(workspace.printify_api_key_encrypted);
       
       // Validate the decrypted API key
       if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 10) {
@@ -389,4 +335,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
\ No newline at end of file
+}, { scopes: ['products'], cors: headers });
\ No newline at end of file
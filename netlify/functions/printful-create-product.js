@@ -6,18 +6,23 @@
 //   description?: string,
 //   catalog_product_id: number,
 //   selected_variant_ids: number[],
-//   placement_files: [{ placement: 'front'|'back'|'left'|'right'|'sleeve_left'|'sleeve_right'|string, image_url: string }],
+//   placement_files: [{ placement: 'front'|'back'|'left'|'right'|'sleeve_left'|'sleeve_right'|string, image_url: string, file_id?: number }],
+//   (file_id: a file already in the Printful library, e.g. uploaded via /files; skips the upload)
 //   retail_price?: string | number  // e.g. '24.99'
 // }
 // Returns { success: true, product } on success.
+// An Idempotency-Key header makes retries return the first result instead of creating another product.
 
 const fetch = require('node-fetch');
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
+const { QuotaError, reserveUsage, refundUsage, quotaErrorResponse } = require('./_quota');
+const { withIdempotency } = require('./_idempotency');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
   'Access-Control-Allow-Methods': 'POST, OPTIONS',
   'Content-Type': 'application/json'
 };
@@ -57,7 +62,7 @@ function detectImageSize(buf) {
   return null;
 }
 
-exports.handler = async (event) => {
+exports.handler = withAuth(withIdempotency('printful-create-product', async (event, context, auth) => {
   try {
     // Verbose entry log for ALL methods so you can see logs in Netlify even on GET
     const ts = new Date().toISOString();
@@ -75,11 +80,6 @@ exports.handler = async (event) => {
       bodyBytes: (event.body ? Buffer.byteLength(event.body, 'utf8') : 0)
     });
 
-    if (event.httpMethod === 'OPTIONS') {
-      console.log('[printful-create-product] CORS preflight responded 200');
-      return { statusCode: 200, headers: cors, body: '' };
-    }
-
     // Health/diagnostic endpoint for quick logging from the browser
     if (event.httpMethod === 'GET') {
       console.log('[printful-create-product] GET health check');
@@ -95,20 +95,9 @@ exports.handler = async (event) => {
     console.error('[printful-create-product] Early error before routing:', e);
   }
 
+  let reservation = null;
   try {
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader || !/^Bearer\s+/i.test(authHeader)) {
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success:false, error:'Unauthorized - No token' }) };
-    }
-    const token = authHeader.replace(/^Bearer\s+/i, '');
-
-    let userId;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.sub || decoded.id;
-    } catch (e) {
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success:false, error:'Unauthorized - Invalid token' }) };
-    }
+    const workspaceId = auth.workspace.id;
 
     const body = JSON.parse(event.body || '{}');
     const { title, description = '', catalog_product_id, placement_files = [], retail_price, store_id, initial_images } = body;
@@ -130,27 +119,17 @@ exports.handler = async (event) => {
 
     // Get Printful OAuth token from Supabase (public app, OAuth-only)
     const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-    const { data: user, error: userError } = await supabase
-      .from('users')
+    const { data: workspace, error: workspaceError } = await supabase
+      .from('workspaces')
       .select('printful_access_token_encrypted')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    if (userError || !user || !user.printful_access_token_encrypted) {
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success:false, error:'Printful OAuth not connected for this user. Connect via Dashboard → Settings.' }) };
+    if (workspaceError || !workspace || !workspace.printful_access_token_encrypted) {
+      return { statusCode: 401, headers: cors, body: JSON.stringify({ success:false, error:'Printful OAuth not connected for this workspace. Connect via Dashboard → Settings.' }) };
     }
 
-    function simpleDecrypt(encryptedBase64, key) {
-      const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-      const keyLength = key.length;
-      const result = [];
-      for (let i = 0; i < encryptedBytes.length; i++) {
-        result.push(encryptedBytes[i] ^ key.charCodeAt(i % keyLength));
-      }
-      return Buffer.from(result).toString('utf8');
-    }
-
-    const authToken = user.printful_access_token_encrypted ? simpleDecrypt(user.printful_access_token_encrypted, process.env.JWT_SECRET) : null;
+    const authToken = workspace.printful_access_token_encrypted ? decryptSecret(workspace.printful_access_token_encrypted) : null;
     if (!authToken) {
       return { statusCode: 401, headers: cors, body: JSON.stringify({ success:false, error:'Failed to decrypt Printful OAuth token.' }) };
     }
@@ -216,6 +195,11 @@ exports.handler = async (event) => {
     } catch(_) {}
     
     for (const f of placement_files) {
+      if (f && f.file_id) {
+        uploaded.push({ placement: f.placement || 'front', file_id: f.file_id });
+        console.log(`[printful-create-product] Using existing Printful file: ${f.placement || 'front'} -> ${f.file_id}`);
+        continue;
+      }
       if (!f || !f.image_url) {
         console.log('Skipping invalid placement file:', f);
         continue;
@@ -370,15 +354,23 @@ exports.handler = async (event) => {
       });
     } catch(_) {}
 
+    reservation = await reserveUsage(auth.userId, 'products', 1, { source: 'printful-create-product', store_id: store_id || null, workspace_id: workspaceId });
     const createRes = await fetch('https://api.printful.com/store/products', {
       method: 'POST', headers: pfHeaders, body: JSON.stringify(payload)
     });
     const createData = await createRes.json().catch(()=>({}));
     console.log('[printful-create-product] Create response status:', createRes.status, 'has result:', !!createData?.result);
-    if (!createRes.ok || !createData?.result) {
+    if (!createRes.ok) {
       console.warn('[printful-create-product] Create failed. Body snapshot:', JSON.stringify(createData).slice(0,1000));
+      await refundUsage(reservation);
       return { statusCode: createRes.status || 500, headers: cors, body: JSON.stringify({ success:false, error:'Failed to create Printful product', details: createData }) };
     }
+    // The product exists upstream now, so the usage stands even if the response or the image step fails
+    reservation = null;
+    if (!createData?.result) {
+      console.warn('[printful-create-product] Create succeeded without a result. Body snapshot:', JSON.stringify(createData).slice(0,1000));
+      return { statusCode: 502, headers: cors, body: JSON.stringify({ success:false, error:'Printful created the product but returned no product details', details: createData }) };
+    }
 
     // Optional: set initial gallery images immediately after creation.
     // Use provided initial_images (URLs) if present; else fall back to placement_files image URLs.
@@ -419,7 +411,12 @@ exports.handler = async (event) => {
 
     return { statusCode: 200, headers: cors, body: JSON.stringify({ success:true, product: createData.result, _debug: { uploaded: uploadedDebug } }) };
   } catch (err) {
+    if (err instanceof QuotaError) return quotaErrorResponse(err, cors);
+    await refundUsage(reservation);
     console.error('printful-create-product error:', err);
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error:'Internal Server Error', details: err.message }) };
   }
-};
+}, {
+  cors,
+  resourceId: body => body.product && (body.product.id || (body.product.sync_product && body.product.sync_product.id))
+}), { scopes: ['products'], role: 'editor', cors });
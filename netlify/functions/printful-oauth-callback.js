@@ -1,15 +1,10 @@
 // netlify/functions/printful-oauth-callback.js
-// Handles redirect from Printful OAuth, exchanges code for tokens, stores them for the user.
+// Handles redirect from Printful OAuth, exchanges code for tokens, stores them on the user's active workspace.
 
-const jwt = require('jsonwebtoken');
 const fetch = require('node-fetch');
 const { createClient } = require('@supabase/supabase-js');
-
-const encrypt = (text, key) => {
-  const res = [];
-  for (let i = 0; i < text.length; i++) res.push(text.charCodeAt(i) ^ key.charCodeAt(i % key.length));
-  return Buffer.from(res).toString('base64');
-};
+const { encryptSecret } = require('./_secrets');
+const { AuthError, authenticate, authErrorResponse } = require('./_auth');
 
 exports.handler = async (event) => {
   const headers = {
@@ -36,46 +31,21 @@ exports.handler = async (event) => {
       return { statusCode: 400, headers, body: JSON.stringify({ success:false, error:'Missing code' }) };
     }
 
-    // Resolve userId from state or Authorization header
-    let userId = null;
-    console.log('[printful-oauth-callback] Resolving user ID...');
-    
-    // 1) Try verify state with server secret
+    // state carries the app JWT handed to printful-oauth-start; only a verified token may bind the store,
+    // and only to a workspace its user owns
+    let userId, workspaceId;
     try {
-      if (state) {
-        const verified = jwt.verify(state, process.env.JWT_SECRET);
-        userId = verified.sub || verified.id || null;
-        console.log('[printful-oauth-callback] User ID from verified state:', userId);
-      }
+      const auth = await authenticate(event, { scopes: ['credentials'], role: 'owner', queryToken: 'state' });
+      userId = auth.userId;
+      workspaceId = auth.workspace.id;
     } catch (e) {
-      console.log('[printful-oauth-callback] State verification failed:', e.message);
-    }
-    
-    // 2) If still missing, try decoding state without verification (best-effort)
-    if (!userId && state) {
-      try {
-        const decodedLoose = jwt.decode(state) || {};
-        userId = decodedLoose.sub || decodedLoose.id || null;
-        console.log('[printful-oauth-callback] User ID from decoded state:', userId);
-      } catch (e) {
-        console.log('[printful-oauth-callback] State decode failed:', e.message);
-      }
-    }
-    
-    // 3) If still missing, try Authorization header
-    if (!userId) {
-      try {
-        const auth = event.headers.authorization || event.headers.Authorization || '';
-        if (/^Bearer\s+/i.test(auth)) {
-          const bearer = auth.replace(/^Bearer\s+/i, '');
-          const verifiedAuth = jwt.verify(bearer, process.env.JWT_SECRET);
-          userId = verifiedAuth.sub || verifiedAuth.id || null;
-          console.log('[printful-oauth-callback] User ID from auth header:', userId);
-        }
-      } catch (e) {
-        console.log('[printful-oauth-callback] Auth header verification failed:', e.message);
+      if (e instanceof AuthError) {
+        console.log('[printful-oauth-callback] State verification failed:', e.reason);
+        return authErrorResponse(e, headers);
       }
+      throw e;
     }
+    console.log('[printful-oauth-callback] Verified state:', { userId, workspaceId });
 
     const clientId = process.env.PRINTFUL_CLIENT_ID;
     const clientSecret = process.env.PRINTFUL_CLIENT_SECRET;
@@ -128,27 +98,22 @@ exports.handler = async (event) => {
       hasAccessToken: !!accessToken,
       hasRefreshToken: !!refreshToken,
       expiresAt,
-      userId
+      workspaceId
     });
 
-    if (!userId) {
-      console.log('[printful-oauth-callback] No user ID found - cannot save tokens');
-      return { statusCode: 400, headers, body: JSON.stringify({ success:false, error:'Missing user context for OAuth token save' }) };
-    }
-
     console.log('[printful-oauth-callback] Encrypting and saving tokens to database...');
     const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-    const encAccess = accessToken ? encrypt(accessToken, process.env.JWT_SECRET) : null;
-    const encRefresh = refreshToken ? encrypt(refreshToken, process.env.JWT_SECRET) : null;
+    const encAccess = accessToken ? encryptSecret(accessToken) : null;
+    const encRefresh = refreshToken ? encryptSecret(refreshToken) : null;
 
     const { error } = await supabase
-      .from('users')
+      .from('workspaces')
       .update({
         printful_access_token_encrypted: encAccess,
         printful_refresh_token_encrypted: encRefresh,
         printful_token_expires_at: expiresAt
       })
-      .eq('id', userId);
+      .eq('id', workspaceId);
 
     if (error) {
       console.log('[printful-oauth-callback] Database save failed:', error);
@@ -1,13 +1,15 @@
 // netlify/functions/printful-oauth-start.js
 // Starts the Printful OAuth flow by redirecting to the authorization URL.
 
-exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  };
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+const { withAuth } = require('./_auth');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'GET') return { statusCode: 405, headers, body: 'Method Not Allowed' };
 
   const clientId = process.env.PRINTFUL_CLIENT_ID;
@@ -49,4 +51,4 @@ exports.handler = async (event) => {
     headers: { ...headers, Location: authUrl.toString() },
     body: '',
   };
-};
+}, { scopes: ['credentials'], role: 'owner', cors: headers, queryToken: 'state' });
@@ -3,20 +3,19 @@
 // Uses the requesting user's stored Printful API key from Supabase (encrypted) and JWT for auth.
 
 const fetch = require('node-fetch');
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { encryptSecret, decryptSecret } = require('./_secrets');
+const { withAuth, requireRole } = require('./_auth');
+const { limitUpstream, noteUpstreamLimit } = require('./_rate_limit');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json'
+};
 
-exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+exports.handler = withAuth(async (event, context, auth) => {
   if (!['GET','POST','PUT','DELETE'].includes(event.httpMethod)) {
     return { statusCode: 405, headers, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
   }
@@ -28,57 +27,32 @@ exports.handler = async (event) => {
   });
 
   try {
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader || !/^Bearer\s+/i.test(authHeader)) {
-      return { statusCode: 401, headers, body: JSON.stringify({ success:false, error:'Unauthorized - No token' }) };
-    }
-    const token = authHeader.replace(/^Bearer\s+/i, '');
-
-    // Verify JWT
-    let userId;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.sub || decoded.id;
-      console.log('[printful-proxy] JWT verified for user:', userId);
-    } catch (e) {
-      console.log('[printful-proxy] JWT verification failed:', e.message);
-      return { statusCode: 401, headers, body: JSON.stringify({ success:false, error:'Unauthorized - Invalid token' }) };
-    }
+    const workspaceId = auth.workspace.id;
 
     // Get Printful OAuth token from Supabase (public app, OAuth-only)
     const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
-    const { data: user, error: userError } = await supabase
-      .from('users')
+    const { data: workspace, error: workspaceError } = await supabase
+      .from('workspaces')
       .select('printful_access_token_encrypted, printful_refresh_token_encrypted, printful_token_expires_at')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    console.log('[printful-proxy] Supabase user lookup:', { 
-      userId, 
-      hasUser: !!user, 
-      hasToken: !!(user?.printful_access_token_encrypted),
-      userError: userError?.message 
+    console.log('[printful-proxy] workspace lookup:', { 
+      workspaceId, 
+      hasWorkspace: !!workspace, 
+      hasToken: !!(workspace?.printful_access_token_encrypted),
+      error: workspaceError?.message 
     });
 
-    if (userError || !user || !user.printful_access_token_encrypted) {
-      console.log('[printful-proxy] No Printful OAuth token found for user');
-      return { statusCode: 401, headers, body: JSON.stringify({ success:false, error:'Printful OAuth not connected for this user. Connect via Dashboard → Settings.' }) };
-    }
-
-    function simpleDecrypt(encryptedBase64, key) {
-      const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-      const keyLength = key.length;
-      const result = [];
-      for (let i = 0; i < encryptedBytes.length; i++) {
-        result.push(encryptedBytes[i] ^ key.charCodeAt(i % keyLength));
-      }
-      return Buffer.from(result).toString('utf8');
+    if (workspaceError || !workspace || !workspace.printful_access_token_encrypted) {
+      console.log('[printful-proxy] No Printful OAuth token found for workspace');
+      return { statusCode: 401, headers, body: JSON.stringify({ success:false, error:'Printful OAuth not connected for this workspace. Connect via Dashboard → Settings.' }) };
     }
 
-    let authToken = user.printful_access_token_encrypted ? simpleDecrypt(user.printful_access_token_encrypted, process.env.JWT_SECRET) : null;
-    const refreshToken = user.printful_refresh_token_encrypted ? simpleDecrypt(user.printful_refresh_token_encrypted, process.env.JWT_SECRET) : null;
-    const expiresAtIso = user.printful_token_expires_at || null;
+    let authToken = workspace.printful_access_token_encrypted ? decryptSecret(workspace.printful_access_token_encrypted) : null;
+    const refreshToken = workspace.printful_refresh_token_encrypted ? decryptSecret(workspace.printful_refresh_token_encrypted) : null;
+    const expiresAtIso = workspace.printful_token_expires_at || null;
     if (!authToken) {
       return { statusCode: 401, headers, body: JSON.stringify({ success:false, error:'Failed to decrypt Printful OAuth token.' }) };
     }
@@ -141,17 +115,16 @@ exports.handler = async (event) => {
           const newExpiresIso = expiresAtUnix ? new Date(expiresAtUnix * 1000).toISOString() : null;
 
           // Persist encrypted in DB with timeout
-          const enc = (val) => Buffer.from(Buffer.from(val, 'utf8').map((b, i) => b ^ process.env.JWT_SECRET.charCodeAt(i % process.env.JWT_SECRET.length))).toString('base64');
 
           // Use a timeout for Supabase operation to prevent hanging
           const updatePromise = supabase
-            .from('users')
+            .from('workspaces')
             .update({
-              printful_access_token_encrypted: enc(authToken),
-              printful_refresh_token_encrypted: newRefresh ? enc(newRefresh) : user.printful_refresh_token_encrypted,
-              printful_token_expires_at: newExpiresIso || user.printful_token_expires_at
+              printful_access_token_encrypted: encryptSecret(authToken),
+              printful_refresh_token_encrypted: newRefresh ? encryptSecret(newRefresh) : workspace.printful_refresh_token_encrypted,
+              printful_token_expires_at: newExpiresIso || workspace.printful_token_expires_at
             })
-            .eq('id', userId);
+            .eq('id', workspaceId);
 
           const timeoutPromise = new Promise((_, reject) =>
             setTimeout(() => reject(new Error('Supabase update timeout')), 10000)
@@ -187,6 +160,14 @@ exports.handler = async (event) => {
     if (!endpoint || typeof endpoint !== 'string') {
       return { statusCode: 400, headers, body: JSON.stringify({ success:false, error:'Missing endpoint' }) };
     }
+    // Viewers may read the store; anything that changes it needs the editor role
+    if (String(method).toUpperCase() !== 'GET') {
+      const denied = requireRole(auth, 'editor', headers);
+      if (denied) return denied;
+    }
+    // Server-side buckets per user and per connected store; mockup task creation queues for its slot
+    const limited = await limitUpstream(auth, 'printful', { method, endpoint }, headers);
+    if (limited) return limited;
 
     const base = 'https://api.printful.com';
     let url = endpoint.startsWith('http') ? endpoint : `${base}${endpoint}`;
@@ -309,6 +290,7 @@ exports.handler = async (event) => {
       // Handle rate limiting (429) with retry-after header
       if (pfRes.status === 429) {
         const retryAfter = pfRes.headers.get('retry-after') || '60';
+        await noteUpstreamLimit(auth, 'printful', retryAfter, { method, endpoint });
         return { 
           statusCode: 429, 
           headers: { ...headers, 'Retry-After': retryAfter }, 
@@ -365,4 +347,4 @@ exports.handler = async (event) => {
 
     return { statusCode: 500, headers, body: JSON.stringify({ success:false, error: errorMessage, details: err.message }) };
   }
-};
+}, { scopes: ['products'], cors: headers });
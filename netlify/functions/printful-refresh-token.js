@@ -1,68 +1,38 @@
 // netlify/functions/printful-refresh-token.js
 // Refreshes expired Printful OAuth tokens
 
-const jwt = require('jsonwebtoken');
 const fetch = require('node-fetch');
 const { createClient } = require('@supabase/supabase-js');
-
-const encrypt = (text, key) => {
-  const res = [];
-  for (let i = 0; i < text.length; i++) res.push(text.charCodeAt(i) ^ key.charCodeAt(i % key.length));
-  return Buffer.from(res).toString('base64');
-};
-
-const decrypt = (encryptedText, key) => {
-  const buf = Buffer.from(encryptedText, 'base64');
-  const res = [];
-  for (let i = 0; i < buf.length; i++) res.push(buf[i] ^ key.charCodeAt(i % key.length));
-  return Buffer.from(res).toString('utf8');
+const { encryptSecret, decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
 };
 
-exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-  
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method Not Allowed' }) };
 
   try {
-    // Verify JWT and get user ID
-    const authHeader = event.headers.authorization || event.headers.Authorization || '';
-    if (!authHeader.startsWith('Bearer ')) {
-      return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: 'Missing or invalid authorization header' }) };
-    }
-
-    const token = authHeader.replace('Bearer ', '');
-    let userId;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.sub || decoded.id;
-    } catch (err) {
-      return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: 'Invalid JWT token' }) };
-    }
-
-    if (!userId) {
-      return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: 'User ID not found in token' }) };
-    }
+    const workspaceId = auth.workspace.id;
 
     // Get user's refresh token from database
     const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-    const { data: user, error: fetchError } = await supabase
-      .from('users')
+    const { data: workspace, error: fetchError } = await supabase
+      .from('workspaces')
       .select('printful_refresh_token_encrypted')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    if (fetchError || !user?.printful_refresh_token_encrypted) {
+    if (fetchError || !workspace?.printful_refresh_token_encrypted) {
       return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'No refresh token found. Please re-authorize with Printful.' }) };
     }
 
     // Decrypt refresh token
-    const refreshToken = decrypt(user.printful_refresh_token_encrypted, process.env.JWT_SECRET);
+    const refreshToken = decryptSecret(workspace.printful_refresh_token_encrypted);
 
     // Exchange refresh token for new access token
     const clientId = process.env.PRINTFUL_CLIENT_ID;
@@ -105,17 +75,17 @@ exports.handler = async (event) => {
     const expiresAt = expiresAtUnix ? new Date(expiresAtUnix * 1000).toISOString() : null;
 
     // Encrypt and store new tokens
-    const encAccess = encrypt(newAccessToken, process.env.JWT_SECRET);
-    const encRefresh = encrypt(newRefreshToken, process.env.JWT_SECRET);
+    const encAccess = encryptSecret(newAccessToken);
+    const encRefresh = encryptSecret(newRefreshToken);
 
     const { error: updateError } = await supabase
-      .from('users')
+      .from('workspaces')
       .update({
         printful_access_token_encrypted: encAccess,
         printful_refresh_token_encrypted: encRefresh,
         printful_token_expires_at: expiresAt
       })
-      .eq('id', userId);
+      .eq('id', workspaceId);
 
     if (updateError) {
       return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: 'Failed to save refreshed tokens', details: updateError.message }) };
@@ -135,4 +105,4 @@ exports.handler = async (event) => {
     console.error('printful-refresh-token error:', err);
     return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: 'Internal Server Error' }) };
   }
-};
+}, { scopes: ['credentials'], role: 'editor', cors: headers });
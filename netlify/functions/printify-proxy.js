@@ -2,53 +2,34 @@
 // Netlify serverless function that proxies requests to the Printify API.
 // Reads PRINTIFY_API_KEY from Netlify environment variables.
 
+const { decryptSecret } = require('./_secrets');
+const { withAuth, requireRole } = require('./_auth');
+const { limitUpstream, noteUpstreamLimit } = require('./_rate_limit');
+
 const PRINTIFY_API_BASE = 'https://api.printify.com/v1';
 const API_KEY = process.env.PRINTIFY_API_KEY;          // set in Netlify → Site Settings → Environment
 
-exports.handler = async (event) => {
-  /* ── CORS pre-flight ── */
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
-  };
-  if (event.httpMethod === 'OPTIONS')
-    return { statusCode: 200, headers, body: '' };
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+// Headers safe to log or return: the Authorization header carries the workspace's Printify key
+function redactHeaders(outgoing = {}) {
+  const safe = { ...outgoing };
+  for (const name of Object.keys(safe)) {
+    if (name.toLowerCase() === 'authorization') safe[name] = '[redacted]';
+  }
+  return safe;
+}
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST')
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
 
   // Get the user's API key from the database
-  const authHeader = event.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: 'Authentication required' }) };
-  }
-
-  const token = authHeader.split(' ')[1];
-  
-  // Import the get-api-key function
-  const jwt = require('jsonwebtoken');
   const { createClient } = require('@supabase/supabase-js');
-  
-  // Helper function for XOR decryption (matches update-api-key.js encryption)
-  function simpleDecrypt(encryptedBase64, key) {
-    try {
-      const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-      const keyLength = key.length;
-      const result = [];
-      
-      for (let i = 0; i < encryptedBytes.length; i++) {
-        const byte = encryptedBytes[i];
-        const keyCharCode = key.charCodeAt(i % keyLength);
-        result.push(byte ^ keyCharCode);
-      }
-      
-      return Buffer.from(result).toString('utf8');
-    } catch (error) {
-      console.error('Decryption error:', error);
-      return null;
-    }
-  }
 
   try {
     const supabase = createClient(
@@ -56,18 +37,17 @@ exports.handler = async (event) => {
       process.env.SUPABASE_SERVICE_ROLE_KEY
     );
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.sub || decoded.id;
+    const workspaceId = auth.workspace.id;
 
     // Fetch the user's encrypted API key
-    const { data: user, error } = await supabase
-      .from('users')
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
       .select('printify_api_key_encrypted')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    if (error || !user || !user.printify_api_key_encrypted) {
-      console.error('Error fetching user API key:', error);
+    if (error || !workspace || !workspace.printify_api_key_encrypted) {
+      console.error('Error fetching workspace API key:', error);
       return {
         statusCode: 401,
         headers,
@@ -76,7 +56,7 @@ exports.handler = async (event) => {
     }
 
     // Decrypt the API key
-    const apiKey = simpleDecrypt(user.printify_api_key_encrypted, process.env.JWT_SECRET);
+    const apiKey = decryptSecret(workspace.printify_api_key_encrypted);
     
     // Validate the decrypted API key
     if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 10) {
@@ -94,6 +74,13 @@ exports.handler = async (event) => {
       const { endpoint, method = 'GET', body } = JSON.parse(event.body || '{}');
       if (!endpoint)
         return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Missing endpoint' }) };
+      // Viewers may read the store; anything that changes it needs the editor role
+      if (String(method).toUpperCase() !== 'GET') {
+        const denied = requireRole(auth, 'editor', headers);
+        if (denied) return denied;
+      }
+      const limited = await limitUpstream(auth, 'printify', { method, endpoint }, headers);
+      if (limited) return limited;
 
       /* ── Forward to Printify ── */
       const requestOptions = {
@@ -138,7 +125,7 @@ exports.handler = async (event) => {
       const cleanEndpoint = endpoint.startsWith('/v1') ? endpoint.substring(3) : endpoint;
       const url = `${PRINTIFY_API_BASE}${cleanEndpoint}`;
       console.log(`[proxy] Outgoing -> ${method} ${url}`);
-      console.log('[proxy] Outgoing headers:', requestOptions.headers);
+      console.log('[proxy] Outgoing headers:', redactHeaders(requestOptions.headers));
       if (requestOptions.body) {
         console.log('[proxy] Outgoing body:', requestOptions.body);
       }
@@ -157,8 +144,13 @@ exports.handler = async (event) => {
         data = { raw: rawText };
       }
 
+      let retryAfter = null;
       if (!response.ok) {
         console.error('[proxy] Printify error', { url, status: response.status, body: data });
+        if (response.status === 429) {
+          retryAfter = response.headers.get('retry-after') || '60';
+          await noteUpstreamLimit(auth, 'printify', retryAfter);
+        }
       } else {
         console.log('[proxy] Printify success response type:', typeof data);
         console.log('[proxy] Is array?', Array.isArray(data));
@@ -173,7 +165,7 @@ exports.handler = async (event) => {
       /* ── Return unified response to client ── */
       return {
         statusCode: response.status,
-        headers,
+        headers: retryAfter ? { ...headers, 'Retry-After': retryAfter } : headers,
         body: JSON.stringify(
           response.ok
             ? { success: true, data }
@@ -182,7 +174,7 @@ exports.handler = async (event) => {
                 error: data.error?.message || data.message || `HTTP ${response.status}`,
                 details: {
                   upstream: data,
-                  outgoing: { method, url, headers: requestOptions.headers, body: requestOptions.body }
+                  outgoing: { method, url, headers: redactHeaders(requestOptions.headers), body: requestOptions.body }
                 }
               }
         )
@@ -195,4 +187,4 @@ exports.handler = async (event) => {
     console.error('Auth/API key retrieval error:', outerErr);
     return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: outerErr.message }) };
   }
-};
\ No newline at end of file
+}, { scopes: ['products'], cors: headers });
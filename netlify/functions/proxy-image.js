@@ -1,3 +1,5 @@
+import { authenticate, authErrorResponse } from './_auth.js';
+
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
@@ -11,6 +13,20 @@ export default async (req) => {
     }
 
     const url = new URL(req.url);
+    // <img> tags cannot send headers, so the token may also come as ?token=
+    const event = {
+      httpMethod: req.method,
+      headers: Object.fromEntries(req.headers),
+      queryStringParameters: Object.fromEntries(url.searchParams),
+    };
+    try {
+      await authenticate(event, { scopes: ['products'], queryToken: true });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      const res = authErrorResponse(err, corsHeaders);
+      return new Response(res.body, { status: res.statusCode, headers: res.headers });
+    }
+
     const target = url.searchParams.get('url');
     if (!target) {
       return new Response(JSON.stringify({ success: false, error: 'Missing url param' }), {
@@ -21,6 +37,12 @@ export default async (req) => {
 
     // Force https
     const safeUrl = target.startsWith('http://') ? target.replace('http://', 'https://') : target;
+    if (!safeUrl.startsWith('https://')) {
+      return new Response(JSON.stringify({ success: false, error: 'Only http(s) URLs can be proxied' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
 
     const upstream = await fetch(safeUrl, {
       redirect: 'follow',
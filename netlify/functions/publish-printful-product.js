@@ -1,6 +1,7 @@
 const { makeProxyCall, unwrapProxyResponse, createResponse } = require('./_supabase_node');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[PUBLISH-PRINTFUL] Function invoked');
   console.log('[PUBLISH-PRINTFUL] Event method:', event.httpMethod);
   
@@ -227,4 +228,4 @@ exports.handler = async (event, context) => {
       details: error.message 
     });
   }
-};
+}, { scopes: ['products'], role: 'editor' });
@@ -1,14 +1,16 @@
 // /netlify/functions/publish-product.js
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
+const { workspacePrintifyKey } = require('./_workspaces');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json',
+};
 
-exports.handler = async (event) => {
-  const cors = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json',
-  };
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
 
   try {
@@ -17,29 +19,8 @@ exports.handler = async (event) => {
       return { statusCode: 400, headers: cors, body: JSON.stringify({ success: false, error: 'Missing shopId or productId' }) };
     }
 
-    // Read Authorization header (JWT)
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader) {
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'Authorization header required' }) };
-    }
-
-    // Resolve origin to call internal function
-    const proto = event.headers['x-forwarded-proto'] || 'https';
-    const host = event.headers.host;
-    const origin = `${proto}://${host}`;
-
-    // Fetch stored Printify API key for this user
-    const apiKeyRes = await fetch(`${origin}/.netlify/functions/get-api-key`, {
-      method: 'GET',
-      headers: { Authorization: authHeader },
-    });
-
-    if (!apiKeyRes.ok) {
-      const text = await apiKeyRes.text();
-      return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: `Failed to get API key: ${text}` }) };
-    }
-
-    const { apiKey } = await apiKeyRes.json();
+    // Stored Printify API key of the workspace
+    const apiKey = await workspacePrintifyKey(auth.workspace.id);
     if (!apiKey) {
       return { statusCode: 401, headers: cors, body: JSON.stringify({ success: false, error: 'No API key found' }) };
     }
@@ -63,4 +44,4 @@ exports.handler = async (event) => {
   } catch (err) {
     return { statusCode: 500, headers: cors, body: JSON.stringify({ success: false, error: err.message }) };
   }
-};
+}, { scopes: ['products'], role: 'editor', cors });
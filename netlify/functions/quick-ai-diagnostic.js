@@ -1,6 +1,7 @@
 // Quick AI System Diagnostic Test
 const { createClient, getDatabaseUrl } = require('./_db');
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -9,9 +10,7 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
-  
+exports.handler = withAuth(async (event, context, auth) => {
   const results = {
     timestamp: new Date().toISOString(),
     tests: {}
@@ -165,4 +164,4 @@ exports.handler = async (event) => {
     headers: cors,
     body: JSON.stringify(results, null, 2)
   };
-};
+}, { scopes: ['admin'], cors });
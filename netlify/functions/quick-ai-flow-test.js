@@ -1,6 +1,7 @@
 // Quick AI Process Flow Tester - Tests the actual workflow, not just APIs
 const { createClient } = require('./_db');
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -9,12 +10,6 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-function requireAuth(event){
-  const auth = event.headers && (event.headers.authorization || event.headers.Authorization);
-  if (!auth) throw new Error('Unauthorized');
-  return auth;
-}
-
 function getOrigin(event){
   try {
     const proto = event.headers['x-forwarded-proto'] || 'https';
@@ -23,9 +18,7 @@ function getOrigin(event){
   } catch { return 'https://localhost:8888'; }
 }
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
-  
+exports.handler = withAuth(async (event, context, auth) => {
   const results = {
     timestamp: new Date().toISOString(),
     steps: {},
@@ -33,14 +26,8 @@ exports.handler = async (event) => {
   };
 
   try {
-    // Get auth header if available
-    let authHeader = null;
-    try {
-      authHeader = requireAuth(event);
-      results.steps.auth = { status: 'OK', message: 'Authorization header found' };
-    } catch (e) {
-      results.steps.auth = { status: 'WARNING', message: 'No auth header - some tests will be skipped' };
-    }
+    const authHeader = `Bearer ${auth.token}`;
+    results.steps.auth = { status: 'OK', message: 'Authorization header found' };
 
     const origin = getOrigin(event);
 
@@ -49,7 +36,7 @@ exports.handler = async (event) => {
     try {
       const parseRes = await fetch(`${origin}/.netlify/functions/parse-user-intent`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Authorization: authHeader },
         body: JSON.stringify({
           text: 'create 3 dog t-shirts',
           currentState: { prompt: '', quantity: null, productScope: null }
@@ -82,7 +69,7 @@ exports.handler = async (event) => {
     try {
       const contentRes = await fetch(`${origin}/.netlify/functions/generate-content`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Authorization: authHeader },
         body: JSON.stringify({
           prompt: 'cartoon style dog t-shirt design with bright colors for dog lovers',
           contentType: 'product-content',
@@ -249,4 +236,4 @@ exports.handler = async (event) => {
     headers: cors,
     body: JSON.stringify(results, null, 2)
   };
-};
+}, { scopes: ['admin'], cors });
@@ -1,4 +1,6 @@
 // Simple Quick AI Diagnostic - No complex logic that can fail
+const { withAuth } = require('./_auth');
+
 const cors = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
@@ -6,9 +8,7 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
-  
+exports.handler = withAuth(async (event, context, auth) => {
   const results = {
     timestamp: new Date().toISOString(),
     environment: {},
@@ -81,4 +81,4 @@ exports.handler = async (event) => {
     headers: cors,
     body: JSON.stringify(results, null, 2)
   };
-};
+}, { scopes: ['admin'], cors });
@@ -1,14 +1,9 @@
 const { createClient } = require('./_db');
+const { withAuth } = require('./_auth');
 
-function requireAuth(event){
-  const auth = event.headers && (event.headers.authorization || event.headers.Authorization);
-  if (!auth) throw new Error('Unauthorized');
-}
-
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   try {
     if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
-    requireAuth(event);
 
     const body = JSON.parse(event.body || '{}');
     const jobId = body.job_id;
@@ -17,7 +12,7 @@ exports.handler = async (event) => {
     const client = createClient();
     await client.connect();
     try {
-      const r = await client.query('update quick_jobs set status = $1, updated_at = now() where id = $2 returning id, status, total, completed, failed, results', ['cancelled', jobId]);
+      const r = await client.query('update quick_jobs set status = $1, updated_at = now() where id = $2 and workspace_id = $3 returning id, status, total, completed, failed, results', ['cancelled', jobId, auth.workspace.id]);
       if (!r.rowCount) return { statusCode: 404, body: JSON.stringify({ success:false, error:'Job not found' }) };
       const row = r.rows[0];
       return { statusCode: 200, body: JSON.stringify({ success:true, job_id: row.id, status: row.status, total: row.total, completed: row.completed, failed: row.failed, results: row.results || [] }) };
@@ -25,6 +20,6 @@ exports.handler = async (event) => {
   } catch (e) {
     console.error('quick-job-cancel error', e);
     const msg = e && e.message ? e.message : 'Internal Error';
-    return { statusCode: msg==='Unauthorized'?401:500, body: JSON.stringify({ success:false, error: msg }) };
+    return { statusCode: 500, body: JSON.stringify({ success:false, error: msg }) };
   }
-};
+}, { scopes: ['jobs'], role: 'editor' });
@@ -0,0 +1,77 @@
+// Approve previewed items of a quick job (publishMode 'preview') and create their products.
+// Body: { job_id, indices?: number[] (1-based, default all previews), publish?: boolean, content?: { [index]: { title, description, tags } } }
+// Approved items are re-queued; the runner reuses their checkpointed image, upload and content
+// and only runs create-product (and publish-product when publish is true).
+
+const { createClient } = require('./_db');
+const { getJob, updateJob, getOrigin, runnerAuthHeader, startRunner, tallyResults } = require('./_quick_jobs');
+const { withAuth } = require('./_auth');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  try {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
+    // The runner outlives the caller's short-lived access token
+    const authHeader = runnerAuthHeader(auth.userId, auth.workspace.id);
+
+    const body = JSON.parse(event.body || '{}');
+    const jobId = body.job_id || body.jobId;
+    if (!jobId) return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:'Missing job_id' }) };
+    const commitMode = body.publish ? 'publish' : 'draft';
+    const contentEdits = (body.content && typeof body.content === 'object') ? body.content : {};
+
+    const client = createClient();
+    await client.connect();
+    try {
+      const job = await getJob(client, jobId, auth.workspace.id);
+      if (!job) return { statusCode: 404, headers: cors, body: JSON.stringify({ success:false, error:'Job not found' }) };
+      if (['in_progress', 'queued', 'pausing'].includes(job.status)) {
+        return { statusCode: 409, headers: cors, body: JSON.stringify({ success:false, error:'Job is still running; wait for previews to finish' }) };
+      }
+
+      const results = Array.isArray(job.results) ? job.results : [];
+      const previewIndices = results.filter(r => r && r.status === 'preview').map(r => r.index);
+      const requested = Array.isArray(body.indices) && body.indices.length
+        ? [...new Set(body.indices.map(n => parseInt(n, 10)))]
+        : previewIndices;
+      const notPreview = requested.filter(n => !previewIndices.includes(n));
+      if (notPreview.length) {
+        return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:`Only previewed items can be committed (not in preview: ${notPreview.join(', ')})` }) };
+      }
+      if (!requested.length) {
+        return { statusCode: 409, headers: cors, body: JSON.stringify({ success:false, error:'No previewed items to commit' }) };
+      }
+
+      const nextResults = results.map(r => {
+        if (!r || !requested.includes(r.index)) return r;
+        const edit = contentEdits[r.index] || contentEdits[String(r.index)] || null;
+        const content = edit ? { ...(r.content || {}), ...edit } : r.content;
+        return { ...r, content, status: 'queued', step: 'queued', message: 'Approved; creating product', approved: true, commit_mode: commitMode };
+      });
+
+      console.log(`[quick-job-commit] Committing job ${jobId} items ${requested.join(',')} as ${commitMode}`);
+      const { completed, failed } = tallyResults(nextResults);
+      const row = await updateJob(client, jobId, { status: 'in_progress', results: nextResults, completed, failed });
+      try {
+        await startRunner(getOrigin(event), authHeader, jobId);
+      } catch (e) {
+        // Leave the items in preview so the commit can be tried again
+        await updateJob(client, jobId, { status: job.status, results, completed: job.completed, failed: job.failed });
+        throw new Error(`Failed to start background runner: ${e.message}`);
+      }
+      return { statusCode: 200, headers: cors, body: JSON.stringify({ success:true, job_id: row.id, status: row.status, committed: requested, mode: commitMode, total: row.total, completed: row.completed, failed: row.failed }) };
+    } finally {
+      await client.end();
+    }
+  } catch (e) {
+    console.error('quick-job-commit error', e && (e.stack || e.message || e));
+    const msg = e && e.message ? e.message : 'Internal Error';
+    return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
+  }
+}, { scopes: ['jobs'], role: 'editor', cors });
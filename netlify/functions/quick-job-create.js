@@ -1,5 +1,8 @@
 const { createClient, getDatabaseUrl } = require('./_db');
-const fetch = require('node-fetch');
+const { PROVIDERS } = require('./_providers');
+const { ensureTable, ensureEventsTable, ensureTemplateTable, getTemplate, payloadFromChatState, buildJobParams, countItems, getOrigin, runnerAuthHeader, startRunner } = require('./_quick_jobs');
+const { withAuth } = require('./_auth');
+const { QuotaError, checkQuota, quotaErrorResponse } = require('./_quota');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -8,96 +11,74 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-function requireAuth(event){
-  const auth = event.headers && (event.headers.authorization || event.headers.Authorization);
-  if (!auth) throw new Error('Unauthorized');
-}
-
-async function ensureTable(client) {
-  await client.query(`
-    create table if not exists quick_jobs (
-      id uuid primary key default gen_random_uuid(),
-      created_at timestamptz not null default now(),
-      updated_at timestamptz not null default now(),
-      created_by text,
-      shop_id text not null,
-      params jsonb not null,
-      status text not null default 'queued',
-      total int not null default 0,
-      completed int not null default 0,
-      failed int not null default 0,
-      next_index int not null default 0,
-      results jsonb not null default '[]'::jsonb
-    );
-  `);
+// Template fields first, then anything the request sets explicitly (e.g. a new prompt or shop)
+async function applyTemplate(body, workspaceId){
+  const client = createClient();
+  await client.connect();
+  try {
+    await ensureTemplateTable(client);
+    const tpl = await getTemplate(client, workspaceId, body.templateId);
+    if (!tpl) return null;
+    const overrides = {};
+    Object.keys(body).forEach(k => {
+      if (body[k] !== undefined && body[k] !== null && body[k] !== '') overrides[k] = body[k];
+    });
+    return { ...payloadFromChatState(tpl.state), ...overrides };
+  } finally { await client.end(); }
 }
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   // Explicitly log every invocation to guarantee visibility
   console.log(`quick-job-create invoked. Method: ${event.httpMethod}. Payload:`, event.body);
 
   try {
-    if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
     if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
-    requireAuth(event);
 
-    const body = JSON.parse(event.body || '{}');
-    const { prompt, quantity, productScope, imageMode, removeBg, style, shopId } = body;
+    let body = JSON.parse(event.body || '{}');
+    const createdBy = auth.userId;
+    const workspaceId = auth.workspace.id;
+    if (body.templateId) {
+      body = await applyTemplate(body, workspaceId);
+      if (!body) return { statusCode: 404, headers: cors, body: JSON.stringify({ success:false, error:'Template not found' }) };
+    }
+    const { prompt, shopId } = body;
 
     if (!shopId) return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:'Missing shopId' }) };
     if (!prompt || typeof prompt !== 'string') return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:'Missing prompt' }) };
-    // Multi-pick support: if selectedPicks provided, total equals number of picks; otherwise use quantity
-    const selectedPicks = Array.isArray(body.selectedPicks) ? body.selectedPicks.filter(p => p && p.blueprintId && p.providerId) : [];
-    const qty = selectedPicks.length > 0 ? selectedPicks.length : Math.min(50, Math.max(1, parseInt(quantity||1,10)));
+    if (body.provider && !PROVIDERS.includes(body.provider)) return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:`Unknown provider; expected one of ${PROVIDERS.join(', ')}` }) };
+    const qty = countItems(body);
+
+    // Optional deferred start: quick-job-dispatcher picks the job up once scheduled_at is due
+    let scheduledAt = null;
+    if (body.scheduledAt) {
+      scheduledAt = new Date(body.scheduledAt);
+      if (isNaN(scheduledAt.getTime())) return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:'Invalid scheduledAt' }) };
+      if (scheduledAt.getTime() <= Date.now()) scheduledAt = null;
+    }
 
     // Validate database configuration explicitly for clearer errors
     try { getDatabaseUrl(); } catch (cfgErr) {
       return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error: cfgErr.message }) };
     }
+    // Refuse jobs that cannot finish within the plan; each product the runner creates is reserved as it goes
+    await checkQuota(createdBy, 'products', qty);
     const client = createClient();
     await client.connect();
     try {
       await ensureTable(client);
-      const params = {
-        prompt,
-        productScope: body.productScope || 'any',
-        imageMode: body.imageMode || 'generate',
-        removeBg: !!body.removeBg,
-        style: body.style || '',
-        colors: body.colors || '',
-        background: body.background || null,
-        consistency: body.consistency || null,
-        audience: body.audience || '',
-        tone: body.tone || '',
-        tags: body.tags || '',
-        language: body.language || 'en-US',
-        providerPref: body.providerPref || '',
-        brandPref: body.brandPref || '',
-        printAreas: Array.isArray(body.printAreas) && body.printAreas.length ? body.printAreas : ['front'],
-        variants: body.variants || 'all',
-        publishMode: body.publishMode || 'draft',
-        markup: Number.isFinite(body.markup) ? body.markup : 40,
-        collections: body.collections || '',
-        dpimin: Number.isFinite(body.dpimin) ? body.dpimin : 300,
-        retryOnLowQuality: Number.isFinite(body.retryOnLowQuality) ? body.retryOnLowQuality : 1,
-        pauseAfter: Number.isFinite(body.pauseAfter) ? body.pauseAfter : 0,
-        uploadUrls: Array.isArray(body.uploadUrls) ? body.uploadUrls : [],
-        // Multi-pick selections (each: { category, blueprintId, providerId, title, printAreas: [] })
-        selectedPicks: selectedPicks.map(p => ({
-          category: p.category || null,
-          blueprintId: String(p.blueprintId),
-          providerId: String(p.providerId),
-          title: p.title || '',
-          printAreas: Array.isArray(p.printAreas) ? p.printAreas : []
-        }))
-      };
+      await ensureEventsTable(client);
+      const params = buildJobParams(body);
       const res = await client.query(
-        `insert into quick_jobs (shop_id, params, status, total)
-         values ($1, $2, 'queued', $3)
-         returning id, status, total, completed, failed`,
-        [ String(shopId), params, qty ]
+        `insert into quick_jobs (shop_id, params, status, total, created_by, workspace_id, scheduled_at)
+         values ($1, $2, $3, $4, $5, $6, $7)
+         returning id, status, total, completed, failed, scheduled_at`,
+        [ String(shopId), params, scheduledAt ? 'scheduled' : 'queued', qty, createdBy, workspaceId, scheduledAt ]
       );
       let row = res.rows[0];
+      if (scheduledAt) {
+        console.log(`[quick-job-create] Job ${row.id} scheduled for ${scheduledAt.toISOString()}`);
+        return { statusCode: 200, headers: cors, body: JSON.stringify({ success:true, job_id: row.id, status: row.status, scheduled_at: row.scheduled_at, total: row.total, completed: row.completed, failed: row.failed }) };
+      }
       // Immediately mark job as in_progress so UI reflects that work has started
       try {
         const up = await client.query(
@@ -110,26 +91,8 @@ exports.handler = async (event) => {
       }
       // Start background runner and handle startup failures immediately
       try {
-        const authHeader = event.headers && (event.headers.authorization || event.headers.Authorization);
-        const proto = (event.headers && (event.headers['x-forwarded-proto'] || event.headers['X-Forwarded-Proto'])) || 'https';
-        const host = event.headers && (event.headers.host || event.headers.Host);
-        const origin = `${proto}://${host}`;
-
-        console.log(`[quick-job-create] Invoking background runner for job ${row.id} at ${origin}/.netlify/functions/job-runner-background`);
-        const runnerRes = await fetch(`${origin}/.netlify/functions/job-runner-background`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', Authorization: authHeader },
-          body: JSON.stringify({ job_id: row.id })
-        });
-
-        if (runnerRes.status !== 202) {
-          const errorText = await runnerRes.text();
-          const failureMsg = `Background runner failed to start with status ${runnerRes.status}: ${errorText.slice(0, 300)}`;
-          console.error(`[quick-job-create] ${failureMsg}`);
-          // Mark job as failed immediately so UI knows
-          await client.query(`update quick_jobs set status = 'failed', results = jsonb_build_object('error', $1::text) where id = $2`, [failureMsg, row.id]);
-          throw new Error(failureMsg);
-        }
+        // The runner outlives the caller's short-lived access token
+        await startRunner(getOrigin(event), runnerAuthHeader(auth.userId, auth.workspace.id), row.id);
         console.log(`[quick-job-create] Background runner for ${row.id} started successfully.`);
       } catch (e) {
         const errorMsg = `Failed to start background runner: ${e.message}`;
@@ -142,8 +105,9 @@ exports.handler = async (event) => {
       return { statusCode: 200, headers: cors, body: JSON.stringify({ success:true, job_id: row.id, status: row.status, total: row.total, completed: row.completed, failed: row.failed }) };
     } finally { await client.end(); }
   } catch (e) {
+    if (e instanceof QuotaError) return quotaErrorResponse(e, cors);
     try { console.error('quick-job-create error', e && (e.stack || e.message || e)); } catch {}
     const msg = e && e.message ? e.message : 'Internal Error';
-    return { statusCode: msg==='Unauthorized'?401:500, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
+    return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
   }
-};
+}, { scopes: ['jobs'], role: 'editor', cors });
@@ -0,0 +1,109 @@
+// Scheduled function (see netlify.toml) that starts due quick jobs.
+// 1. One-off jobs created with scheduledAt (status 'scheduled') once scheduled_at has passed.
+// 2. Recurring quick_job_schedules whose next_run_at is due: a new job is created from the
+//    schedule's saved params, then next_run_at advances to the next cron occurrence.
+// Jobs run with a short-lived token minted for their owner in the job's workspace, since no browser
+// session is involved.
+
+const { createClient } = require('./_db');
+const { ensureTable, ensureScheduleTable, ensureEventsTable, recordEvent, runnerAuthHeader, startRunner } = require('./_quick_jobs');
+const { nextRun } = require('./_cron');
+
+// Cap per tick so one invocation stays short; the rest are picked up on the next tick
+const BATCH = 10;
+
+function siteOrigin(){
+  return process.env.URL || process.env.DEPLOY_URL || 'https://localhost:8888';
+}
+
+async function claimDueJobs(client){
+  const r = await client.query(
+    `update quick_jobs set status = 'in_progress', updated_at = now()
+     where id in (
+       select id from quick_jobs
+       where status = 'scheduled' and scheduled_at <= now()
+       order by scheduled_at asc
+       limit $1
+       for update skip locked
+     )
+     returning id, created_by, workspace_id`,
+    [BATCH]
+  );
+  return r.rows;
+}
+
+// Create this run's job for each due schedule and advance it, all in one transaction
+async function materializeDueSchedules(client){
+  const started = [];
+  await client.query('begin');
+  try {
+    const due = await client.query(
+      `select * from quick_job_schedules
+       where active and next_run_at <= now()
+       order by next_run_at asc
+       limit $1
+       for update skip locked`,
+      [BATCH]
+    );
+    for (const sch of due.rows) {
+      let following = null;
+      try { following = nextRun(sch.cron, new Date()); } catch (e) { console.warn(`[dispatcher] Schedule ${sch.id} has invalid cron "${sch.cron}": ${e.message}`); }
+      const job = await client.query(
+        `insert into quick_jobs (shop_id, params, status, total, created_by, workspace_id, schedule_id)
+         values ($1, $2, 'in_progress', $3, $4, $5, $6)
+         returning id, created_by, workspace_id`,
+        [sch.shop_id, sch.params, sch.quantity, sch.created_by, sch.workspace_id, sch.id]
+      );
+      await client.query(
+        `update quick_job_schedules
+         set last_run_at = now(), last_job_id = $2, next_run_at = $3, active = $4, updated_at = now()
+         where id = $1`,
+        [sch.id, job.rows[0].id, following, !!following]
+      );
+      console.log(`[dispatcher] Schedule ${sch.id} (${sch.name}) -> job ${job.rows[0].id}; next run ${following ? following.toISOString() : 'none (deactivated)'}`);
+      started.push(job.rows[0]);
+    }
+    await client.query('commit');
+  } catch (e) {
+    await client.query('rollback');
+    throw e;
+  }
+  return started;
+}
+
+exports.handler = async () => {
+  const client = createClient();
+  await client.connect();
+  const dispatched = [];
+  try {
+    await ensureTable(client);
+    await ensureScheduleTable(client);
+    await ensureEventsTable(client);
+
+    const jobs = [...await claimDueJobs(client), ...await materializeDueSchedules(client)];
+    for (const job of jobs) {
+      try {
+        if (!job.created_by) throw new Error('Job has no owner (created_by)');
+        if (!job.workspace_id) throw new Error('Job has no workspace (run add-workspaces.sql)');
+        await startRunner(siteOrigin(), runnerAuthHeader(job.created_by, job.workspace_id), job.id);
+        dispatched.push(job.id);
+      } catch (e) {
+        console.error(`[dispatcher] Failed to start job ${job.id}:`, e && (e.message || e));
+        // results stays the per-item array; the reason goes to its own column and the event log
+        const error = `Failed to start background runner: ${e.message}`;
+        await client.query(
+          `update quick_jobs set status = 'failed', error = $1, updated_at = now() where id = $2`,
+          [error, job.id]
+        );
+        await recordEvent(client, job.id, { step: 'job-failed', status: 'error', error });
+      }
+    }
+    console.log(`[dispatcher] Dispatched ${dispatched.length} of ${jobs.length} due job(s)`);
+    return { statusCode: 200, body: JSON.stringify({ success: true, dispatched }) };
+  } catch (e) {
+    console.error('quick-job-dispatcher error', e && (e.stack || e.message || e));
+    return { statusCode: 500, body: JSON.stringify({ success: false, error: e.message }) };
+  } finally {
+    await client.end();
+  }
+};
@@ -0,0 +1,88 @@
+// Server-Sent Events feed of a quick job's timeline (quick_job_events).
+// GET ?job_id=...&token=...  (EventSource cannot set headers, so the bearer token may come as a query param)
+// Each response waits briefly for new events, returns them as an event-stream and ends; EventSource then
+// reconnects after `retry` ms with Last-Event-ID, so the client sees a continuous stream without a
+// long-lived function. An `end` event is sent once the job is no longer running and everything is delivered.
+
+const { createClient } = require('./_db');
+const { getJobStatus } = require('./_quick_jobs');
+const { withAuth } = require('./_auth');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+};
+
+// Stay well under the default synchronous function timeout
+const WAIT_MS = 8000;
+const POLL_MS = 1000;
+const RETRY_MS = 1500;
+const RUNNING = ['queued', 'in_progress', 'pausing'];
+
+function formatEvent(row){
+  const data = {
+    id: Number(row.id),
+    index: row.item_index,
+    step: row.step,
+    status: row.status,
+    message: row.message,
+    duration_ms: row.duration_ms,
+    error: row.error,
+    at: row.created_at
+  };
+  return `id: ${row.id}\nevent: step\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+async function fetchEvents(client, jobId, afterId){
+  const r = await client.query(
+    'select * from quick_job_events where job_id = $1 and id > $2 order by id asc limit 500',
+    [jobId, afterId]
+  );
+  return r.rows;
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  if (event.httpMethod !== 'GET') return { statusCode: 405, headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
+  try {
+    const qs = event.queryStringParameters || {};
+    const jobId = qs.job_id || qs.jobId;
+    if (!jobId) return { statusCode: 400, headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify({ success:false, error:'Missing job_id' }) };
+    const lastEventId = (event.headers && (event.headers['last-event-id'] || event.headers['Last-Event-ID'])) || qs.after || 0;
+    const afterId = parseInt(lastEventId, 10) || 0;
+
+    const client = createClient();
+    await client.connect();
+    try {
+      const deadline = Date.now() + WAIT_MS;
+      let rows = [];
+      let status = null;
+      // Wait for at least one new event, or until the job stops running
+      for (;;) {
+        status = await getJobStatus(client, jobId, auth.workspace.id);
+        if (!status) return { statusCode: 404, headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify({ success:false, error:'Job not found' }) };
+        rows = await fetchEvents(client, jobId, afterId);
+        if (rows.length || !RUNNING.includes(status) || Date.now() + POLL_MS > deadline) break;
+        await new Promise(r => setTimeout(r, POLL_MS));
+      }
+
+      let body = `retry: ${RETRY_MS}\n\n`;
+      body += rows.map(formatEvent).join('');
+      const drained = rows.length < 500;
+      if (!RUNNING.includes(status) && drained) {
+        body += `event: end\ndata: ${JSON.stringify({ status })}\n\n`;
+      } else if (!rows.length) {
+        body += `: keep-alive\n\n`;
+      }
+      return { statusCode: 200, headers, body };
+    } finally {
+      await client.end();
+    }
+  } catch (e) {
+    console.error('quick-job-events error', e && (e.stack || e.message || e));
+    const msg = e && e.message ? e.message : 'Internal Error';
+    return { statusCode: 500, headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify({ success:false, error: msg }) };
+  }
+}, { scopes: ['jobs'], cors: headers, queryToken: true });
@@ -0,0 +1,124 @@
+// Export a quick job's items for the listings team.
+// GET ?job_id=...&format=csv|json (default csv)&products=0 (skip the Printify lookups)
+// Rows come from quick_jobs.results; for items with a product the live Printify product fills in
+// the current title, tags, image and variant cost (so edits made in Printify after the run show up).
+
+const fetch = require('node-fetch');
+const { createClient } = require('./_db');
+const { getJob, getOrigin } = require('./_quick_jobs');
+const { toCsv } = require('./_csv');
+const { withAuth } = require('./_auth');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+const COLUMNS = ['index', 'status', 'title', 'tags', 'product_id', 'image_url', 'publish_error', 'cost', 'error'];
+// Printify allows 600 requests/min per key; a few at a time keeps the export well below that
+const LOOKUP_CONCURRENCY = 3;
+
+function json(statusCode, payload){
+  return { statusCode, headers: { ...cors, 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+}
+
+async function fetchProduct(origin, authHeader, shopId, productId){
+  const res = await fetch(`${origin}/.netlify/functions/printify-proxy`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: authHeader },
+    body: JSON.stringify({ endpoint: `/shops/${shopId}/products/${productId}.json`, method: 'GET' })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.success) throw new Error(data.error || `HTTP ${res.status}`);
+  return data.data;
+}
+
+// Lowest cost among enabled variants, in the shop currency (Printify reports cents)
+function variantCost(product){
+  const costs = (Array.isArray(product.variants) ? product.variants : [])
+    .filter(v => v && v.is_enabled !== false && Number.isFinite(v.cost))
+    .map(v => v.cost);
+  return costs.length ? Math.min(...costs) / 100 : null;
+}
+
+function rowFromResult(r, product){
+  const content = r.content || {};
+  const image = product && Array.isArray(product.images) ? (product.images.find(i => i.is_default) || product.images[0]) : null;
+  return {
+    index: r.index,
+    status: r.status,
+    title: (product && product.title) || r.title || content.title || '',
+    tags: (product && Array.isArray(product.tags)) ? product.tags : (Array.isArray(content.tags) ? content.tags : []),
+    product_id: r.product_id || '',
+    image_url: r.image_url || (image && image.src) || '',
+    publish_error: r.publish_error || '',
+    cost: product ? variantCost(product) : null,
+    error: r.error || (r.lookup_error ? `Product lookup failed: ${r.lookup_error}` : '')
+  };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  try {
+    if (event.httpMethod !== 'GET') return json(405, { success:false, error:'Method Not Allowed' });
+    const authHeader = `Bearer ${auth.token}`;
+
+    const qs = event.queryStringParameters || {};
+    const jobId = qs.job_id || qs.jobId;
+    if (!jobId) return json(400, { success:false, error:'Missing job_id' });
+    const format = String(qs.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) return json(400, { success:false, error:'format must be csv or json' });
+    const withProducts = qs.products !== '0' && qs.products !== 'false';
+
+    const client = createClient();
+    await client.connect();
+    let job;
+    try {
+      job = await getJob(client, jobId, auth.workspace.id);
+    } finally {
+      await client.end();
+    }
+    if (!job) return json(404, { success:false, error:'Job not found' });
+
+    const results = (Array.isArray(job.results) ? job.results : []).filter(r => r && Number.isInteger(r.index)).sort((a, b) => a.index - b.index);
+    const products = {};
+    // Live lookups go through printify-proxy; Printful jobs export what the runner recorded
+    if (withProducts && (job.params && job.params.provider || 'printify') === 'printify') {
+      const origin = getOrigin(event);
+      const queue = results.filter(r => r.product_id);
+      const worker = async () => {
+        for (let r = queue.shift(); r; r = queue.shift()) {
+          try {
+            products[r.index] = await fetchProduct(origin, authHeader, job.shop_id, r.product_id);
+          } catch (e) {
+            // Product may have been deleted in Printify; export what the job recorded
+            console.warn(`[quick-job-export] Lookup of product ${r.product_id} failed: ${e.message}`);
+            r.lookup_error = e.message;
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: LOOKUP_CONCURRENCY }, worker));
+    }
+
+    const rows = results.map(r => rowFromResult(r, products[r.index]));
+    const stamp = new Date().toISOString().slice(0, 10);
+    const filename = `quick-job-${String(job.id).slice(0, 8)}-${stamp}.${format}`;
+
+    if (format === 'json') {
+      return {
+        statusCode: 200,
+        headers: { ...cors, 'Content-Type': 'application/json', 'Content-Disposition': `attachment; filename="${filename}"` },
+        body: JSON.stringify({ success:true, job_id: job.id, shop_id: job.shop_id, status: job.status, exported_at: new Date().toISOString(), items: rows }, null, 2)
+      };
+    }
+    return {
+      statusCode: 200,
+      headers: { ...cors, 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="${filename}"` },
+      body: toCsv(COLUMNS, rows.map(row => COLUMNS.map(c => row[c])))
+    };
+  } catch (e) {
+    console.error('quick-job-export error', e && (e.stack || e.message || e));
+    const msg = e && e.message ? e.message : 'Internal Error';
+    return json(500, { success:false, error: msg });
+  }
+}, { scopes: ['jobs'], cors });
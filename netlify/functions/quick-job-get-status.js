@@ -2,6 +2,7 @@
 // Returns the current state of quick_jobs without advancing work.
 
 const { createClient } = require('./_db');
+const { withAuth } = require('./_auth');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -10,21 +11,14 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-function requireAuth(event){
-  const auth = event.headers && (event.headers.authorization || event.headers.Authorization);
-  if (!auth) throw new Error('Unauthorized');
-}
-
-async function getJob(client, id){
-  const r = await client.query('select * from quick_jobs where id = $1', [id]);
+async function getJob(client, id, workspaceId){
+  const r = await client.query('select * from quick_jobs where id = $1 and workspace_id = $2', [id, workspaceId]);
   return r.rows[0] || null;
 }
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   try {
-    if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
     if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
-    requireAuth(event);
 
     const body = JSON.parse(event.body || '{}');
     const jobId = body.job_id || body.jobId;
@@ -33,7 +27,7 @@ exports.handler = async (event) => {
     const client = createClient();
     await client.connect();
     try {
-      const job = await getJob(client, jobId);
+      const job = await getJob(client, jobId, auth.workspace.id);
       if (!job) return { statusCode: 404, headers: cors, body: JSON.stringify({ success:false, error:'Job not found' }) };
       return { statusCode: 200, headers: cors, body: JSON.stringify({ success:true, job, job_id: job.id }) };
     } finally {
@@ -41,7 +35,7 @@ exports.handler = async (event) => {
     }
   } catch (e) {
     const msg = e && e.message ? e.message : 'Internal Error';
-    const status = msg === 'Unauthorized' ? 401 : 500;
+    const status = 500;
     return { statusCode: status, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
   }
-};
+}, { scopes: ['jobs'], cors });
@@ -0,0 +1,170 @@
+// Spreadsheet import: one CSV row per quick job item.
+// POST { csv, shopId, validateOnly?, ...defaults }   (defaults are any quick-job-create fields, e.g. publishMode, imageMode)
+// POST text/csv body with ?shopId=...&validateOnly=1
+// Columns (header names are case-insensitive; spaces, dashes and underscores are ignored):
+//   prompt, blueprint_id, provider_id, print_areas, style, markup, tags, image_url
+// Rows with blueprint_id + provider_id become selectedPicks entries; every row's prompt, style, markup,
+// tags and image_url are stored as per-item overrides. All rows are validated before anything is created;
+// any problem returns 400 with { errors: [{ line, column, error }] }.
+
+const { handler: createJob } = require('./quick-job-create');
+const { csvToObjects } = require('./_csv');
+const { withAuth } = require('./_auth');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+// Same cap as quick-job-create quantity
+const MAX_ROWS = 50;
+const MAX_TAGS = 13;
+
+const COLUMN_ALIASES = {
+  prompt: ['prompt', 'designprompt', 'design'],
+  blueprintId: ['blueprintid', 'blueprint'],
+  providerId: ['providerid', 'provider', 'printproviderid'],
+  printAreas: ['printareas', 'printarea', 'areas', 'positions'],
+  style: ['style'],
+  markup: ['markup', 'markuppercent'],
+  tags: ['tags', 'tag'],
+  imageUrl: ['imageurl', 'image', 'uploadurl']
+};
+
+function normalizeHeader(h){
+  return String(h).toLowerCase().replace(/[\s_\-()%]/g, '');
+}
+
+// header name in the sheet for each known field
+function mapColumns(headers){
+  const map = {};
+  const unknown = [];
+  headers.forEach(h => {
+    const key = normalizeHeader(h);
+    const field = Object.keys(COLUMN_ALIASES).find(f => COLUMN_ALIASES[f].includes(key));
+    if (field && !map[field]) map[field] = h; else if (!field && key) unknown.push(h);
+  });
+  return { map, unknown };
+}
+
+function splitList(value){
+  return String(value || '').split(/[;|,]/).map(s => s.trim()).filter(Boolean);
+}
+
+function parseRow(rec, map, defaults){
+  const errors = [];
+  const get = field => (map[field] ? rec[map[field]] : '') || '';
+  const fail = (field, error) => errors.push({ line: rec.line, column: map[field] || field, error });
+
+  const item = {};
+  const prompt = get('prompt');
+  if (prompt) item.prompt = prompt;
+
+  const blueprintId = get('blueprintId');
+  const providerId = get('providerId');
+  if (blueprintId && !/^\d+$/.test(blueprintId)) fail('blueprintId', 'Must be a numeric blueprint id');
+  if (providerId && !/^\d+$/.test(providerId)) fail('providerId', 'Must be a numeric provider id');
+  if (!!blueprintId !== !!providerId) fail(blueprintId ? 'providerId' : 'blueprintId', 'blueprint_id and provider_id must be given together');
+  if (blueprintId) item.blueprintId = blueprintId;
+  if (providerId) item.providerId = providerId;
+
+  const areas = splitList(get('printAreas')).map(s => s.toLowerCase());
+  if (areas.length) item.printAreas = areas;
+
+  const style = get('style');
+  if (style) item.style = style;
+
+  const markupText = get('markup').replace(/%$/, '');
+  if (markupText) {
+    const markup = Number(markupText);
+    if (!Number.isFinite(markup) || markup < 0 || markup > 500) fail('markup', 'Must be a percentage between 0 and 500');
+    else item.markup = markup;
+  }
+
+  const tags = splitList(get('tags'));
+  if (tags.length > MAX_TAGS) fail('tags', `At most ${MAX_TAGS} tags`);
+  else if (tags.length) item.tags = tags;
+
+  const imageUrl = get('imageUrl');
+  if (imageUrl) {
+    if (!/^https?:\/\/\S+$/i.test(imageUrl)) fail('imageUrl', 'Must be an http(s) URL');
+    else item.imageUrl = imageUrl;
+  }
+
+  if (!item.prompt && !defaults.prompt) fail('prompt', 'Missing prompt (no default prompt given)');
+  return { item, errors };
+}
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  try {
+    if (event.httpMethod !== 'POST') return respond(405, { success:false, error:'Method Not Allowed' });
+
+    const qs = event.queryStringParameters || {};
+    const contentType = String((event.headers && (event.headers['content-type'] || event.headers['Content-Type'])) || '');
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+    const isCsvBody = /text\/csv|text\/plain/i.test(contentType);
+    const { csv, validateOnly, ...defaults } = isCsvBody ? { csv: rawBody } : JSON.parse(rawBody || '{}');
+    if (qs.shopId && !defaults.shopId) defaults.shopId = qs.shopId;
+    const dryRun = !!validateOnly || qs.validateOnly === '1' || qs.validateOnly === 'true';
+
+    if (!csv || typeof csv !== 'string') return respond(400, { success:false, error:'Missing csv' });
+    if (!defaults.shopId && !dryRun) return respond(400, { success:false, error:'Missing shopId' });
+
+    let parsed;
+    try { parsed = csvToObjects(csv); } catch (e) { return respond(400, { success:false, error: e.message, errors: [] }); }
+    const { headers, records } = parsed;
+    const { map, unknown } = mapColumns(headers);
+    if (!records.length) return respond(400, { success:false, error:'CSV has no data rows', errors: [] });
+    if (records.length > MAX_ROWS) return respond(400, { success:false, error:`Too many rows (${records.length}); the limit is ${MAX_ROWS} per job`, errors: [] });
+
+    const rows = records.map(rec => parseRow(rec, map, defaults));
+    const errors = rows.flatMap(r => r.errors);
+    // Picks and auto-chosen products cannot be mixed: a job is either all picks or quantity-based
+    const withProduct = rows.filter(r => r.item.blueprintId).length;
+    if (withProduct && withProduct < rows.length) {
+      rows.forEach((r, i) => {
+        if (!r.item.blueprintId) errors.push({ line: records[i].line, column: map.blueprintId || 'blueprint_id', error:'Set blueprint_id and provider_id on every row, or on none' });
+      });
+    }
+    if (errors.length) {
+      return respond(400, { success:false, error:`CSV has ${errors.length} invalid value(s)`, errors, unknownColumns: unknown });
+    }
+
+    const items = rows.map(r => r.item);
+    const itemOverrides = {};
+    items.forEach((item, i) => {
+      const { blueprintId, providerId, ...rest } = item;
+      // With picks the product comes from selectedPicks; without, print areas still apply per item
+      if (Object.keys(rest).length) itemOverrides[i + 1] = rest;
+    });
+    const payload = {
+      ...defaults,
+      prompt: defaults.prompt || items[0].prompt,
+      quantity: items.length,
+      selectedPicks: withProduct ? items.map(it => ({ category: null, blueprintId: it.blueprintId, providerId: it.providerId, title: '', printAreas: it.printAreas || [] })) : [],
+      itemOverrides
+    };
+    // Every row has its own image: run as an upload job
+    if (items.every(it => it.imageUrl)) {
+      payload.imageMode = 'upload';
+      payload.uploadUrls = items.map(it => it.imageUrl);
+    }
+
+    if (dryRun) return respond(200, { success:true, validated:true, total: items.length, items, unknownColumns: unknown });
+
+    console.log(`[quick-job-import] Creating job from ${items.length} CSV row(s)${withProduct ? ' with product picks' : ''}`);
+    const res = await createJob({ ...event, httpMethod: 'POST', headers: { ...event.headers, 'content-type': 'application/json' }, body: JSON.stringify(payload), isBase64Encoded: false });
+    if (res.statusCode !== 200) return res;
+    return respond(200, { ...JSON.parse(res.body), imported: items.length, unknownColumns: unknown });
+  } catch (e) {
+    console.error('quick-job-import error', e && (e.stack || e.message || e));
+    const msg = e && e.message ? e.message : 'Internal Error';
+    return respond(e instanceof SyntaxError ? 400 : 500, { success:false, error: msg });
+  }
+}, { scopes: ['jobs'], role: 'editor', cors });
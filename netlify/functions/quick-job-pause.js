@@ -0,0 +1,47 @@
+// Request a pause for a running quick job.
+// The job moves to 'pausing'; the runner finishes the item in flight, then flips it to 'paused'.
+// Continue with quick-job-resume.
+
+const { createClient } = require('./_db');
+const { withAuth } = require('./_auth');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  try {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
+
+    const body = JSON.parse(event.body || '{}');
+    const jobId = body.job_id || body.jobId;
+    if (!jobId) return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:'Missing job_id' }) };
+
+    const client = createClient();
+    await client.connect();
+    try {
+      const r = await client.query(
+        `update quick_jobs set status = 'pausing', updated_at = now()
+         where id = $1 and workspace_id = $2 and status in ('queued', 'in_progress')
+         returning id, status, total, completed, failed, next_index`,
+        [jobId, auth.workspace.id]
+      );
+      if (!r.rowCount) {
+        const exists = await client.query('select status from quick_jobs where id = $1 and workspace_id = $2', [jobId, auth.workspace.id]);
+        if (!exists.rowCount) return { statusCode: 404, headers: cors, body: JSON.stringify({ success:false, error:'Job not found' }) };
+        return { statusCode: 409, headers: cors, body: JSON.stringify({ success:false, error:`Job is ${exists.rows[0].status} and cannot be paused` }) };
+      }
+      const row = r.rows[0];
+      return { statusCode: 200, headers: cors, body: JSON.stringify({ success:true, job_id: row.id, status: row.status, total: row.total, completed: row.completed, failed: row.failed, next_index: row.next_index }) };
+    } finally {
+      await client.end();
+    }
+  } catch (e) {
+    console.error('quick-job-pause error', e && (e.stack || e.message || e));
+    const msg = e && e.message ? e.message : 'Internal Error';
+    return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
+  }
+}, { scopes: ['jobs'], role: 'editor', cors });
@@ -0,0 +1,68 @@
+// Resume a paused, stalled or failed quick job from where it stopped.
+// The runner continues at next_index and reuses each item's checkpointed steps
+// (image, Printify upload, content, product id), so finished work is not paid for twice.
+
+const { createClient } = require('./_db');
+const { getJob, updateJob, getOrigin, runnerAuthHeader, startRunner } = require('./_quick_jobs');
+const { withAuth } = require('./_auth');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+// A running job persists progress at least once per step; no update for this long means the runner died
+const STALL_MS = 10 * 60 * 1000;
+
+function isStalled(job){
+  const updated = job.updated_at ? new Date(job.updated_at).getTime() : 0;
+  return Date.now() - updated > STALL_MS;
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  try {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
+    // The runner outlives the caller's short-lived access token
+    const authHeader = runnerAuthHeader(auth.userId, auth.workspace.id);
+
+    const body = JSON.parse(event.body || '{}');
+    const jobId = body.job_id || body.jobId;
+    if (!jobId) return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:'Missing job_id' }) };
+
+    const client = createClient();
+    await client.connect();
+    try {
+      const job = await getJob(client, jobId, auth.workspace.id);
+      if (!job) return { statusCode: 404, headers: cors, body: JSON.stringify({ success:false, error:'Job not found' }) };
+
+      if (job.status === 'cancelled' || job.status === 'completed') {
+        return { statusCode: 409, headers: cors, body: JSON.stringify({ success:false, error:`Job is ${job.status} and cannot be resumed` }) };
+      }
+      const hasQueued = Array.isArray(job.results) && job.results.some(r => r && r.status === 'queued');
+      if (Number(job.next_index) >= Number(job.total) && !hasQueued) {
+        return { statusCode: 409, headers: cors, body: JSON.stringify({ success:false, error:'Nothing left to resume' }) };
+      }
+      if (['in_progress', 'queued', 'pausing'].includes(job.status) && !isStalled(job) && !body.force) {
+        return { statusCode: 409, headers: cors, body: JSON.stringify({ success:false, error:'Job is still running' }) };
+      }
+
+      console.log(`[quick-job-resume] Resuming job ${jobId} from index ${job.next_index} (was ${job.status})`);
+      const row = await updateJob(client, jobId, { status: 'in_progress', error: null });
+      try {
+        await startRunner(getOrigin(event), authHeader, jobId);
+      } catch (e) {
+        await updateJob(client, jobId, { status: 'failed' });
+        throw new Error(`Failed to start background runner: ${e.message}`);
+      }
+      return { statusCode: 200, headers: cors, body: JSON.stringify({ success:true, job_id: row.id, status: row.status, total: row.total, completed: row.completed, failed: row.failed, next_index: row.next_index }) };
+    } finally {
+      await client.end();
+    }
+  } catch (e) {
+    console.error('quick-job-resume error', e && (e.stack || e.message || e));
+    const msg = e && e.message ? e.message : 'Internal Error';
+    return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
+  }
+}, { scopes: ['jobs'], role: 'editor', cors });
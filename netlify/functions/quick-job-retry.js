@@ -0,0 +1,94 @@
+// Re-enqueue failed items of a quick job and restart the background runner.
+// Body: { job_id, indices?: number[] (1-based, default all failed), prompt?, blueprintId?, providerId?, printAreas? }
+// Edits apply to every retried item; checkpoints they invalidate are dropped so those steps run again.
+
+const { createClient } = require('./_db');
+const { getJob, updateJob, getOrigin, runnerAuthHeader, startRunner, pickCheckpoint, invalidateFrom, tallyResults } = require('./_quick_jobs');
+const { withAuth } = require('./_auth');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+// Build the override for one item and drop checkpoints made stale by it
+function applyEdits(checkpoint, edits){
+  let cp = checkpoint;
+  if (edits.blueprintId) cp = invalidateFrom(cp, 'blueprint_id');
+  else if (edits.providerId) cp = invalidateFrom(cp, 'provider_id');
+  else if (edits.printAreas) cp = invalidateFrom(cp, 'print_area');
+  if (edits.prompt) cp = invalidateFrom(cp, 'image_url');
+  return cp;
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  try {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, headers: cors, body: JSON.stringify({ success:false, error:'Method Not Allowed' }) };
+    // The runner outlives the caller's short-lived access token
+    const authHeader = runnerAuthHeader(auth.userId, auth.workspace.id);
+
+    const body = JSON.parse(event.body || '{}');
+    const jobId = body.job_id || body.jobId;
+    if (!jobId) return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:'Missing job_id' }) };
+
+    const edits = {};
+    if (typeof body.prompt === 'string' && body.prompt.trim()) edits.prompt = body.prompt.trim();
+    if (body.blueprintId) edits.blueprintId = String(body.blueprintId);
+    if (body.providerId) edits.providerId = String(body.providerId);
+    if (Array.isArray(body.printAreas) && body.printAreas.length) edits.printAreas = body.printAreas.map(s => String(s));
+
+    const client = createClient();
+    await client.connect();
+    try {
+      const job = await getJob(client, jobId, auth.workspace.id);
+      if (!job) return { statusCode: 404, headers: cors, body: JSON.stringify({ success:false, error:'Job not found' }) };
+      if (['in_progress', 'queued', 'pausing'].includes(job.status)) {
+        return { statusCode: 409, headers: cors, body: JSON.stringify({ success:false, error:'Job is still running; wait for it to finish or cancel it first' }) };
+      }
+
+      const results = Array.isArray(job.results) ? job.results : [];
+      const failedIndices = results.filter(r => r && r.status === 'failed').map(r => r.index);
+      const requested = Array.isArray(body.indices) && body.indices.length
+        ? [...new Set(body.indices.map(n => parseInt(n, 10)))]
+        : failedIndices;
+      const notFailed = requested.filter(n => !failedIndices.includes(n));
+      if (notFailed.length) {
+        return { statusCode: 400, headers: cors, body: JSON.stringify({ success:false, error:`Only failed items can be retried (not failed: ${notFailed.join(', ')})` }) };
+      }
+      if (!requested.length) {
+        return { statusCode: 409, headers: cors, body: JSON.stringify({ success:false, error:'No failed items to retry' }) };
+      }
+
+      const params = { ...(job.params || {}) };
+      const itemOverrides = { ...(params.itemOverrides || {}) };
+      const nextResults = results.map(r => {
+        if (!r || !requested.includes(r.index)) return r;
+        if (Object.keys(edits).length) itemOverrides[r.index] = { ...(itemOverrides[r.index] || {}), ...edits };
+        const checkpoint = applyEdits(pickCheckpoint(r), edits);
+        const approval = r.approved ? { approved: true, commit_mode: r.commit_mode || 'draft' } : {};
+        return { index: r.index, status: 'queued', step: 'queued', message: 'Queued for retry', attempts: (Number(r.attempts) || 1) + 1, last_error: r.error || null, ...checkpoint, ...approval };
+      });
+      params.itemOverrides = itemOverrides;
+
+      console.log(`[quick-job-retry] Re-enqueueing job ${jobId} items ${requested.join(',')}${Object.keys(edits).length ? ` with edits ${Object.keys(edits).join(',')}` : ''}`);
+      const { completed, failed } = tallyResults(nextResults);
+      const row = await updateJob(client, jobId, { status: 'in_progress', params, results: nextResults, completed, failed });
+      try {
+        await startRunner(getOrigin(event), authHeader, jobId);
+      } catch (e) {
+        // Put the items back as failed so they can be retried again
+        await updateJob(client, jobId, { status: job.status, results, completed: job.completed, failed: job.failed });
+        throw new Error(`Failed to start background runner: ${e.message}`);
+      }
+      return { statusCode: 200, headers: cors, body: JSON.stringify({ success:true, job_id: row.id, status: row.status, retried: requested, total: row.total, completed: row.completed, failed: row.failed }) };
+    } finally {
+      await client.end();
+    }
+  } catch (e) {
+    console.error('quick-job-retry error', e && (e.stack || e.message || e));
+    const msg = e && e.message ? e.message : 'Internal Error';
+    return { statusCode: 500, headers: cors, body: JSON.stringify({ success:false, error: msg }) };
+  }
+}, { scopes: ['jobs'], role: 'editor', cors });
@@ -0,0 +1,133 @@
+// CRUD for recurring quick job schedules (run by quick-job-dispatcher).
+// GET                      -> list the schedules of the caller's workspace (changes need the editor role)
+// POST   { name, cron, fromJobId }                     -> reuse an existing job's params, shop and size
+// POST   { name, cron, shopId, quantity, job: {...} }  -> params from a Quick AI create payload
+// POST   { name, cron, templateId, shopId?, quantity?, job?: {...} } -> params from a saved template (job fields win)
+// PUT    { id, name?, cron?, quantity?, active? }
+// DELETE ?id=...
+// Cron is evaluated in UTC, e.g. "0 9 * * 1" = every Monday 09:00.
+
+const { createClient } = require('./_db');
+const { ensureTable, ensureScheduleTable, ensureTemplateTable, getTemplate, payloadFromChatState, buildJobParams, countItems } = require('./_quick_jobs');
+const { nextRun } = require('./_cron');
+const { withAuth, requireRole } = require('./_auth');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+// Returns the next occurrence or throws a 400-worthy error
+function firstRun(cron){
+  const at = nextRun(cron, new Date());
+  if (!at) throw Object.assign(new Error('Cron expression never fires'), { statusCode: 400 });
+  return at;
+}
+
+function clampQuantity(q){
+  return Math.min(50, Math.max(1, parseInt(q || 1, 10) || 1));
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  const userId = auth.userId;
+  const workspaceId = auth.workspace.id;
+  if (event.httpMethod !== 'GET') {
+    const denied = requireRole(auth, 'editor', cors);
+    if (denied) return denied;
+  }
+
+  const client = createClient();
+  await client.connect();
+  try {
+    await ensureTable(client);
+    await ensureScheduleTable(client);
+
+    if (event.httpMethod === 'GET') {
+      const r = await client.query('select * from quick_job_schedules where workspace_id = $1 order by created_at desc', [workspaceId]);
+      return respond(200, { success:true, schedules: r.rows });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const id = (event.queryStringParameters && event.queryStringParameters.id) || JSON.parse(event.body || '{}').id;
+      if (!id) return respond(400, { success:false, error:'Missing id' });
+      const r = await client.query('delete from quick_job_schedules where id = $1 and workspace_id = $2', [id, workspaceId]);
+      if (!r.rowCount) return respond(404, { success:false, error:'Schedule not found' });
+      return respond(200, { success:true, id });
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (event.httpMethod === 'POST') {
+      if (!body.name || !body.cron) return respond(400, { success:false, error:'Missing name or cron' });
+      const nextRunAt = firstRun(body.cron);
+      let shopId;
+      let params;
+      let quantity;
+      let templateId = null;
+      if (body.fromJobId) {
+        const src = await client.query('select shop_id, params, total from quick_jobs where id = $1 and workspace_id = $2', [body.fromJobId, workspaceId]);
+        if (!src.rowCount) return respond(404, { success:false, error:'Source job not found' });
+        shopId = body.shopId || src.rows[0].shop_id;
+        // Per-item retry edits belong to that run, not the recurring definition
+        const { itemOverrides, ...rest } = src.rows[0].params || {};
+        params = rest;
+        quantity = body.quantity ? clampQuantity(body.quantity) : src.rows[0].total;
+      } else if (body.templateId) {
+        await ensureTemplateTable(client);
+        const tpl = await getTemplate(client, workspaceId, body.templateId);
+        if (!tpl) return respond(404, { success:false, error:'Template not found' });
+        // Params are snapshotted now; later edits to the template do not change the schedule
+        const job = { ...payloadFromChatState(tpl.state), ...(body.job || {}), templateId: tpl.id };
+        shopId = body.shopId || job.shopId;
+        if (!job.prompt) return respond(400, { success:false, error:'Template has no prompt' });
+        params = buildJobParams(job);
+        quantity = body.quantity ? clampQuantity(body.quantity) : countItems(job);
+        templateId = tpl.id;
+      } else {
+        const job = body.job || {};
+        shopId = body.shopId || job.shopId;
+        if (!job.prompt) return respond(400, { success:false, error:'Missing job.prompt' });
+        params = buildJobParams(job);
+        quantity = body.quantity ? clampQuantity(body.quantity) : countItems(job);
+      }
+      if (!shopId) return respond(400, { success:false, error:'Missing shopId' });
+      const r = await client.query(
+        `insert into quick_job_schedules (created_by, workspace_id, name, shop_id, params, quantity, cron, next_run_at, template_id)
+         values ($1, $2, $3, $4, $5, $6, $7, $8, $9) returning *`,
+        [userId, workspaceId, String(body.name), String(shopId), params, quantity, String(body.cron).trim(), nextRunAt, templateId]
+      );
+      return respond(200, { success:true, schedule: r.rows[0] });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      if (!body.id) return respond(400, { success:false, error:'Missing id' });
+      const cur = await client.query('select * from quick_job_schedules where id = $1 and workspace_id = $2', [body.id, workspaceId]);
+      if (!cur.rowCount) return respond(404, { success:false, error:'Schedule not found' });
+      const sch = cur.rows[0];
+      const cron = body.cron ? String(body.cron).trim() : sch.cron;
+      const active = typeof body.active === 'boolean' ? body.active : sch.active;
+      // Recompute the next run when timing changes or a paused schedule is reactivated
+      const nextRunAt = (body.cron || (active && !sch.active)) ? firstRun(cron) : sch.next_run_at;
+      const r = await client.query(
+        `update quick_job_schedules
+         set name = $2, cron = $3, quantity = $4, active = $5, next_run_at = $6, updated_at = now()
+         where id = $1 returning *`,
+        [sch.id, body.name ? String(body.name) : sch.name, cron, body.quantity ? clampQuantity(body.quantity) : sch.quantity, active, nextRunAt]
+      );
+      return respond(200, { success:true, schedule: r.rows[0] });
+    }
+
+    return respond(405, { success:false, error:'Method Not Allowed' });
+  } catch (e) {
+    console.error('quick-job-schedules error', e && (e.stack || e.message || e));
+    return respond(e.statusCode || (/cron/i.test(e.message || '') ? 400 : 500), { success:false, error: e.message || 'Internal Error' });
+  } finally {
+    await client.end();
+  }
+}, { scopes: ['jobs'], cors });
@@ -1,13 +1,9 @@
 const { createClient } = require('./_db');
 const fetch = require('node-fetch');
+const { withAuth, requireRole } = require('./_auth');
 
-function requireAuth(event){
-  const auth = event.headers && (event.headers.authorization || event.headers.Authorization);
-  if (!auth) throw new Error('Unauthorized');
-}
-
-async function getJob(client, id){
-  const r = await client.query('select * from quick_jobs where id = $1', [id]);
+async function getJob(client, id, workspaceId){
+  const r = await client.query('select * from quick_jobs where id = $1 and workspace_id = $2', [id, workspaceId]);
   return r.rows[0] || null;
 }
 
@@ -105,20 +101,24 @@ function uniqueSizesFromAreas(areas) {
   return [...map.values()];
 }
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   try {
     if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
-    requireAuth(event);
 
     const params = event.queryStringParameters || {};
     const jobId = params.job_id;
     const tick = String(params.tick||'').toLowerCase() === 'true';
     if (!jobId) return { statusCode: 400, body: JSON.stringify({ success:false, error:'Missing job_id' }) };
+    // Ticking processes items, which viewers may not do
+    if (tick) {
+      const denied = requireRole(auth, 'editor');
+      if (denied) return denied;
+    }
 
     const client = createClient();
     await client.connect();
     try {
-      let job = await getJob(client, jobId);
+      let job = await getJob(client, jobId, auth.workspace.id);
       if (!job) return { statusCode: 404, body: JSON.stringify({ success:false, error:'Job not found' }) };
 
       // Minimal tick scaffolding: move from queued -> in_progress and process a small batch
@@ -335,6 +335,6 @@ exports.handler = async (event) => {
   } catch (e) {
     console.error('quick-job-status error', e);
     const msg = e && e.message ? e.message : 'Internal Error';
-    return { statusCode: msg==='Unauthorized'?401:500, body: JSON.stringify({ success:false, error: msg }) };
+    return { statusCode: 500, body: JSON.stringify({ success:false, error: msg }) };
   }
-};
+}, { scopes: ['jobs'] });
@@ -0,0 +1,96 @@
+// Saved Quick AI templates: named chatState snapshots a job can be launched from.
+// GET                       -> list the templates of the caller's workspace (changes need the editor role)
+// GET    ?id=...            -> one template
+// POST   { name, state }    -> save (same name overwrites)
+// PUT    { id, name?, state? }
+// DELETE ?id=...
+// Launch with quick-job-create { templateId, shopId?, prompt?, ... } - fields in the body win over the template.
+
+const { createClient } = require('./_db');
+const { ensureTemplateTable, sanitizeTemplateState, getTemplate } = require('./_quick_jobs');
+const { withAuth, requireRole } = require('./_auth');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  const userId = auth.userId;
+  const workspaceId = auth.workspace.id;
+  if (event.httpMethod !== 'GET') {
+    const denied = requireRole(auth, 'editor', cors);
+    if (denied) return denied;
+  }
+
+  const client = createClient();
+  await client.connect();
+  try {
+    await ensureTemplateTable(client);
+    const qs = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET') {
+      if (qs.id) {
+        const tpl = await getTemplate(client, workspaceId, qs.id);
+        if (!tpl) return respond(404, { success:false, error:'Template not found' });
+        return respond(200, { success:true, template: tpl });
+      }
+      const r = await client.query('select * from quick_job_templates where workspace_id = $1 order by updated_at desc', [workspaceId]);
+      return respond(200, { success:true, templates: r.rows });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const id = qs.id || JSON.parse(event.body || '{}').id;
+      if (!id) return respond(400, { success:false, error:'Missing id' });
+      const r = await client.query('delete from quick_job_templates where id = $1 and workspace_id = $2', [id, workspaceId]);
+      if (!r.rowCount) return respond(404, { success:false, error:'Template not found' });
+      return respond(200, { success:true, id });
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (event.httpMethod === 'POST') {
+      const name = String(body.name || '').trim();
+      if (!name) return respond(400, { success:false, error:'Missing name' });
+      const state = sanitizeTemplateState(body.state);
+      if (!Object.keys(state).length) return respond(400, { success:false, error:'Template state is empty' });
+      const r = await client.query(
+        `insert into quick_job_templates (created_by, workspace_id, name, state)
+         values ($1, $2, $3, $4::jsonb)
+         on conflict (workspace_id, name) do update set state = excluded.state, updated_at = now()
+         returning *`,
+        [userId, workspaceId, name, JSON.stringify(state)]
+      );
+      return respond(200, { success:true, template: r.rows[0] });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      if (!body.id) return respond(400, { success:false, error:'Missing id' });
+      const tpl = await getTemplate(client, workspaceId, body.id);
+      if (!tpl) return respond(404, { success:false, error:'Template not found' });
+      const name = body.name ? String(body.name).trim() : tpl.name;
+      const state = body.state ? sanitizeTemplateState(body.state) : tpl.state;
+      const r = await client.query(
+        `update quick_job_templates set name = $2, state = $3::jsonb, updated_at = now()
+         where id = $1 returning *`,
+        [tpl.id, name, JSON.stringify(state)]
+      );
+      return respond(200, { success:true, template: r.rows[0] });
+    }
+
+    return respond(405, { success:false, error:'Method Not Allowed' });
+  } catch (e) {
+    console.error('quick-job-templates error', e && (e.stack || e.message || e));
+    // Renaming onto an existing template name
+    if (e && e.code === '23505') return respond(409, { success:false, error:'A template with that name already exists' });
+    return respond(500, { success:false, error: e.message || 'Internal Error' });
+  } finally {
+    await client.end();
+  }
+}, { scopes: ['jobs'], cors });
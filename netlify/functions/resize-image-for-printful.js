@@ -1,8 +1,9 @@
 const sharp = require('sharp');
 const fetch = require('node-fetch');
 const { createResponse } = require('./_supabase_node');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[RESIZE-IMAGE] Function invoked');
   console.log('[RESIZE-IMAGE] Event method:', event.httpMethod);
   
@@ -121,4 +122,4 @@ exports.handler = async (event, context) => {
       details: error.message 
     });
   }
-};
+}, { scopes: ['products'] });
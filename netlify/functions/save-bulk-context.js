@@ -1,18 +1,39 @@
 // Save bulk product context (providers, print areas, image assignments) to database
+//
+// A wizard can also store its whole serialized state as a draft (wizardState) to be restored on another
+// browser. Drafts carry a revision: a save must name the revision it was based on (baseRevision) and gets
+// 409 when another device saved in between, unless it sends force: true.
 const { getSupabase } = require('./_supabase_node.js');
+const { withAuth } = require('./_auth');
+const { contextWritable } = require('./_workspaces');
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+// Serialized wizard state is kept in placements; keep it well below the function payload limit
+const MAX_WIZARD_STATE_BYTES = 1024 * 1024;
+
+function conflict(placements) {
+  return {
+    success: false,
+    error: 'This draft was changed in another browser',
+    reason: 'draft_conflict',
+    revision: placements.revision || 0,
+    lastUpdated: placements.lastUpdated || null
   };
+}
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+async function currentPlacements(supabase, sessionId) {
+  const { data, error } = await supabase.from('product_contexts').select('placements').eq('product_id', sessionId).maybeSingle();
+  if (error) throw new Error(error.message);
+  return (data && data.placements) || {};
+}
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
@@ -34,10 +55,36 @@ exports.handler = async (event, context) => {
     }
 
     const supabase = getSupabase(true);
-    
+    if (!(await contextWritable(supabase, sessionId, auth.workspace.id))) {
+      return { statusCode: 403, headers, body: JSON.stringify({ success: false, error: 'This context belongs to another workspace' }) };
+    }
+
+    const { data: existing, error: readErr } = await supabase
+      .from('product_contexts')
+      .select('placements')
+      .eq('product_id', sessionId)
+      .maybeSingle();
+    if (readErr) throw new Error(readErr.message);
+    const previous = (existing && existing.placements) || {};
+
+    // Saves without a wizardState leave the stored draft as it is
+    const savesDraft = body.wizardState !== undefined;
+    let revision = previous.revision || 0;
+    if (savesDraft) {
+      const size = Buffer.byteLength(JSON.stringify(body.wizardState));
+      if (size > MAX_WIZARD_STATE_BYTES) {
+        return { statusCode: 413, headers, body: JSON.stringify({ success: false, error: `Wizard state is too large (${size} bytes, at most ${MAX_WIZARD_STATE_BYTES})` }) };
+      }
+      if (!body.force && (parseInt(body.baseRevision, 10) || 0) !== revision) {
+        return { statusCode: 409, headers, body: JSON.stringify(conflict(previous)) };
+      }
+      revision += 1;
+    }
+
     // Store bulk context using sessionId as product_id
     const contextData = {
       product_id: sessionId,
+      workspace_id: auth.workspace.id,
       design_prompt: designPrompt || null,
       placements: {
         selectedProducts: selectedProducts || [],
@@ -46,18 +93,41 @@ exports.handler = async (event, context) => {
         selectedImages: selectedImages || {},
         productImageMap: body.productImageMap || {},
         step: step || 'unknown',
+        page: body.page || previous.page || null,
+        wizardState: savesDraft ? body.wizardState : previous.wizardState || null,
+        revision,
         lastUpdated: new Date().toISOString()
       },
       updated_at: new Date().toISOString()
     };
 
-    const { data, error: upsertErr } = await supabase
-      .from('product_contexts')
-      .upsert([contextData], { onConflict: 'product_id' })
-      .select('*')
-      .single();
-
-    if (upsertErr) throw new Error(upsertErr.message);
+    let data;
+    if (savesDraft && existing) {
+      // Only replace the revision that was read above, so a save racing this one cannot be overwritten
+      const query = supabase.from('product_contexts').update(contextData).eq('product_id', sessionId);
+      const { data: rows, error: updateErr } = await (previous.revision
+        ? query.eq('placements->>revision', String(previous.revision))
+        : query.is('placements->>revision', null)
+      ).select('*');
+      if (updateErr) throw new Error(updateErr.message);
+      if (!rows.length) return { statusCode: 409, headers, body: JSON.stringify(conflict(await currentPlacements(supabase, sessionId))) };
+      data = rows[0];
+    } else if (savesDraft) {
+      const { data: row, error: insertErr } = await supabase.from('product_contexts').insert([contextData]).select('*').single();
+      if (insertErr && insertErr.code === '23505') {
+        return { statusCode: 409, headers, body: JSON.stringify(conflict(await currentPlacements(supabase, sessionId))) };
+      }
+      if (insertErr) throw new Error(insertErr.message);
+      data = row;
+    } else {
+      const { data: row, error: upsertErr } = await supabase
+        .from('product_contexts')
+        .upsert([contextData], { onConflict: 'product_id' })
+        .select('*')
+        .single();
+      if (upsertErr) throw new Error(upsertErr.message);
+      data = row;
+    }
 
     return { 
       statusCode: 200, 
@@ -65,6 +135,7 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({ 
         success: true, 
         data,
+        revision,
         message: `Bulk context saved for step ${step}` 
       }) 
     };
@@ -80,4 +151,4 @@ exports.handler = async (event, context) => {
       }) 
     };
   }
-};
+}, { scopes: ['jobs'], role: 'editor', cors: headers });
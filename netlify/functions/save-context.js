@@ -1,18 +1,16 @@
 // Save product context (brand, design, placements, audience) using Supabase
 const { getSupabase } = require('./_supabase_node.js');
+const { withAuth } = require('./_auth');
+const { contextWritable } = require('./_workspaces');
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
@@ -34,11 +32,16 @@ exports.handler = async (event, context) => {
     }
 
     const supabase = getSupabase(true);
+    if (!(await contextWritable(supabase, productId, auth.workspace.id))) {
+      return { statusCode: 403, headers, body: JSON.stringify({ success: false, error: 'This context belongs to another workspace' }) };
+    }
+
     const { data, error: upsertErr } = await supabase
       .from('product_contexts')
       .upsert([
         {
           product_id: productId,
+          workspace_id: auth.workspace.id,
           brand: brand ?? null,
           design_prompt: designPrompt ?? null,
           design_details: designDetails ?? null,
@@ -58,4 +61,4 @@ exports.handler = async (event, context) => {
     console.error('save-context error:', error);
     return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: error.message }) };
   }
-};
+}, { scopes: ['jobs'], role: 'editor', cors: headers });
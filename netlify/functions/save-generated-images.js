@@ -1,26 +1,23 @@
 // Save AI-generated images to Supabase
 const { getSupabase } = require('./_supabase_node.js');
+const { withAuth } = require('./_auth');
 
-exports.handler = async (event, context) => {
-  // Enable CORS
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
 
   try {
     const body = JSON.parse(event.body);
-    const { images, userId } = body;
+    const { images } = body;
+    const userId = auth.userId;
 
     if (!images || !Array.isArray(images)) {
       return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Invalid images data' }) };
@@ -37,6 +34,7 @@ exports.handler = async (event, context) => {
         .insert([
           {
             user_id: userId,
+            workspace_id: auth.workspace.id,
             product_id: image.productId || null,
             prompt: image.prompt || '',
             image_url: image.imageUrl || image.printifyUrl || '',
@@ -79,4 +77,4 @@ exports.handler = async (event, context) => {
       error: error.message 
     }) };
   }
-};
+}, { scopes: ['jobs'], role: 'editor', cors: headers });
@@ -1,19 +1,16 @@
 // Save AI prompts and product data to Supabase
 const { getSupabase } = require('./_supabase_node.js');
+const { withAuth } = require('./_auth');
+const { contextWritable } = require('./_workspaces');
 
-exports.handler = async (event, context) => {
-  // Enable CORS
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, headers, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
   }
@@ -33,12 +30,16 @@ exports.handler = async (event, context) => {
     } = metadata || {};
 
     const supabase = getSupabase(true);
-    
+    if (!(await contextWritable(supabase, productId, auth.workspace.id))) {
+      return { statusCode: 403, headers, body: JSON.stringify({ success: false, error: 'This context belongs to another workspace' }) };
+    }
+
     // Upsert into product_contexts table
     const { data, error } = await supabase
       .from('product_contexts')
       .upsert({
         product_id: productId,
+        workspace_id: auth.workspace.id,
         brand: brand || response?.brand || '',
         design_prompt: prompt,
         design_details: designDetails || response?.designDetails || null,
@@ -68,4 +69,4 @@ exports.handler = async (event, context) => {
       error: error.message 
     }) };
   }
-};
+}, { scopes: ['jobs'], role: 'editor', cors: headers });
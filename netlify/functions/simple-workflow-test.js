@@ -1,4 +1,6 @@
 // MINIMAL workflow test - will work or tell us exactly why not
+const { withAuth } = require('./_auth');
+
 const cors = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
@@ -6,13 +8,9 @@ const cors = {
   'Content-Type': 'application/json',
 };
 
-exports.handler = async (event) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('=== WORKFLOW TEST START ===');
   
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers: cors, body: '' };
-  }
-
   let step = 'INIT';
   
   try {
@@ -41,7 +39,7 @@ exports.handler = async (event) => {
     
     const parseRes = await fetch(`${origin}/.netlify/functions/parse-user-intent`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
       body: JSON.stringify({
         text: 'create 2 dog shirts',
         currentState: { prompt: '', quantity: null }
@@ -72,7 +70,7 @@ exports.handler = async (event) => {
     
     const contentRes = await fetch(`${origin}/.netlify/functions/generate-content`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
       body: JSON.stringify({
         prompt: 'cartoon dog t-shirt design',
         contentType: 'product-content',
@@ -125,4 +123,4 @@ exports.handler = async (event) => {
       })
     };
   }
-};
+}, { scopes: ['admin'], cors });
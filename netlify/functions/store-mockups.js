@@ -1,12 +1,13 @@
 const { createClient } = require('@supabase/supabase-js');
 const { createResponse } = require('./_supabase_node');
+const { withAuth } = require('./_auth');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_ANON_KEY
 );
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('[STORE-MOCKUPS] Function invoked');
   
   if (event.httpMethod !== 'POST') {
@@ -108,4 +109,4 @@ exports.handler = async (event, context) => {
       details: error.message 
     });
   }
-};
+}, { scopes: ['products'], role: 'editor' });
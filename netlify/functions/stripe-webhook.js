@@ -0,0 +1,79 @@
+// Stripe webhook (public, authenticated by the Stripe-Signature header and STRIPE_WEBHOOK_SECRET).
+// Keeps user_subscriptions in step with Stripe: every handled event re-syncs the subscription it concerns.
+// Events are recorded in stripe_events so redeliveries are acknowledged without work; a failure answers 500
+// and Stripe retries later.
+
+const { getSupabase } = require('./_supabase_node');
+const { getStripe, syncSubscription } = require('./_billing');
+
+const headers = { 'Content-Type': 'application/json' };
+
+function respond(statusCode, payload){
+  return { statusCode, headers, body: JSON.stringify(payload) };
+}
+
+// Subscription id an event is about, or null for events we do not handle
+function subscriptionOf(event) {
+  const object = event.data.object;
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return object.mode === 'subscription' ? object.subscription : null;
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      return object.id;
+    case 'invoice.paid':
+    case 'invoice.payment_failed':
+      return object.subscription || null;
+    default:
+      return null;
+  }
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return respond(405, { success:false, error:'Method Not Allowed' });
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('stripe-webhook: STRIPE_WEBHOOK_SECRET is not configured');
+    return respond(503, { success:false, error:'Billing is not configured' });
+  }
+
+  // The signature covers the exact bytes Stripe sent
+  const raw = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64') : (event.body || '');
+  const h = event.headers || {};
+  const signature = h['stripe-signature'] || h['Stripe-Signature'];
+  let stripeEvent;
+  try {
+    stripeEvent = getStripe().webhooks.constructEvent(raw, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (e) {
+    console.warn('stripe-webhook: signature verification failed:', e.message);
+    return respond(400, { success:false, error:'Invalid signature' });
+  }
+
+  const supabase = getSupabase(true);
+  try {
+    const { data: seen, error: seenError } = await supabase
+      .from('stripe_events')
+      .select('processed_at')
+      .eq('id', stripeEvent.id)
+      .maybeSingle();
+    if (seenError) throw new Error(`Event lookup failed: ${seenError.message}`);
+    if (seen && seen.processed_at) return respond(200, { success:true, duplicate:true });
+    if (!seen) {
+      const { error } = await supabase.from('stripe_events').insert({ id: stripeEvent.id, type: stripeEvent.type });
+      if (error && error.code !== '23505') throw new Error(`Failed to record event: ${error.message}`);
+    }
+
+    const subscriptionId = subscriptionOf(stripeEvent);
+    if (subscriptionId) await syncSubscription(subscriptionId);
+
+    const { error: doneError } = await supabase
+      .from('stripe_events')
+      .update({ processed_at: new Date().toISOString() })
+      .eq('id', stripeEvent.id);
+    if (doneError) throw new Error(`Failed to mark event processed: ${doneError.message}`);
+    return respond(200, { success:true, handled: !!subscriptionId });
+  } catch (e) {
+    console.error(`stripe-webhook: ${stripeEvent.type} ${stripeEvent.id} failed`, e && (e.stack || e.message || e));
+    return respond(500, { success:false, error:'Webhook processing failed' });
+  }
+};
@@ -1,18 +1,15 @@
 const fetch = require('node-fetch');
+const { withAuth } = require('./_auth');
+const { workspacePrintifyKey } = require('./_workspaces');
 
-exports.handler = async (event, context) => {
-  // Enable CORS
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers };
-  }
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   try {
     const { shopId, productId, print_areas, variants, title, description, tags, images } = JSON.parse(event.body || '{}');
     
@@ -41,29 +38,8 @@ exports.handler = async (event, context) => {
     if (Array.isArray(tags)) body.tags = tags;
     if (Array.isArray(images)) body.images = images;
 
-    // Read Authorization header (JWT)
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader) {
-      return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: 'Authorization header required' }) };
-    }
-
-    // Resolve origin to call internal get-api-key
-    const proto = event.headers['x-forwarded-proto'] || 'https';
-    const host = event.headers.host;
-    const origin = `${proto}://${host}`;
-
-    // Fetch stored Printify API key for this user
-    const apiKeyRes = await fetch(`${origin}/.netlify/functions/get-api-key`, {
-      method: 'GET',
-      headers: { Authorization: authHeader },
-    });
-
-    if (!apiKeyRes.ok) {
-      const text = await apiKeyRes.text();
-      return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: `Failed to get API key: ${text}` }) };
-    }
-
-    const { apiKey } = await apiKeyRes.json();
+    // Stored Printify API key of the workspace
+    const apiKey = await workspacePrintifyKey(auth.workspace.id);
     if (!apiKey) {
       return { statusCode: 401, headers, body: JSON.stringify({ success: false, error: 'No API key found' }) };
     }
@@ -104,4 +80,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+}, { scopes: ['products'], role: 'editor', cors: headers });
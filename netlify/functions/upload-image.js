@@ -1,41 +1,16 @@
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { decryptSecret } = require('./_secrets');
+const { withAuth } = require('./_auth');
 
-// Helper function for XOR decryption (matches printify-proxy.js)
-function simpleDecrypt(encryptedBase64, key) {
-  try {
-    const encryptedBytes = Buffer.from(encryptedBase64, 'base64');
-    const keyLength = key.length;
-    const result = [];
-    
-    for (let i = 0; i < encryptedBytes.length; i++) {
-      const byte = encryptedBytes[i];
-      const keyCharCode = key.charCodeAt(i % keyLength);
-      result.push(byte ^ keyCharCode);
-    }
-    
-    return Buffer.from(result).toString('utf8');
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
-  }
-}
-
-exports.handler = async (event, context) => {
-  // Enable CORS
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers };
-  }
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   try {
     const { url, file_name } = JSON.parse(event.body);
-    const authHeader = event.headers.authorization;
     
     if (!url || !file_name) {
       return {
@@ -45,34 +20,23 @@ exports.handler = async (event, context) => {
       };
     }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Authentication required' })
-      };
-    }
+    const workspaceId = auth.workspace.id;
 
-    const token = authHeader.split(' ')[1];
-    
     // Get user's Printify API key from database
     const supabase = createClient(
       process.env.SUPABASE_URL,
       process.env.SUPABASE_SERVICE_ROLE_KEY
     );
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.sub || decoded.id;
-
     // Fetch the user's encrypted API key
-    const { data: user, error } = await supabase
-      .from('users')
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
       .select('printify_api_key_encrypted')
-      .eq('id', userId)
+      .eq('id', workspaceId)
       .single();
 
-    if (error || !user || !user.printify_api_key_encrypted) {
-      console.error('Error fetching user API key:', error);
+    if (error || !workspace || !workspace.printify_api_key_encrypted) {
+      console.error('Error fetching workspace API key:', error);
       return {
         statusCode: 401,
         headers,
@@ -81,7 +45,7 @@ exports.handler = async (event, context) => {
     }
 
     // Decrypt the API key
-    const apiKey = simpleDecrypt(user.printify_api_key_encrypted, process.env.JWT_SECRET);
+    const apiKey = decryptSecret(workspace.printify_api_key_encrypted);
     if (!apiKey) {
       return {
         statusCode: 401,
@@ -129,4 +93,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+}, { scopes: ['products'], role: 'editor', cors: headers });
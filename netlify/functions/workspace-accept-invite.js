@@ -0,0 +1,36 @@
+// POST { token } -> { workspace }
+// Joins the workspace from an invitation link (/auth.html?invite=<token>). The caller's account must
+// have the invited email. Switch to the workspace afterwards with workspace-switch.
+
+const { createClient } = require('./_db');
+const { withAuth } = require('./_auth');
+const { WorkspaceError, acceptInvitation } = require('./_workspaces');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  if (event.httpMethod !== 'POST') return respond(405, { success:false, error:'Method Not Allowed' });
+
+  const client = createClient();
+  await client.connect();
+  try {
+    const { token } = JSON.parse(event.body || '{}');
+    const workspace = await acceptInvitation(client, token, { id: auth.userId, email: auth.user.email });
+    return respond(200, { success:true, workspace });
+  } catch (e) {
+    if (e instanceof WorkspaceError) return respond(e.statusCode, { success:false, error: e.message });
+    console.error('workspace-accept-invite error', e && (e.stack || e.message || e));
+    return respond(500, { success:false, error: e.message || 'Internal Error' });
+  } finally {
+    await client.end();
+  }
+}, { scopes: ['account'], cors });
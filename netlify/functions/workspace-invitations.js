@@ -0,0 +1,54 @@
+// Invitations to the active workspace (owner only).
+// GET                      -> pending invitations
+// POST   { email, role }   -> email an invitation link (replaces a pending one for the same address)
+// DELETE ?id=...           -> revoke a pending invitation
+// The invitee accepts with workspace-accept-invite.
+
+const { createClient } = require('./_db');
+const { withAuth } = require('./_auth');
+const { WorkspaceError, listInvitations, createInvitation, revokeInvitation } = require('./_workspaces');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  const workspaceId = auth.workspace.id;
+  const client = createClient();
+  await client.connect();
+  try {
+    if (event.httpMethod === 'GET') {
+      const invitations = await listInvitations(client, workspaceId);
+      return respond(200, { success:true, invitations });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      const inviter = { id: auth.userId, email: auth.user.email, first_name: auth.user.first_name, last_name: auth.user.last_name };
+      const invitation = await createInvitation(client, auth.workspace, inviter, { email: body.email, role: body.role || 'editor' });
+      return respond(201, { success:true, invitation });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const id = (event.queryStringParameters || {}).id || JSON.parse(event.body || '{}').id;
+      if (!id) return respond(400, { success:false, error:'Missing id' });
+      await revokeInvitation(client, workspaceId, id);
+      return respond(200, { success:true, id });
+    }
+
+    return respond(405, { success:false, error:'Method Not Allowed' });
+  } catch (e) {
+    if (e instanceof WorkspaceError) return respond(e.statusCode, { success:false, error: e.message });
+    console.error('workspace-invitations error', e && (e.stack || e.message || e));
+    return respond(500, { success:false, error: e.message || 'Internal Error' });
+  } finally {
+    await client.end();
+  }
+}, { scopes: ['account'], role: 'owner', cors });
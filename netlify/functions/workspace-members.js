@@ -0,0 +1,60 @@
+// Members of the active workspace.
+// GET                       -> { members: [{ user_id, role, email, first_name, last_name, created_at }], role }
+// PUT    { userId, role }   -> change a member's role (owner)
+// DELETE ?userId=...        -> remove a member (owner), or leave the workspace (own userId)
+
+const { createClient } = require('./_db');
+const { withAuth, requireRole } = require('./_auth');
+const { WorkspaceError, listMembers, setMemberRole, removeMember } = require('./_workspaces');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  const workspaceId = auth.workspace.id;
+  const client = createClient();
+  await client.connect();
+  try {
+    if (event.httpMethod === 'GET') {
+      const members = await listMembers(client, workspaceId);
+      return respond(200, { success:true, workspace: auth.workspace, members, role: auth.workspace.role });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const denied = requireRole(auth, 'owner', cors);
+      if (denied) return denied;
+      const body = JSON.parse(event.body || '{}');
+      if (!body.userId) return respond(400, { success:false, error:'Missing userId' });
+      const member = await setMemberRole(client, workspaceId, String(body.userId), body.role);
+      return respond(200, { success:true, member });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const qs = event.queryStringParameters || {};
+      const userId = String(qs.userId || JSON.parse(event.body || '{}').userId || '');
+      if (!userId) return respond(400, { success:false, error:'Missing userId' });
+      if (userId !== auth.userId) {
+        const denied = requireRole(auth, 'owner', cors);
+        if (denied) return denied;
+      }
+      await removeMember(client, workspaceId, userId);
+      return respond(200, { success:true, userId });
+    }
+
+    return respond(405, { success:false, error:'Method Not Allowed' });
+  } catch (e) {
+    if (e instanceof WorkspaceError) return respond(e.statusCode, { success:false, error: e.message });
+    console.error('workspace-members error', e && (e.stack || e.message || e));
+    return respond(500, { success:false, error: e.message || 'Internal Error' });
+  } finally {
+    await client.end();
+  }
+}, { scopes: ['account'], cors });
@@ -0,0 +1,45 @@
+// POST { workspaceId } -> { token, expiresAt, workspaceId, workspace }
+// Makes another workspace the active one for this login session. The new access token replaces
+// authToken in the browser; the refresh token is unchanged and keeps the choice.
+
+const { createClient } = require('./_db');
+const { withAuth, AuthError, authErrorResponse } = require('./_auth');
+const { getMembership } = require('./_workspaces');
+const { switchWorkspace } = require('./_sessions');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  if (event.httpMethod !== 'POST') return respond(405, { success:false, error:'Method Not Allowed' });
+
+  try {
+    const { workspaceId } = JSON.parse(event.body || '{}');
+    if (!workspaceId) return respond(400, { success:false, error:'Missing workspaceId' });
+
+    const client = createClient();
+    await client.connect();
+    let workspace;
+    try {
+      workspace = await getMembership(client, workspaceId, auth.userId);
+    } finally {
+      await client.end();
+    }
+    if (!workspace) return respond(404, { success:false, error:'Workspace not found' });
+
+    const session = await switchWorkspace(auth, workspace.id);
+    return respond(200, { success:true, ...session, workspace });
+  } catch (e) {
+    if (e instanceof AuthError) return authErrorResponse(e, cors);
+    console.error('workspace-switch error', e && (e.stack || e.message || e));
+    return respond(500, { success:false, error: e.message || 'Internal Error' });
+  }
+}, { scopes: ['account'], cors });
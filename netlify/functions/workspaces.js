@@ -0,0 +1,54 @@
+// Workspaces of the signed-in user.
+// GET                  -> { workspaces: [{ id, name, personal, role, member_count, has_printify, has_printful }], current }
+// POST   { name }      -> create a workspace owned by the caller (switch to it with workspace-switch)
+// PUT    { id, name }  -> rename (owner)
+
+const { createClient } = require('./_db');
+const { withAuth, roleAtLeast } = require('./_auth');
+const { WorkspaceError, listWorkspaces, getMembership, createWorkspace, renameWorkspace } = require('./_workspaces');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function respond(statusCode, payload){
+  return { statusCode, headers: cors, body: JSON.stringify(payload) };
+}
+
+exports.handler = withAuth(async (event, context, auth) => {
+  const client = createClient();
+  await client.connect();
+  try {
+    if (event.httpMethod === 'GET') {
+      const workspaces = await listWorkspaces(client, auth.userId);
+      return respond(200, { success:true, workspaces, current: auth.workspace.id });
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (event.httpMethod === 'POST') {
+      const workspace = await createWorkspace(client, auth.userId, body.name);
+      return respond(201, { success:true, workspace });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      if (!body.id) return respond(400, { success:false, error:'Missing id' });
+      const member = await getMembership(client, body.id, auth.userId);
+      if (!member) return respond(404, { success:false, error:'Workspace not found' });
+      if (!roleAtLeast(member.role, 'owner')) return respond(403, { success:false, error:'Only owners can rename a workspace' });
+      const workspace = await renameWorkspace(client, body.id, body.name);
+      return respond(200, { success:true, workspace: { ...workspace, role: member.role } });
+    }
+
+    return respond(405, { success:false, error:'Method Not Allowed' });
+  } catch (e) {
+    if (e instanceof WorkspaceError) return respond(e.statusCode, { success:false, error: e.message });
+    console.error('workspaces error', e && (e.stack || e.message || e));
+    return respond(500, { success:false, error: e.message || 'Internal Error' });
+  } finally {
+    await client.end();
+  }
+}, { scopes: ['account'], cors });
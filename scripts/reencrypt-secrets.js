@@ -0,0 +1,84 @@
+// scripts/reencrypt-secrets.js
+// Rewrites every stored API key / OAuth token in public.users and public.workspaces under the primary key from SECRETS_KEYS.
+// Covers legacy XOR values and values under a previous key id; run it after adding a new primary key,
+// and again after the first run to confirm nothing is left. Safe to re-run: values already under the
+// primary key are skipped, and a row changed meanwhile (e.g. a token refresh) is left for the next run.
+//
+// Usage: SUPABASE_DB_URL=... JWT_SECRET=... SECRETS_KEYS=... node scripts/reencrypt-secrets.js [--dry-run]
+
+const { createClient } = require('../netlify/functions/_db');
+const { SECRET_COLUMNS, needsReencrypt, reencryptSecret, keyIdOf } = require('../netlify/functions/_secrets');
+
+const BATCH_SIZE = 200;
+
+// Tables holding SECRET_COLUMNS, with a starting value for their id cursor
+const TABLES = [
+  { name: 'users', firstId: 0 },
+  { name: 'workspaces', firstId: '00000000-0000-0000-0000-000000000000' }
+];
+
+async function reencryptTable(client, table, stats, dryRun) {
+  // Only the credential columns this database actually has (migrations add them over time)
+  const cols = await client.query(
+    `select column_name from information_schema.columns
+     where table_schema = 'public' and table_name = $1 and column_name = any($2)`,
+    [table.name, SECRET_COLUMNS]
+  );
+  const columns = cols.rows.map(r => r.column_name);
+  if (!columns.length) { console.log(`No secret columns found on public.${table.name}`); return; }
+  console.log(`Scanning ${table.name}.${columns.join(`, ${table.name}.`)}${dryRun ? ' (dry run)' : ''}`);
+
+  let lastId = table.firstId;
+  for (;;) {
+    const batch = await client.query(
+      `select id, ${columns.join(', ')} from public.${table.name} where id > $1 order by id limit ${BATCH_SIZE}`,
+      [lastId]
+    );
+    if (!batch.rows.length) break;
+    for (const row of batch.rows) {
+      stats.rows++;
+      for (const col of columns) {
+        const stored = row[col];
+        if (!needsReencrypt(stored)) continue;
+        const from = keyIdOf(stored) || 'legacy';
+        stats.byKey[from] = (stats.byKey[from] || 0) + 1;
+        let next;
+        try {
+          next = reencryptSecret(stored);
+        } catch (e) {
+          stats.failed++;
+          console.warn(`${table.name} ${row.id} ${col}: ${e.message}`);
+          continue;
+        }
+        if (dryRun) { stats.rewritten++; continue; }
+        // Compare-and-set so a concurrent token refresh is not overwritten with the old value
+        const res = await client.query(
+          `update public.${table.name} set ${col} = $1 where id = $2 and ${col} = $3`,
+          [next, row.id, stored]
+        );
+        if (res.rowCount) stats.rewritten++; else stats.skipped++;
+      }
+    }
+    lastId = batch.rows[batch.rows.length - 1].id;
+  }
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const client = createClient();
+  await client.connect();
+  const stats = { rows: 0, rewritten: 0, skipped: 0, failed: 0, byKey: {} };
+  try {
+    for (const table of TABLES) await reencryptTable(client, table, stats, dryRun);
+  } finally {
+    await client.end();
+  }
+  console.log(`Rows scanned: ${stats.rows}; ${dryRun ? 'would rewrite' : 'rewritten'}: ${stats.rewritten}; changed meanwhile: ${stats.skipped}; failed: ${stats.failed}`);
+  console.log('Values found per key id:', JSON.stringify(stats.byKey));
+  if (stats.failed) process.exitCode = 1;
+}
+
+main().catch(e => {
+  console.error('Re-encryption failed:', e.message);
+  process.exit(1);
+});
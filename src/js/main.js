@@ -8,12 +8,14 @@ import ApiClient from './modules/api-client.js';
 import ProductSelectionController from './modules/step-controllers/product-selection.js';
 import PrintAreasController from './modules/step-controllers/print-areas.js';
 import DesignGenerationController from './modules/step-controllers/design-generation.js';
+import DraftSync from './modules/draft-sync.js';
 
 class BulklyApp {
   constructor() {
     this.state = StateManager;
     this.api = ApiClient;
     this.controllers = new Map();
+    this.drafts = new DraftSync(this.state, this.api);
     this.initialized = false;
     
     this.initializeEventListeners();
@@ -37,11 +39,27 @@ class BulklyApp {
       this.initializeStepNavigation();
       this.initializeFilterOptions();
       
+      // Undo history of this tab survives reloads
+      this.state.persistHistory('bulklyHistory');
+      
+      // Continue a saved draft (this or another browser) before loading step data
+      try {
+        await this.drafts.restore();
+      } catch (error) {
+        console.warn('Could not restore draft:', error);
+      }
+      
       // Load initial data
       await this.loadInitialData();
       
-      // Set initial step
-      this.showStep(1);
+      // Set initial step (the restored one, if any)
+      this.showStep(this.state.getStateSlice('currentStep') || 1);
+      
+      // Autosave from here on
+      this.drafts.watch();
+      
+      // Send anything queued while offline in an earlier visit
+      this.api.replayQueue();
       
       this.initialized = true;
       console.log('Bulkly App initialized successfully');
@@ -214,6 +232,26 @@ class BulklyApp {
         }
       }
       
+      if (e.target.matches('[data-action="replay-queue"]')) {
+        this.api.replayQueue();
+      }
+      
+      if (e.target.matches('[data-action="retry-failed-requests"]')) {
+        this.api.retryFailed();
+      }
+      
+      if (e.target.matches('[data-action="discard-failed-requests"]')) {
+        this.api.discardFailed();
+      }
+      
+      if (e.target.closest('#undo-action')) {
+        this.undo();
+      }
+      
+      if (e.target.closest('#redo-action')) {
+        this.redo();
+      }
+      
       if (e.target.matches('#next-step')) {
         const currentStep = this.state.getStateSlice('currentStep');
         const completedSteps = this.state.getStateSlice('completedSteps');
@@ -227,6 +265,39 @@ class BulklyApp {
     });
   }
   
+  /**
+   * Undo / redo the last command and refresh the step it belongs to
+   */
+  undo() {
+    if (this.state.undo()) this.refreshCurrentStep();
+  }
+  
+  redo() {
+    if (this.state.redo()) this.refreshCurrentStep();
+  }
+  
+  refreshCurrentStep() {
+    this.updateStepNavigation(this.state.getStateSlice('currentStep'));
+  }
+  
+  /**
+   * Reflect the history in the undo/redo buttons
+   */
+  updateHistoryButtons({ canUndo, canRedo, undoLabel, redoLabel }) {
+    const undoButton = document.getElementById('undo-action');
+    const redoButton = document.getElementById('redo-action');
+    
+    if (undoButton) {
+      undoButton.disabled = !canUndo;
+      undoButton.title = canUndo ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    
+    if (redoButton) {
+      redoButton.disabled = !canRedo;
+      redoButton.title = canRedo ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+  }
+  
   /**
    * Initialize filter options
    */
@@ -332,6 +403,29 @@ class BulklyApp {
       this.updateErrorState(data.value);
     });
     
+    this.state.subscribe('historyChange', (history) => {
+      this.updateHistoryButtons(history);
+    });
+    
+    this.api.onQueueChange((status) => {
+      this.updateOfflineStatus(status);
+    });
+    
+    // Undo/redo shortcuts; text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest && e.target.closest('textarea, [contenteditable="true"], input:not([type="checkbox"]):not([type="radio"]):not([type="button"])')) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.redo();
+      }
+    });
+    
     // Global error handling
     window.addEventListener('error', (e) => {
       console.error('Global error:', e.error);
@@ -366,6 +460,48 @@ class BulklyApp {
     }
   }
   
+  /**
+   * Show the offline queue: calls waiting for the connection, being replayed or rejected
+   */
+  updateOfflineStatus({ online, replaying, pending, failed, event }) {
+    if (event?.sent) {
+      this.showSuccessMessage(`Sent after reconnecting: ${event.sent.label}`);
+    }
+    
+    const container = document.getElementById('offline-status');
+    if (!container) return;
+    
+    const changes = (n) => `${n} change${n === 1 ? '' : 's'}`;
+    let html = '';
+    
+    if (!online) {
+      html = '<i class="fas fa-plug"></i> You are offline.';
+      if (pending.length) html += ` ${changes(pending.length)} will be sent when the connection returns.`;
+    } else if (replaying && pending.length) {
+      html = `<i class="fas fa-sync fa-spin"></i> Sending ${changes(pending.length)} made while offline…`;
+    } else if (pending.length) {
+      html = `${changes(pending.length)} waiting to be sent.
+        <button type="button" class="btn btn-sm btn-link p-0 align-baseline" data-action="replay-queue">Retry now</button>`;
+    }
+    
+    if (failed.length) {
+      html += ` ${changes(failed.length)} could not be sent (${this.escapeHtml(failed[0].label)}: ${this.escapeHtml(failed[0].error)}).
+        <button type="button" class="btn btn-sm btn-link p-0 align-baseline" data-action="retry-failed-requests">Retry</button>
+        <button type="button" class="btn btn-sm btn-link p-0 align-baseline text-danger" data-action="discard-failed-requests">Discard</button>`;
+    }
+    
+    container.innerHTML = html;
+    container.style.display = html ? 'block' : 'none';
+  }
+  
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
   /**
    * Update error state UI
    */
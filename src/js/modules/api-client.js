@@ -3,6 +3,8 @@
  * Handles all external API calls with rate limiting, caching, and error handling
  */
 
+import OfflineQueue from './offline-queue.js';
+
 class ApiClient {
   constructor() {
     this.baseUrls = {
@@ -23,6 +25,17 @@ class ApiClient {
     };
     
     this.defaultCacheTtl = 5 * 60 * 1000; // 5 minutes
+    
+    // Mutating calls made while offline wait here and are replayed when the connection returns
+    this.offlineQueue = new OfflineQueue();
+    this.queueListeners = new Set();
+    this.replaying = null;
+    this.replayTimer = null;
+    
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.replayQueue());
+      window.addEventListener('offline', () => this.notifyQueue());
+    }
   }
   
   // Generic Printful proxy caller
@@ -49,7 +62,12 @@ class ApiClient {
   }
   
   /**
-   * Generic HTTP request with rate limiting and caching
+   * Generic HTTP request with rate limiting and caching.
+   *
+   * Mutating calls can opt into the offline queue: offline: 'queue' queues the call when the network
+   * is down or it fails without a response; 'queue-unsent' only when the browser is offline before
+   * sending (for endpoints without idempotency support). Queued calls resolve to { queued: true }.
+   * They carry an Idempotency-Key header, also on retries, so a replay never creates twice.
    */
   async request(service, endpoint, options = {}) {
     const {
@@ -59,9 +77,20 @@ class ApiClient {
       cache = true,
       cacheTtl = this.defaultCacheTtl,
       retries = 3,
-      timeout = 30000
+      timeout = 30000,
+      offline = null,
+      idempotencyKey = null,
+      label = null
     } = options;
     
+    const queueable = !!offline && method !== 'GET';
+    const key = idempotencyKey || (queueable ? this.newIdempotencyKey() : null);
+    const queueEntry = () => this.enqueue({ service, endpoint, method, headers, body, idempotencyKey: key, label });
+    
+    if (queueable && this.isOffline()) {
+      return queueEntry();
+    }
+    
     const url = `${this.baseUrls[service]}${endpoint}`;
     const cacheKey = `${method}:${url}:${JSON.stringify(body)}`;
     
@@ -78,7 +107,8 @@ class ApiClient {
       method,
       headers: {
         'Content-Type': 'application/json',
-        ...headers
+        ...headers,
+        ...(key ? { 'Idempotency-Key': key } : {})
       },
       signal: AbortSignal.timeout(timeout)
     };
@@ -125,6 +155,11 @@ class ApiClient {
       }
     }
     
+    // No response at all (network down, timeout): keep the call for later
+    if (queueable && !this.httpStatus(lastError) && (offline === 'queue' || this.isOffline())) {
+      return queueEntry();
+    }
+    
     throw lastError;
   }
   
@@ -179,10 +214,28 @@ class ApiClient {
   
   async createPrintfulProduct(payload) {
     // Use server function that handles uploads + creation + optional images
-    const res = await this.netlify('printful-create-product', payload);
+    const res = await this.netlify('printful-create-product', payload, {
+      offline: 'queue',
+      label: `Create ${payload?.title || payload?.name || 'Printful product'}`
+    });
     return res;
   }
-  
+
+  /**
+   * Render a placement's print file server-side from the design URL, its { x, y, scale, rotation }
+   * override and the printfile spec; upload: 'printful' stores it in the Printful File Library
+   */
+  async composeDesign({ imageUrl, transform, printfile, placement, upload = null, filename }) {
+    return this.netlify('compose-design', {
+      image_url: imageUrl,
+      transform: transform || {},
+      printfile,
+      placement,
+      ...(upload ? { upload } : {}),
+      ...(filename ? { filename } : {})
+    });
+  }
+
   /**
    * Printify API methods
    */
@@ -190,7 +243,7 @@ class ApiClient {
     return this.request('printify', endpoint, {
       ...options,
       headers: {
-        'Authorization': `Bearer ${this.getPrintifyToken()}`,
+        ...this.authHeaders('printify'),
         ...options.headers
       }
     });
@@ -205,27 +258,52 @@ class ApiClient {
   }
   
   async createPrintifyProduct(shopId, data) {
+    // Printify ignores Idempotency-Key, so only calls that never left the browser are queued
     return this.printify(`/shops/${shopId}/products.json`, {
       method: 'POST',
       body: data,
-      cache: false
+      cache: false,
+      offline: 'queue-unsent',
+      label: `Create ${data?.title || 'Printify product'}`
     });
   }
   
   /**
    * Netlify Functions methods - integrated with existing functions
    */
-  async netlify(functionName, data = {}) {
+  async netlify(functionName, data = {}, options = {}) {
     return this.request('netlify', `/${functionName}`, {
+      ...options,
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.getAuthToken() || ''}`
-      },
+      headers: this.authHeaders('netlify'),
       body: data,
       cache: false
     });
   }
   
+  /**
+   * Bulk wizard drafts, stored through save-bulk-context / get-bulk-context
+   */
+  async saveBulkDraft(payload) {
+    return this.netlify('save-bulk-context', payload);
+  }
+  
+  async getBulkDraft(sessionId) {
+    const res = await this.request('netlify', `/get-bulk-context?sessionId=${encodeURIComponent(sessionId)}`, {
+      headers: this.authHeaders('netlify'),
+      cache: false
+    });
+    return res?.data || null;
+  }
+  
+  async listBulkDrafts(limit = 20) {
+    const res = await this.request('netlify', `/list-bulk-contexts?limit=${encodeURIComponent(String(limit))}`, {
+      headers: this.authHeaders('netlify'),
+      cache: false
+    });
+    return Array.isArray(res?.data) ? res.data : [];
+  }
+  
   /**
    * Generate AI content using existing generate-content function
    * Supports: title, description, tags, key-features, materials, product-content
@@ -332,9 +410,144 @@ class ApiClient {
   
   /**
    * Add model using existing add-model function
+   * add-model ignores idempotency keys, so the call is queued only if it was never sent
    */
   async addModel(modelData) {
-    return this.netlify('add-model', modelData);
+    return this.netlify('add-model', modelData, { offline: 'queue-unsent', label: `Add model ${modelData?.name || ''}`.trim() });
+  }
+  
+  /**
+   * Offline queue
+   */
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+  
+  newIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+  
+  // Status code of an error thrown by request(), or null when there was no response
+  httpStatus(error) {
+    const match = /^HTTP (\d{3})/.exec(error?.message || '');
+    return match ? parseInt(match[1], 10) : null;
+  }
+  
+  async enqueue({ service, endpoint, method, headers, body, idempotencyKey, label }) {
+    // Credentials are added again when the call is replayed; tokens may have been refreshed by then
+    const { Authorization, ...storedHeaders } = headers || {};
+    const entry = {
+      id: idempotencyKey,
+      idempotencyKey,
+      service,
+      endpoint,
+      method,
+      headers: storedHeaders,
+      body,
+      label: label || `${method} ${endpoint}`,
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      createdAt: Date.now()
+    };
+    await this.offlineQueue.put(entry);
+    this.notifyQueue({ queued: entry });
+    return { success: false, queued: true, idempotencyKey, message: `${entry.label} will be sent when the connection returns` };
+  }
+  
+  /**
+   * Send queued calls in order. Stops at the first call that still gets no response (and tries again
+   * later); calls the server rejects are kept as failed for the user to retry or discard.
+   */
+  async replayQueue() {
+    if (!this.replaying) {
+      this.replaying = this.replayPending().finally(() => {
+        this.replaying = null;
+        this.notifyQueue();
+      });
+      this.notifyQueue();
+    }
+    return this.replaying;
+  }
+  
+  async replayPending() {
+    clearTimeout(this.replayTimer);
+    if (this.isOffline()) return;
+    
+    const entries = (await this.offlineQueue.all()).filter(entry => entry.status === 'pending');
+    for (const entry of entries) {
+      try {
+        const result = await this.request(entry.service, entry.endpoint, {
+          method: entry.method,
+          headers: { ...entry.headers, ...this.authHeaders(entry.service) },
+          body: entry.body,
+          cache: false,
+          retries: 0,
+          idempotencyKey: entry.idempotencyKey
+        });
+        await this.offlineQueue.remove(entry.id);
+        this.notifyQueue({ sent: entry, result });
+      } catch (error) {
+        const status = this.httpStatus(error);
+        const attempts = entry.attempts + 1;
+        
+        if (status && status < 500 && ![401, 408, 429].includes(status)) {
+          await this.offlineQueue.put({ ...entry, status: 'failed', attempts, error: error.message });
+          this.notifyQueue({ failed: entry, error });
+          continue;
+        }
+        
+        // Unreachable, signed out or overloaded: keep the order and try again later
+        await this.offlineQueue.put({ ...entry, attempts, error: error.message });
+        this.replayTimer = setTimeout(() => this.replayQueue(), Math.min(5 * 60 * 1000, 5000 * Math.pow(2, Math.min(attempts, 6))));
+        return;
+      }
+    }
+  }
+  
+  async retryFailed() {
+    const entries = await this.offlineQueue.all();
+    for (const entry of entries.filter(e => e.status === 'failed')) {
+      await this.offlineQueue.put({ ...entry, status: 'pending' });
+    }
+    return this.replayQueue();
+  }
+  
+  async discardFailed() {
+    const entries = await this.offlineQueue.all();
+    for (const entry of entries.filter(e => e.status === 'failed')) {
+      await this.offlineQueue.remove(entry.id);
+    }
+    this.notifyQueue();
+  }
+  
+  /**
+   * Listen for queue changes; the callback gets { online, replaying, pending, failed, event }
+   */
+  onQueueChange(callback) {
+    this.queueListeners.add(callback);
+    this.notifyQueue();
+    return () => this.queueListeners.delete(callback);
+  }
+  
+  async notifyQueue(event = null) {
+    if (!this.queueListeners.size) return;
+    const entries = await this.offlineQueue.all();
+    const status = {
+      online: !this.isOffline(),
+      replaying: !!this.replaying,
+      pending: entries.filter(e => e.status === 'pending'),
+      failed: entries.filter(e => e.status === 'failed'),
+      event
+    };
+    this.queueListeners.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.error('Error in offline queue listener:', error);
+      }
+    });
   }
   
   /**
@@ -442,6 +655,12 @@ class ApiClient {
     }
   }
   
+  authHeaders(service) {
+    if (service === 'netlify') return { 'Authorization': `Bearer ${this.getAuthToken() || ''}` };
+    if (service === 'printify') return { 'Authorization': `Bearer ${this.getPrintifyToken()}` };
+    return {};
+  }
+  
   getPrintfulToken() {
     // In production, this should come from secure storage
     return localStorage.getItem('printful_token') || process.env.PRINTFUL_TOKEN;
@@ -0,0 +1,180 @@
+/**
+ * Draft Sync Module
+ * Autosaves the wizard state as a server-side draft and restores it on any browser
+ */
+
+const PAGE = '/src/index.html';
+const DRAFT_ID_KEY = 'bulklyWizardDraftId';
+
+class DraftSync {
+  constructor(stateManager, apiClient, options = {}) {
+    this.state = stateManager;
+    this.api = apiClient;
+    this.debounceMs = options.debounceMs ?? 2000;
+
+    this.sessionId = null;
+    this.revision = 0;
+    this.timer = null;
+    this.saving = null;
+    this.dirty = false;
+    this.restoring = false;
+    this.disabled = false;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Autosave every state change from now on
+   */
+  watch() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.state.subscribe('stateChange', () => {
+      if (!this.restoring) this.schedule();
+    });
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Pick the draft to continue: ?sessionId= first, then this browser's last draft, then the
+   * workspace's newest draft of this page (e.g. started on another device)
+   */
+  async restore() {
+    const params = new URLSearchParams(window.location.search);
+    let sessionId = params.get('sessionId') || localStorage.getItem(DRAFT_ID_KEY);
+
+    if (!sessionId) {
+      const drafts = await this.api.listBulkDrafts(10);
+      const latest = drafts.find(d => d.hasDraft && d.page === PAGE);
+      if (!latest) return false;
+      const when = new Date(latest.updatedAt).toLocaleString();
+      if (!confirm(`Continue the bulk run you saved on ${when}?`)) return false;
+      sessionId = latest.sessionId;
+    }
+
+    return this.load(sessionId);
+  }
+
+  /**
+   * Load a draft into the state manager and keep saving to it
+   */
+  async load(sessionId) {
+    // This tab's undo history only fits the draft it was made on: keep it when reloading that draft,
+    // drop it for another draft or for a version saved by another browser
+    const sameDraft = !this.sessionId && localStorage.getItem(DRAFT_ID_KEY) === sessionId;
+
+    const draft = await this.api.getBulkDraft(sessionId);
+    this.useSession(sessionId, draft?.revision || 0);
+    if (!draft?.wizardState) return false;
+
+    this.restoring = true;
+    try {
+      this.state.restoreSerialized(draft.wizardState);
+    } finally {
+      this.restoring = false;
+    }
+    if (!sameDraft) this.state.clearHistory();
+    return true;
+  }
+
+  useSession(sessionId, revision) {
+    this.sessionId = sessionId;
+    this.revision = revision;
+    this.disabled = false;
+    try {
+      localStorage.setItem(DRAFT_ID_KEY, sessionId);
+    } catch (_) {}
+  }
+
+  /**
+   * Forget the current draft; the next change starts a new one
+   */
+  startNew() {
+    clearTimeout(this.timer);
+    this.state.clearHistory();
+    this.sessionId = null;
+    this.revision = 0;
+    this.dirty = false;
+    try {
+      localStorage.removeItem(DRAFT_ID_KEY);
+    } catch (_) {}
+  }
+
+  schedule() {
+    if (this.disabled) return;
+    this.dirty = true;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Save now if there are unsaved changes; one save runs at a time
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    if (this.saving) {
+      await this.saving;
+    }
+    if (!this.dirty || this.disabled) return;
+
+    this.dirty = false;
+    this.saving = this.save().finally(() => {
+      this.saving = null;
+    });
+    await this.saving;
+  }
+
+  async save(force = false) {
+    if (!this.sessionId) {
+      this.useSession(`bulkly_${Date.now()}`, 0);
+    }
+
+    const snapshot = this.state.serialize();
+    const selectedProducts = Array.from(this.state.getStateSlice('selectedProducts') || []);
+    try {
+      const res = await this.api.saveBulkDraft({
+        sessionId: this.sessionId,
+        page: PAGE,
+        step: `step${snapshot.state.currentStep}`,
+        selectedProducts,
+        wizardState: snapshot,
+        baseRevision: this.revision,
+        force
+      });
+      this.revision = res.revision;
+    } catch (error) {
+      await this.handleSaveError(error);
+    }
+  }
+
+  async handleSaveError(error) {
+    const message = String(error?.message || '');
+
+    if (message.startsWith('HTTP 409')) {
+      // Saved from another browser since this one loaded it
+      if (confirm('This bulk run was changed in another browser. Load that version? (Cancel keeps this one)')) {
+        await this.load(this.sessionId);
+      } else {
+        const draft = await this.api.getBulkDraft(this.sessionId);
+        this.revision = draft?.revision || 0;
+        await this.save(true);
+      }
+      return;
+    }
+
+    if (message.startsWith('HTTP 413')) {
+      // Retrying would fail the same way; keep working without autosave
+      this.disabled = true;
+      console.warn('Draft is too large to save on the server; autosave is off for this session');
+      return;
+    }
+
+    this.dirty = true;
+    console.warn('Could not save draft:', error);
+  }
+}
+
+export default DraftSync;
@@ -0,0 +1,87 @@
+/**
+ * Offline Queue Module
+ * IndexedDB store of mutating requests waiting to be sent once the network is back
+ */
+
+const DB_NAME = 'bulkly-offline';
+const STORE = 'requests';
+
+class OfflineQueue {
+  constructor() {
+    this.dbPromise = null;
+    this.memory = new Map(); // fallback when IndexedDB is unavailable (e.g. private mode)
+  }
+
+  /**
+   * Open (and create) the database once
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        console.warn('IndexedDB unavailable, offline queue kept in memory only:', error);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the store in its own transaction
+   */
+  async withStore(mode, fn) {
+    const db = await this.open();
+    if (!db) return fn(null);
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Add or replace an entry ({ id, createdAt, ... })
+   */
+  async put(entry) {
+    await this.withStore('readwrite', store => {
+      if (!store) {
+        this.memory.set(entry.id, entry);
+        return null;
+      }
+      return store.put(entry);
+    });
+  }
+
+  async remove(id) {
+    await this.withStore('readwrite', store => {
+      if (!store) {
+        this.memory.delete(id);
+        return null;
+      }
+      return store.delete(id);
+    });
+  }
+
+  /**
+   * All entries, oldest first
+   */
+  async all() {
+    const entries = await this.withStore('readonly', store => (store ? store.getAll() : null));
+    return (entries || Array.from(this.memory.values())).sort((a, b) => a.createdAt - b.createdAt);
+  }
+}
+
+export default OfflineQueue;
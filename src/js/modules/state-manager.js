@@ -61,8 +61,21 @@ class StateManager {
     };
     
     this.listeners = new Map(); // event -> Set of callbacks
-    this.history = []; // State history for undo/redo
+    
+    // Command history: entries are { label, timestamp, coalesce, before, after } where before/after
+    // hold the top-level keys the command changed
+    this.history = []; // undo stack
+    this.future = []; // redo stack
     this.maxHistorySize = 50;
+    this.coalesceWindowMs = 1500;
+    this.pendingCommand = null;
+    this.historyStorageKey = null;
+    
+    // Loaded or derived at runtime; left out of serialized snapshots
+    this.transientKeys = new Set([
+      'allProducts', 'filteredProducts', 'generationProgress', 'publishingProgress',
+      'loading', 'error', 'modals', 'rateLimits'
+    ]);
   }
   
   /**
@@ -91,24 +104,37 @@ class StateManager {
   }
   
   /**
-   * Update state with validation and history tracking
+   * Update state with validation. Top-level keys are deep-merged unless replace is set. Passing a
+   * label records the update as an undoable command; inside record() it becomes part of that command
+   * unless skipHistory is set.
    */
   updateState(updates, options = {}) {
-    const { skipHistory = false, validate = true } = options;
+    const { skipHistory = false, validate = true, replace = false, label = null, coalesce = null } = options;
+    
+    if (label && !skipHistory && !this.pendingCommand) {
+      this.record(label, () => this.updateState(updates, { validate, replace }), { coalesce });
+      return;
+    }
     
     // Validate updates if enabled
     if (validate && !this.validateStateUpdate(updates)) {
       throw new Error('Invalid state update');
     }
     
-    // Save current state to history
-    if (!skipHistory) {
-      this.saveToHistory();
+    // Remember the values the running command changes
+    if (this.pendingCommand && !skipHistory) {
+      this.captureBefore(this.pendingCommand, Object.keys(updates));
     }
     
     // Apply updates
     const previousState = this.deepClone(this.state);
-    this.mergeDeep(this.state, updates);
+    if (replace) {
+      for (const [key, value] of Object.entries(updates)) {
+        this.state[key] = this.deepClone(value);
+      }
+    } else {
+      this.mergeDeep(this.state, updates);
+    }
     
     // Emit change events
     this.emitStateChange(previousState, this.state, updates);
@@ -119,7 +145,7 @@ class StateManager {
    */
   resetState() {
     const initialState = new StateManager().state;
-    this.updateState(initialState, { skipHistory: false });
+    this.updateState(initialState, { label: 'Reset wizard' });
   }
   
   /**
@@ -156,12 +182,13 @@ class StateManager {
   /**
    * Emit state change events
    */
-  emitStateChange(previousState, currentState, updates) {
+  emitStateChange(previousState, currentState, updates, meta = {}) {
     const changeEvent = {
       previousState: this.deepClone(previousState),
       currentState: this.deepClone(currentState),
       updates: this.deepClone(updates),
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ...meta
     };
     
     // Emit general state change
@@ -199,31 +226,260 @@ class StateManager {
   }
   
   /**
-   * Save current state to history
+   * Run fn as one undoable command labelled e.g. "Deselected 12 products". Updates made inside it
+   * are recorded together; consecutive commands with the same coalesce key (e.g. dragging one design)
+   * merge into a single entry.
    */
-  saveToHistory() {
-    this.history.push(this.deepClone(this.state));
+  record(label, fn, options = {}) {
+    // Nested commands are part of the outer one
+    if (this.pendingCommand) return fn();
     
-    // Limit history size
-    if (this.history.length > this.maxHistorySize) {
-      this.history.shift();
+    const command = { label, coalesce: options.coalesce || null, before: {} };
+    this.pendingCommand = command;
+    let result;
+    try {
+      result = fn();
+    } finally {
+      this.pendingCommand = null;
+    }
+    this.commitCommand(command);
+    return result;
+  }
+  
+  /**
+   * Store the current value of each persistable key the command has not touched yet
+   */
+  captureBefore(command, keys) {
+    for (const key of keys) {
+      if (!this.transientKeys.has(key) && !(key in command.before)) {
+        command.before[key] = this.deepClone(this.state[key]);
+      }
+    }
+  }
+  
+  /**
+   * Push a finished command onto the undo stack (no-op commands are dropped)
+   */
+  commitCommand(command) {
+    const keys = Object.keys(command.before);
+    const after = {};
+    for (const key of keys) {
+      after[key] = this.deepClone(this.state[key]);
+    }
+    const changed = keys.some(key =>
+      JSON.stringify(this.encodeValue(command.before[key])) !== JSON.stringify(this.encodeValue(after[key]))
+    );
+    if (!changed) return;
+    
+    const last = this.history[this.history.length - 1];
+    const now = Date.now();
+    if (command.coalesce && last && last.coalesce === command.coalesce &&
+        now - last.timestamp < this.coalesceWindowMs && this.future.length === 0) {
+      for (const key of keys) {
+        if (!(key in last.before)) last.before[key] = command.before[key];
+        last.after[key] = after[key];
+      }
+      last.label = command.label;
+      last.timestamp = now;
+    } else {
+      this.history.push({ label: command.label, timestamp: now, coalesce: command.coalesce, before: command.before, after });
+      if (this.history.length > this.maxHistorySize) {
+        this.history.shift();
+      }
     }
+    this.future = [];
+    this.historyChanged();
   }
   
   /**
-   * Undo last state change
+   * Undo the last command; returns its label, or null when there is nothing to undo
    */
   undo() {
-    if (this.history.length > 0) {
-      const previousState = this.history.pop();
-      this.state = previousState;
-      this.emit('stateChange', {
-        previousState: this.state,
-        currentState: this.state,
-        updates: {},
-        timestamp: Date.now(),
-        isUndo: true
-      });
+    const entry = this.history.pop();
+    if (!entry) return null;
+    this.future.push(entry);
+    this.applyHistoryValues(entry.before, { isUndo: true, label: entry.label });
+    this.historyChanged();
+    return entry.label;
+  }
+  
+  /**
+   * Redo the last undone command; returns its label, or null when there is nothing to redo
+   */
+  redo() {
+    const entry = this.future.pop();
+    if (!entry) return null;
+    this.history.push(entry);
+    this.applyHistoryValues(entry.after, { isRedo: true, label: entry.label });
+    this.historyChanged();
+    return entry.label;
+  }
+  
+  canUndo() {
+    return this.history.length > 0;
+  }
+  
+  canRedo() {
+    return this.future.length > 0;
+  }
+  
+  /**
+   * Labels of the undo and redo stacks, most recent first
+   */
+  getHistory() {
+    return {
+      undo: this.history.map(entry => ({ label: entry.label, timestamp: entry.timestamp })).reverse(),
+      redo: this.future.map(entry => ({ label: entry.label, timestamp: entry.timestamp })).reverse()
+    };
+  }
+  
+  clearHistory() {
+    this.history = [];
+    this.future = [];
+    this.historyChanged();
+  }
+  
+  /**
+   * Replace the given keys and notify listeners like a regular update
+   */
+  applyHistoryValues(values, meta) {
+    const previousState = this.deepClone(this.state);
+    for (const [key, value] of Object.entries(values)) {
+      this.state[key] = this.deepClone(value);
+    }
+    this.emitStateChange(previousState, this.state, values, meta);
+  }
+  
+  historyChanged() {
+    this.saveHistory();
+    this.emit('historyChange', {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.history.length ? this.history[this.history.length - 1].label : null,
+      redoLabel: this.future.length ? this.future[this.future.length - 1].label : null
+    });
+  }
+  
+  /**
+   * Keep the history in sessionStorage under storageKey so it survives a page reload
+   */
+  persistHistory(storageKey) {
+    this.historyStorageKey = storageKey;
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(storageKey) || 'null');
+      if (saved && saved.version === 1) {
+        const decode = entry => ({ ...entry, before: this.decodeValue(entry.before), after: this.decodeValue(entry.after) });
+        this.history = saved.undo.map(decode);
+        this.future = saved.redo.map(decode);
+      }
+    } catch (error) {
+      console.warn('Could not restore undo history:', error);
+    }
+    this.historyChanged();
+  }
+  
+  saveHistory() {
+    if (!this.historyStorageKey) return;
+    const encode = entry => ({ ...entry, before: this.encodeValue(entry.before), after: this.encodeValue(entry.after) });
+    
+    // Drop the oldest half of the entries until the history fits into sessionStorage
+    for (let attempt = 0; attempt < 4; attempt++) {
+      try {
+        sessionStorage.setItem(this.historyStorageKey, JSON.stringify({
+          version: 1,
+          undo: this.history.map(encode),
+          redo: this.future.map(encode)
+        }));
+        return;
+      } catch (error) {
+        this.history = this.history.slice(Math.floor(this.history.length / 2));
+        this.future = this.future.slice(Math.floor(this.future.length / 2));
+      }
+    }
+    console.warn('Undo history is too large to keep across reloads');
+  }
+  
+  /**
+   * Serialize the persistable state to plain JSON, tagging Sets, Maps and Dates so they can be restored
+   */
+  serialize() {
+    const state = {};
+    for (const [key, value] of Object.entries(this.state)) {
+      if (!this.transientKeys.has(key)) {
+        state[key] = this.encodeValue(value);
+      }
+    }
+    return { version: 1, savedAt: new Date().toISOString(), state };
+  }
+  
+  /**
+   * Replace the persistable state with a snapshot produced by serialize()
+   */
+  restoreSerialized(snapshot) {
+    if (!snapshot || snapshot.version !== 1 || !snapshot.state || typeof snapshot.state !== 'object') {
+      throw new Error('Unsupported state snapshot');
+    }
+    
+    // Replace rather than merge: persistable keys missing from the snapshot go back to their initial
+    // values, so nothing from the current session (e.g. overrides) lingers
+    const initialState = new StateManager().state;
+    const restored = {};
+    for (const key of Object.keys(this.state)) {
+      if (this.transientKeys.has(key)) continue;
+      restored[key] = Object.prototype.hasOwnProperty.call(snapshot.state, key)
+        ? this.decodeValue(snapshot.state[key])
+        : initialState[key];
+    }
+    if (!this.validateStateUpdate(restored)) {
+      throw new Error('Invalid state snapshot');
+    }
+    
+    const previousState = this.deepClone(this.state);
+    Object.assign(this.state, restored);
+    this.emitStateChange(previousState, this.state, restored);
+  }
+  
+  /**
+   * Encode a state value as JSON-safe data
+   */
+  encodeValue(value) {
+    if (value instanceof Set) return { __type: 'Set', values: [...value].map(item => this.encodeValue(item)) };
+    if (value instanceof Map) {
+      return { __type: 'Map', entries: [...value].map(([key, item]) => [this.encodeValue(key), this.encodeValue(item)]) };
+    }
+    if (value instanceof Date) return { __type: 'Date', value: value.toISOString() };
+    if (Array.isArray(value)) return value.map(item => this.encodeValue(item));
+    if (value && typeof value === 'object') {
+      const encoded = {};
+      for (const [key, item] of Object.entries(value)) {
+        encoded[key] = this.encodeValue(item);
+      }
+      return encoded;
+    }
+    return value;
+  }
+  
+  /**
+   * Decode a value produced by encodeValue()
+   */
+  decodeValue(value) {
+    if (Array.isArray(value)) return value.map(item => this.decodeValue(item));
+    if (!value || typeof value !== 'object') return value;
+    
+    switch (value.__type) {
+      case 'Set':
+        return new Set(value.values.map(item => this.decodeValue(item)));
+      case 'Map':
+        return new Map(value.entries.map(([key, item]) => [this.decodeValue(key), this.decodeValue(item)]));
+      case 'Date':
+        return new Date(value.value);
+      default: {
+        const decoded = {};
+        for (const [key, item] of Object.entries(value)) {
+          decoded[key] = this.decodeValue(item);
+        }
+        return decoded;
+      }
     }
   }
   
@@ -245,8 +501,8 @@ class StateManager {
   deepClone(obj) {
     if (obj === null || typeof obj !== 'object') return obj;
     if (obj instanceof Date) return new Date(obj);
-    if (obj instanceof Set) return new Set([...obj]);
-    if (obj instanceof Map) return new Map([...obj]);
+    if (obj instanceof Set) return new Set([...obj].map(item => this.deepClone(item)));
+    if (obj instanceof Map) return new Map([...obj].map(([key, value]) => [key, this.deepClone(value)]));
     if (Array.isArray(obj)) return obj.map(item => this.deepClone(item));
     
     const cloned = {};
@@ -171,6 +171,40 @@ class DesignGenerationController {
     }
   }
 
+  /**
+   * Fine-tune one placement's design ({ x, y, scale, rotation }); a drag of the same design
+   * becomes a single undo step
+   */
+  setPlacementOverride(productId, placement, changes) {
+    const overrides = this.state.getStateSlice('step5PlacementOverrides') || {};
+    const current = overrides[productId]?.[placement] || {};
+    const next = { ...current, ...changes };
+    
+    let verb = 'Moved';
+    if ('rotation' in changes && next.rotation !== current.rotation) verb = 'Rotated';
+    if ('scale' in changes && next.scale !== current.scale) verb = 'Resized';
+    
+    this.state.updateState(
+      { step5PlacementOverrides: { ...overrides, [productId]: { ...(overrides[productId] || {}), [placement]: next } } },
+      { label: `${verb} ${placement} design`, coalesce: `override:${productId}:${placement}` }
+    );
+  }
+  
+  /**
+   * Drop the fine-tuning of one placement
+   */
+  resetPlacementOverride(productId, placement) {
+    const overrides = this.state.getStateSlice('step5PlacementOverrides') || {};
+    if (!overrides[productId]?.[placement]) return;
+    
+    const productOverrides = { ...overrides[productId] };
+    delete productOverrides[placement];
+    const next = { ...overrides, [productId]: productOverrides };
+    
+    // Replaced as a whole: a merge would keep the removed placement
+    this.state.updateState({ step5PlacementOverrides: next }, { replace: true, label: `Reset ${placement} design` });
+  }
+
   renderGenerated(resultsMap) {
     const card = document.getElementById('generatedImagesCard');
     const container = document.getElementById('generatedImagesContainer');
@@ -190,6 +190,7 @@ class PrintAreasController {
     }
     
     const productPrintAreas = printAreas.get(productId);
+    const areaName = productPrintAreas.areas.get(areaId)?.name || areaId;
     
     if (isSelected) {
       productPrintAreas.positions.add(areaId);
@@ -197,8 +198,10 @@ class PrintAreasController {
       productPrintAreas.positions.delete(areaId);
     }
     
-    this.state.updateState({ printAreas });
-    this.updateStepCompletion();
+    this.state.record(`${isSelected ? 'Selected' : 'Deselected'} ${areaName} on ${this.productTitle(productId)}`, () => {
+      this.state.updateState({ printAreas });
+      this.updateStepCompletion();
+    });
   }
   
   /**
@@ -214,8 +217,10 @@ class PrintAreasController {
     
     productPrintAreas.positions = new Set(allAreaIds);
     
-    this.state.updateState({ printAreas });
-    this.updateStepCompletion();
+    this.state.record(`Selected all print areas on ${this.productTitle(productId)}`, () => {
+      this.state.updateState({ printAreas });
+      this.updateStepCompletion();
+    });
   }
   
   /**
@@ -229,8 +234,18 @@ class PrintAreasController {
     const productPrintAreas = printAreas.get(productId);
     productPrintAreas.positions.clear();
     
-    this.state.updateState({ printAreas });
-    this.updateStepCompletion();
+    this.state.record(`Cleared print areas on ${this.productTitle(productId)}`, () => {
+      this.state.updateState({ printAreas });
+      this.updateStepCompletion();
+    });
+  }
+  
+  /**
+   * Title of a product for history labels
+   */
+  productTitle(productId) {
+    const product = (this.state.getStateSlice('allProducts') || []).find(p => p.id === productId);
+    return product ? product.title : 'product';
   }
   
   /**
@@ -587,7 +602,7 @@ class PrintAreasController {
           const idx = arr.findIndex(o => String(o?.name) === String(name));
           if (idx >= 0) arr[idx] = { name, value }; else arr.push({ name, value });
           current[productId] = arr;
-          this.state.updateState({ productOptions: current });
+          this.state.updateState({ productOptions: current }, { label: `Set ${name} to ${value} on ${this.productTitle(productId)}` });
         }
       }
     });
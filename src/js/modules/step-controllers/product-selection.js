@@ -64,30 +64,69 @@ class ProductSelectionController {
    * Toggle product selection
    */
   toggleProduct(productId, isSelected) {
+    const label = `${isSelected ? 'Selected' : 'Deselected'} ${this.productTitle(productId)}`;
+    this.state.record(label, () => {
+      const selectedProducts = new Set(this.state.getStateSlice('selectedProducts'));
+      
+      if (isSelected) {
+        selectedProducts.add(productId);
+      } else {
+        selectedProducts.delete(productId);
+        
+        // Clean up related state
+        const printAreas = new Map(this.state.getStateSlice('printAreas'));
+        const selectedImages = new Map(this.state.getStateSlice('selectedImages'));
+        
+        printAreas.delete(productId);
+        selectedImages.delete(productId);
+        
+        this.state.updateState({
+          selectedProducts,
+          printAreas,
+          selectedImages
+        });
+        return;
+      }
+      
+      this.state.updateState({ selectedProducts });
+      this.updateStepCompletion();
+    });
+  }
+  
+  /**
+   * Select or deselect several products as one undoable step
+   */
+  setProductsSelected(productIds, isSelected) {
     const selectedProducts = new Set(this.state.getStateSlice('selectedProducts'));
+    const changed = productIds.filter(id => selectedProducts.has(id) !== isSelected);
+    if (!changed.length) return;
     
-    if (isSelected) {
-      selectedProducts.add(productId);
-    } else {
-      selectedProducts.delete(productId);
-      
-      // Clean up related state
+    const label = `${isSelected ? 'Selected' : 'Deselected'} ${changed.length} product${changed.length === 1 ? '' : 's'}`;
+    this.state.record(label, () => {
       const printAreas = new Map(this.state.getStateSlice('printAreas'));
       const selectedImages = new Map(this.state.getStateSlice('selectedImages'));
       
-      printAreas.delete(productId);
-      selectedImages.delete(productId);
-      
-      this.state.updateState({
-        selectedProducts,
-        printAreas,
-        selectedImages
+      changed.forEach(id => {
+        if (isSelected) {
+          selectedProducts.add(id);
+        } else {
+          selectedProducts.delete(id);
+          printAreas.delete(id);
+          selectedImages.delete(id);
+        }
       });
-      return;
-    }
-    
-    this.state.updateState({ selectedProducts });
-    this.updateStepCompletion();
+      
+      this.state.updateState({ selectedProducts, printAreas, selectedImages });
+      this.updateStepCompletion();
+    });
+  }
+  
+  /**
+   * Title of a product for history labels
+   */
+  productTitle(productId) {
+    const product = this.state.getStateSlice('allProducts').find(p => p.id === productId);
+    return product ? product.title : 'product';
   }
   
   /**
@@ -388,6 +427,14 @@ class ProductSelectionController {
         const productId = e.target.dataset.productId;
         this.toggleProduct(productId, e.target.checked);
       }
+      
+      if (e.target.matches('[data-action="select-visible-products"]')) {
+        this.setProductsSelected(this.state.getStateSlice('filteredProducts').map(p => p.id), true);
+      }
+      
+      if (e.target.matches('[data-action="clear-selected-products"]')) {
+        this.setProductsSelected(Array.from(this.state.getStateSlice('selectedProducts')), false);
+      }
     });
     
     document.addEventListener('input', (e) => {
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { stubModule, loadFunction } = require('./helpers/functions');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// users rows, and workspace_members rows with their joined workspace; eq() follows dotted paths
+let tables;
+function query(name) {
+  const filters = [];
+  const pick = (row, path) => path.split('.').reduce((v, k) => (v == null ? v : v[k]), row);
+  const run = () => tables[name].filter(row => filters.every(f => f(row))).map(row => structuredClone(row));
+  const builder = {
+    select() { return builder; },
+    eq(path, value) { filters.push(row => String(pick(row, path)) === String(value)); return builder; },
+    limit(n) { return Promise.resolve({ data: run().slice(0, n), error: null }); },
+    maybeSingle() { return Promise.resolve({ data: run()[0] || null, error: null }); }
+  };
+  return builder;
+}
+stubModule('./_supabase_node', { getSupabase: () => ({ from: query }) });
+
+const { authenticate } = loadFunction('_auth');
+const { runnerAuthHeader } = loadFunction('_quick_jobs');
+
+// authenticate caches users for a minute, so every test uses its own user id
+let nextUser = 1;
+function addUser(sessionsRevokedAt = null) {
+  const id = String(nextUser++);
+  tables.users.push({ id, email: `user${id}@example.com`, name: 'User', sessions_revoked_at: sessionsRevokedAt });
+  tables.workspace_members.push({ user_id: id, workspace_id: `ws${id}`, role: 'owner', workspaces: { id: `ws${id}`, name: 'Personal', personal: true, created_by: id } });
+  return id;
+}
+
+const sessionToken = (userId, iat) => jwt.sign({ sub: userId, iat }, process.env.JWT_SECRET, { expiresIn: '15m' });
+const withBearer = (authorization) => ({ headers: { authorization } });
+
+async function rejectsRevoked(promise) {
+  await assert.rejects(promise, (e) => {
+    assert.equal(e.statusCode, 401);
+    assert.equal(e.reason, 'session_revoked');
+    return true;
+  });
+}
+
+test.beforeEach(() => {
+  tables = { users: [], workspace_members: [] };
+});
+
+test('tokens issued before logout everywhere are rejected', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const userId = addUser(new Date(now * 1000).toISOString());
+  await rejectsRevoked(authenticate(withBearer(`Bearer ${sessionToken(userId, now - 60)}`)));
+});
+
+test('a token issued in the same second as logout everywhere still works', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  // The cut-off falls late in the second the new token was signed in
+  const userId = addUser(new Date(now * 1000 + 900).toISOString());
+  const auth = await authenticate(withBearer(`Bearer ${sessionToken(userId, now)}`));
+  assert.equal(auth.userId, userId);
+  assert.equal(auth.workspace.id, `ws${userId}`);
+});
+
+test('runner tokens issued before logout everywhere are rejected too', async () => {
+  const userId = addUser(new Date(Date.now() + 5000).toISOString());
+  await rejectsRevoked(authenticate(withBearer(runnerAuthHeader(userId, `ws${userId}`)), { scopes: ['jobs'] }));
+});
+
+test('runner tokens carry only the runner scopes', async () => {
+  const userId = addUser();
+  const header = runnerAuthHeader(userId, `ws${userId}`);
+  assert.deepEqual((await authenticate(withBearer(header), { scopes: ['jobs'] })).scopes, ['jobs', 'products', 'ai']);
+  await assert.rejects(authenticate(withBearer(header), { scopes: ['credentials'] }), { reason: 'missing_scope' });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFunction } = require('./helpers/functions');
+
+const { parseCron, nextRun } = loadFunction('_cron');
+
+const at = (iso) => new Date(iso);
+
+test('parses lists, ranges and steps', () => {
+  const c = parseCron('*/15 9-17/4 1,15 * 1-5');
+  assert.deepEqual([...c.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...c.hour], [9, 13, 17]);
+  assert.deepEqual([...c.dom], [1, 15]);
+  assert.equal(c.month.size, 12);
+  assert.deepEqual([...c.dow], [1, 2, 3, 4, 5]);
+});
+
+test('accepts 7 as Sunday', () => {
+  assert.ok(parseCron('0 0 * * 7').dow.has(0));
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 9 * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid cron minute/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid cron hour/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+  assert.throws(() => parseCron('* * 0 * *'), /Invalid cron day of month/);
+});
+
+test('nextRun is strictly after the given time, in UTC', () => {
+  assert.deepEqual(nextRun('0 9 * * *', at('2024-03-10T08:59:30Z')), at('2024-03-10T09:00:00Z'));
+  assert.deepEqual(nextRun('0 9 * * *', at('2024-03-10T09:00:00Z')), at('2024-03-11T09:00:00Z'));
+});
+
+test('nextRun finds the next weekday and rolls over months and years', () => {
+  // 2024-03-10 is a Sunday
+  assert.deepEqual(nextRun('0 9 * * 1', at('2024-03-10T12:00:00Z')), at('2024-03-11T09:00:00Z'));
+  assert.deepEqual(nextRun('30 0 1 * *', at('2024-12-15T00:00:00Z')), at('2025-01-01T00:30:00Z'));
+});
+
+test('a day matches either restricted day field', () => {
+  // The 15th, or any Friday: 2024-03-15 is a Friday, 2024-03-08 the Friday before it
+  assert.deepEqual(nextRun('0 0 15 * 5', at('2024-03-02T00:00:00Z')), at('2024-03-08T00:00:00Z'));
+});
+
+test('a day field with a * step still counts as unrestricted', () => {
+  // Odd days that are Mondays: 2024-03-03 is an odd Sunday, 2024-03-04 an even Monday, 2024-03-11 both
+  assert.deepEqual(nextRun('0 0 */2 * 1', at('2024-03-02T00:00:00Z')), at('2024-03-11T00:00:00Z'));
+  // */7 is Sunday only, so this is the first Sunday that falls on the 1st
+  assert.deepEqual(nextRun('0 0 1 * */7', at('2024-03-02T00:00:00Z')), at('2024-09-01T00:00:00Z'));
+});
+
+test('nextRun returns null for dates that never come', () => {
+  assert.equal(nextRun('0 0 31 2 *', at('2024-01-01T00:00:00Z')), null);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFunction } = require('./helpers/functions');
+
+const { parseCsv, csvToObjects, toCsv } = loadFunction('_csv');
+
+test('parses quoted fields with commas, escaped quotes and newlines', () => {
+  const rows = parseCsv('prompt,tags\r\n"Cat, in a hat","say ""meow""\nloud"\r\n');
+  assert.deepEqual(rows, [['prompt', 'tags'], ['Cat, in a hat', 'say "meow"\nloud']]);
+});
+
+test('handles LF, a byte order mark, blank lines and a missing final newline', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\n\n1,2\n ,\n3,'), [['a', 'b'], ['1', '2'], ['3', '']]);
+});
+
+test('rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a\n"open'), /Unterminated quoted field/);
+});
+
+test('csvToObjects keys rows by trimmed header and records the sheet line', () => {
+  const { headers, records } = csvToObjects(' prompt , style\nA cat ,retro\nA dog\n');
+  assert.deepEqual(headers, ['prompt', 'style']);
+  assert.deepEqual(records, [
+    { line: 2, prompt: 'A cat', style: 'retro' },
+    { line: 3, prompt: 'A dog', style: '' }
+  ]);
+});
+
+test('csvToObjects of an empty sheet has no headers or records', () => {
+  assert.deepEqual(csvToObjects(''), { headers: [], records: [] });
+});
+
+test('toCsv quotes when needed, joins lists and keeps formulas as text', () => {
+  const csv = toCsv(['title', 'tags', 'price', 'note'], [
+    ['Tee, "classic"', ['cat', 'hat'], -5, '=HYPERLINK("x")'],
+    [null, [], 12.5, '@home']
+  ]);
+  assert.equal(csv, 'title,tags,price,note\r\n"Tee, ""classic""","cat, hat",-5,"\'=HYPERLINK(""x"")"\r\n,,12.5,\'@home\r\n');
+});
+
+test('toCsv output parses back to the same cells', () => {
+  const rows = [['a\nb', 'c,d', 'e"f']];
+  assert.deepEqual(parseCsv(toCsv(['x', 'y', 'z'], rows)), [['x', 'y', 'z'], ...rows]);
+});
@@ -0,0 +1,43 @@
+// Loads Netlify functions with selected dependencies (database, HTTP, auth) replaced by test doubles.
+// Stubs go into require.cache, so set them up before the first load; node --test runs every test
+// file in its own process.
+
+const path = require('path');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', '..', 'netlify', 'functions');
+
+// `request` is a function module ('./_db') or a package name ('node-fetch')
+function resolveFrom(request) {
+  return request.startsWith('.')
+    ? require.resolve(path.join(FUNCTIONS_DIR, request))
+    : require.resolve(request, { paths: [FUNCTIONS_DIR] });
+}
+
+function stubModule(request, exports) {
+  const filename = resolveFrom(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+}
+
+function loadFunction(name) {
+  return require(path.join(FUNCTIONS_DIR, name));
+}
+
+// pg stand-in: every query goes to handle(sql, params), which returns { rows, rowCount } (or part of it)
+function fakeDb(handle) {
+  const queries = [];
+  class FakeClient {
+    async connect() {}
+    async end() {}
+    async query(sql, params = []) {
+      const text = sql.replace(/\s+/g, ' ').trim();
+      queries.push({ sql: text, params });
+      const result = (await handle(text, params)) || {};
+      const rows = result.rows || [];
+      return { rows, rowCount: result.rowCount !== undefined ? result.rowCount : rows.length };
+    }
+  }
+  return { createClient: () => new FakeClient(), queries };
+}
+
+module.exports = { FUNCTIONS_DIR, stubModule, loadFunction, fakeDb };
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { stubModule, loadFunction, fakeDb } = require('./helpers/functions');
+
+// idempotency_keys rows by user/endpoint/key; times in ms so tests can age them
+let keys;
+let dbDown;
+const rowKey = (params) => params.slice(0, 3).join('|');
+stubModule('./_db', fakeDb((sql, params) => {
+  if (dbDown) throw new Error('connection refused');
+  const id = rowKey(params);
+  const row = keys.get(id);
+  if (sql.startsWith('delete from idempotency_keys') && sql.includes('created_at <')) {
+    if (row && row.created_at < Date.now() - params[3] * 3600 * 1000) keys.delete(id);
+    return {};
+  }
+  if (sql.startsWith('insert into idempotency_keys')) {
+    if (row) return { rowCount: 0 };
+    keys.set(id, { request_hash: params[3], status: 'pending', status_code: null, response: null, resource_id: null, created_at: Date.now(), updated_at: Date.now() });
+    return { rowCount: 1 };
+  }
+  if (sql.startsWith('select request_hash')) {
+    return { rows: row ? [{ ...row, age_ms: Date.now() - row.updated_at }] : [] };
+  }
+  if (sql.startsWith("update idempotency_keys set status = 'completed'")) {
+    Object.assign(row, { status: 'completed', status_code: params[3], response: params[4], resource_id: params[5], updated_at: Date.now() });
+    return { rowCount: 1 };
+  }
+  if (sql.startsWith('update idempotency_keys set updated_at = now()')) {
+    if (!row || row.status !== 'pending' || row.updated_at >= Date.now() - params[3] * 1000) return { rowCount: 0 };
+    row.updated_at = Date.now();
+    return { rowCount: 1 };
+  }
+  if (sql.startsWith('delete from idempotency_keys') && sql.includes("status = 'pending'")) {
+    if (row && row.status === 'pending') keys.delete(id);
+    return {};
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}));
+
+const { withIdempotency } = loadFunction('_idempotency');
+
+const auth = { userId: 'u1' };
+let calls;
+let answer;
+const handler = withIdempotency('create-product', async (event) => {
+  calls++;
+  return answer(event);
+}, { resourceId: body => body.product && body.product.id });
+
+function post(body, key = 'key-1') {
+  const headers = key === null ? {} : { 'idempotency-key': key };
+  return handler({ httpMethod: 'POST', headers, body: JSON.stringify(body) }, {}, auth);
+}
+
+const created = (id) => ({ statusCode: 200, body: JSON.stringify({ success: true, product: { id } }) });
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  keys = new Map();
+  dbDown = false;
+  calls = 0;
+  answer = () => created('p1');
+});
+
+test('a retry with the same key and body replays the first response', async () => {
+  const first = await post({ title: 'Tee' });
+  answer = () => created('p2');
+  const retry = await post({ title: 'Tee' });
+  assert.equal(calls, 1);
+  assert.equal(retry.statusCode, 200);
+  assert.equal(retry.body, first.body);
+  assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+  assert.equal(keys.get('u1|create-product|key-1').resource_id, 'p1');
+});
+
+test('requests without a key, and other keys, run normally', async () => {
+  await post({ title: 'Tee' }, null);
+  await post({ title: 'Tee' }, null);
+  await post({ title: 'Tee' }, 'key-2');
+  assert.equal(calls, 3);
+});
+
+test('the same key with a different body is refused with 422', async () => {
+  await post({ title: 'Tee' });
+  const res = await post({ title: 'Mug' });
+  assert.equal(res.statusCode, 422);
+  assert.equal(JSON.parse(res.body).reason, 'idempotency_key_reused');
+  assert.equal(calls, 1);
+});
+
+test('a retry while the first request runs gets 409 with Retry-After', async () => {
+  let inner;
+  answer = async () => { inner = await post({ title: 'Tee' }); return created('p1'); };
+  await post({ title: 'Tee' });
+  assert.equal(inner.statusCode, 409);
+  assert.equal(inner.headers['Retry-After'], '5');
+  assert.equal(JSON.parse(inner.body).reason, 'idempotency_key_in_progress');
+  assert.equal(calls, 1);
+});
+
+test('a stale pending claim is taken over', async () => {
+  // Claimed with the same body by an invocation that died ten minutes ago
+  const hash = crypto.createHash('sha256').update(JSON.stringify({ title: 'Tee' })).digest('hex');
+  keys.set('u1|create-product|key-1', { request_hash: hash, status: 'pending', created_at: Date.now() - 600000, updated_at: Date.now() - 600000 });
+  const res = await post({ title: 'Tee' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls, 1);
+  assert.equal(keys.get('u1|create-product|key-1').status, 'completed');
+});
+
+test('a failed response frees the key for a retry', async () => {
+  answer = () => ({ statusCode: 502, body: JSON.stringify({ success: false }) });
+  assert.equal((await post({ title: 'Tee' })).statusCode, 502);
+  assert.equal(keys.size, 0);
+  answer = () => created('p1');
+  assert.equal((await post({ title: 'Tee' })).statusCode, 200);
+  assert.equal(calls, 2);
+});
+
+test('a thrown error frees the key and propagates', async () => {
+  answer = () => { throw new Error('boom'); };
+  await assert.rejects(post({ title: 'Tee' }), /boom/);
+  assert.equal(keys.size, 0);
+});
+
+test('a key expired after 24 hours can be used again', async () => {
+  await post({ title: 'Tee' });
+  keys.get('u1|create-product|key-1').created_at = Date.now() - 25 * 3600 * 1000;
+  answer = () => created('p2');
+  const res = await post({ title: 'Mug' });
+  assert.equal(JSON.parse(res.body).product.id, 'p2');
+  assert.equal(calls, 2);
+});
+
+test('invalid keys are refused and a database outage runs without idempotency', async () => {
+  assert.equal((await post({ title: 'Tee' }, 'has space')).statusCode, 400);
+  dbDown = true;
+  assert.equal((await post({ title: 'Tee' })).statusCode, 200);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, loadFunction, fakeDb } = require('./helpers/functions');
+
+// One quick_jobs row plus its events, updated the way the runner's SQL would
+let job;
+let events;
+const db = stubModule('./_db', fakeDb((sql, params) => {
+  if (sql.startsWith('select * from quick_jobs')) return { rows: [structuredClone(job)] };
+  if (sql.startsWith('select status from quick_jobs')) return { rows: [{ status: job.status }] };
+  if (sql.startsWith('insert into quick_job_events')) {
+    events.push({ index: params[1], step: params[2], status: params[3] });
+    return { rowCount: 1 };
+  }
+  if (sql.startsWith('update quick_jobs set')) {
+    if (/status <> all/.test(sql) && params[params.length - 1].includes(job.status)) return { rows: [] };
+    const sets = sql.slice('update quick_jobs set '.length, sql.indexOf(', updated_at')).split(', ');
+    sets.forEach((set, i) => {
+      job[set.split(' = ')[0]] = /::jsonb/.test(set) ? JSON.parse(params[i]) : params[i];
+    });
+    return { rows: [structuredClone(job)] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}));
+
+// Sibling functions answer like a happy Printify run; onCall can change the job or fail a call
+let onCall = null;
+let calls;
+stubModule('node-fetch', async (url, opts = {}) => {
+  const fn = url.split('/').pop();
+  const body = opts.body ? JSON.parse(opts.body) : {};
+  calls.push(fn);
+  const override = onCall && (await onCall(fn, body));
+  if (override) return override;
+  let data = { success: true };
+  if (fn === 'printify-proxy') data = { success: true, data: body.endpoint.includes('print_providers') ? [{ id: 3, title: 'Monster' }] : [{ id: 6, title: 'Bella Canvas 3001 T-Shirt' }] };
+  if (fn === 'print-area-sizes') data = { success: true, data: { printAreas: [{ position: 'front', width: 4000, height: 4000 }] } };
+  if (fn === 'generate-image') data = { images: [{ url: `https://img.test/${calls.length}.png` }] };
+  if (fn === 'upload-image') data = { success: true, image_id: `img${calls.length}` };
+  if (fn === 'generate-content') data = { success: true, title: 'Cat tee', description: 'A cat', tags: ['cat'] };
+  if (fn === 'create-product') data = { success: true, product: { id: `p${calls.length}` } };
+  return { ok: true, status: 200, text: async () => JSON.stringify(data) };
+});
+
+const realAuth = loadFunction('_auth');
+stubModule('./_auth', {
+  ...realAuth,
+  withAuth: (handler) => (event, context) => handler(event, context, { userId: 'u1', token: 't', workspace: { id: 'w1', role: 'owner' } })
+});
+
+const runner = loadFunction('job-runner-background');
+
+function runJob() {
+  return runner.handler({ httpMethod: 'POST', headers: { host: 'localhost', authorization: 'Bearer t' }, body: JSON.stringify({ job_id: 'j1' }) });
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  job = {
+    id: 'j1', workspace_id: 'w1', status: 'queued', total: 3, completed: 0, failed: 0, next_index: 0, results: [], shop_id: '9',
+    params: { prompt: 'a cat tee', concurrency: 1 }
+  };
+  events = [];
+  calls = [];
+  onCall = null;
+  db.queries.length = 0;
+});
+
+test('runs every item and completes the job', async () => {
+  const res = await runJob();
+  assert.equal(res.statusCode, 202);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.completed, 3);
+  assert.equal(job.next_index, 3);
+  assert.equal(calls.filter(fn => fn === 'create-product').length, 3);
+});
+
+test('pauseAfter pauses once the first items are done', async () => {
+  job.params.pauseAfter = 1;
+  await runJob();
+  assert.equal(job.status, 'paused');
+  assert.equal(job.completed, 1);
+  assert.equal(job.next_index, 1);
+  assert.ok(events.some(e => e.step === 'job-paused'));
+});
+
+test('a pause requested mid-run stops before the next item', async () => {
+  onCall = (fn) => { if (fn === 'create-product') job.status = 'pausing'; };
+  await runJob();
+  assert.equal(job.status, 'paused');
+  assert.equal(job.completed, 1);
+  assert.equal(job.next_index, 1);
+});
+
+test('a cancel stops before the next item and stays cancelled', async () => {
+  onCall = (fn) => { if (fn === 'create-product') job.status = 'cancelled'; };
+  await runJob();
+  assert.equal(job.status, 'cancelled');
+  assert.equal(calls.filter(fn => fn === 'create-product').length, 1);
+  assert.ok(events.some(e => e.step === 'job-cancelled'));
+});
+
+test('a cancel during the last item is not overwritten by the final status', async () => {
+  job.total = 1;
+  onCall = (fn) => { if (fn === 'create-product') job.status = 'cancelled'; };
+  await runJob();
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.completed, 1);
+  assert.ok(!events.some(e => e.step === 'job-completed'));
+});
+
+test('resuming a paused job continues from next_index', async () => {
+  job.params.pauseAfter = 1;
+  await runJob();
+  calls.length = 0;
+  job.status = 'in_progress'; // what quick-job-resume does before starting the runner
+  await runJob();
+  assert.equal(job.status, 'completed');
+  assert.equal(job.completed, 3);
+  assert.equal(calls.filter(fn => fn === 'create-product').length, 2);
+});
+
+test('running out of plan quota pauses the job instead of failing every item', async () => {
+  onCall = (fn) => {
+    if (fn === 'create-product') return { ok: false, status: 429, text: async () => JSON.stringify({ success: false, reason: 'quota_exceeded' }) };
+  };
+  await runJob();
+  assert.equal(job.status, 'paused');
+  assert.equal(job.failed, 1);
+  assert.equal(calls.filter(fn => fn === 'create-product').length, 1);
+});
+
+// What printify-proxy/printful-proxy answer when the token bucket wait would be too long
+const rateLimited = () => ({
+  ok: false, status: 429, headers: new Map([['retry-after', '0']]),
+  text: async () => JSON.stringify({ success: false, reason: 'rate_limited' })
+});
+
+test('a throttled call is retried and does not pause the job', async () => {
+  let creates = 0;
+  onCall = (fn) => { if (fn === 'create-product' && ++creates === 1) return rateLimited(); };
+  await runJob();
+  assert.equal(job.status, 'completed');
+  assert.equal(job.completed, 3);
+  assert.equal(creates, 4);
+});
+
+test('a call that stays rate limited fails only its item', async () => {
+  // The first item's call and both of its retries are throttled
+  let creates = 0;
+  onCall = (fn) => { if (fn === 'create-product' && ++creates <= 3) return rateLimited(); };
+  await runJob();
+  assert.equal(job.status, 'completed');
+  assert.equal(job.failed, 1);
+  assert.equal(job.completed, 2);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, loadFunction, fakeDb } = require('./helpers/functions');
+
+// usage_tracking rows and the user's subscription, as the quota queries see them
+let usage;
+let subscription;
+let nextId;
+const db = stubModule('./_db', fakeDb((sql, params) => {
+  if (/^(begin|commit|rollback)$/.test(sql) || sql.includes('pg_advisory_xact_lock')) return {};
+  if (sql.includes('from user_subscriptions')) return { rows: subscription ? [subscription] : [] };
+  if (sql.includes('group by type')) {
+    const totals = {};
+    usage.forEach(u => { totals[u.type] = (totals[u.type] || 0) + u.count; });
+    return { rows: Object.entries(totals).map(([type, used]) => ({ type, used })) };
+  }
+  if (sql.startsWith('insert into usage_tracking')) {
+    const row = { id: nextId++, type: params[1], count: params[2], metadata: params[3] };
+    usage.push(row);
+    return { rows: [{ id: row.id }] };
+  }
+  if (sql.startsWith('delete from usage_tracking')) {
+    const before = usage.length;
+    usage = usage.filter(u => u.id !== params[0]);
+    return { rowCount: before - usage.length };
+  }
+  if (sql.startsWith('select coalesce(sum(count), 0)::int as used from usage_tracking')) {
+    return { rows: [{ used: usage.filter(u => u.type === params[1]).reduce((sum, u) => sum + u.count, 0) }] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}));
+
+const { FREE_LIMITS, QuotaError, checkQuota, reserveUsage, refundUsage, usageSummary, quotaErrorResponse } = loadFunction('_quota');
+
+function paidPlan(limits, status = 'active') {
+  return {
+    status,
+    name: 'Starter',
+    limits,
+    current_period_start: new Date(Date.now() - 86400000).toISOString(),
+    current_period_end: new Date(Date.now() + 86400000).toISOString()
+  };
+}
+
+async function rejectsWith(promise, statusCode, reason) {
+  await assert.rejects(promise, (e) => {
+    assert.ok(e instanceof QuotaError);
+    assert.equal(e.statusCode, statusCode);
+    assert.equal(e.reason, reason);
+    return true;
+  });
+}
+
+test.beforeEach(() => {
+  usage = [];
+  subscription = null;
+  nextId = 1;
+  db.queries.length = 0;
+});
+
+test('a reservation records usage up front and reports what is left', async () => {
+  const r = await reserveUsage('u1', 'products', 3, { source: 'test' });
+  assert.equal(r.used, 3);
+  assert.equal(r.remaining, FREE_LIMITS.products_per_month - 3);
+  assert.deepEqual(usage.map(u => u.count), [3]);
+  // Serialized per user and type inside one transaction
+  const lock = db.queries.find(q => q.sql.includes('pg_advisory_xact_lock'));
+  assert.deepEqual(lock.params, ['usage:u1:products']);
+  assert.equal(db.queries.at(-1).sql, 'commit');
+});
+
+test('a refund gives the reservation back', async () => {
+  const r = await reserveUsage('u1', 'ai_generations');
+  await refundUsage(r);
+  assert.equal(usage.length, 0);
+  assert.equal((await checkQuota('u1', 'ai_generations')).remaining, FREE_LIMITS.ai_generations);
+  await refundUsage(null);
+});
+
+test('the free allowance runs out with 402 and records nothing more', async () => {
+  await reserveUsage('u1', 'products', FREE_LIMITS.products_per_month - 1);
+  await rejectsWith(reserveUsage('u1', 'products', 2), 402, 'upgrade_required');
+  assert.equal(usage.length, 1);
+  assert.equal(db.queries.at(-1).sql, 'rollback');
+  assert.ok(await reserveUsage('u1', 'products', 1));
+});
+
+test('a paid plan runs out with 429 and a Retry-After until the period ends', async () => {
+  subscription = paidPlan({ products_per_month: 2 });
+  await reserveUsage('u1', 'products', 2);
+  const err = await reserveUsage('u1', 'products').catch(e => e);
+  assert.equal(err.statusCode, 429);
+  assert.equal(err.reason, 'quota_exceeded');
+  const res = quotaErrorResponse(err, {});
+  const retryAfter = Number(res.headers['Retry-After']);
+  assert.ok(retryAfter > 86000 && retryAfter <= 86400);
+  assert.equal(JSON.parse(res.body).quota.remaining, 0);
+});
+
+test('a past-due subscription falls back to the free allowance with payment_required', async () => {
+  subscription = paidPlan({ products_per_month: 1000 }, 'past_due');
+  await rejectsWith(checkQuota('u1', 'products', FREE_LIMITS.products_per_month + 1), 402, 'payment_required');
+});
+
+test('-1 is unlimited', async () => {
+  subscription = paidPlan({ ai_generations: -1 });
+  const r = await reserveUsage('u1', 'ai_generations', 10000);
+  assert.equal(r.remaining, null);
+});
+
+test('unknown usage types are refused', async () => {
+  await rejectsWith(reserveUsage('u1', 'widgets'), 400, 'invalid_type');
+});
+
+test('the summary reports usage and remaining allowance per type', async () => {
+  await reserveUsage('u1', 'products', 5);
+  await reserveUsage('u1', 'api_calls', 10);
+  const { plan, usage: used, remaining } = await usageSummary('u1');
+  assert.equal(plan.plan, 'Free');
+  assert.deepEqual(used, { products: 5, ai_generations: 0, api_calls: 10 });
+  assert.deepEqual(remaining, {
+    products: FREE_LIMITS.products_per_month - 5,
+    ai_generations: FREE_LIMITS.ai_generations,
+    api_calls: FREE_LIMITS.api_calls - 10
+  });
+});
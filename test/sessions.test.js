@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { stubModule, loadFunction } = require('./helpers/functions');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// In-memory tables behind the small part of the Supabase query builder that _sessions uses
+let tables;
+function query(name) {
+  let op = 'select';
+  let payload = null;
+  let mode = 'many';
+  const filters = [];
+  const builder = {
+    select() { return builder; },
+    insert(row) { op = 'insert'; payload = row; return builder; },
+    update(patch) { op = 'update'; payload = patch; return builder; },
+    eq(column, value) { filters.push(row => String(row[column]) === String(value)); return builder; },
+    is(column, value) { filters.push(row => (row[column] ?? null) === value); return builder; },
+    or(expr) {
+      const alternatives = expr.split(',').map(part => part.split('.eq.'));
+      filters.push(row => alternatives.some(([column, value]) => row[column] === value));
+      return builder;
+    },
+    single() { mode = 'one'; return builder; },
+    maybeSingle() { mode = 'one'; return builder; },
+    then(resolve, reject) {
+      let rows;
+      if (op === 'insert') {
+        rows = [{ id: crypto.randomUUID(), revoked_at: null, ...payload }];
+        tables[name].push(rows[0]);
+      } else {
+        rows = tables[name].filter(row => filters.every(f => f(row)));
+        if (op === 'update') rows.forEach(row => Object.assign(row, payload));
+      }
+      rows = rows.map(row => ({ ...row }));
+      return Promise.resolve({ data: mode === 'one' ? rows[0] || null : rows, error: null }).then(resolve, reject);
+    }
+  };
+  return builder;
+}
+
+stubModule('./_supabase_node', { getSupabase: () => ({ from: query }) });
+stubModule('./_workspaces', { ensurePersonalWorkspace: async () => 'personal-ws' });
+
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = loadFunction('_sessions');
+
+const user = { id: 7, email: 'ann@example.com', name: 'Ann' };
+const event = { headers: { 'user-agent': 'test' } };
+
+async function rejectsWith(promise, statusCode, reason) {
+  await assert.rejects(promise, (e) => {
+    assert.equal(e.statusCode, statusCode);
+    assert.equal(e.reason, reason);
+    return true;
+  });
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  tables = { users: [{ ...user, sessions_revoked_at: null }], auth_sessions: [], workspace_members: [] };
+});
+
+test('sign-in issues an access token for the session and stores only a hash of the refresh token', async () => {
+  const session = await createSession(user, event);
+  const [sessionId, secret] = session.refreshToken.split('.');
+  const claims = jwt.verify(session.token, process.env.JWT_SECRET);
+  assert.equal(claims.sub, '7');
+  assert.equal(claims.sid, sessionId);
+  assert.equal(claims.wid, 'personal-ws');
+  const row = tables.auth_sessions[0];
+  assert.equal(row.id, sessionId);
+  assert.notEqual(row.refresh_token_hash, secret);
+  assert.equal(row.refresh_token_hash, crypto.createHash('sha256').update(secret).digest('hex'));
+});
+
+test('a refresh rotates the refresh token and keeps the session', async () => {
+  const first = await createSession(user, event);
+  const second = await rotateSession(first.refreshToken, event);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+  const third = await rotateSession(second.refreshToken, event);
+  assert.ok(third.token);
+});
+
+test('the replaced token right after a rotation is a racing tab, not a reuse', async () => {
+  const first = await createSession(user, event);
+  const second = await rotateSession(first.refreshToken, event);
+  await rejectsWith(rotateSession(first.refreshToken, event), 409, 'refresh_conflict');
+  assert.ok(await rotateSession(second.refreshToken, event));
+});
+
+test('reusing a replaced token later revokes the whole session', async () => {
+  const first = await createSession(user, event);
+  const second = await rotateSession(first.refreshToken, event);
+  tables.auth_sessions[0].rotated_at = new Date(Date.now() - 60 * 1000).toISOString();
+  await rejectsWith(rotateSession(first.refreshToken, event), 401, 'session_revoked');
+  assert.equal(tables.auth_sessions[0].revoked_reason, 'refresh_token_reuse');
+  await rejectsWith(rotateSession(second.refreshToken, event), 401, 'session_revoked');
+});
+
+test('unknown, malformed and expired refresh tokens are refused', async () => {
+  const session = await createSession(user, event);
+  await rejectsWith(rotateSession('not-a-token', event), 401, 'invalid_refresh_token');
+  await rejectsWith(rotateSession(`${session.refreshToken.split('.')[0]}.wrong`, event), 401, 'invalid_refresh_token');
+  tables.auth_sessions[0].expires_at = new Date(Date.now() - 1000).toISOString();
+  await rejectsWith(rotateSession(session.refreshToken, event), 401, 'session_expired');
+});
+
+test('a refresh after leaving the session workspace continues in the personal one', async () => {
+  const session = await createSession(user, event);
+  tables.auth_sessions[0].workspace_id = 'team-ws';
+  const rotated = await rotateSession(session.refreshToken, event);
+  assert.equal(rotated.workspaceId, 'personal-ws');
+
+  tables.workspace_members.push({ workspace_id: 'team-ws', user_id: 7, role: 'editor' });
+  tables.auth_sessions[0].workspace_id = 'team-ws';
+  const again = await rotateSession(rotated.refreshToken, event);
+  assert.equal(again.workspaceId, 'team-ws');
+});
+
+test('logout revokes only that session', async () => {
+  const a = await createSession(user, event);
+  const b = await createSession(user, event);
+  assert.equal(await revokeSession(a.refreshToken), true);
+  assert.equal(await revokeSession(a.refreshToken), false);
+  assert.equal(await revokeSession('junk'), false);
+  await rejectsWith(rotateSession(a.refreshToken, event), 401, 'session_revoked');
+  assert.ok(await rotateSession(b.refreshToken, event));
+});
+
+test('logout everywhere revokes every session and stamps the user', async () => {
+  const a = await createSession(user, event);
+  const b = await createSession(user, event);
+  assert.equal(await revokeAllSessions(7), 2);
+  assert.ok(tables.users[0].sessions_revoked_at);
+  await rejectsWith(rotateSession(a.refreshToken, event), 401, 'session_revoked');
+  await rejectsWith(rotateSession(b.refreshToken, event), 401, 'session_revoked');
+});